@@ -0,0 +1,605 @@
+/* ============================================================
+   BIM Model Viewer — bcf.js
+   BIM Collaboration Format (BCF 2.1 / 3.0) reader and writer:
+   builds markup, viewpoint and version documents for a list of
+   topics and packs them into a .bcfzip, and reads .bcfzip files
+   from other tools back into the same topic shape — without any
+   external library. Viewpoint coordinates are IFC project
+   coordinates (Z up), so the viewer's rotation preset is undone
+   on the way out and reapplied on the way in.
+   ============================================================ */
+
+import * as THREE from 'three';
+import { getViewerState } from './viewer.js';
+
+// ======================== CONFIG ========================
+const BCF_VERSIONS = ['2.1', '3.0'];
+const AUTHOR_KEY = 'bcf_author';
+const GUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// ======================== ZIP ========================
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Pack files into an uncompressed ZIP archive.
+ * @param {Array<{ name: string, data: string | Uint8Array }>} entries
+ * @returns {Blob}
+ */
+function createZip(entries) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = encoder.encode(entry.name);
+    const data = typeof entry.data === 'string' ? encoder.encode(entry.data) : entry.data;
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);            // version needed
+    local.setUint16(6, 0x0800, true);        // UTF-8 names
+    local.setUint16(8, 0, true);             // stored
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    parts.push(local, name, data);
+
+    const dir = new DataView(new ArrayBuffer(46));
+    dir.setUint32(0, 0x02014b50, true);
+    dir.setUint16(4, 20, true);
+    dir.setUint16(6, 20, true);
+    dir.setUint16(8, 0x0800, true);
+    dir.setUint32(16, crc, true);
+    dir.setUint32(20, data.length, true);
+    dir.setUint32(24, data.length, true);
+    dir.setUint16(28, name.length, true);
+    dir.setUint32(42, offset, true);
+    central.push(dir, name);
+
+    offset += 30 + name.length + data.length;
+  }
+
+  const dirSize = central.reduce((sum, p) => sum + p.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, dirSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
+
+/** Inflate raw DEFLATE data (ZIP method 8). */
+async function inflateRaw(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Unpack a ZIP archive (stored or deflated entries) via its central directory.
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<Map<string, Uint8Array>>} entry name → contents
+ */
+async function readZip(buffer) {
+  const view = new DataView(buffer);
+  let end = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) { end = i; break; }
+  }
+  if (end < 0) throw new Error('Not a ZIP archive');
+
+  const count = view.getUint16(end + 10, true);
+  let ptr = view.getUint32(end + 16, true);
+  if (ptr === 0xffffffff) throw new Error('ZIP64 archives are not supported');
+
+  const decoder = new TextDecoder();
+  const files = new Map();
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(ptr, true) !== 0x02014b50) throw new Error('Corrupt ZIP directory');
+    const method = view.getUint16(ptr + 10, true);
+    const compSize = view.getUint32(ptr + 20, true);
+    const nameLen = view.getUint16(ptr + 28, true);
+    const extraLen = view.getUint16(ptr + 30, true);
+    const commentLen = view.getUint16(ptr + 32, true);
+    const local = view.getUint32(ptr + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, ptr + 46, nameLen));
+    ptr += 46 + nameLen + extraLen + commentLen;
+    if (name.endsWith('/')) continue;   // directory entry
+
+    const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+    const raw = new Uint8Array(buffer, start, compSize);
+    if (method === 0) files.set(name, raw);
+    else if (method === 8) files.set(name, await inflateRaw(raw));
+    else console.warn(`[bcf] Skipping ${name}: unsupported compression ${method}`);
+  }
+  return files;
+}
+
+// ======================== COORDINATES ========================
+const _m = new THREE.Matrix4();
+
+/** World → IFC matrix: undo the rotation preset, then Y up → Z up. */
+function worldToIfcMatrix() {
+  const { models } = getViewerState();
+  const group = models[0]?.modelGroup;
+  _m.identity();
+  if (group) {
+    group.updateMatrixWorld(true);
+    _m.copy(group.matrixWorld).invert();
+  }
+  const yUpToZUp = new THREE.Matrix4().makeRotationX(Math.PI / 2);
+  return yUpToZUp.multiply(_m);
+}
+
+/** A world-space point as IFC [x, y, z]. */
+function worldPointToIfc(v) {
+  return v.clone().applyMatrix4(worldToIfcMatrix()).toArray();
+}
+
+/** A world-space direction as IFC [x, y, z]. */
+function worldDirToIfc(v) {
+  return v.clone().transformDirection(worldToIfcMatrix()).toArray();
+}
+
+/** An IFC [x, y, z] point as a world-space Vector3. */
+function ifcPointToWorld(a) {
+  return new THREE.Vector3().fromArray(a).applyMatrix4(worldToIfcMatrix().invert());
+}
+
+/** An IFC [x, y, z] direction as a world-space unit Vector3. */
+function ifcDirToWorld(a) {
+  return new THREE.Vector3().fromArray(a).transformDirection(worldToIfcMatrix().invert());
+}
+
+/**
+ * A world-space clip plane as a BCF clipping plane. THREE keeps the side the
+ * normal points to; BCF's direction points at the side that is cut away.
+ */
+function clipPlaneToBcf(plane) {
+  return {
+    location: worldPointToIfc(plane.coplanarPoint(new THREE.Vector3())),
+    direction: worldDirToIfc(plane.normal.clone().negate()),
+  };
+}
+
+/** A BCF clipping plane as a world-space THREE.Plane. */
+function bcfToClipPlane(p) {
+  const normal = ifcDirToWorld(p.direction).negate();
+  return new THREE.Plane().setFromNormalAndCoplanarPoint(normal, ifcPointToWorld(p.location));
+}
+
+/**
+ * BCF camera (IFC coordinates) for a camera at `position` looking at `target`:
+ * orthogonal, with the visible height as viewToWorldScale, when the viewer is
+ * in orthographic projection, otherwise perspective.
+ * @returns {{ position: number[], direction: number[], up: number[], fov?: number,
+ *             viewToWorldScale?: number, aspect: number }}
+ */
+function viewpointCamera(position, target) {
+  const { camera } = getViewerState();
+  const dir = target.clone().sub(position).normalize();
+  // Up vector perpendicular to the view direction
+  const right = new THREE.Vector3().crossVectors(dir, camera.up).normalize();
+  const up = new THREE.Vector3().crossVectors(right, dir).normalize();
+  const cam = {
+    position: worldPointToIfc(position),
+    direction: worldDirToIfc(dir),
+    up: worldDirToIfc(up),
+  };
+  if (camera.isOrthographicCamera) {
+    cam.viewToWorldScale = (camera.top - camera.bottom) / camera.zoom;
+    cam.aspect = (camera.right - camera.left) / (camera.top - camera.bottom);
+  } else {
+    cam.fov = camera.fov;
+    cam.aspect = camera.aspect;
+  }
+  return cam;
+}
+
+/**
+ * World-space eye, view direction and up vector of a BCF camera.
+ * @returns {{ position: THREE.Vector3, direction: THREE.Vector3, up: THREE.Vector3 }}
+ */
+function viewpointToWorld(cam) {
+  return {
+    position: ifcPointToWorld(cam.position),
+    direction: ifcDirToWorld(cam.direction),
+    up: ifcDirToWorld(cam.up || [0, 0, 1]),
+  };
+}
+
+// ======================== XML ========================
+function xmlEscape(s) {
+  return String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function xmlVec(tag, v) {
+  return `<${tag}><X>${v[0]}</X><Y>${v[1]}</Y><Z>${v[2]}</Z></${tag}>`;
+}
+
+function versionXml(version) {
+  // DetailedVersion was dropped from the 3.0 schema
+  const detail = version === '3.0' ? '' : `<DetailedVersion>${version}</DetailedVersion>`;
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<Version VersionId="${version}">${detail}</Version>\n`;
+}
+
+/** BCF 3.0 requires the topic types / statuses / labels used to be declared. */
+function extensionsXml(topics) {
+  const list = (tag, values) => [...new Set(values.filter(Boolean))]
+    .map(v => `<${tag}>${xmlEscape(v)}</${tag}>`).join('');
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<Extensions>`
+    + `<TopicTypes>${list('TopicType', topics.map(t => t.type))}</TopicTypes>`
+    + `<TopicStatuses>${list('TopicStatus', topics.map(t => t.status))}</TopicStatuses>`
+    + `<TopicLabels>${list('TopicLabel', topics.flatMap(t => t.labels || []))}</TopicLabels>`
+    + `</Extensions>\n`;
+}
+
+/** All viewpoints of a topic; the first one is the topic's main view. */
+function topicViewpoints(topic) {
+  return topic.viewpoints || (topic.viewpoint ? [topic.viewpoint] : []);
+}
+
+/** Snapshot as { bytes, ext } from a Uint8Array (PNG) or an image data URL. */
+function snapshotData(snapshot) {
+  if (!snapshot) return null;
+  if (snapshot instanceof Uint8Array) return { bytes: snapshot, ext: 'png' };
+  const [head, b64] = snapshot.split(',');
+  const bin = atob(b64);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return { bytes, ext: head.includes('jpeg') ? 'jpg' : 'png' };
+}
+
+/** File names inside the topic folder: the first viewpoint uses the conventional names. */
+function viewpointFiles(vp, i) {
+  const snap = snapshotData(vp.snapshot);
+  const base = i === 0 ? 'viewpoint' : vp.guid;
+  const snapBase = i === 0 ? 'snapshot' : vp.guid;
+  return {
+    viewpoint: `${base}.bcfv`,
+    snapshot: snap ? `${snapBase}.${snap.ext}` : null,
+    snapBytes: snap?.bytes,
+  };
+}
+
+function markupXml(topic, version) {
+  const v3 = version === '3.0';
+  const vps = topicViewpoints(topic);
+  const labels = topic.labels || [];
+  const comments = topic.comments || [];
+  const opt = (tag, value) => value ? `<${tag}>${xmlEscape(value)}</${tag}>` : '';
+
+  const vpRefs = vps.map((vp, i) => {
+    const f = viewpointFiles(vp, i);
+    const inner = `<Viewpoint>${f.viewpoint}</Viewpoint>${f.snapshot ? `<Snapshot>${f.snapshot}</Snapshot>` : ''}`;
+    const guid = xmlEscape(vp.guid);
+    return v3 ? `<ViewPoint Guid="${guid}">${inner}</ViewPoint>` : `<Viewpoints Guid="${guid}">${inner}</Viewpoints>\n`;
+  });
+  const commentXml = comments.map(c => `<Comment Guid="${xmlEscape(c.guid)}">`
+    + `<Date>${xmlEscape(c.date)}</Date>${opt('Author', c.author)}${opt('Comment', c.comment)}`
+    + (c.viewpointGuid ? `<Viewpoint Guid="${xmlEscape(c.viewpointGuid)}"/>` : '')
+    + `${opt('ModifiedDate', c.modifiedDate)}${opt('ModifiedAuthor', c.modifiedAuthor)}</Comment>`);
+
+  let xml = `<?xml version="1.0" encoding="UTF-8"?>\n<Markup>\n`;
+  xml += `<Topic Guid="${xmlEscape(topic.guid)}" TopicType="${xmlEscape(topic.type)}" TopicStatus="${xmlEscape(topic.status)}">`;
+  xml += `<Title>${xmlEscape(topic.title)}</Title>`;
+  xml += opt('Priority', topic.priority);
+  if (v3) {
+    if (labels.length > 0) xml += `<Labels>${labels.map(l => `<Label>${xmlEscape(l)}</Label>`).join('')}</Labels>`;
+  } else {
+    xml += labels.map(l => `<Labels>${xmlEscape(l)}</Labels>`).join('');
+  }
+  xml += `<CreationDate>${xmlEscape(topic.creationDate)}</CreationDate>`;
+  xml += `<CreationAuthor>${xmlEscape(topic.author)}</CreationAuthor>`;
+  xml += opt('ModifiedDate', topic.modifiedDate) + opt('ModifiedAuthor', topic.modifiedAuthor);
+  xml += opt('AssignedTo', topic.assignedTo);
+  xml += opt('Description', topic.description);
+  if (v3) {
+    if (comments.length > 0) xml += `<Comments>${commentXml.join('')}</Comments>`;
+    if (vps.length > 0) xml += `<Viewpoints>${vpRefs.join('')}</Viewpoints>`;
+  }
+  xml += `</Topic>\n`;
+  if (!v3) xml += commentXml.map(c => c + '\n').join('') + vpRefs.join('');
+  xml += `</Markup>\n`;
+  return xml;
+}
+
+function viewpointXml(vp, version) {
+  const component = (gid) => `<Component IfcGuid="${xmlEscape(gid)}"/>`;
+  const visibility = vp.visibility || { defaultVisible: true, exceptions: [] };
+  let xml = `<?xml version="1.0" encoding="UTF-8"?>\n<VisualizationInfo Guid="${xmlEscape(vp.guid)}">\n`;
+
+  xml += `<Components>`;
+  if (vp.selection?.length > 0) xml += `<Selection>${vp.selection.map(component).join('')}</Selection>`;
+  xml += `<Visibility DefaultVisibility="${visibility.defaultVisible ? 'true' : 'false'}">`;
+  if (visibility.exceptions.length > 0) xml += `<Exceptions>${visibility.exceptions.map(component).join('')}</Exceptions>`;
+  xml += `</Visibility></Components>\n`;
+
+  const cam = vp.camera;
+  if (cam) {
+    const tag = cam.viewToWorldScale ? 'OrthogonalCamera' : 'PerspectiveCamera';
+    xml += `<${tag}>`;
+    xml += xmlVec('CameraViewPoint', cam.position);
+    xml += xmlVec('CameraDirection', cam.direction);
+    xml += xmlVec('CameraUpVector', cam.up);
+    xml += cam.viewToWorldScale
+      ? `<ViewToWorldScale>${cam.viewToWorldScale}</ViewToWorldScale>`
+      : `<FieldOfView>${cam.fov}</FieldOfView>`;
+    if (version === '3.0') xml += `<AspectRatio>${cam.aspect || 1}</AspectRatio>`;
+    xml += `</${tag}>\n`;
+  }
+
+  if (vp.clippingPlanes?.length > 0) {
+    xml += `<ClippingPlanes>`;
+    for (const p of vp.clippingPlanes) {
+      xml += `<ClippingPlane>${xmlVec('Location', p.location)}${xmlVec('Direction', p.direction)}</ClippingPlane>`;
+    }
+    xml += `</ClippingPlanes>\n`;
+  }
+
+  xml += `</VisualizationInfo>\n`;
+  return xml;
+}
+
+// ======================== PARSE ========================
+function parseXml(bytes) {
+  const doc = new DOMParser().parseFromString(new TextDecoder().decode(bytes), 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) throw new Error('Malformed XML');
+  return doc.documentElement;
+}
+
+/** Direct children with a tag name (namespace prefixes ignored). */
+function children(el, tag) {
+  return el ? [...el.children].filter(c => c.localName === tag) : [];
+}
+
+function child(el, tag) {
+  return children(el, tag)[0] || null;
+}
+
+function childText(el, tag) {
+  return child(el, tag)?.textContent.trim() || '';
+}
+
+function childVec(el, tag) {
+  const v = child(el, tag);
+  if (!v) return null;
+  return ['X', 'Y', 'Z'].map(a => parseFloat(childText(v, a)) || 0);
+}
+
+function componentGuids(el) {
+  return children(el, 'Component').map(c => c.getAttribute('IfcGuid')).filter(Boolean);
+}
+
+/** A Guid attribute, or null when absent. Throws on anything but a GUID — these become file names and markup. */
+function guidAttr(el, name) {
+  const v = el?.getAttribute(name)?.trim();
+  if (!v) return null;
+  if (!GUID_PATTERN.test(v)) throw new Error(`Invalid ${name} "${v.slice(0, 40)}"`);
+  return v;
+}
+
+/** A date child as an ISO string, or null when absent. Throws when it does not parse. */
+function dateText(el, tag) {
+  const v = childText(el, tag);
+  if (!v) return null;
+  const t = Date.parse(v);
+  if (Number.isNaN(t)) throw new Error(`Invalid ${tag} "${v.slice(0, 40)}"`);
+  return new Date(t).toISOString();
+}
+
+function bytesToDataUrl(bytes, name) {
+  const mime = /\.jpe?g$/i.test(name) ? 'image/jpeg' : 'image/png';
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return `data:${mime};base64,${btoa(bin)}`;
+}
+
+function parseViewpoint(root) {
+  const components = child(root, 'Components');
+  const visEl = child(components, 'Visibility');
+  const vp = {
+    guid: guidAttr(root, 'Guid') || crypto.randomUUID(),
+    camera: null,
+    selection: componentGuids(child(components, 'Selection')),
+    visibility: {
+      defaultVisible: visEl?.getAttribute('DefaultVisibility') !== 'false',
+      exceptions: componentGuids(child(visEl, 'Exceptions')),
+    },
+    clippingPlanes: children(child(root, 'ClippingPlanes'), 'ClippingPlane')
+      .map(p => ({ location: childVec(p, 'Location'), direction: childVec(p, 'Direction') }))
+      .filter(p => p.location && p.direction),
+    snapshot: null,
+  };
+
+  // BCF 2.0 marks hidden elements with per-component Visible flags instead
+  if (!visEl) {
+    vp.visibility.exceptions = children(components, 'Component')
+      .filter(c => c.getAttribute('Visible') === 'false')
+      .map(c => c.getAttribute('IfcGuid')).filter(Boolean);
+  }
+
+  const persp = child(root, 'PerspectiveCamera');
+  const ortho = child(root, 'OrthogonalCamera');
+  const cam = persp || ortho;
+  if (cam) {
+    vp.camera = {
+      position: childVec(cam, 'CameraViewPoint'),
+      direction: childVec(cam, 'CameraDirection'),
+      up: childVec(cam, 'CameraUpVector') || [0, 0, 1],
+      fov: persp ? parseFloat(childText(cam, 'FieldOfView')) || 60 : null,
+      aspect: parseFloat(childText(cam, 'AspectRatio')) || null,
+      viewToWorldScale: ortho ? parseFloat(childText(cam, 'ViewToWorldScale')) || 10 : null,
+    };
+    if (!vp.camera.position || !vp.camera.direction) vp.camera = null;
+  }
+  return vp;
+}
+
+function parseComment(el) {
+  return {
+    guid: guidAttr(el, 'Guid') || crypto.randomUUID(),
+    date: dateText(el, 'Date') || new Date().toISOString(),
+    author: childText(el, 'Author'),
+    comment: childText(el, 'Comment'),
+    viewpointGuid: guidAttr(child(el, 'Viewpoint'), 'Guid'),
+    modifiedDate: dateText(el, 'ModifiedDate'),
+    modifiedAuthor: childText(el, 'ModifiedAuthor') || null,
+  };
+}
+
+/** One topic folder: markup plus the viewpoints and snapshots it references. */
+function parseTopic(files, folder) {
+  const markup = parseXml(files.get(`${folder}/markup.bcf`));
+  const t = child(markup, 'Topic');
+  if (!t) throw new Error(`${folder}/markup.bcf has no Topic`);
+
+  // 2.1: repeated <Labels>text</Labels>; 3.0: <Labels><Label>text</Label></Labels>
+  const labels = children(t, 'Labels').flatMap(l => {
+    const inner = children(l, 'Label');
+    return inner.length > 0 ? inner.map(x => x.textContent.trim()) : [l.textContent.trim()];
+  }).filter(Boolean);
+
+  // 2.1 keeps comments and viewpoints beside the Topic, 3.0 inside it
+  const comments = [...children(markup, 'Comment'), ...children(child(t, 'Comments'), 'Comment')].map(parseComment);
+  const refs = [...children(markup, 'Viewpoints'), ...children(child(t, 'Viewpoints'), 'ViewPoint')];
+
+  const viewpoints = [];
+  for (const ref of refs) {
+    const vpName = childText(ref, 'Viewpoint');
+    const vpBytes = vpName && files.get(`${folder}/${vpName}`);
+    if (!vpBytes) continue;
+    const vp = parseViewpoint(parseXml(vpBytes));
+    vp.guid = guidAttr(ref, 'Guid') || vp.guid;
+    const snapName = childText(ref, 'Snapshot');
+    const snapBytes = snapName && files.get(`${folder}/${snapName}`);
+    if (snapBytes) vp.snapshot = bytesToDataUrl(snapBytes, snapName);
+    viewpoints.push(vp);
+  }
+
+  return {
+    guid: guidAttr(t, 'Guid') || (GUID_PATTERN.test(folder) ? folder : crypto.randomUUID()),
+    title: childText(t, 'Title'),
+    description: childText(t, 'Description'),
+    type: t.getAttribute('TopicType') || '',
+    status: t.getAttribute('TopicStatus') || '',
+    priority: childText(t, 'Priority'),
+    labels,
+    author: childText(t, 'CreationAuthor'),
+    creationDate: dateText(t, 'CreationDate') || new Date().toISOString(),
+    modifiedDate: dateText(t, 'ModifiedDate'),
+    modifiedAuthor: childText(t, 'ModifiedAuthor') || null,
+    assignedTo: childText(t, 'AssignedTo'),
+    comments,
+    viewpoints,
+  };
+}
+
+/**
+ * Read a .bcfzip into topics (same shape buildBcfZip writes, with snapshots as data URLs).
+ * Topics that fail to parse are skipped with a warning.
+ * @param {Blob} file
+ * @returns {Promise<{ version: string, topics: object[] }>}
+ */
+async function readBcfZip(file) {
+  const files = await readZip(await file.arrayBuffer());
+  const versionBytes = files.get('bcf.version');
+  const version = versionBytes ? parseXml(versionBytes).getAttribute('VersionId') || '' : '';
+
+  const topics = [];
+  for (const name of files.keys()) {
+    const m = name.match(/^(.+)\/markup\.bcf$/);
+    if (!m) continue;
+    try {
+      topics.push(parseTopic(files, m[1]));
+    } catch (e) {
+      console.warn(`[bcf] Skipping topic ${m[1]}:`, e);
+    }
+  }
+  console.log(`[bcf] Read ${topics.length} topic(s) from ${file.name || 'archive'} (BCF ${version || '?'})`);
+  return { version, topics };
+}
+
+// ======================== EXPORT ========================
+function getAuthor() {
+  return localStorage.getItem(AUTHOR_KEY) || 'bim-viewer';
+}
+
+function setAuthor(name) {
+  if (name) localStorage.setItem(AUTHOR_KEY, name);
+  else localStorage.removeItem(AUTHOR_KEY);
+}
+
+/**
+ * Build a .bcfzip from topics.
+ * Topic: { guid, title, description, type, status, priority, labels, author, creationDate,
+ *          modifiedDate, modifiedAuthor, assignedTo,
+ *          comments: [{ guid, date, author, comment, viewpointGuid }],
+ *          viewpoints (or a single viewpoint): [{ guid, camera, selection: [GlobalId],
+ *            visibility: { defaultVisible, exceptions: [GlobalId] },
+ *            clippingPlanes: [{ location, direction }], snapshot: Uint8Array | data URL | null }] }
+ * @returns {Blob}
+ */
+function buildBcfZip(topics, version = '2.1') {
+  if (!BCF_VERSIONS.includes(version)) throw new Error(`Unsupported BCF version ${version}`);
+  const entries = [{ name: 'bcf.version', data: versionXml(version) }];
+  if (version === '3.0') entries.push({ name: 'extensions.xml', data: extensionsXml(topics) });
+
+  for (const topic of topics) {
+    entries.push({ name: `${topic.guid}/markup.bcf`, data: markupXml(topic, version) });
+    topicViewpoints(topic).forEach((vp, i) => {
+      const f = viewpointFiles(vp, i);
+      entries.push({ name: `${topic.guid}/${f.viewpoint}`, data: viewpointXml(vp, version) });
+      if (f.snapshot) entries.push({ name: `${topic.guid}/${f.snapshot}`, data: f.snapBytes });
+    });
+  }
+  return createZip(entries);
+}
+
+function downloadBcf(topics, filename, version = '2.1') {
+  const blob = buildBcfZip(topics, version);
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename.endsWith('.bcfzip') ? filename : `${filename}.bcfzip`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// ======================== EXPORTS ========================
+export {
+  BCF_VERSIONS,
+  getAuthor,
+  setAuthor,
+  viewpointCamera,
+  viewpointToWorld,
+  worldPointToIfc,
+  worldDirToIfc,
+  clipPlaneToBcf,
+  bcfToClipPlane,
+  buildBcfZip,
+  downloadBcf,
+  readBcfZip,
+};
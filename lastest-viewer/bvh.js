@@ -0,0 +1,392 @@
+/* ============================================================
+   BIM Model Viewer — bvh.js
+   Bounding volume hierarchies over axis-aligned boxes: one box
+   per element for broad-phase queries, one box per triangle
+   for exact narrow-phase tests. Includes the triangle / triangle
+   intersection, minimum distance and point-in-solid queries the
+   clash tool is built on, and the ray casts walk mode uses for
+   collision.
+   Boxes are flat arrays of minX, minY, minZ, maxX, maxY, maxZ.
+   Triangles are flat arrays of 9 floats (3 world-space vertices).
+   ============================================================ */
+
+import * as THREE from 'three';
+
+// ======================== CONFIG ========================
+const LEAF_SIZE = 4;
+// Edge parameters this close to an end count as touching, not piercing
+const EDGE_EPS = 1e-4;
+
+// ======================== BUILD ========================
+/**
+ * Build a BVH over n boxes by median split on the longest centroid axis.
+ * @param {Float32Array} boxes - 6 floats per item
+ * @returns {{ boxes, bounds: Float32Array, right: Int32Array, start: Uint32Array,
+ *             size: Uint32Array, order: Uint32Array, nodeCount: number }}
+ *   The left child of node i is i + 1; right[i] is -1 for leaves.
+ */
+function buildBVH(boxes) {
+  const count = boxes.length / 6;
+  const order = new Uint32Array(count);
+  const centroids = new Float32Array(count * 3);
+  for (let i = 0; i < count; i++) {
+    order[i] = i;
+    for (let a = 0; a < 3; a++) centroids[i * 3 + a] = (boxes[i * 6 + a] + boxes[i * 6 + 3 + a]) * 0.5;
+  }
+
+  const maxNodes = Math.max(1, 2 * count);
+  const bounds = new Float32Array(maxNodes * 6);
+  const right = new Int32Array(maxNodes);
+  const start = new Uint32Array(maxNodes);
+  const size = new Uint32Array(maxNodes);
+  let nodeCount = 0;
+
+  function build(lo, hi) {
+    const node = nodeCount++;
+    const b = node * 6;
+    bounds[b] = bounds[b + 1] = bounds[b + 2] = Infinity;
+    bounds[b + 3] = bounds[b + 4] = bounds[b + 5] = -Infinity;
+    const cMin = [Infinity, Infinity, Infinity];
+    const cMax = [-Infinity, -Infinity, -Infinity];
+    for (let i = lo; i < hi; i++) {
+      const item = order[i];
+      for (let a = 0; a < 3; a++) {
+        bounds[b + a] = Math.min(bounds[b + a], boxes[item * 6 + a]);
+        bounds[b + 3 + a] = Math.max(bounds[b + 3 + a], boxes[item * 6 + 3 + a]);
+        cMin[a] = Math.min(cMin[a], centroids[item * 3 + a]);
+        cMax[a] = Math.max(cMax[a], centroids[item * 3 + a]);
+      }
+    }
+    start[node] = lo;
+    size[node] = hi - lo;
+    right[node] = -1;
+
+    const ext = [cMax[0] - cMin[0], cMax[1] - cMin[1], cMax[2] - cMin[2]];
+    const axis = ext[0] >= ext[1] && ext[0] >= ext[2] ? 0 : (ext[1] >= ext[2] ? 1 : 2);
+    if (hi - lo <= LEAF_SIZE || ext[axis] === 0) return node;
+
+    order.subarray(lo, hi).sort((x, y) => centroids[x * 3 + axis] - centroids[y * 3 + axis]);
+    const mid = (lo + hi) >> 1;
+    build(lo, mid);
+    right[node] = build(mid, hi);
+    return node;
+  }
+
+  if (count > 0) build(0, count);
+  return { boxes, bounds, right, start, size, order, nodeCount };
+}
+
+/** BVH over a triangle soup; the triangles are kept on the result as `tris`. */
+function buildTriangleBVH(tris) {
+  const n = tris.length / 9;
+  const boxes = new Float32Array(n * 6);
+  for (let t = 0; t < n; t++) {
+    const o = t * 9;
+    for (let a = 0; a < 3; a++) {
+      const v0 = tris[o + a], v1 = tris[o + 3 + a], v2 = tris[o + 6 + a];
+      boxes[t * 6 + a] = Math.min(v0, v1, v2);
+      boxes[t * 6 + 3 + a] = Math.max(v0, v1, v2);
+    }
+  }
+  const bvh = buildBVH(boxes);
+  bvh.tris = tris;
+  return bvh;
+}
+
+// ======================== BOX HELPERS ========================
+/** Squared distance between box i of array a and box j of array b (0 when they overlap). */
+function boxDistanceSq(a, i, b, j) {
+  let d = 0;
+  for (let k = 0; k < 3; k++) {
+    const gap = Math.max(a[i * 6 + k] - b[j * 6 + 3 + k], b[j * 6 + k] - a[i * 6 + 3 + k], 0);
+    d += gap * gap;
+  }
+  return d;
+}
+
+/** Flat 6-float box from a THREE.Box3. */
+function box3ToArray(box, out = new Float32Array(6), offset = 0) {
+  out[offset] = box.min.x; out[offset + 1] = box.min.y; out[offset + 2] = box.min.z;
+  out[offset + 3] = box.max.x; out[offset + 4] = box.max.y; out[offset + 5] = box.max.z;
+  return out;
+}
+
+// ======================== QUERIES ========================
+/**
+ * Call fn(item) for every item whose box lies within `margin` of the query box.
+ * @param {Float32Array} query - 6 floats
+ */
+function queryBox(bvh, query, margin, fn) {
+  if (bvh.nodeCount === 0) return;
+  const m2 = margin * margin;
+  const stack = [0];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (boxDistanceSq(bvh.bounds, node, query, 0) > m2) continue;
+    if (bvh.right[node] < 0) {
+      for (let i = bvh.start[node], end = i + bvh.size[node]; i < end; i++) {
+        const item = bvh.order[i];
+        if (boxDistanceSq(bvh.boxes, item, query, 0) <= m2) fn(item);
+      }
+    } else {
+      stack.push(node + 1, bvh.right[node]);
+    }
+  }
+}
+
+/**
+ * Walk leaf pairs of two BVHs whose boxes are within limit.dist of each other.
+ * visit(triA, triB) may shrink limit.dist; returning true stops the walk.
+ */
+function traversePairs(a, b, limit, visit) {
+  if (a.nodeCount === 0 || b.nodeCount === 0) return;
+  const stack = [0, 0];
+  while (stack.length > 0) {
+    const nb = stack.pop();
+    const na = stack.pop();
+    if (boxDistanceSq(a.bounds, na, b.bounds, nb) > limit.dist * limit.dist) continue;
+    const leafA = a.right[na] < 0;
+    const leafB = b.right[nb] < 0;
+    if (leafA && leafB) {
+      for (let i = a.start[na], ie = i + a.size[na]; i < ie; i++) {
+        for (let j = b.start[nb], je = j + b.size[nb]; j < je; j++) {
+          if (visit(a.order[i], b.order[j])) return;
+        }
+      }
+    } else if (!leafA && (leafB || a.size[na] >= b.size[nb])) {
+      stack.push(na + 1, nb, a.right[na], nb);
+    } else {
+      stack.push(na, nb + 1, na, b.right[nb]);
+    }
+  }
+}
+
+// ======================== TRIANGLE TESTS ========================
+const _t = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+const _u = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+const _e1 = new THREE.Vector3();
+const _e2 = new THREE.Vector3();
+const _dir = new THREE.Vector3();
+const _p = new THREE.Vector3();
+const _q = new THREE.Vector3();
+const _s = new THREE.Vector3();
+const _tri = new THREE.Triangle();
+
+function loadTri(tris, t, out) {
+  const o = t * 9;
+  out[0].set(tris[o], tris[o + 1], tris[o + 2]);
+  out[1].set(tris[o + 3], tris[o + 4], tris[o + 5]);
+  out[2].set(tris[o + 6], tris[o + 7], tris[o + 8]);
+  return out;
+}
+
+/**
+ * Parameter t along origin + t·dir where the line crosses triangle (a, b, c),
+ * or null when parallel or outside the triangle (Möller–Trumbore).
+ */
+function rayTriangle(origin, dir, a, b, c) {
+  _e1.subVectors(b, a);
+  _e2.subVectors(c, a);
+  _p.crossVectors(dir, _e2);
+  const det = _e1.dot(_p);
+  if (Math.abs(det) < 1e-12) return null;
+  const inv = 1 / det;
+  _s.subVectors(origin, a);
+  const u = _s.dot(_p) * inv;
+  if (u < 0 || u > 1) return null;
+  _q.crossVectors(_s, _e1);
+  const v = dir.dot(_q) * inv;
+  if (v < 0 || u + v > 1) return null;
+  return _e2.dot(_q) * inv;
+}
+
+/** Does an edge of triangle p strictly pierce triangle q? Writes the crossing point into out. */
+function edgesPierce(p, q, out) {
+  for (let i = 0; i < 3; i++) {
+    const from = p[i];
+    _dir.subVectors(p[(i + 1) % 3], from);
+    const t = rayTriangle(from, _dir, q[0], q[1], q[2]);
+    if (t !== null && t > EDGE_EPS && t < 1 - EDGE_EPS) {
+      out.copy(from).addScaledVector(_dir, t);
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * First point where the surfaces of two triangle BVHs cross, or null.
+ * Coplanar and edge-on contact (elements merely touching) is not a crossing.
+ */
+function trianglesIntersect(a, b) {
+  let hit = null;
+  const point = new THREE.Vector3();
+  traversePairs(a, b, { dist: 0 }, (ta, tb) => {
+    loadTri(a.tris, ta, _t);
+    loadTri(b.tris, tb, _u);
+    if (edgesPierce(_t, _u, point) || edgesPierce(_u, _t, point)) {
+      hit = point;
+      return true;
+    }
+    return false;
+  });
+  return hit;
+}
+
+// Closest points between segments p1-q1 and p2-q2 (Ericson, Real-Time Collision Detection 5.1.9)
+const _d1 = new THREE.Vector3();
+const _d2 = new THREE.Vector3();
+const _r = new THREE.Vector3();
+function closestSegmentSegment(p1, q1, p2, q2, c1, c2) {
+  _d1.subVectors(q1, p1);
+  _d2.subVectors(q2, p2);
+  _r.subVectors(p1, p2);
+  const a = _d1.dot(_d1), e = _d2.dot(_d2), f = _d2.dot(_r);
+  let s, t;
+  if (a <= 1e-12 && e <= 1e-12) {
+    s = t = 0;
+  } else if (a <= 1e-12) {
+    s = 0;
+    t = THREE.MathUtils.clamp(f / e, 0, 1);
+  } else {
+    const c = _d1.dot(_r);
+    if (e <= 1e-12) {
+      t = 0;
+      s = THREE.MathUtils.clamp(-c / a, 0, 1);
+    } else {
+      const b = _d1.dot(_d2);
+      const denom = a * e - b * b;
+      s = denom !== 0 ? THREE.MathUtils.clamp((b * f - c * e) / denom, 0, 1) : 0;
+      t = (b * s + f) / e;
+      if (t < 0) { t = 0; s = THREE.MathUtils.clamp(-c / a, 0, 1); }
+      else if (t > 1) { t = 1; s = THREE.MathUtils.clamp((b - c) / a, 0, 1); }
+    }
+  }
+  c1.copy(p1).addScaledVector(_d1, s);
+  c2.copy(p2).addScaledVector(_d2, t);
+  return c1.distanceTo(c2);
+}
+
+const _c1 = new THREE.Vector3();
+const _c2 = new THREE.Vector3();
+
+/** Distance between two non-intersecting triangles; closest points written to outA / outB. */
+function triangleDistance(p, q, outA, outB) {
+  let best = Infinity;
+  // Vertex of one against the face of the other
+  _tri.set(q[0], q[1], q[2]);
+  for (let i = 0; i < 3; i++) {
+    _tri.closestPointToPoint(p[i], _c2);
+    const d = p[i].distanceTo(_c2);
+    if (d < best) { best = d; outA.copy(p[i]); outB.copy(_c2); }
+  }
+  _tri.set(p[0], p[1], p[2]);
+  for (let i = 0; i < 3; i++) {
+    _tri.closestPointToPoint(q[i], _c1);
+    const d = q[i].distanceTo(_c1);
+    if (d < best) { best = d; outA.copy(_c1); outB.copy(q[i]); }
+  }
+  // Edge against edge
+  for (let i = 0; i < 3; i++) {
+    for (let j = 0; j < 3; j++) {
+      const d = closestSegmentSegment(p[i], p[(i + 1) % 3], q[j], q[(j + 1) % 3], _c1, _c2);
+      if (d < best) { best = d; outA.copy(_c1); outB.copy(_c2); }
+    }
+  }
+  return best;
+}
+
+/**
+ * Smallest distance between two triangle BVHs if it is at most maxDist, else null.
+ * @returns {{ distance: number, pointA: THREE.Vector3, pointB: THREE.Vector3 } | null}
+ */
+function minDistance(a, b, maxDist) {
+  const limit = { dist: maxDist };
+  let result = null;
+  const pa = new THREE.Vector3();
+  const pb = new THREE.Vector3();
+  traversePairs(a, b, limit, (ta, tb) => {
+    const d = triangleDistance(loadTri(a.tris, ta, _t), loadTri(b.tris, tb, _u), pa, pb);
+    if (d <= limit.dist) {
+      limit.dist = d;
+      result = { distance: d, pointA: pa.clone(), pointB: pb.clone() };
+    }
+    return d === 0;
+  });
+  return result;
+}
+
+// ======================== RAY QUERIES ========================
+/** Does the segment origin + t·dir, t in [0, far], cross box i? (slab test, inv = 1 / dir) */
+function rayHitsBox(boxes, i, o, inv, far) {
+  let tMin = 0, tMax = far;
+  for (let k = 0; k < 3; k++) {
+    let t1 = (boxes[i * 6 + k] - o[k]) * inv[k];
+    let t2 = (boxes[i * 6 + 3 + k] - o[k]) * inv[k];
+    if (t1 > t2) [t1, t2] = [t2, t1];
+    tMin = Math.max(tMin, t1);
+    tMax = Math.min(tMax, t2);
+  }
+  return !(tMin > tMax);
+}
+
+/**
+ * Call fn(item) for every item whose box the segment origin + t·dir (t in [0, far])
+ * crosses. dir need not be normalized; far is in units of dir.
+ */
+function queryRay(bvh, origin, dir, far, fn) {
+  if (bvh.nodeCount === 0) return;
+  const o = [origin.x, origin.y, origin.z];
+  const inv = [1 / dir.x, 1 / dir.y, 1 / dir.z];
+  const stack = [0];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (!rayHitsBox(bvh.bounds, node, o, inv, far)) continue;
+    if (bvh.right[node] < 0) {
+      for (let i = bvh.start[node], end = i + bvh.size[node]; i < end; i++) {
+        const item = bvh.order[i];
+        if (rayHitsBox(bvh.boxes, item, o, inv, far)) fn(item);
+      }
+    } else {
+      stack.push(node + 1, bvh.right[node]);
+    }
+  }
+}
+
+/** Nearest t in [0, far] where the ray hits a triangle of a triangle BVH, or null. */
+function raycast(bvh, origin, dir, far) {
+  let best = null;
+  queryRay(bvh, origin, dir, far, (tri) => {
+    loadTri(bvh.tris, tri, _u);
+    const t = rayTriangle(origin, dir, _u[0], _u[1], _u[2]);
+    if (t !== null && t >= 0 && t <= far && (best === null || t < best)) best = t;
+  });
+  return best;
+}
+
+// Slightly skewed so the parity ray does not run along mesh edges
+const RAY_DIR = new THREE.Vector3(1, 0.0013, 0.0021).normalize();
+
+/** Is the point inside the closed surface of a triangle BVH? (ray parity test) */
+function pointInside(bvh, point) {
+  let crossings = 0;
+  queryRay(bvh, point, RAY_DIR, Infinity, (tri) => {
+    loadTri(bvh.tris, tri, _u);
+    const t = rayTriangle(point, RAY_DIR, _u[0], _u[1], _u[2]);
+    if (t !== null && t > 0) crossings++;
+  });
+  return crossings % 2 === 1;
+}
+
+// ======================== EXPORTS ========================
+export {
+  buildBVH,
+  buildTriangleBVH,
+  box3ToArray,
+  queryBox,
+  queryRay,
+  raycast,
+  trianglesIntersect,
+  minDistance,
+  pointInside,
+};
@@ -0,0 +1,595 @@
+/* ============================================================
+   BIM Model Viewer — clash.js
+   Clash detection between two element sets chosen by model,
+   IFC type or UniFormat code. Broad phase is a BVH over the
+   element boxes of set B; narrow phase tests the triangles of
+   each candidate pair (hard = surfaces cross or one solid sits
+   inside the other, clearance = closer than a distance).
+   Results keep a status across runs — new, active, resolved —
+   and export to CSV or BCF.
+   ============================================================ */
+
+import * as THREE from 'three';
+import {
+  getViewerState, getElementBox, getElementTriangles, zoomToKeys,
+  setHiddenKeys, toStableKey, fromStableKey,
+} from './viewer.js';
+import { classifications, UNIFORMAT_HIERARCHY } from './uniformat.js';
+import { buildBVH, buildTriangleBVH, box3ToArray, queryBox, trianglesIntersect, minDistance, pointInside } from './bvh.js';
+import { getAuthor, viewpointCamera, worldPointToIfc, downloadBcf } from './bcf.js';
+
+// ======================== CONFIG ========================
+const STORAGE_KEY = 'clash_results';
+const STATUSES = {
+  new:      { label: 'New',      color: '#f87171' },
+  active:   { label: 'Active',   color: '#fbbf24' },
+  resolved: { label: 'Resolved', color: '#34d399' },
+};
+const SET_CRITERIA = { model: 'Model', type: 'IFC Type', uniformat: 'UniFormat' };
+
+// Work for this long before yielding to the UI
+const SLICE_MS = 30;
+// Triangle BVHs kept between pairs; cleared once it grows past this
+const TRI_CACHE_LIMIT = 4000;
+const MAX_GROUP_ROWS = 200;
+
+// ======================== STATE ========================
+let setA = { by: 'model', values: [] };
+let setB = { by: 'model', values: [] };
+let testType = 'hard';           // 'hard' | 'clearance'
+let clearance = 0.05;            // metres, clearance tests only
+let groupBy = 'types';           // 'types' | 'storey' | 'status'
+
+// { id, pair, a, b (stable keys), aName, bName, aType, bType, storey, kind, distance, point, status, firstFound, lastFound }
+let clashes = [];
+let lastTest = null;             // config the current clashes belong to
+let nextId = 1;
+let running = false;
+let cancelRequested = false;
+const expandedGroups = new Set();
+let marker = null;
+
+// ======================== SET MEMBERSHIP ========================
+/** Distinct values for a set criterion, as [{ value, label, count }]. */
+function criterionValues(by) {
+  const { models, elementDataMap, elementMeshMap } = getViewerState();
+  const counts = new Map();
+  for (const [key, d] of elementDataMap) {
+    if (!elementMeshMap.has(key)) continue;
+    const v = criterionValue(by, key, d, models);
+    if (v) counts.set(v, (counts.get(v) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, label: criterionLabel(by, value), count }))
+    .sort((a, b) => a.label.localeCompare(b.label));
+}
+
+function criterionValue(by, key, data, models) {
+  if (by === 'model') return models.find(m => m.idx === data.modelIdx)?.filename || null;
+  if (by === 'type') return data.ifcType;
+  const code = classifications.get(key)?.code;
+  return code ? code.slice(0, 3) : null;   // UniFormat L2 (e.g. D20)
+}
+
+function criterionLabel(by, value) {
+  if (by === 'type') return value.replace('IFC', '');
+  if (by === 'uniformat') return `${value} ${UNIFORMAT_HIERARCHY[value[0]]?.children[value]?.label || ''}`.trim();
+  return value;
+}
+
+/** Composite keys of the elements (with geometry) matching a set definition. */
+function memberKeys(set) {
+  const { models, elementDataMap, elementMeshMap } = getViewerState();
+  const wanted = new Set(set.values);
+  const keys = [];
+  for (const [key, d] of elementDataMap) {
+    if (!elementMeshMap.has(key)) continue;
+    if (wanted.has(criterionValue(set.by, key, d, models))) keys.push(key);
+  }
+  return keys;
+}
+
+// ======================== DETECTION ========================
+function testConfig() {
+  return JSON.stringify({ a: setA, b: setB, type: testType, clearance: testType === 'clearance' ? clearance : 0 });
+}
+
+/** Order-independent identity of an element pair, stable across sessions. */
+function pairId(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+/**
+ * Test one candidate pair. Returns { kind, distance, point } or null.
+ * Hard clashes report the overlap of the two boxes along their thinnest axis
+ * as an approximate penetration depth.
+ */
+function testPair(triA, triB, boxA, boxB) {
+  const hit = trianglesIntersect(triA, triB);
+  if (hit) return { kind: 'hard', distance: boxOverlap(boxA, boxB), point: hit };
+
+  // No surface crossing — one element may sit entirely inside the other
+  const first = (tris) => new THREE.Vector3(tris.tris[0], tris.tris[1], tris.tris[2]);
+  if (boxB.containsBox(boxA) && triA.tris.length > 0 && pointInside(triB, first(triA))) {
+    return { kind: 'hard', distance: boxOverlap(boxA, boxB), point: boxA.getCenter(new THREE.Vector3()) };
+  }
+  if (boxA.containsBox(boxB) && triB.tris.length > 0 && pointInside(triA, first(triB))) {
+    return { kind: 'hard', distance: boxOverlap(boxA, boxB), point: boxB.getCenter(new THREE.Vector3()) };
+  }
+
+  if (testType !== 'clearance') return null;
+  const near = minDistance(triA, triB, clearance);
+  if (!near) return null;
+  return { kind: 'clearance', distance: near.distance, point: near.pointA.add(near.pointB).multiplyScalar(0.5) };
+}
+
+function boxOverlap(a, b) {
+  const i = a.clone().intersect(b);
+  if (i.isEmpty()) return 0;
+  const s = i.getSize(new THREE.Vector3());
+  return Math.min(s.x, s.y, s.z);
+}
+
+/** Run the configured test, merging results into the existing clash list. */
+async function runClashTest() {
+  if (running) return;
+  const keysA = memberKeys(setA);
+  const box = new THREE.Box3();
+  const keysB = memberKeys(setB).filter(k => getElementBox(k, box) && !box.isEmpty());
+  if (keysA.length === 0 || keysB.length === 0) {
+    showClashStatus('Choose elements for both sets');
+    return;
+  }
+
+  running = true;
+  cancelRequested = false;
+  updateRunButton();
+  const t0 = performance.now();
+
+  let found;
+  try {
+    found = await findClashes(keysA, keysB);
+  } catch (e) {
+    console.error('[clash] Clash test failed:', e);
+    setClashProgress('');
+    showClashStatus(`Clash test failed: ${e.message}`);
+    return;
+  } finally {
+    running = false;
+    updateRunButton();
+  }
+  if (cancelRequested) {
+    setClashProgress('');
+    showClashStatus('Cancelled');
+    return;
+  }
+
+  mergeResults(found);
+  saveClashes();
+  renderClashList();
+  const secs = ((performance.now() - t0) / 1000).toFixed(1);
+  setClashProgress(`${found.size} clash(es) in ${secs}s`);
+  console.log(`[clash] ${keysA.length} × ${keysB.length} elements → ${found.size} clash(es) in ${secs}s`);
+}
+
+/**
+ * Broad phase over set B, then exact tests per candidate pair. Yields to the
+ * UI every SLICE_MS; stops early when cancelled. Returns pairId → result.
+ */
+async function findClashes(keysA, keysB) {
+  const box = new THREE.Box3();
+
+  // Broad phase over set B
+  const boxesB = new Float32Array(keysB.length * 6);
+  for (let i = 0; i < keysB.length; i++) box3ToArray(getElementBox(keysB[i], box), boxesB, i * 6);
+  const bvhB = buildBVH(boxesB);
+
+  const triCache = new Map();
+  const triBVH = (key) => {
+    let bvh = triCache.get(key);
+    if (!bvh) {
+      if (triCache.size > TRI_CACHE_LIMIT) triCache.clear();
+      bvh = buildTriangleBVH(getElementTriangles(key) || new Float32Array(0));
+      triCache.set(key, bvh);
+    }
+    return bvh;
+  };
+
+  const margin = testType === 'clearance' ? clearance : 0;
+  const found = new Map();   // pairId → result
+  const query = new Float32Array(6);
+  const boxA = new THREE.Box3();
+  const boxB = new THREE.Box3();
+  let sliceStart = performance.now();
+
+  for (let i = 0; i < keysA.length && !cancelRequested; i++) {
+    const keyA = keysA[i];
+    if (!getElementBox(keyA, boxA) || boxA.isEmpty()) continue;
+    box3ToArray(boxA, query);
+
+    const candidates = [];
+    queryBox(bvhB, query, margin, (j) => candidates.push(keysB[j]));
+    for (const keyB of candidates) {
+      if (keyB === keyA) continue;
+      const stableA = toStableKey(keyA);
+      const stableB = toStableKey(keyB);
+      const id = pairId(stableA, stableB);
+      if (found.has(id)) continue;   // sets may overlap — each pair once
+      getElementBox(keyB, boxB);
+      const result = testPair(triBVH(keyA), triBVH(keyB), boxA, boxB);
+      if (result) found.set(id, { ...result, keyA, keyB, stableA, stableB });
+    }
+
+    if (performance.now() - sliceStart > SLICE_MS) {
+      setClashProgress(`Testing ${i + 1} / ${keysA.length} · ${found.size} clash(es)`);
+      await new Promise(r => setTimeout(r, 0));
+      sliceStart = performance.now();
+    }
+  }
+  return found;
+}
+
+/**
+ * Fold a run into the clash list: pairs seen before become active, pairs no
+ * longer found become resolved, the rest are new. A changed test starts over.
+ */
+function mergeResults(found) {
+  const config = testConfig();
+  if (config !== lastTest) {
+    clashes = [];
+    nextId = 1;
+    lastTest = config;
+  }
+  const { elementDataMap } = getViewerState();
+  const now = new Date().toISOString();
+  const byPair = new Map(clashes.map(c => [c.pair, c]));
+
+  for (const [id, r] of found) {
+    const dA = elementDataMap.get(r.keyA);
+    const dB = elementDataMap.get(r.keyB);
+    const fields = {
+      a: r.stableA, b: r.stableB,
+      aName: dA?.name || '', bName: dB?.name || '',
+      aType: dA?.ifcType || '', bType: dB?.ifcType || '',
+      storey: dA?.storey || '',
+      kind: r.kind,
+      distance: r.distance,
+      point: r.point.toArray(),
+      lastFound: now,
+    };
+    const prev = byPair.get(id);
+    if (prev) Object.assign(prev, fields, { status: 'active' });
+    else clashes.push({ id: nextId++, pair: id, status: 'new', firstFound: now, ...fields });
+  }
+  for (const c of clashes) {
+    if (!found.has(c.pair)) c.status = 'resolved';
+  }
+}
+
+// ======================== PERSISTENCE ========================
+function saveClashes() {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ test: lastTest, nextId, clashes }));
+  } catch (e) {
+    console.warn('[clash] Save failed:', e);
+  }
+}
+
+function loadClashes() {
+  try {
+    const data = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    if (!data) return;
+    lastTest = data.test;
+    nextId = data.nextId || 1;
+    clashes = data.clashes || [];
+    const test = JSON.parse(lastTest || 'null');
+    if (test) {
+      setA = test.a;
+      setB = test.b;
+      testType = test.type;
+      if (test.type === 'clearance') clearance = test.clearance;
+    }
+  } catch (e) {
+    console.warn('[clash] Load failed:', e);
+  }
+}
+
+// ======================== NAVIGATION ========================
+function showMarker(point) {
+  const { scene } = getViewerState();
+  if (!marker) {
+    marker = new THREE.Mesh(
+      new THREE.SphereGeometry(0.12, 16, 12),
+      new THREE.MeshBasicMaterial({ color: 0xff3b3b, depthTest: false, transparent: true, opacity: 0.9 }),
+    );
+    marker.renderOrder = 999;
+  }
+  marker.position.fromArray(point);
+  if (!marker.parent) scene.add(marker);
+}
+
+function hideMarker() {
+  if (marker?.parent) marker.parent.remove(marker);
+}
+
+function clashKeys(c) {
+  return [fromStableKey(c.a), fromStableKey(c.b)].filter(Boolean);
+}
+
+function zoomToClash(c) {
+  const keys = clashKeys(c);
+  if (keys.length === 0) {
+    showClashStatus('Elements not loaded');
+    return;
+  }
+  if (window.__ufSetSelectedKeys) window.__ufSetSelectedKeys(new Set(keys));
+  zoomToKeys(keys);
+  showMarker(c.point);
+}
+
+function isolatePair(c) {
+  const keys = clashKeys(c);
+  if (keys.length === 0) return;
+  const { elementMeshMap } = getViewerState();
+  const keep = new Set(keys);
+  setHiddenKeys([...elementMeshMap.keys()].filter(k => !keep.has(k)));
+  zoomToKeys(keys);
+  showMarker(c.point);
+}
+
+// ======================== EXPORT ========================
+function exportClashCSV() {
+  if (clashes.length === 0) { showClashStatus('No clashes'); return; }
+  const rows = [['ID', 'Status', 'Kind', 'Distance (m)', 'Storey',
+    'Element A', 'Type A', 'GlobalId A', 'Element B', 'Type B', 'GlobalId B',
+    'X', 'Y', 'Z', 'First Found', 'Last Found']];
+  for (const c of clashes) {
+    const p = worldPointToIfc(new THREE.Vector3().fromArray(c.point));
+    rows.push([
+      c.id, STATUSES[c.status].label, c.kind, c.distance.toFixed(3), c.storey,
+      c.aName, c.aType, c.a, c.bName, c.bType, c.b,
+      p[0].toFixed(3), p[1].toFixed(3), p[2].toFixed(3), c.firstFound, c.lastFound,
+    ]);
+  }
+  const csv = rows.map(r => r.map(v => `"${String(v).replace(/"/g, '""')}"`).join(',')).join('\n');
+  const blob = new Blob([csv], { type: 'text/csv' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `clashes_${new Date().toISOString().slice(0, 10)}.csv`;
+  a.click();
+  URL.revokeObjectURL(url);
+  showClashStatus('CSV exported');
+}
+
+/** One BCF topic per unresolved clash, looking at the clash point with both elements selected. */
+function exportClashBCF(version) {
+  const open = clashes.filter(c => c.status !== 'resolved');
+  if (open.length === 0) { showClashStatus('No open clashes'); return; }
+  const { camera, controls } = getViewerState();
+  const viewDir = camera.position.clone().sub(controls.target).normalize();
+  const box = new THREE.Box3();
+  const elBox = new THREE.Box3();
+
+  const topics = open.map(c => {
+    const point = new THREE.Vector3().fromArray(c.point);
+    box.makeEmpty();
+    for (const k of clashKeys(c)) if (getElementBox(k, elBox)) box.union(elBox);
+    const size = box.isEmpty() ? 2 : box.getSize(new THREE.Vector3()).length();
+    const position = point.clone().addScaledVector(viewDir, Math.max(size, 2));
+    const selection = [c.a, c.b].filter(k => !k.includes(':'));   // GlobalIds only
+    return {
+      guid: crypto.randomUUID(),
+      title: `Clash ${c.id}: ${c.aName} / ${c.bName}`,
+      description: `${c.kind === 'hard' ? 'Hard clash' : `Clearance clash (${c.distance.toFixed(3)} m)`} between `
+        + `${c.aType} "${c.aName}" and ${c.bType} "${c.bName}" on ${c.storey}.`,
+      type: 'Clash',
+      status: c.status === 'new' ? 'Open' : 'Active',
+      labels: ['Clash'],
+      author: getAuthor(),
+      creationDate: c.firstFound,
+      viewpoint: { guid: crypto.randomUUID(), camera: viewpointCamera(position, point), selection },
+    };
+  });
+
+  downloadBcf(topics, `clashes_${new Date().toISOString().slice(0, 10)}`, version);
+  showClashStatus(`${topics.length} topic(s) exported`);
+}
+
+// ======================== SIDEBAR PANEL ========================
+function escapeHtml(s) {
+  return String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function initClashPanel() {
+  if (lastTest === null) loadClashes();
+  hideMarker();
+  renderSetPickers();
+  renderClashList();
+}
+
+function renderSetPickers() {
+  for (const [prefix, set] of [['clashSetA', setA], ['clashSetB', setB]]) {
+    const bySel = document.getElementById(`${prefix}By`);
+    const list = document.getElementById(prefix);
+    if (!bySel || !list) continue;
+    bySel.innerHTML = Object.entries(SET_CRITERIA)
+      .map(([v, l]) => `<option value="${v}"${v === set.by ? ' selected' : ''}>${l}</option>`).join('');
+    const chosen = new Set(set.values);
+    list.innerHTML = criterionValues(set.by)
+      .map(o => `<option value="${escapeHtml(o.value)}"${chosen.has(o.value) ? ' selected' : ''}>${escapeHtml(o.label)} (${o.count})</option>`)
+      .join('');
+  }
+  const typeSel = document.getElementById('clashTestType');
+  const clearanceInput = document.getElementById('clashClearance');
+  if (typeSel) typeSel.value = testType;
+  if (clearanceInput) {
+    clearanceInput.value = clearance;
+    clearanceInput.disabled = testType !== 'clearance';
+  }
+}
+
+function groupLabel(c) {
+  if (groupBy === 'storey') return c.storey || 'Unknown';
+  if (groupBy === 'status') return STATUSES[c.status].label;
+  const [t1, t2] = [c.aType, c.bType].map(t => t.replace('IFC', '')).sort();
+  return `${t1} × ${t2}`;
+}
+
+function renderClashList() {
+  const container = document.getElementById('clashContent');
+  if (!container) return;
+
+  if (clashes.length === 0) {
+    container.innerHTML = `<div class="clash-empty">Pick the elements for set A and set B, then run the test.</div>`;
+    return;
+  }
+
+  const counts = { new: 0, active: 0, resolved: 0 };
+  for (const c of clashes) counts[c.status]++;
+
+  let html = `<div class="clash-stats">`;
+  for (const [s, def] of Object.entries(STATUSES)) {
+    html += `<div class="clash-stat"><span class="clash-stat-val" style="color:${def.color}">${counts[s]}</span>`;
+    html += `<span class="clash-stat-label">${def.label}</span></div>`;
+  }
+  html += `</div>`;
+
+  html += `<div class="clash-list-bar">`;
+  html += `<select id="clashGroupBy" class="clash-select">`;
+  for (const [v, l] of [['types', 'Group by type pair'], ['storey', 'Group by storey'], ['status', 'Group by status']]) {
+    html += `<option value="${v}"${v === groupBy ? ' selected' : ''}>${l}</option>`;
+  }
+  html += `</select>`;
+  html += `<button class="btn-sm btn-secondary" id="clashCsvBtn" title="Export clashes to CSV">&#8615; CSV</button>`;
+  html += `<button class="btn-sm btn-secondary" id="clashBcfBtn" title="Export open clashes as BCF 2.1 topics">BCF 2.1</button>`;
+  html += `<button class="btn-sm btn-secondary" id="clashBcf3Btn" title="Export open clashes as BCF 3.0 topics">3.0</button>`;
+  html += `</div>`;
+
+  const groups = new Map();
+  for (const c of clashes) {
+    const g = groupLabel(c);
+    if (!groups.has(g)) groups.set(g, []);
+    groups.get(g).push(c);
+  }
+
+  for (const [g, list] of [...groups.entries()].sort((a, b) => b[1].length - a[1].length)) {
+    const open = expandedGroups.has(g);
+    html += `<div class="clash-group">`;
+    html += `<div class="clash-group-header" data-group="${escapeHtml(g)}">`;
+    html += `<span class="clash-group-arrow">${open ? '▾' : '▸'}</span>`;
+    html += `<span class="clash-group-label">${escapeHtml(g)}</span>`;
+    html += `<span class="clash-group-count">${list.length}</span></div>`;
+    if (open) {
+      for (const c of list.slice(0, MAX_GROUP_ROWS)) {
+        const dist = c.kind === 'hard' ? `overlap ${c.distance.toFixed(3)} m` : `gap ${c.distance.toFixed(3)} m`;
+        html += `<div class="clash-row" data-id="${c.id}">`;
+        html += `<div class="clash-row-main">`;
+        html += `<span class="clash-id">#${c.id}</span>`;
+        html += `<span class="clash-row-names">${escapeHtml(c.aName)} ↔ ${escapeHtml(c.bName)}</span>`;
+        html += `</div>`;
+        html += `<div class="clash-row-meta">`;
+        html += `<span>${c.kind} · ${dist} · ${escapeHtml(c.storey)}</span>`;
+        html += `<select class="clash-status-select" data-id="${c.id}" style="color:${STATUSES[c.status].color}">`;
+        for (const [s, def] of Object.entries(STATUSES)) {
+          html += `<option value="${s}"${s === c.status ? ' selected' : ''}>${def.label}</option>`;
+        }
+        html += `</select>`;
+        html += `<button class="clash-row-btn" data-action="isolate" data-id="${c.id}" title="Isolate this pair">&#9673;</button>`;
+        html += `</div></div>`;
+      }
+      if (list.length > MAX_GROUP_ROWS) {
+        html += `<div class="clash-more">+${list.length - MAX_GROUP_ROWS} more — export CSV for the full list</div>`;
+      }
+    }
+    html += `</div>`;
+  }
+
+  container.innerHTML = html;
+
+  // ---- Wire events ----
+  const byId = (id) => clashes.find(c => c.id === parseInt(id));
+  document.getElementById('clashGroupBy')?.addEventListener('change', (e) => {
+    groupBy = e.target.value;
+    expandedGroups.clear();
+    renderClashList();
+  });
+  document.getElementById('clashCsvBtn')?.addEventListener('click', exportClashCSV);
+  document.getElementById('clashBcfBtn')?.addEventListener('click', () => exportClashBCF('2.1'));
+  document.getElementById('clashBcf3Btn')?.addEventListener('click', () => exportClashBCF('3.0'));
+  container.querySelectorAll('.clash-group-header').forEach(el => {
+    el.addEventListener('click', () => {
+      const g = el.dataset.group;
+      if (expandedGroups.has(g)) expandedGroups.delete(g);
+      else expandedGroups.add(g);
+      renderClashList();
+    });
+  });
+  container.querySelectorAll('.clash-row').forEach(el => {
+    el.addEventListener('click', (e) => {
+      if (e.target.closest('select, button')) return;
+      container.querySelectorAll('.clash-row.selected').forEach(r => r.classList.remove('selected'));
+      el.classList.add('selected');
+      zoomToClash(byId(el.dataset.id));
+    });
+  });
+  container.querySelectorAll('.clash-status-select').forEach(el => {
+    el.addEventListener('change', () => {
+      byId(el.dataset.id).status = el.value;
+      saveClashes();
+      renderClashList();
+    });
+  });
+  container.querySelectorAll('.clash-row-btn[data-action="isolate"]').forEach(el => {
+    el.addEventListener('click', () => isolatePair(byId(el.dataset.id)));
+  });
+}
+
+function updateRunButton() {
+  const btn = document.getElementById('clashRunBtn');
+  if (btn) btn.textContent = running ? 'Cancel' : 'Run Test';
+}
+
+function setClashProgress(msg) {
+  const el = document.getElementById('clashProgress');
+  if (el) el.textContent = msg;
+}
+
+function showClashStatus(msg) {
+  const el = document.getElementById('clashStatus');
+  if (!el) return;
+  el.textContent = msg;
+  el.classList.add('visible');
+  clearTimeout(el._timer);
+  el._timer = setTimeout(() => el.classList.remove('visible'), 2500);
+}
+
+function wireClashEvents() {
+  for (const [prefix, which] of [['clashSetA', 'a'], ['clashSetB', 'b']]) {
+    document.getElementById(`${prefix}By`)?.addEventListener('change', (e) => {
+      const set = { by: e.target.value, values: [] };
+      if (which === 'a') setA = set; else setB = set;
+      renderSetPickers();
+    });
+    document.getElementById(prefix)?.addEventListener('change', (e) => {
+      const values = [...e.target.selectedOptions].map(o => o.value);
+      if (which === 'a') setA.values = values; else setB.values = values;
+    });
+  }
+  document.getElementById('clashTestType')?.addEventListener('change', (e) => {
+    testType = e.target.value;
+    renderSetPickers();
+  });
+  document.getElementById('clashClearance')?.addEventListener('change', (e) => {
+    const v = parseFloat(e.target.value);
+    if (v > 0) clearance = v;
+  });
+  document.getElementById('clashRunBtn')?.addEventListener('click', () => {
+    if (running) cancelRequested = true;
+    else runClashTest();
+  });
+  document.getElementById('clashClearMarkerBtn')?.addEventListener('click', hideMarker);
+}
+
+// ======================== EXPORTS ========================
+export { initClashPanel, wireClashEvents, runClashTest, exportClashCSV, exportClashBCF };
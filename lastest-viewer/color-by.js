@@ -0,0 +1,515 @@
+/* ============================================================
+   BIM Model Viewer — color-by.js
+   Color-by-property overlay: maps any element field, property
+   or quantity to categorical colors or a continuous gradient,
+   with a legend whose rows toggle their elements on and off.
+   Drawn as the lowest-priority overlay layer, so status colors,
+   query colors and selections all show on top of it.
+   ============================================================ */
+
+import * as THREE from 'three';
+import { getViewerState, setOverlayLayer, removeOverlayLayer, refreshOverlays } from './viewer.js';
+import { classifications, UNIFORMAT_HIERARCHY } from './uniformat.js';
+import { getInstallation } from './production.js';
+
+// ======================== CONFIG ========================
+const STORAGE_KEY = 'color_by';
+
+// Element fields offered above the property keys
+const FIELDS = {
+  ifcType:   'IFC Type',
+  storey:    'Storey',
+  space:     'Space',
+  model:     'Model',
+  uniformat: 'UniFormat L2',
+  status:    'Installation Status',
+};
+
+// Tableau 10 plus two — distinct on the dark background
+const PALETTE = [
+  0x4e79a7, 0xf28e2b, 0xe15759, 0x76b7b2, 0x59a14f, 0xedc948,
+  0xb07aa1, 0xff9da7, 0x9c755f, 0xbab0ac, 0x86bcb6, 0xd37295,
+];
+const OTHER_COLOR = 0x6b7280;
+const NO_VALUE_COLOR = 0x4b5563;
+const OTHER = '__other__';
+const NO_VALUE = '__none__';
+
+// Color stops, low → high
+const GRADIENTS = {
+  viridis: { label: 'Viridis', stops: [0x440154, 0x3b528b, 0x21918c, 0x5ec962, 0xfde725] },
+  heat:    { label: 'Heat',    stops: [0x2c7bb6, 0xabd9e9, 0xffffbf, 0xfdae61, 0xd7191c] },
+  mono:    { label: 'Mono',    stops: [0x1e3a5f, 0x60a5fa, 0xe0f2fe] },
+};
+const GRADIENT_BINS = 5;
+
+// Auto mode switches to a gradient when values are this numeric and this varied
+const AUTO_NUMERIC_SHARE = 0.9;
+const AUTO_MAX_CATEGORIES = PALETTE.length;
+
+const GHOST_OPACITY = 0.06;
+
+// ======================== STATE ========================
+let panelOpen = false;
+let active = false;
+let settings = { field: 'ifcType', mode: 'auto', gradient: 'viridis', min: null, max: null };
+let legend = null;              // { kind: 'categories' | 'gradient', rows, min, max }
+let hiddenRows = new Set();     // legend row ids toggled off
+let rowOfKey = new Map();       // compositeKey → legend row id
+let colorOfKey = new Map();     // compositeKey → color, drawn by the 'colorBy' overlay layer
+
+const _c = new THREE.Color();
+const _c2 = new THREE.Color();
+
+// ======================== PERSISTENCE ========================
+function saveSettings() {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (e) {
+    console.warn('[color-by] Save failed:', e);
+  }
+}
+
+function loadSettings() {
+  try {
+    Object.assign(settings, JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}'));
+  } catch (e) {
+    console.warn('[color-by] Load failed:', e);
+  }
+}
+
+// ======================== VALUES ========================
+function fieldLabel(field) {
+  return FIELDS[field] || field.replace(/^prop:/, '');
+}
+
+function elementValue(field, key, data, modelNames) {
+  if (field.startsWith('prop:')) return data.props?.[field.slice(5)];
+  switch (field) {
+    case 'ifcType': return data.ifcType;
+    case 'storey':  return data.storey;
+    case 'space':   return data.space;
+    case 'model':   return modelNames.get(data.modelIdx);
+    case 'uniformat': {
+      const code = classifications.get(key)?.code;
+      if (!code) return undefined;
+      const l2 = code.slice(0, 3);
+      const label = UNIFORMAT_HIERARCHY[code[0]]?.children[l2]?.label;
+      return label ? `${l2} ${label}` : l2;
+    }
+    case 'status': return getInstallation(key)?.installed ? 'Installed' : 'Not Installed';
+  }
+  return undefined;
+}
+
+function isEmpty(v) {
+  return v === undefined || v === null || String(v).trim() === '';
+}
+
+/** A number for numeric values and numeric strings, otherwise null. */
+function toNumber(v) {
+  if (typeof v === 'number') return Number.isFinite(v) ? v : null;
+  if (typeof v === 'boolean' || isEmpty(v)) return null;
+  const n = Number(String(v).trim());
+  return Number.isFinite(n) ? n : null;
+}
+
+function formatNumber(n) {
+  if (n === 0) return '0';
+  const abs = Math.abs(n);
+  if (abs >= 1000 || abs < 0.01) return n.toPrecision(3);
+  return String(Math.round(n * 100) / 100);
+}
+
+/** Every element's value for the current field, keyed by compositeKey. */
+function collectValues() {
+  const { elementDataMap, models } = getViewerState();
+  const modelNames = new Map(models.map(m => [m.idx, m.filename]));
+  const values = new Map();
+  for (const [key, data] of elementDataMap) {
+    values.set(key, elementValue(settings.field, key, data, modelNames));
+  }
+  return values;
+}
+
+/** Every property key in the loaded models, sorted. */
+function propertyKeys() {
+  const { elementDataMap } = getViewerState();
+  const keys = new Set();
+  for (const data of elementDataMap.values()) {
+    for (const k of Object.keys(data.props || {})) keys.add(k);
+  }
+  return [...keys].sort((a, b) => a.localeCompare(b));
+}
+
+// ======================== LEGEND ========================
+function resolveKind(values) {
+  if (settings.mode !== 'auto') return settings.mode;
+  let filled = 0, numeric = 0;
+  const distinct = new Set();
+  for (const v of values.values()) {
+    if (isEmpty(v)) continue;
+    filled++;
+    if (toNumber(v) !== null) numeric++;
+    distinct.add(String(v));
+  }
+  return filled > 0 && numeric / filled >= AUTO_NUMERIC_SHARE && distinct.size > AUTO_MAX_CATEGORIES
+    ? 'gradient' : 'categories';
+}
+
+/**
+ * Categories by element count (ascending value when all numeric); those past the
+ * palette length share one "Other" row.
+ */
+function buildCategories(values) {
+  const counts = new Map();
+  let noValue = 0;
+  for (const v of values.values()) {
+    if (isEmpty(v)) { noValue++; continue; }
+    const label = String(v).trim();
+    counts.set(label, (counts.get(label) || 0) + 1);
+  }
+
+  let labels = [...counts.keys()];
+  if (labels.every(l => toNumber(l) !== null)) labels.sort((a, b) => toNumber(a) - toNumber(b));
+  else labels.sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b));
+
+  const overflow = labels.length > PALETTE.length;
+  const shown = overflow ? labels.slice(0, PALETTE.length - 1) : labels;
+  const rows = shown.map((label, i) => ({ id: label, label, color: PALETTE[i], count: counts.get(label) }));
+  if (overflow) {
+    const rest = labels.slice(PALETTE.length - 1);
+    rows.push({
+      id: OTHER, label: `Other (${rest.length})`, color: OTHER_COLOR,
+      count: rest.reduce((s, l) => s + counts.get(l), 0),
+    });
+  }
+  if (noValue) rows.push({ id: NO_VALUE, label: 'No value', color: NO_VALUE_COLOR, count: noValue });
+
+  const byLabel = new Map(rows.map(r => [r.id, r]));
+  rowOfKey = new Map();
+  for (const [key, v] of values) {
+    if (isEmpty(v)) rowOfKey.set(key, NO_VALUE);
+    else rowOfKey.set(key, byLabel.has(String(v).trim()) ? String(v).trim() : OTHER);
+  }
+  return { kind: 'categories', rows };
+}
+
+function gradientColor(t, target) {
+  const stops = GRADIENTS[settings.gradient]?.stops || GRADIENTS.viridis.stops;
+  const x = Math.min(Math.max(t, 0), 1) * (stops.length - 1);
+  const i = Math.min(Math.floor(x), stops.length - 2);
+  return target.setHex(stops[i]).lerp(_c2.setHex(stops[i + 1]), x - i);
+}
+
+/**
+ * Equal-width bins between min and max (data range unless overridden). Values
+ * outside an overridden range clamp into the end bins.
+ */
+function buildGradient(values) {
+  const nums = new Map();
+  let lo = Infinity, hi = -Infinity;
+  for (const [key, v] of values) {
+    const n = toNumber(v);
+    if (n === null) continue;
+    nums.set(key, n);
+    lo = Math.min(lo, n);
+    hi = Math.max(hi, n);
+  }
+  if (nums.size === 0) { lo = 0; hi = 1; }
+  const min = settings.min ?? lo;
+  const max = settings.max ?? hi;
+  const span = max - min || 1;
+
+  const rows = [];
+  for (let b = 0; b < GRADIENT_BINS; b++) {
+    const from = min + span * b / GRADIENT_BINS;
+    const to = min + span * (b + 1) / GRADIENT_BINS;
+    rows.push({
+      id: `bin${b}`, label: `${formatNumber(from)} – ${formatNumber(to)}`,
+      color: gradientColor((b + 0.5) / GRADIENT_BINS, _c).getHex(), count: 0,
+    });
+  }
+  const noValue = { id: NO_VALUE, label: 'No value', color: NO_VALUE_COLOR, count: 0 };
+
+  rowOfKey = new Map();
+  for (const key of values.keys()) {
+    const n = nums.get(key);
+    if (n === undefined) {
+      rowOfKey.set(key, NO_VALUE);
+      noValue.count++;
+      continue;
+    }
+    const b = Math.min(Math.max(Math.floor((n - min) / span * GRADIENT_BINS), 0), GRADIENT_BINS - 1);
+    rowOfKey.set(key, rows[b].id);
+    rows[b].count++;
+  }
+  if (noValue.count) rows.push(noValue);
+  return { kind: 'gradient', rows, min, max, nums, dataMin: lo, dataMax: hi };
+}
+
+// ======================== 3D COLOR OVERLAY ========================
+function elementColor(key) {
+  const rowId = rowOfKey.get(key);
+  if (legend.kind === 'gradient' && rowId !== NO_VALUE) {
+    const t = (legend.nums.get(key) - legend.min) / ((legend.max - legend.min) || 1);
+    return gradientColor(t, _c).getHex();
+  }
+  return legend.rows.find(r => r.id === rowId)?.color ?? NO_VALUE_COLOR;
+}
+
+/** Overlay layer: the legend color, ghosted while its legend row is toggled off. */
+function colorByStyle(key) {
+  const color = colorOfKey.get(key);
+  if (color === undefined) return null;
+  return hiddenRows.has(rowOfKey.get(key))
+    ? { color, emissive: 0x000000, opacity: GHOST_OPACITY, depthWrite: false }
+    : { color, emissive: 0x000000 };
+}
+
+function applyColorBy() {
+  const { models } = getViewerState();
+  if (models.length === 0) {
+    showColorByStatus('Load a model first');
+    return;
+  }
+
+  const values = collectValues();
+  legend = resolveKind(values) === 'gradient' ? buildGradient(values) : buildCategories(values);
+  const rowIds = new Set(legend.rows.map(r => r.id));
+  hiddenRows = new Set([...hiddenRows].filter(id => rowIds.has(id)));
+  colorOfKey = new Map([...rowOfKey.keys()].map(key => [key, elementColor(key)]));
+
+  active = true;
+  setOverlayLayer('colorBy', colorByStyle);
+  updateColorByButton();
+  renderLegend();
+  console.log(`[color-by] ${fieldLabel(settings.field)}: ${legend.kind}, ${legend.rows.length} legend rows`);
+}
+
+function removeColorBy() {
+  colorOfKey = new Map();
+  active = false;
+  removeOverlayLayer('colorBy');
+  updateColorByButton();
+  renderLegend();
+}
+
+function toggleRow(id) {
+  if (hiddenRows.has(id)) hiddenRows.delete(id);
+  else hiddenRows.add(id);
+  refreshOverlays([...rowOfKey].filter(([, rowId]) => rowId === id).map(([key]) => key));
+  renderLegend();
+}
+
+/** Show only one legend row (or everything again when it is already the only one). */
+function soloRow(id) {
+  const others = legend.rows.map(r => r.id).filter(r => r !== id);
+  const alreadySolo = !hiddenRows.has(id) && others.every(r => hiddenRows.has(r));
+  hiddenRows = alreadySolo ? new Set() : new Set(others);
+  refreshOverlays();
+  renderLegend();
+}
+
+function isColorByActive() {
+  return active;
+}
+
+/** Turn the overlay on or off; turning it on again re-applies it. */
+function setColorBy(on) {
+  if (active) removeColorBy();
+  if (on) applyColorBy();
+}
+
+// ======================== UI PANEL ========================
+function escapeHtml(s) {
+  return String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function fieldOptions() {
+  let html = Object.entries(FIELDS)
+    .map(([k, label]) => `<option value="${k}">${label}</option>`).join('');
+  const props = propertyKeys();
+  if (props.length) {
+    html += `<optgroup label="Properties &amp; quantities">`;
+    html += props.map(p => `<option value="prop:${escapeHtml(p)}">${escapeHtml(p)}</option>`).join('');
+    html += `</optgroup>`;
+  }
+  return html;
+}
+
+function showPanel() {
+  document.getElementById('colorByPanel')?.remove();
+  const panel = document.createElement('div');
+  panel.id = 'colorByPanel';
+  panel.className = 'color-by-panel';
+  panel.innerHTML = `
+    <div class="sc-header">
+      <div class="sc-title cb-title">Color By</div>
+      <button class="sc-close" id="cbClose" title="Close and restore colors">&times;</button>
+    </div>
+    <div class="sc-section">
+      <label class="sc-label">Field</label>
+      <select id="cbField" class="cb-select">${fieldOptions()}</select>
+    </div>
+    <div class="sc-section">
+      <div class="cb-mode-row">
+        <button class="sc-mode-btn" data-mode="auto">Auto</button>
+        <button class="sc-mode-btn" data-mode="categories">Categories</button>
+        <button class="sc-mode-btn" data-mode="gradient">Gradient</button>
+      </div>
+      <div class="cb-gradient-options" id="cbGradientOptions">
+        <select id="cbGradient" class="cb-select">
+          ${Object.entries(GRADIENTS).map(([k, g]) => `<option value="${k}">${g.label}</option>`).join('')}
+        </select>
+        <input type="number" id="cbMin" class="cb-range" placeholder="min" step="any" title="Range start (blank: data minimum)">
+        <input type="number" id="cbMax" class="cb-range" placeholder="max" step="any" title="Range end (blank: data maximum)">
+      </div>
+    </div>
+    <div class="cb-legend" id="cbLegend"></div>
+    <div class="sc-section cb-footer">
+      <span class="cb-hint">Click a row to toggle, double-click to solo</span>
+      <button class="btn-sm btn-secondary" id="cbShowAll">Show All</button>
+    </div>
+  `;
+  document.body.appendChild(panel);
+
+  const field = document.getElementById('cbField');
+  if (![...field.options].some(o => o.value === settings.field)) settings.field = 'ifcType';
+  field.value = settings.field;
+  field.addEventListener('change', () => {
+    settings.field = field.value;
+    settings.min = settings.max = null;
+    hiddenRows.clear();
+    saveSettings();
+    applyColorBy();
+  });
+  panel.querySelectorAll('.cb-mode-row .sc-mode-btn').forEach(b => b.addEventListener('click', () => {
+    settings.mode = b.dataset.mode;
+    hiddenRows.clear();
+    saveSettings();
+    applyColorBy();
+  }));
+  document.getElementById('cbGradient').addEventListener('change', (e) => {
+    settings.gradient = e.target.value;
+    saveSettings();
+    applyColorBy();
+  });
+  for (const [id, prop] of [['cbMin', 'min'], ['cbMax', 'max']]) {
+    document.getElementById(id).addEventListener('change', (e) => {
+      const n = parseFloat(e.target.value);
+      settings[prop] = Number.isFinite(n) ? n : null;
+      saveSettings();
+      applyColorBy();
+    });
+  }
+  document.getElementById('cbShowAll').addEventListener('click', () => {
+    hiddenRows.clear();
+    refreshOverlays();
+    renderLegend();
+  });
+  document.getElementById('cbClose').addEventListener('click', closePanel);
+  renderLegend();
+}
+
+function renderLegend() {
+  document.querySelectorAll('#colorByPanel .cb-mode-row .sc-mode-btn').forEach(b =>
+    b.classList.toggle('active', b.dataset.mode === settings.mode)
+  );
+  const gradientOpts = document.getElementById('cbGradientOptions');
+  if (gradientOpts) {
+    gradientOpts.style.display = legend?.kind === 'gradient' ? '' : 'none';
+    document.getElementById('cbGradient').value = settings.gradient;
+    const lo = document.getElementById('cbMin');
+    const hi = document.getElementById('cbMax');
+    lo.value = settings.min ?? '';
+    hi.value = settings.max ?? '';
+    if (legend?.kind === 'gradient') {
+      lo.placeholder = formatNumber(legend.dataMin);
+      hi.placeholder = formatNumber(legend.dataMax);
+    }
+  }
+
+  const container = document.getElementById('cbLegend');
+  if (!container) return;
+  if (!active || !legend) {
+    container.innerHTML = `<div class="cb-empty">No model loaded</div>`;
+    return;
+  }
+
+  let html = '';
+  if (legend.kind === 'gradient') {
+    const stops = GRADIENTS[settings.gradient].stops;
+    const css = stops.map((s, i) => `#${s.toString(16).padStart(6, '0')} ${(i / (stops.length - 1) * 100).toFixed(0)}%`);
+    html += `<div class="cb-bar" style="background: linear-gradient(to right, ${css.join(', ')})"></div>`;
+    html += `<div class="cb-bar-labels"><span>${formatNumber(legend.min)}</span>`;
+    html += `<span>${formatNumber((legend.min + legend.max) / 2)}</span><span>${formatNumber(legend.max)}</span></div>`;
+  }
+  for (const r of legend.rows) {
+    const hex = `#${r.color.toString(16).padStart(6, '0')}`;
+    html += `<div class="cb-row${hiddenRows.has(r.id) ? ' off' : ''}" data-id="${escapeHtml(r.id)}" title="${escapeHtml(r.label)}">`;
+    html += `<span class="cb-swatch" style="background:${hex}"></span>`;
+    html += `<span class="cb-label">${escapeHtml(r.label)}</span>`;
+    html += `<span class="cb-count">${r.count}</span></div>`;
+  }
+  container.innerHTML = html;
+
+  container.querySelectorAll('.cb-row').forEach(row => {
+    row.addEventListener('click', () => toggleRow(row.dataset.id));
+    row.addEventListener('dblclick', () => soloRow(row.dataset.id));
+  });
+}
+
+function showColorByStatus(msg) {
+  const container = document.getElementById('cbLegend');
+  if (container) container.innerHTML = `<div class="cb-empty">${escapeHtml(msg)}</div>`;
+}
+
+function updateColorByButton() {
+  document.getElementById('btnColorBy')?.classList.toggle('active', panelOpen);
+}
+
+function openPanel() {
+  panelOpen = true;
+  showPanel();
+  applyColorBy();
+  updateColorByButton();
+}
+
+function closePanel() {
+  panelOpen = false;
+  if (active) removeColorBy();
+  legend = null;
+  rowOfKey = new Map();
+  document.getElementById('colorByPanel')?.remove();
+  updateColorByButton();
+}
+
+function toggleColorBy() {
+  if (panelOpen) closePanel();
+  else openPanel();
+}
+
+/** Models changed: offer their property keys and recolor them. */
+function refreshColorBy() {
+  if (!panelOpen) return;
+  showPanel();
+  applyColorBy();
+}
+
+// ======================== EVENTS ========================
+function wireColorByEvents() {
+  loadSettings();
+  document.getElementById('btnColorBy')?.addEventListener('click', toggleColorBy);
+  document.addEventListener('keydown', (e) => {
+    if (document.activeElement.tagName === 'INPUT' || document.activeElement.tagName === 'SELECT'
+      || document.activeElement.tagName === 'TEXTAREA') return;
+    if (e.key === 'b' || e.key === 'B') toggleColorBy();
+  });
+}
+
+// ======================== EXPORTS ========================
+export {
+  wireColorByEvents, toggleColorBy, refreshColorBy,
+  isColorByActive, setColorBy,
+};
@@ -0,0 +1,426 @@
+/* ============================================================
+   BIM Model Viewer — compare.js
+   Model revision comparison: matches the elements of two loaded
+   models on IFC GlobalId and classifies each one as added,
+   removed, geometry-changed or property-changed. Geometry is
+   compared by world bounding box, properties by the
+   elementDataMap props. Changes are colored in the 3D view,
+   listed in the Compare panel and exportable to CSV.
+   ============================================================ */
+
+import * as THREE from 'three';
+import {
+  getViewerState, loadIFCFiles, getElementBox, zoomToKeys, setOverlayLayer, removeOverlayLayer,
+} from './viewer.js';
+
+// ======================== CONFIG ========================
+const CHANGE_TYPES = {
+  added:    { label: 'Added',            color: 0x34d399 },
+  removed:  { label: 'Removed',          color: 0xef4444 },
+  geometry: { label: 'Geometry changed', color: 0xf59e0b },
+  property: { label: 'Property changed', color: 0x60a5fa },
+};
+const UNCHANGED_COLOR = 0x6b7280;
+
+// Bounding-box movement below this (metres) is tessellation noise, not a change
+const GEOMETRY_TOLERANCE = 0.001;
+
+// Rows rendered per change group — the CSV always has everything
+const MAX_LIST_ROWS = 300;
+
+// ======================== STATE ========================
+let baseIdx = null;            // model idx of the older revision
+let revIdx = null;             // model idx of the newer revision
+let changes = [];              // [{ status, globalId, baseKey, revKey, name, ifcType, storey, propChanges, shift }]
+let summary = null;            // { matched, unchanged, noGlobalId } of the last run
+let overlayActive = false;
+const shownStatuses = new Set(Object.keys(CHANGE_TYPES));
+const expandedGroups = new Set();
+
+// ======================== COMPARISON ========================
+/** GlobalId → composite key for one model; elements without a GlobalId are only counted. */
+function indexModel(modelIdx) {
+  const { elementDataMap } = getViewerState();
+  const byGid = new Map();
+  let noGlobalId = 0;
+  for (const [key, d] of elementDataMap) {
+    if (d.modelIdx !== modelIdx) continue;
+    if (!d.globalId) { noGlobalId++; continue; }
+    if (!byGid.has(d.globalId)) byGid.set(d.globalId, key);
+  }
+  return { byGid, noGlobalId };
+}
+
+/** Attribute and property differences between two element records. */
+function diffProps(a, b) {
+  const out = [];
+  if (a.name !== b.name) out.push({ key: 'Name', before: a.name, after: b.name });
+  if (a.ifcType !== b.ifcType) out.push({ key: 'IFC Type', before: a.ifcType, after: b.ifcType });
+  if (a.storey !== b.storey) out.push({ key: 'Storey', before: a.storey, after: b.storey });
+
+  const keys = new Set([...Object.keys(a.props || {}), ...Object.keys(b.props || {})]);
+  for (const k of keys) {
+    const before = a.props?.[k];
+    const after = b.props?.[k];
+    if (String(before ?? '') !== String(after ?? '')) out.push({ key: k, before: before ?? '', after: after ?? '' });
+  }
+  return out;
+}
+
+const _boxA = new THREE.Box3();
+const _boxB = new THREE.Box3();
+
+/** Largest bounding-box corner movement between two elements (Infinity if only one has geometry). */
+function boxShift(baseKey, revKey) {
+  const a = getElementBox(baseKey, _boxA);
+  const b = getElementBox(revKey, _boxB);
+  if (!a && !b) return 0;
+  if (!a || !b) return Infinity;
+  return Math.max(
+    Math.abs(a.min.x - b.min.x), Math.abs(a.min.y - b.min.y), Math.abs(a.min.z - b.min.z),
+    Math.abs(a.max.x - b.max.x), Math.abs(a.max.y - b.max.y), Math.abs(a.max.z - b.max.z),
+  );
+}
+
+function makeChange(status, globalId, baseKey, revKey, data, propChanges = [], shift = 0) {
+  return {
+    status, globalId, baseKey, revKey,
+    name: data.name, ifcType: data.ifcType, storey: data.storey,
+    propChanges, shift,
+  };
+}
+
+/** Compare the chosen base and revision models and refresh the overlay and panel. */
+function runComparison() {
+  const { models, elementDataMap } = getViewerState();
+  if (baseIdx === revIdx || !models.some(m => m.idx === baseIdx) || !models.some(m => m.idx === revIdx)) {
+    showCompareStatus('Choose two different models');
+    return;
+  }
+
+  if (overlayActive) removeCompareOverlay();
+
+  const base = indexModel(baseIdx);
+  const rev = indexModel(revIdx);
+  changes = [];
+  let unchanged = 0;
+
+  for (const [gid, revKey] of rev.byGid) {
+    const revData = elementDataMap.get(revKey);
+    const baseKey = base.byGid.get(gid);
+    if (!baseKey) {
+      changes.push(makeChange('added', gid, null, revKey, revData));
+      continue;
+    }
+    const propChanges = diffProps(elementDataMap.get(baseKey), revData);
+    const shift = boxShift(baseKey, revKey);
+    if (shift > GEOMETRY_TOLERANCE) {
+      changes.push(makeChange('geometry', gid, baseKey, revKey, revData, propChanges, shift));
+    } else if (propChanges.length > 0) {
+      changes.push(makeChange('property', gid, baseKey, revKey, revData, propChanges));
+    } else {
+      unchanged++;
+    }
+  }
+  for (const [gid, baseKey] of base.byGid) {
+    if (!rev.byGid.has(gid)) changes.push(makeChange('removed', gid, baseKey, null, elementDataMap.get(baseKey)));
+  }
+
+  summary = {
+    matched: rev.byGid.size - changes.filter(c => c.status === 'added').length,
+    unchanged,
+    noGlobalId: base.noGlobalId + rev.noGlobalId,
+  };
+  console.log(`[compare] ${changes.length} change(s), ${unchanged} unchanged`
+    + (summary.noGlobalId > 0 ? `, ${summary.noGlobalId} element(s) without GlobalId skipped` : ''));
+
+  applyCompareOverlay();
+  renderComparePanel();
+}
+
+/** Drop results that refer to models no longer loaded. */
+function clearComparison() {
+  if (overlayActive) removeCompareOverlay();
+  changes = [];
+  summary = null;
+}
+
+// ======================== 3D COLOR OVERLAY ========================
+// Changed elements take their change color; unchanged elements of the revision
+// (and any other model) are ghosted. The base model's copies of matched elements
+// sit exactly under the revision's, so only its removed elements stay visible.
+function applyCompareOverlay() {
+  const statusByKey = new Map();
+  for (const c of changes) statusByKey.set(c.revKey || c.baseKey, c.status);
+
+  setOverlayLayer('compare', (key, a, mesh) => {
+    const status = statusByKey.get(key);
+    if (status && shownStatuses.has(status)) {
+      return { color: CHANGE_TYPES[status].color, emissive: 0x000000, opacity: 0.92, depthWrite: true };
+    }
+    if (mesh.userData.modelIdx === baseIdx) return { visible: false };
+    return { color: UNCHANGED_COLOR, emissive: 0x000000, opacity: 0.08, depthWrite: false };
+  });
+
+  overlayActive = true;
+  updateOverlayButton();
+}
+
+function removeCompareOverlay() {
+  removeOverlayLayer('compare');
+  overlayActive = false;
+  updateOverlayButton();
+}
+
+function toggleCompareOverlay() {
+  if (overlayActive) removeCompareOverlay();
+  else if (changes.length > 0) applyCompareOverlay();
+}
+
+function isCompareOverlayActive() {
+  return overlayActive;
+}
+
+/** Turn the overlay on or off; turning it on again re-applies it. Needs a comparison. */
+function setCompareOverlay(on) {
+  if (overlayActive) removeCompareOverlay();
+  if (on && changes.length > 0) applyCompareOverlay();
+}
+
+function updateOverlayButton() {
+  document.getElementById('cmpOverlayBtn')?.classList.toggle('active', overlayActive);
+}
+
+// ======================== CSV EXPORT ========================
+function exportCompareCSV() {
+  if (changes.length === 0) {
+    showCompareStatus('Nothing to export');
+    return;
+  }
+  const { models } = getViewerState();
+  const baseName = models.find(m => m.idx === baseIdx)?.filename || '';
+  const revName = models.find(m => m.idx === revIdx)?.filename || '';
+
+  const rows = [['Change', 'GlobalId', 'Name', 'IFC Type', 'Storey', 'Base Model', 'Revision Model', 'Max Shift (m)', 'Changed Properties']];
+  for (const c of changes) {
+    rows.push([
+      CHANGE_TYPES[c.status].label,
+      c.globalId,
+      c.name,
+      c.ifcType,
+      c.storey,
+      baseName,
+      revName,
+      c.status === 'geometry' && isFinite(c.shift) ? c.shift.toFixed(3) : '',
+      c.propChanges.map(p => `${p.key}: ${p.before} → ${p.after}`).join('; '),
+    ]);
+  }
+
+  const csv = rows.map(r => r.map(c => `"${String(c).replace(/"/g, '""')}"`).join(',')).join('\n');
+  const blob = new Blob([csv], { type: 'text/csv' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `model_changes_${baseName}_vs_${revName}.csv`;
+  a.click();
+  URL.revokeObjectURL(url);
+  showCompareStatus('CSV exported');
+}
+
+// ======================== LOAD REVISIONS ========================
+/**
+ * FILE_NAME time stamp from an IFC header, in ms, or null. Unlike the file's
+ * lastModified it survives copying and downloading.
+ */
+function headerTimestamp(buffer) {
+  const head = new TextDecoder().decode(new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 4096)));
+  const m = head.match(/FILE_NAME\s*\(\s*'(?:[^']|'')*'\s*,\s*'([^']*)'/i);
+  const t = m ? Date.parse(m[1]) : NaN;
+  return Number.isNaN(t) ? null : t;
+}
+
+/** Pick two IFC files and load them as base (older) and revision (newer). */
+function loadRevisions() {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = '.ifc';
+  input.multiple = true;
+  input.addEventListener('change', async (e) => {
+    const picked = [...e.target.files].filter(f => f.name.toLowerCase().endsWith('.ifc'));
+    if (picked.length !== 2) {
+      showCompareStatus('Select exactly two IFC files');
+      return;
+    }
+    const files = [];
+    for (const f of picked) {
+      const buffer = await f.arrayBuffer();
+      files.push({ name: f.name, size: f.size, buffer, time: headerTimestamp(buffer) ?? f.lastModified });
+    }
+    // Older file first → base (the panel's selectors can swap them)
+    files.sort((a, b) => a.time - b.time);
+
+    const { status, failed } = await loadIFCFiles(files, false);
+    if (status === 'busy') {
+      showCompareStatus('Wait for the current load to finish');
+      return;
+    }
+    if (status !== 'loaded' || failed.length > 0) {
+      showCompareStatus(status === 'cancelled' ? 'Loading cancelled' : 'Both revisions must load to compare');
+      return;
+    }
+    const { models } = getViewerState();
+    baseIdx = models[models.length - 2].idx;
+    revIdx = models[models.length - 1].idx;
+    renderComparePanel();
+    runComparison();
+  });
+  input.click();
+}
+
+// ======================== SIDEBAR PANEL ========================
+function initComparePanel() {
+  const { models } = getViewerState();
+  const ids = models.map(m => m.idx);
+  if (!ids.includes(baseIdx) || !ids.includes(revIdx)) clearComparison();
+
+  // Default to the two most recently loaded models
+  if (!ids.includes(baseIdx)) baseIdx = models.length >= 2 ? models[models.length - 2].idx : null;
+  if (!ids.includes(revIdx)) revIdx = models.length >= 1 ? models[models.length - 1].idx : null;
+  renderComparePanel();
+}
+
+function renderComparePanel() {
+  const container = document.getElementById('compareContent');
+  if (!container) return;
+  const { models } = getViewerState();
+
+  const options = (selected) => models
+    .map(m => `<option value="${m.idx}"${m.idx === selected ? ' selected' : ''}>${m.filename}</option>`)
+    .join('');
+  const baseSel = document.getElementById('cmpBase');
+  const revSel = document.getElementById('cmpRev');
+  if (baseSel) baseSel.innerHTML = options(baseIdx);
+  if (revSel) revSel.innerHTML = options(revIdx);
+
+  if (!summary) {
+    container.innerHTML = models.length < 2
+      ? `<div class="cmp-empty">Load two revisions of the same model to compare them by GlobalId.</div>`
+      : `<div class="cmp-empty">Choose the base and revision models, then press Compare.</div>`;
+    return;
+  }
+
+  const counts = {};
+  for (const type of Object.keys(CHANGE_TYPES)) counts[type] = 0;
+  for (const c of changes) counts[c.status]++;
+
+  let html = '';
+
+  // ---- Stats bar (click to show / hide a change type) ----
+  html += `<div class="cmp-stats">`;
+  for (const [type, def] of Object.entries(CHANGE_TYPES)) {
+    const off = shownStatuses.has(type) ? '' : ' off';
+    html += `<div class="cmp-stat${off}" data-status="${type}" title="Show / hide in 3D">`;
+    html += `<span class="cmp-stat-val" style="color:#${def.color.toString(16).padStart(6, '0')}">${counts[type]}</span>`;
+    html += `<span class="cmp-stat-label">${def.label}</span></div>`;
+  }
+  html += `</div>`;
+  html += `<div class="cmp-summary">${summary.unchanged} unchanged`;
+  if (summary.noGlobalId > 0) html += ` · ${summary.noGlobalId} without GlobalId (skipped)`;
+  html += `</div>`;
+
+  // ---- Change groups ----
+  for (const [type, def] of Object.entries(CHANGE_TYPES)) {
+    const list = changes.filter(c => c.status === type);
+    if (list.length === 0) continue;
+    const open = expandedGroups.has(type);
+    html += `<div class="cmp-group${open ? ' open' : ''}">`;
+    html += `<div class="cmp-group-header" data-group="${type}">`;
+    html += `<span class="cmp-group-arrow">${open ? '▾' : '▸'}</span>`;
+    html += `<span class="cmp-swatch" style="background:#${def.color.toString(16).padStart(6, '0')}"></span>`;
+    html += `<span class="cmp-group-label">${def.label}</span>`;
+    html += `<span class="cmp-group-count">${list.length}</span>`;
+    html += `</div>`;
+    if (open) {
+      html += `<div class="cmp-group-body">`;
+      for (const c of list.slice(0, MAX_LIST_ROWS)) {
+        const key = c.revKey || c.baseKey;
+        const detail = c.status === 'geometry'
+          ? (isFinite(c.shift) ? `moved ${c.shift.toFixed(3)} m` : 'geometry added / removed')
+          : c.propChanges.slice(0, 3).map(p => p.key).join(', ') + (c.propChanges.length > 3 ? ` +${c.propChanges.length - 3}` : '');
+        html += `<div class="cmp-row" data-key="${key}" title="${c.globalId}">`;
+        html += `<div class="cmp-row-name">${c.name}</div>`;
+        html += `<div class="cmp-row-meta">${c.ifcType.replace('IFC', '')} · ${c.storey}${detail ? ` · ${detail}` : ''}</div>`;
+        html += `</div>`;
+      }
+      if (list.length > MAX_LIST_ROWS) {
+        html += `<div class="cmp-more">+${list.length - MAX_LIST_ROWS} more — export CSV for the full list</div>`;
+      }
+      html += `</div>`;
+    }
+    html += `</div>`;
+  }
+
+  container.innerHTML = html;
+
+  // ---- Wire events ----
+  container.querySelectorAll('.cmp-stat').forEach(el => {
+    el.addEventListener('click', () => {
+      const type = el.dataset.status;
+      if (shownStatuses.has(type)) shownStatuses.delete(type);
+      else shownStatuses.add(type);
+      if (overlayActive) applyCompareOverlay();
+      renderComparePanel();
+    });
+  });
+  container.querySelectorAll('.cmp-group-header').forEach(el => {
+    el.addEventListener('click', () => {
+      const type = el.dataset.group;
+      if (expandedGroups.has(type)) expandedGroups.delete(type);
+      else expandedGroups.add(type);
+      renderComparePanel();
+    });
+  });
+  container.querySelectorAll('.cmp-row').forEach(el => {
+    el.addEventListener('click', () => {
+      const key = el.dataset.key;
+      if (window.__ufSelectElement) window.__ufSelectElement(key);
+      zoomToKeys([key]);
+      container.querySelectorAll('.cmp-row.selected').forEach(r => r.classList.remove('selected'));
+      el.classList.add('selected');
+    });
+  });
+}
+
+function showCompareStatus(msg) {
+  const el = document.getElementById('cmpStatus');
+  if (!el) return;
+  el.textContent = msg;
+  el.classList.add('visible');
+  clearTimeout(el._timer);
+  el._timer = setTimeout(() => el.classList.remove('visible'), 2500);
+}
+
+function wireCompareEvents() {
+  document.getElementById('cmpBase')?.addEventListener('change', (e) => { baseIdx = parseInt(e.target.value); });
+  document.getElementById('cmpRev')?.addEventListener('change', (e) => { revIdx = parseInt(e.target.value); });
+  document.getElementById('cmpSwapBtn')?.addEventListener('click', () => {
+    [baseIdx, revIdx] = [revIdx, baseIdx];
+    if (summary) runComparison();
+    else renderComparePanel();
+  });
+  document.getElementById('cmpRunBtn')?.addEventListener('click', runComparison);
+  document.getElementById('cmpLoadBtn')?.addEventListener('click', loadRevisions);
+  document.getElementById('cmpOverlayBtn')?.addEventListener('click', toggleCompareOverlay);
+  document.getElementById('cmpExportBtn')?.addEventListener('click', exportCompareCSV);
+}
+
+// ======================== EXPORTS ========================
+export {
+  initComparePanel,
+  wireCompareEvents,
+  runComparison,
+  toggleCompareOverlay,
+  isCompareOverlayActive,
+  setCompareOverlay,
+  exportCompareCSV,
+};
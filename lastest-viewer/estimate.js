@@ -6,8 +6,9 @@
    grand total — a basic construction estimate sheet.
    ============================================================ */
 
-import { getViewerState } from './viewer.js';
+import { getViewerState, assemblyParts } from './viewer.js';
 import { classifications, UNIFORMAT_HIERARCHY, L3_LABELS } from './uniformat.js';
+import { recordChange } from './history.js';
 
 // ======================== STATE ========================
 
@@ -84,18 +85,40 @@ function extractQuantities(props) {
   return result;
 }
 
+/**
+ * Quantities rolled up over an element's decomposition, as in the takeoff:
+ * the assembly's own value per category, else the sum over its leaf parts.
+ */
+function rolledUpQuantities(key, elementDataMap) {
+  const own = extractQuantities(elementDataMap.get(key)?.props);
+  const parts = assemblyParts(key);
+  if (parts.length === 0) return own;
+
+  const sum = { area: 0, volume: 0, length: 0, count: 0 };
+  for (const part of parts) {
+    const data = elementDataMap.get(part);
+    if (!data || data.partKeys.length > 0) continue;
+    const q = extractQuantities(data.props);
+    for (const cat of Object.keys(sum)) sum[cat] += q[cat];
+  }
+  for (const cat of Object.keys(sum)) {
+    if (own[cat] === 0) own[cat] = sum[cat];
+  }
+  return own;
+}
+
 // ======================== AGGREGATION ========================
 
 function emptyAgg() {
   return { ea: 0, sf: 0, lf: 0, cy: 0, elements: [] };
 }
 
-function addToAgg(agg, quantities, key) {
+function addToAgg(agg, quantities, key, parts = []) {
   agg.ea++;
   agg.sf += quantities.area * M2_TO_SF;
   agg.lf += quantities.length * M_TO_LF;
   agg.cy += quantities.volume * M3_TO_CY;
-  agg.elements.push(key);
+  agg.elements.push(key, ...parts);
 }
 
 // L2 label lookup
@@ -113,14 +136,16 @@ function aggregateSpatial() {
   const tree = {};
   const totals = emptyAgg();
   for (const [key, data] of elementDataMap) {
-    const q = extractQuantities(data.props);
+    if (data.parentKey) continue;   // parts are costed with their assembly
+    const q = rolledUpQuantities(key, elementDataMap);
+    const parts = assemblyParts(key);
     const storey = data.storey || 'Unassigned';
     const ifcType = data.ifcType || 'UNKNOWN';
     if (!tree[storey]) tree[storey] = { agg: emptyAgg(), types: {} };
     if (!tree[storey].types[ifcType]) tree[storey].types[ifcType] = emptyAgg();
-    addToAgg(tree[storey].agg, q, key);
-    addToAgg(tree[storey].types[ifcType], q, key);
-    addToAgg(totals, q, key);
+    addToAgg(tree[storey].agg, q, key, parts);
+    addToAgg(tree[storey].types[ifcType], q, key, parts);
+    addToAgg(totals, q, key, parts);
   }
   return { tree, totals };
 }
@@ -131,11 +156,13 @@ function aggregateUniformat() {
   const totals = emptyAgg();
   const unclassified = emptyAgg();
   for (const [key, data] of elementDataMap) {
-    const q = extractQuantities(data.props);
+    if (data.parentKey) continue;
+    const q = rolledUpQuantities(key, elementDataMap);
+    const parts = assemblyParts(key);
     const cls = classifications.get(key);
     if (!cls || !cls.code) {
-      addToAgg(unclassified, q, key);
-      addToAgg(totals, q, key);
+      addToAgg(unclassified, q, key, parts);
+      addToAgg(totals, q, key, parts);
       continue;
     }
     const l3 = cls.code;
@@ -144,10 +171,10 @@ function aggregateUniformat() {
     if (!tree[l1]) tree[l1] = { agg: emptyAgg(), children: {} };
     if (!tree[l1].children[l2]) tree[l1].children[l2] = { agg: emptyAgg(), children: {} };
     if (!tree[l1].children[l2].children[l3]) tree[l1].children[l2].children[l3] = emptyAgg();
-    addToAgg(tree[l1].agg, q, key);
-    addToAgg(tree[l1].children[l2].agg, q, key);
-    addToAgg(tree[l1].children[l2].children[l3], q, key);
-    addToAgg(totals, q, key);
+    addToAgg(tree[l1].agg, q, key, parts);
+    addToAgg(tree[l1].children[l2].agg, q, key, parts);
+    addToAgg(tree[l1].children[l2].children[l3], q, key, parts);
+    addToAgg(totals, q, key, parts);
   }
   return { tree, totals, unclassified };
 }
@@ -177,9 +204,18 @@ function getRowCost(rowId, agg) {
 }
 
 function setRowCost(rowId, unitCost, unit) {
-  costRates.set(rowId, { unitCost: parseFloat(unitCost) || 0, unit });
+  // Keystrokes in one row's cost merge into a single undo step
+  recordChange(`Set rate for ${rowId}`, ratesHistory, () => {
+    costRates.set(rowId, { unitCost: parseFloat(unitCost) || 0, unit });
+  }, { merge: `rate:${rowId}` });
 }
 
+// Cost rates as an undo target (history.js)
+const ratesHistory = {
+  capture: () => getCostRates(),
+  restore: (data) => setCostRates(data),
+};
+
 // ======================== FORMATTING ========================
 
 function fmtQty(val) {
@@ -572,10 +608,12 @@ function loadEstimate() {
     reader.onload = (ev) => {
       try {
         const data = JSON.parse(ev.target.result);
-        costRates.clear();
-        for (const [key, val] of Object.entries(data)) {
-          costRates.set(key, val);
-        }
+        recordChange('Load estimate', ratesHistory, () => {
+          costRates.clear();
+          for (const [key, val] of Object.entries(data)) {
+            costRates.set(key, val);
+          }
+        });
         buildEstimatePanel();
         showEstimateStatus('Estimate loaded');
       } catch (err) {
@@ -587,8 +625,22 @@ function loadEstimate() {
   input.click();
 }
 
-function clearEstimate() {
+/** Cost rates as a plain object (rowId → { unitCost, unit }) for project files. */
+function getCostRates() {
+  return Object.fromEntries([...costRates].map(([key, val]) => [key, { ...val }]));
+}
+
+/** Replace all cost rates, e.g. when a project file is opened. */
+function setCostRates(data) {
   costRates.clear();
+  for (const [key, val] of Object.entries(data || {})) {
+    costRates.set(key, { ...val });
+  }
+  if (estimateVisible) buildEstimatePanel();
+}
+
+function clearEstimate() {
+  recordChange('Clear estimate', ratesHistory, () => costRates.clear());
   buildEstimatePanel();
   showEstimateStatus('Estimate cleared');
 }
@@ -667,4 +719,6 @@ export {
   toggleEstimate,
   initEstimatePanel,
   wireEstimateEvents,
+  getCostRates,
+  setCostRates,
 };
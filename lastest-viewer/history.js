@@ -0,0 +1,244 @@
+/* ============================================================
+   BIM Model Viewer — history.js
+   Undo / redo across the tools. Each module describes the state
+   it owns as a target (capture a snapshot, restore one) and
+   records its edits against it: a step holds the before and
+   after snapshots of every target it touched, so undo and redo
+   just restore them. Bulk edits and anything run inside
+   recordGroup() are a single step; rapid repeats of one edit
+   (slider drags, typing a rate) merge. Ctrl+Z / Ctrl+Y
+   (Ctrl+Shift+Z) and the History tab.
+   ============================================================ */
+
+// ======================== CONFIG ========================
+const MAX_STEPS = 100;
+const MERGE_MS = 1000;     // repeats of one merge key closer together than this are one step
+
+// ======================== STATE ========================
+// Target: { capture() → JSON-serializable snapshot, restore(snapshot) }
+// Step:   { label, time, merge, changes: [{ target, before, after }] }
+let undoStack = [];
+let redoStack = [];
+let openChanges = null;    // changes collected while a group runs
+let replaying = false;     // restoring a snapshot (or withoutHistory) — not recorded
+
+// ======================== RECORDING ========================
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/** Fold a change into a list: a target touched twice keeps its first before and last after. */
+function addChange(changes, target, before, after) {
+  const existing = changes.find(c => c.target === target);
+  if (existing) existing.after = after;
+  else changes.push({ target, before, after });
+}
+
+function commit(label, changes, merge) {
+  changes = changes.filter(c => !same(c.before, c.after));
+  if (changes.length === 0) return;
+
+  const now = Date.now();
+  const top = undoStack[undoStack.length - 1];
+  if (merge && top && top.merge === merge && redoStack.length === 0 && now - top.time < MERGE_MS
+    && changes.every(c => top.changes.some(t => t.target === c.target))) {
+    for (const c of changes) addChange(top.changes, c.target, c.before, c.after);
+    top.time = now;
+    renderHistoryPanel();
+    return;
+  }
+
+  undoStack.push({ label, time: now, merge, changes });
+  if (undoStack.length > MAX_STEPS) undoStack.shift();
+  redoStack = [];
+  renderHistoryPanel();
+}
+
+/**
+ * Record a change that has already been made.
+ * @param {string} label - shown in the History tab
+ * @param {{ capture: Function, restore: Function }} target
+ * @param {*} before - snapshot from target.capture() before the change
+ * @param {*} after - snapshot after it
+ * @param {{ merge?: string }} options - consecutive steps with the same merge key are one step
+ */
+function pushChange(label, target, before, after, { merge = null } = {}) {
+  if (replaying) return;
+  if (openChanges) addChange(openChanges, target, before, after);
+  else commit(label, [{ target, before, after }], merge);
+}
+
+/** Run fn as one undo step, whatever it records. Nested groups join the outer one. */
+function recordGroup(label, fn, { merge = null } = {}) {
+  if (replaying || openChanges) return fn();
+  openChanges = [];
+  try {
+    return fn();
+  } finally {
+    const changes = openChanges;
+    openChanges = null;
+    commit(label, changes, merge);
+  }
+}
+
+/** Run fn without recording anything — for presentation that changes the view but is not an edit. */
+function withoutHistory(fn) {
+  const wasReplaying = replaying;
+  replaying = true;
+  try {
+    return fn();
+  } finally {
+    replaying = wasReplaying;
+  }
+}
+
+/** Run fn, which changes the state of target, as one undo step. */
+function recordChange(label, target, fn, options) {
+  return recordGroup(label, () => {
+    const before = target.capture();
+    try {
+      return fn();
+    } finally {
+      pushChange(label, target, before, target.capture());
+    }
+  }, options);
+}
+
+// ======================== UNDO / REDO ========================
+function replay(step, which) {
+  replaying = true;
+  try {
+    const changes = which === 'before' ? [...step.changes].reverse() : step.changes;
+    for (const c of changes) c.target.restore(c[which]);
+  } catch (e) {
+    console.warn('[history] Restore failed:', e);
+  } finally {
+    replaying = false;
+  }
+}
+
+function undo() {
+  const step = undoStack.pop();
+  if (!step) return;
+  replay(step, 'before');
+  step.merge = null;   // a redone step never absorbs new edits
+  redoStack.push(step);
+  console.log(`[history] Undo: ${step.label}`);
+  showHistoryStatus(`Undid ${step.label}`);
+  renderHistoryPanel();
+}
+
+function redo() {
+  const step = redoStack.pop();
+  if (!step) return;
+  replay(step, 'after');
+  undoStack.push(step);
+  console.log(`[history] Redo: ${step.label}`);
+  showHistoryStatus(`Redid ${step.label}`);
+  renderHistoryPanel();
+}
+
+/** Undo or redo until `count` steps are applied. */
+function jumpTo(count) {
+  while (undoStack.length > count) undo();
+  while (undoStack.length < count && redoStack.length > 0) redo();
+}
+
+function canUndo() {
+  return undoStack.length > 0;
+}
+
+function canRedo() {
+  return redoStack.length > 0;
+}
+
+/** Forget every step — element keys in the snapshots no longer match the loaded models. */
+function clearHistory() {
+  undoStack = [];
+  redoStack = [];
+  renderHistoryPanel();
+}
+
+// ======================== SIDEBAR PANEL ========================
+function escapeHtml(s) {
+  return String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function formatTime(t) {
+  return new Date(t).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+}
+
+function renderHistoryPanel() {
+  const undoBtn = document.getElementById('histUndoBtn');
+  const redoBtn = document.getElementById('histRedoBtn');
+  if (undoBtn) undoBtn.disabled = !canUndo();
+  if (redoBtn) redoBtn.disabled = !canRedo();
+
+  const container = document.getElementById('historyContent');
+  if (!container) return;
+
+  if (undoStack.length === 0 && redoStack.length === 0) {
+    container.innerHTML = `<div class="hist-empty">Nothing to undo yet. Classifications, installation marks, cost rates, hidden elements and section cuts are recorded here.</div>`;
+    return;
+  }
+
+  // Oldest first; the undone steps follow the current one, dimmed
+  const steps = [...undoStack, ...[...redoStack].reverse()];
+  let html = `<div class="hist-row hist-start${undoStack.length === 0 ? ' current' : ''}" data-count="0">`;
+  html += `<span class="hist-label">Start</span></div>`;
+  steps.forEach((step, i) => {
+    const applied = i < undoStack.length;
+    const cls = applied ? (i === undoStack.length - 1 ? ' current' : '') : ' undone';
+    html += `<div class="hist-row${cls}" data-count="${i + 1}" title="${applied ? 'Undo back to here' : 'Redo up to here'}">`;
+    html += `<span class="hist-label">${escapeHtml(step.label)}</span>`;
+    html += `<span class="hist-time">${formatTime(step.time)}</span></div>`;
+  });
+  container.innerHTML = html;
+
+  container.querySelectorAll('.hist-row').forEach(row => {
+    row.addEventListener('click', () => jumpTo(parseInt(row.dataset.count)));
+  });
+  container.querySelector('.current')?.scrollIntoView({ block: 'nearest' });
+}
+
+function showHistoryStatus(msg) {
+  const el = document.getElementById('histStatus');
+  if (!el) return;
+  el.textContent = msg;
+  el.classList.add('visible');
+  clearTimeout(el._timer);
+  el._timer = setTimeout(() => el.classList.remove('visible'), 2500);
+}
+
+// ======================== EVENTS ========================
+function wireHistoryEvents() {
+  document.getElementById('histUndoBtn')?.addEventListener('click', undo);
+  document.getElementById('histRedoBtn')?.addEventListener('click', redo);
+  document.getElementById('histClearBtn')?.addEventListener('click', () => {
+    if (canUndo() || canRedo()) clearHistory();
+  });
+
+  // Text fields keep the browser's own undo
+  document.addEventListener('keydown', (e) => {
+    const tag = document.activeElement.tagName;
+    if (tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA' || document.activeElement.isContentEditable) return;
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      undo();
+    } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+      e.preventDefault();
+      redo();
+    }
+  });
+
+  renderHistoryPanel();
+}
+
+// ======================== EXPORTS ========================
+export {
+  recordChange, recordGroup, pushChange, withoutHistory,
+  undo, redo, canUndo, canRedo, clearHistory,
+  wireHistoryEvents,
+};
@@ -0,0 +1,771 @@
+/* ============================================================
+   IFC Parsing Worker — ifc-worker.js
+   Runs web-ifc off the main thread: opens the model, extracts
+   units, the spatial structure (project → site → building →
+   storey → space) and zones, merges element and space geometry
+   into transferable typed arrays and collects property sets.
+   Results stream back to viewer.js as they are produced.
+   ============================================================ */
+
+importScripts('https://unpkg.com/web-ifc@0.0.66/web-ifc-api-iife.js');
+
+const WASM_PATH = 'https://unpkg.com/web-ifc@0.0.66/';
+
+// ======================== IFC TYPE CONSTANTS ========================
+const IFCTYPES = {
+  IFCBEAM: 753842376, IFCCOLUMN: 3495092785, IFCSLAB: 1529196076,
+  IFCWALL: 2391406946, IFCWALLSTANDARDCASE: 3512223829, IFCFOOTING: 900683007,
+  IFCMEMBER: 1073191201, IFCPLATE: 3171933400, IFCRAILING: 2262370178,
+  IFCSTAIR: 331165859, IFCSTAIRFLIGHT: 4252922144, IFCRAMP: 3024970846,
+  IFCRAMPFLIGHT: 3283111854, IFCCURTAINWALL: 844718557, IFCDOOR: 395920057,
+  IFCWINDOW: 3304561284, IFCBUILDINGELEMENTPROXY: 1095909175,
+  IFCPILE: 1687234759, IFCELEMENTASSEMBLY: 4123344466,
+  IFCBUILDINGSTOREY: 3124254112, IFCRELCONTAINEDINSPATIALSTRUCTURE: 3242617779,
+  IFCRELAGGREGATES: 160246688, IFCRELDEFINESBYPROPERTIES: 4186316022,
+  IFCPROPERTYSET: 1451395588, IFCELEMENTQUANTITY: 1883228015,
+  IFCPROPERTYSINGLEVALUE: 3972844353, IFCQUANTITYLENGTH: 931644368,
+  IFCQUANTITYAREA: 2044713172, IFCQUANTITYVOLUME: 3124970251,
+  IFCQUANTITYWEIGHT: 825690147, IFCQUANTITYCOUNT: 2093928680,
+  IFCPROJECT: 103090709, IFCSIUNIT: 448429030, IFCUNITASSIGNMENT: 180925521,
+  IFCCONVERSIONBASEDUNIT: 2889183280, IFCMEASUREWITHUNIT: 3368373690,
+  IFCSITE: 4097777520, IFCBUILDING: 4031249490, IFCSPACE: 3856911033,
+  IFCZONE: 1033361043, IFCRELASSIGNSTOGROUP: 1307041759, IFCRELNESTS: 3268803585,
+  IFCRELDEFINESBYTYPE: 781010003,
+};
+
+const TYPE_ID_TO_NAME = {};
+for (const [name, id] of Object.entries(IFCTYPES)) {
+  TYPE_ID_TO_NAME[id] = name;
+}
+
+const SKIP_TYPES = new Set([
+  'IFCBUILDINGSTOREY', 'IFCBUILDING', 'IFCSITE', 'IFCPROJECT',
+  'IFCOPENINGELEMENT', 'IFCANNOTATION',
+]);
+
+// Spatial structure, outermost first; spaces also carry geometry (sent apart from elements)
+const SPATIAL_TYPES = ['IFCPROJECT', 'IFCSITE', 'IFCBUILDING', 'IFCBUILDINGSTOREY', 'IFCSPACE'];
+const SPATIAL_FALLBACK_NAMES = {
+  IFCPROJECT: 'Project', IFCSITE: 'Site', IFCBUILDING: 'Building', IFCSPACE: 'Space',
+};
+
+// Geometry is posted in batches once this many floats (positions + normals)
+// have accumulated, so the main thread can build meshes while we keep parsing.
+const GEOMETRY_BATCH_FLOATS = 1 << 20;
+const ELEMENT_BATCH_SIZE = 2000;
+// Geometry shared by at least this many single-part elements is sent as an instance group
+const INSTANCE_MIN_COUNT = 4;
+const IDENTITY = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+// ======================== STATE ========================
+let ifcAPI = null;
+
+// ======================== MESSAGE HANDLING ========================
+self.onmessage = async (e) => {
+  const msg = e.data;
+  try {
+    if (msg.type === 'init') {
+      await initIfcAPI();
+      self.postMessage({ type: 'ready' });
+    } else if (msg.type === 'parse') {
+      parseModel(msg.jobId, msg.name, msg.buffer);
+    }
+  } catch (err) {
+    console.error('[ifc-worker]', err);
+    self.postMessage({ type: 'error', jobId: msg.jobId, message: err.message || String(err) });
+  }
+};
+
+async function initIfcAPI() {
+  if (ifcAPI) return;
+  ifcAPI = new WebIFC.IfcAPI();
+  ifcAPI.SetWasmPath(WASM_PATH, true);
+  await ifcAPI.Init();
+  console.log('[ifc-worker] web-ifc initialized');
+}
+
+function progress(jobId, step, fraction) {
+  self.postMessage({ type: 'progress', jobId, step, fraction });
+}
+
+// ======================== PARSE PIPELINE ========================
+/**
+ * Parse one IFC file and stream the results back.
+ * Messages posted (all tagged with jobId):
+ *   header   → { unitFactor, storeys: [{ name, elevation, expressID }],
+ *                spatial: [{ expressID, ifcType, globalId, name, longName, parent, elevation?, props? }],
+ *                zones: [{ expressID, globalId, name, longName, spaces: [expressID] }],
+ *                types: [{ expressID, ifcType, name, props }], elementEstimate }
+ *   geometry → { meshes: [{ expressID, ifcType, positions, normals, indices }] } (transferred)
+ *   instances → { groups: [{ geometryID, positions, normals, indices,
+ *                            instances: [{ expressID, ifcType, matrix }] }] } (transferred)
+ *   spaces   → { meshes: [{ expressID, positions, normals, indices }] } (transferred)
+ *   elements → { elements: [{ expressID, globalId, ifcType, name, storey, space, parent, type, props }] }
+ *              (assemblies without geometry of their own are sent too, so every parent has a record;
+ *               props are the instance's own — the receiver merges in the type's)
+ *   done     → { elementCount, skipped }
+ */
+function parseModel(jobId, name, buffer) {
+  progress(jobId, `Parsing ${name}...`, 0.02);
+  const modelID = ifcAPI.OpenModel(new Uint8Array(buffer));
+
+  try {
+    progress(jobId, `${name}: Detecting units`, 0.05);
+    const unitFactor = detectUnits(modelID);
+
+    progress(jobId, `${name}: Extracting spatial structure`, 0.1);
+    const propsOf = createPropertyReader(modelID);
+    const storeys = extractStoreys(modelID);
+    const spatial = extractSpatialStructure(modelID, storeys, propsOf);
+    const zones = extractZones(modelID, spatial);
+    const parentOf = extractDecomposition(modelID, spatial);
+    const spatialMap = buildSpatialMap(modelID, spatial, parentOf);
+    const { types, typeOf } = extractTypeObjects(modelID, propsOf);
+    self.postMessage({
+      type: 'header', jobId, unitFactor, storeys,
+      spatial: [...spatial.values()], zones, types: [...types.values()],
+      elementEstimate: spatialMap.size,
+    });
+
+    const { elementIDs, skipped } = streamGeometry(jobId, modelID, name, spatialMap.size);
+
+    const recordIDs = [...elementIDs, ...assembliesWithoutGeometry(elementIDs, parentOf)];
+    extractProperties(jobId, modelID, name, recordIDs, { spatialMap, parentOf, typeOf, propsOf });
+
+    self.postMessage({ type: 'done', jobId, elementCount: elementIDs.length, skipped });
+  } finally {
+    ifcAPI.CloseModel(modelID);
+  }
+}
+
+// ======================== UNIT DETECTION ========================
+function detectUnits(modelID) {
+  let unitFactor = 1.0;
+  try {
+    const projects = ifcAPI.GetLineIDsWithType(modelID, IFCTYPES.IFCPROJECT);
+    if (projects.size() > 0) {
+      const proj = ifcAPI.GetLine(modelID, projects.get(0));
+      if (proj.UnitsInContext) {
+        const unitAssign = ifcAPI.GetLine(modelID, proj.UnitsInContext.value);
+        if (unitAssign.Units) {
+          for (const unitRef of unitAssign.Units) {
+            const unit = ifcAPI.GetLine(modelID, unitRef.value);
+            if (unit.UnitType && unit.UnitType.value === 'LENGTHUNIT') {
+              if (unit.type === IFCTYPES.IFCCONVERSIONBASEDUNIT) {
+                const factor = ifcAPI.GetLine(modelID, unit.ConversionFactor.value);
+                if (factor.ValueComponent) {
+                  unitFactor = factor.ValueComponent.value;
+                }
+              } else if (unit.Prefix) {
+                const prefixes = {
+                  '.MILLI.': 0.001, '.CENTI.': 0.01,
+                  '.DECI.': 0.1, '.KILO.': 1000,
+                };
+                unitFactor = prefixes[unit.Prefix.value] || 1.0;
+              }
+            }
+          }
+        }
+      }
+    }
+  } catch (e) { console.warn('[ifc-worker] Unit detection fallback:', e); }
+  console.log('[ifc-worker] Unit factor (to meters):', unitFactor);
+  return unitFactor;
+}
+
+// ======================== STOREYS ========================
+/** Raw storey list — name collisions across models are resolved by viewer.js. */
+function extractStoreys(modelID) {
+  const result = [];
+  const ids = ifcAPI.GetLineIDsWithType(modelID, IFCTYPES.IFCBUILDINGSTOREY);
+  for (let i = 0; i < ids.size(); i++) {
+    const line = ifcAPI.GetLine(modelID, ids.get(i));
+    result.push({
+      name: line.Name?.value || `Level ${i}`,
+      elevation: line.Elevation?.value || 0,
+      expressID: ids.get(i),
+    });
+  }
+  return result;
+}
+
+// ======================== SPATIAL STRUCTURE ========================
+/**
+ * Every spatial structure element as expressID → { expressID, ifcType, globalId,
+ * name, longName, parent, elevation? (storeys), props? (spaces) }, linked to its
+ * parent through IfcRelAggregates. Storeys keep the names extractStoreys gave them.
+ */
+function extractSpatialStructure(modelID, storeys, propsOf) {
+  const nodes = new Map();
+  const storeyById = new Map(storeys.map(s => [s.expressID, s]));
+
+  for (const typeName of SPATIAL_TYPES) {
+    const ids = ifcAPI.GetLineIDsWithType(modelID, IFCTYPES[typeName]);
+    for (let i = 0; i < ids.size(); i++) {
+      const id = ids.get(i);
+      try {
+        const line = ifcAPI.GetLine(modelID, id);
+        const storey = storeyById.get(id);
+        const node = {
+          expressID: id,
+          ifcType: typeName,
+          globalId: line.GlobalId?.value || null,
+          name: storey?.name || line.Name?.value || SPATIAL_FALLBACK_NAMES[typeName],
+          longName: line.LongName?.value || null,
+          parent: null,
+        };
+        if (storey) node.elevation = storey.elevation;
+        if (typeName === 'IFCSPACE') node.props = propsOf(id);
+        nodes.set(id, node);
+      } catch {}
+    }
+  }
+
+  try {
+    const aggIds = ifcAPI.GetLineIDsWithType(modelID, IFCTYPES.IFCRELAGGREGATES);
+    for (let i = 0; i < aggIds.size(); i++) {
+      const rel = ifcAPI.GetLine(modelID, aggIds.get(i));
+      const parentId = rel.RelatingObject?.value;
+      if (!nodes.has(parentId) || !rel.RelatedObjects) continue;
+      for (const childRef of rel.RelatedObjects) {
+        const child = nodes.get(childRef.value);
+        if (child && childRef.value !== parentId) child.parent = parentId;
+      }
+    }
+  } catch (e) { console.warn('[ifc-worker] Spatial structure error:', e); }
+
+  console.log(`[ifc-worker] Spatial structure: ${nodes.size} nodes`);
+  return nodes;
+}
+
+/**
+ * IfcZone groupings of spaces: [{ expressID, globalId, name, longName, spaces: [expressID] }].
+ * Zones made of other zones list the spaces of those zones.
+ */
+function extractZones(modelID, nodes) {
+  const zones = new Map();
+  const members = new Map();   // zone expressID → [expressID of a space or zone]
+  try {
+    const ids = ifcAPI.GetLineIDsWithType(modelID, IFCTYPES.IFCZONE);
+    for (let i = 0; i < ids.size(); i++) {
+      const id = ids.get(i);
+      const line = ifcAPI.GetLine(modelID, id);
+      zones.set(id, {
+        expressID: id,
+        globalId: line.GlobalId?.value || null,
+        name: line.Name?.value || 'Zone',
+        longName: line.LongName?.value || null,
+        spaces: [],
+      });
+      members.set(id, []);
+    }
+    if (zones.size === 0) return [];
+
+    const relIds = ifcAPI.GetLineIDsWithType(modelID, IFCTYPES.IFCRELASSIGNSTOGROUP);
+    for (let i = 0; i < relIds.size(); i++) {
+      const rel = ifcAPI.GetLine(modelID, relIds.get(i));
+      const list = members.get(rel.RelatingGroup?.value);
+      if (!list || !rel.RelatedObjects) continue;
+      for (const objRef of rel.RelatedObjects) list.push(objRef.value);
+    }
+  } catch (e) { console.warn('[ifc-worker] Zone error:', e); }
+
+  const collect = (zoneId, out, seen) => {
+    if (seen.has(zoneId)) return;
+    seen.add(zoneId);
+    for (const id of members.get(zoneId) || []) {
+      if (nodes.get(id)?.ifcType === 'IFCSPACE') out.add(id);
+      else if (zones.has(id)) collect(id, out, seen);
+    }
+  };
+  for (const [id, zone] of zones) {
+    const spaces = new Set();
+    collect(id, spaces, new Set());
+    zone.spaces = [...spaces];
+  }
+
+  console.log(`[ifc-worker] Zones: ${zones.size}`);
+  return [...zones.values()];
+}
+
+// ======================== DECOMPOSITION ========================
+/**
+ * Element decomposition: part expressID → whole expressID, from IfcRelAggregates
+ * (element assemblies, stairs, curtain walls, roofs) and IfcRelNests. The spatial
+ * structure is extractSpatialStructure's and is left out.
+ */
+function extractDecomposition(modelID, nodes) {
+  const parentOf = new Map();
+  for (const relType of [IFCTYPES.IFCRELAGGREGATES, IFCTYPES.IFCRELNESTS]) {
+    try {
+      const relIds = ifcAPI.GetLineIDsWithType(modelID, relType);
+      for (let i = 0; i < relIds.size(); i++) {
+        const rel = ifcAPI.GetLine(modelID, relIds.get(i));
+        const parentId = rel.RelatingObject?.value;
+        if (parentId == null || nodes.has(parentId) || !rel.RelatedObjects) continue;
+        for (const childRef of rel.RelatedObjects) {
+          if (childRef.value !== parentId && !nodes.has(childRef.value)) parentOf.set(childRef.value, parentId);
+        }
+      }
+    } catch (e) { console.warn('[ifc-worker] Decomposition error:', e); }
+  }
+  console.log(`[ifc-worker] Decomposition: ${parentOf.size} parts`);
+  return parentOf;
+}
+
+/** Wholes above the meshed elements that have no geometry themselves (typical IfcElementAssembly). */
+function assembliesWithoutGeometry(elementIDs, parentOf) {
+  const meshed = new Set(elementIDs);
+  const wholes = new Set();
+  for (const id of elementIDs) {
+    let current = parentOf.get(id);
+    for (let depth = 0; current != null && depth < 10; depth++) {
+      if (!meshed.has(current)) wholes.add(current);
+      current = parentOf.get(current);
+    }
+  }
+  return [...wholes];
+}
+
+/**
+ * Locate elements in the spatial structure: expressID → { storey, space },
+ * storey being a storey name and space an IfcSpace expressID (either may be null).
+ * Elements contained in a space sit on that space's storey; parts of an
+ * aggregate or nest take the place of the whole.
+ */
+function buildSpatialMap(modelID, nodes, parentOf) {
+  const map = new Map();
+
+  // Nearest space and storey at or above a spatial node
+  const places = new Map();
+  const placeOf = (nodeId) => {
+    if (places.has(nodeId)) return places.get(nodeId);
+    let storey = null;
+    let space = null;
+    let node = nodes.get(nodeId);
+    for (let depth = 0; node && depth < 10; depth++) {
+      if (node.ifcType === 'IFCSPACE' && space === null) space = node.expressID;
+      if (node.ifcType === 'IFCBUILDINGSTOREY') {
+        storey = node.name;
+        break;
+      }
+      node = nodes.get(node.parent);
+    }
+    const place = storey !== null || space !== null ? { storey, space } : null;
+    places.set(nodeId, place);
+    return place;
+  };
+
+  try {
+    const relIds = ifcAPI.GetLineIDsWithType(
+      modelID, IFCTYPES.IFCRELCONTAINEDINSPATIALSTRUCTURE
+    );
+    for (let i = 0; i < relIds.size(); i++) {
+      const rel = ifcAPI.GetLine(modelID, relIds.get(i));
+      const place = placeOf(rel.RelatingStructure?.value);
+      if (place && rel.RelatedElements) {
+        for (const elemRef of rel.RelatedElements) {
+          map.set(elemRef.value, place);
+        }
+      }
+    }
+
+    // Elements aggregated straight into the spatial structure; sub-structure was linked already
+    const aggIds = ifcAPI.GetLineIDsWithType(modelID, IFCTYPES.IFCRELAGGREGATES);
+    for (let i = 0; i < aggIds.size(); i++) {
+      const rel = ifcAPI.GetLine(modelID, aggIds.get(i));
+      const parentId = rel.RelatingObject?.value;
+      if (!nodes.has(parentId) || !rel.RelatedObjects) continue;
+      const place = placeOf(parentId);
+      for (const childRef of rel.RelatedObjects) {
+        if (place && !nodes.has(childRef.value)) map.set(childRef.value, place);
+      }
+    }
+
+    for (const [childId, parentId] of parentOf) {
+      if (!map.has(childId)) {
+        let current = parentId;
+        let depth = 0;
+        while (current && depth < 10) {
+          if (map.has(current)) {
+            map.set(childId, map.get(current));
+            break;
+          }
+          current = parentOf.get(current);
+          depth++;
+        }
+      }
+    }
+  } catch (e) { console.warn('[ifc-worker] Spatial map error:', e); }
+
+  let inSpaces = 0;
+  for (const place of map.values()) if (place.space !== null) inSpaces++;
+  console.log(`[ifc-worker] Spatial map: ${map.size} elements located, ${inSpaces} in spaces`);
+  return map;
+}
+
+// ======================== GEOMETRY ========================
+/**
+ * Stream every product mesh and post it back in transferable batches.
+ * Elements made of several placed geometries are baked into world space
+ * right away. Single-geometry elements are held back until the stream ends:
+ * geometry IDs used by INSTANCE_MIN_COUNT or more elements are posted once
+ * as an instance group (local geometry + one matrix per element), the rest
+ * are baked like any other element. IfcSpace volumes are baked too and
+ * posted on their own once the stream ends.
+ * expectedCount is only used to report progress (StreamAllMeshes gives no total).
+ */
+function streamGeometry(jobId, modelID, name, expectedCount) {
+  const elementIDs = [];
+  const deferred = new Map();   // geometryExpressID → [{ expressID, ifcType, placement }]
+  const spaces = [];            // [{ expressID, placements }]
+  let skipped = 0;
+  let batch = [];
+  let batchFloats = 0;
+  let streamed = 0;
+  let lastReport = 0;
+
+  const flush = () => {
+    if (batch.length === 0) return;
+    const transfer = [];
+    for (const m of batch) transfer.push(m.positions.buffer, m.normals.buffer, m.indices.buffer);
+    self.postMessage({ type: 'geometry', jobId, meshes: batch }, transfer);
+    batch = [];
+    batchFloats = 0;
+  };
+
+  const pushMerged = (expressID, ifcType, placements) => {
+    const merged = mergePlacedGeometries(modelID, placements);
+    if (!merged) return;
+    batch.push({ expressID, ifcType, ...merged });
+    batchFloats += merged.positions.length * 2;
+    elementIDs.push(expressID);
+    if (batchFloats >= GEOMETRY_BATCH_FLOATS) flush();
+  };
+
+  progress(jobId, `${name}: Loading 3D geometry...`, 0.1);
+
+  ifcAPI.StreamAllMeshes(modelID, (mesh) => {
+    const expressID = mesh.expressID;
+
+    let line;
+    try { line = ifcAPI.GetLine(modelID, expressID, false); } catch { return; }
+
+    const typeName = resolveTypeName(line.type);
+    if (SKIP_TYPES.has(typeName)) { skipped++; return; }
+
+    const geometries = mesh.geometries;
+    if (!geometries || geometries.size() === 0) return;
+
+    const placements = [];
+    for (let g = 0; g < geometries.size(); g++) {
+      const placed = geometries.get(g);
+      placements.push({
+        geometryExpressID: placed.geometryExpressID,
+        flatTransformation: Array.from(placed.flatTransformation),
+      });
+    }
+
+    if (typeName === 'IFCSPACE') {
+      spaces.push({ expressID, placements });
+      return;
+    }
+
+    if (placements.length === 1) {
+      const geomID = placements[0].geometryExpressID;
+      if (!deferred.has(geomID)) deferred.set(geomID, []);
+      deferred.get(geomID).push({ expressID, ifcType: typeName, placement: placements[0] });
+    } else {
+      pushMerged(expressID, typeName, placements);
+    }
+
+    streamed++;
+    if (streamed - lastReport >= 250) {
+      lastReport = streamed;
+      const frac = Math.min(streamed / Math.max(expectedCount, 1), 1);
+      progress(jobId, `${name}: Loading 3D geometry (${streamed} elements)`, 0.1 + frac * 0.6);
+    }
+  });
+
+  progress(jobId, `${name}: Building shared geometry`, 0.7);
+
+  let groups = [];
+  let groupFloats = 0;
+  let instanceCount = 0;
+  const flushGroups = () => {
+    if (groups.length === 0) return;
+    const transfer = [];
+    for (const gr of groups) transfer.push(gr.positions.buffer, gr.normals.buffer, gr.indices.buffer);
+    self.postMessage({ type: 'instances', jobId, groups }, transfer);
+    groups = [];
+    groupFloats = 0;
+  };
+
+  for (const [geomID, users] of deferred) {
+    if (users.length < INSTANCE_MIN_COUNT) {
+      for (const u of users) pushMerged(u.expressID, u.ifcType, [u.placement]);
+      continue;
+    }
+    const local = mergePlacedGeometries(modelID, [{ geometryExpressID: geomID, flatTransformation: IDENTITY }]);
+    if (!local) continue;
+    groups.push({
+      geometryID: geomID,
+      ...local,
+      instances: users.map(u => ({
+        expressID: u.expressID,
+        ifcType: u.ifcType,
+        matrix: u.placement.flatTransformation,
+      })),
+    });
+    groupFloats += local.positions.length * 2;
+    instanceCount += users.length;
+    for (const u of users) elementIDs.push(u.expressID);
+    if (groupFloats >= GEOMETRY_BATCH_FLOATS) flushGroups();
+  }
+  flush();
+  flushGroups();
+
+  const spaceMeshes = [];
+  const spaceTransfer = [];
+  for (const sp of spaces) {
+    const merged = mergePlacedGeometries(modelID, sp.placements);
+    if (!merged) continue;
+    spaceMeshes.push({ expressID: sp.expressID, ...merged });
+    spaceTransfer.push(merged.positions.buffer, merged.normals.buffer, merged.indices.buffer);
+  }
+  if (spaceMeshes.length > 0) self.postMessage({ type: 'spaces', jobId, meshes: spaceMeshes }, spaceTransfer);
+
+  console.log(`[ifc-worker] ${name}: ${elementIDs.length} meshes, ${instanceCount} instanced, ${spaceMeshes.length} spaces (skipped ${skipped} non-geometric)`);
+  return { elementIDs, skipped };
+}
+
+function resolveTypeName(typeCode) {
+  let typeName = TYPE_ID_TO_NAME[typeCode] || null;
+  if (!typeName) {
+    try {
+      const typeStr = ifcAPI.GetNameFromTypeCode?.(typeCode) || '';
+      typeName = typeStr.toUpperCase();
+    } catch {}
+  }
+  return typeName || 'UNKNOWN';
+}
+
+/**
+ * Merge placed geometries ({ geometryExpressID, flatTransformation }) into world-space typed arrays.
+ * Returns { positions: Float32Array, normals: Float32Array, indices: Uint32Array } or null.
+ */
+function mergePlacedGeometries(modelID, placements) {
+  if (!placements || placements.length === 0) return null;
+
+  // First pass: pull vertex/index data out of WASM so we can size the outputs exactly
+  const parts = [];
+  let totalVerts = 0;
+  let totalIndices = 0;
+  for (const placed of placements) {
+    let geomData;
+    try { geomData = ifcAPI.GetGeometry(modelID, placed.geometryExpressID); } catch { continue; }
+
+    const vData = ifcAPI.GetVertexArray(geomData.GetVertexData(), geomData.GetVertexDataSize());
+    const iData = ifcAPI.GetIndexArray(geomData.GetIndexData(), geomData.GetIndexDataSize());
+    geomData.delete();
+
+    if (!vData || vData.length === 0 || !iData || iData.length === 0) continue;
+
+    parts.push({ vData, iData, matrix: placed.flatTransformation });
+    totalVerts += vData.length / 6;
+    totalIndices += iData.length;
+  }
+  if (totalVerts === 0) return null;
+
+  const positions = new Float32Array(totalVerts * 3);
+  const normals = new Float32Array(totalVerts * 3);
+  const indices = new Uint32Array(totalIndices);
+
+  let vOffset = 0;
+  let iOffset = 0;
+  for (const { vData, iData, matrix } of parts) {
+    const numVerts = vData.length / 6;
+    transformVertices(vData, matrix, positions, normals, vOffset);
+    for (let i = 0; i < iData.length; i++) {
+      indices[iOffset + i] = iData[i] + vOffset;
+    }
+    vOffset += numVerts;
+    iOffset += iData.length;
+  }
+
+  return { positions, normals, indices };
+}
+
+/**
+ * Apply a column-major 4×4 placement to interleaved [px,py,pz,nx,ny,nz] vertex data,
+ * writing positions and (inverse-transpose transformed, normalized) normals
+ * into the output arrays starting at vertex offset `start`.
+ */
+function transformVertices(vData, m, outPos, outNorm, start) {
+  // Normal matrix = inverse transpose of the upper-left 3×3
+  const a00 = m[0], a01 = m[1], a02 = m[2];
+  const a10 = m[4], a11 = m[5], a12 = m[6];
+  const a20 = m[8], a21 = m[9], a22 = m[10];
+  const b01 = a22 * a11 - a12 * a21;
+  const b11 = -a22 * a10 + a12 * a20;
+  const b21 = a21 * a10 - a11 * a20;
+  const det = a00 * b01 + a01 * b11 + a02 * b21;
+  const id = det !== 0 ? 1 / det : 0;
+  // Rows of the inverse, used as columns of the transpose
+  const n00 = b01 * id, n01 = (-a22 * a01 + a02 * a21) * id, n02 = (a12 * a01 - a02 * a11) * id;
+  const n10 = b11 * id, n11 = (a22 * a00 - a02 * a20) * id, n12 = (-a12 * a00 + a02 * a10) * id;
+  const n20 = b21 * id, n21 = (-a21 * a00 + a01 * a20) * id, n22 = (a11 * a00 - a01 * a10) * id;
+
+  const numVerts = vData.length / 6;
+  for (let v = 0; v < numVerts; v++) {
+    const px = vData[v * 6], py = vData[v * 6 + 1], pz = vData[v * 6 + 2];
+    const nx = vData[v * 6 + 3], ny = vData[v * 6 + 4], nz = vData[v * 6 + 5];
+    const o = (start + v) * 3;
+
+    outPos[o]     = m[0] * px + m[4] * py + m[8] * pz + m[12];
+    outPos[o + 1] = m[1] * px + m[5] * py + m[9] * pz + m[13];
+    outPos[o + 2] = m[2] * px + m[6] * py + m[10] * pz + m[14];
+
+    const tx = n00 * nx + n01 * ny + n02 * nz;
+    const ty = n10 * nx + n11 * ny + n12 * nz;
+    const tz = n20 * nx + n21 * ny + n22 * nz;
+    const len = Math.hypot(tx, ty, tz) || 1;
+    outNorm[o]     = tx / len;
+    outNorm[o + 1] = ty / len;
+    outNorm[o + 2] = tz / len;
+  }
+}
+
+// ======================== PROPERTIES ========================
+/**
+ * Index IfcRelDefinesByProperties once; returns expressID → { "SetName.PropName": value }.
+ * Property sets are shared between many objects, so each one is read once.
+ */
+function createPropertyReader(modelID) {
+  const propRels = new Map();
+  try {
+    const relIds = ifcAPI.GetLineIDsWithType(modelID, IFCTYPES.IFCRELDEFINESBYPROPERTIES);
+    for (let i = 0; i < relIds.size(); i++) {
+      const rel = ifcAPI.GetLine(modelID, relIds.get(i));
+      const psetRef = rel.RelatingPropertyDefinition?.value;
+      if (!psetRef || !rel.RelatedObjects) continue;
+      for (const objRef of rel.RelatedObjects) {
+        if (!propRels.has(objRef.value)) propRels.set(objRef.value, []);
+        propRels.get(objRef.value).push(psetRef);
+      }
+    }
+  } catch (e) { console.warn('[ifc-worker] PropRel error:', e); }
+
+  const psetCache = new Map();
+  return (expressID) => {
+    const props = {};
+    for (const psetId of propRels.get(expressID) || []) {
+      if (!psetCache.has(psetId)) psetCache.set(psetId, readPropertySet(modelID, psetId));
+      Object.assign(props, psetCache.get(psetId));
+    }
+    return props;
+  };
+}
+
+/**
+ * Resolve IfcRelDefinesByType: every type object with its own property sets
+ * (HasPropertySets, plus any attached through IfcRelDefinesByProperties),
+ * and expressID → type expressID for the occurrences.
+ */
+function extractTypeObjects(modelID, propsOf) {
+  const types = new Map();
+  const typeOf = new Map();
+  try {
+    const relIds = ifcAPI.GetLineIDsWithType(modelID, IFCTYPES.IFCRELDEFINESBYTYPE);
+    for (let i = 0; i < relIds.size(); i++) {
+      const rel = ifcAPI.GetLine(modelID, relIds.get(i));
+      const typeId = rel.RelatingType?.value;
+      if (!typeId || !rel.RelatedObjects) continue;
+
+      if (!types.has(typeId)) {
+        const line = ifcAPI.GetLine(modelID, typeId);
+        const props = {};
+        for (const psetRef of line.HasPropertySets || []) {
+          if (psetRef?.value) Object.assign(props, readPropertySet(modelID, psetRef.value));
+        }
+        types.set(typeId, {
+          expressID: typeId,
+          ifcType: resolveTypeName(line.type),
+          name: line.Name?.value || 'Unnamed Type',
+          props: Object.assign(props, propsOf(typeId)),
+        });
+      }
+      for (const objRef of rel.RelatedObjects) typeOf.set(objRef.value, typeId);
+    }
+  } catch (e) { console.warn('[ifc-worker] Type object error:', e); }
+  return { types, typeOf };
+}
+
+function extractProperties(jobId, modelID, name, elementIDs, { spatialMap, parentOf, typeOf, propsOf }) {
+  progress(jobId, `${name}: Extracting properties (${elementIDs.length} elements)`, 0.8);
+
+  let batch = [];
+  for (let i = 0; i < elementIDs.length; i++) {
+    const expressID = elementIDs[i];
+    let line;
+    try { line = ifcAPI.GetLine(modelID, expressID, false); } catch { continue; }
+
+    const place = spatialMap.get(expressID);
+    batch.push({
+      expressID,
+      globalId: line.GlobalId?.value || null,
+      ifcType: resolveTypeName(line.type),
+      name: line.Name?.value || 'Unnamed',
+      storey: place?.storey || 'Unassigned',
+      space: place?.space ?? null,
+      parent: parentOf.get(expressID) ?? null,
+      type: typeOf.get(expressID) ?? null,
+      props: propsOf(expressID),
+    });
+
+    if (batch.length >= ELEMENT_BATCH_SIZE) {
+      self.postMessage({ type: 'elements', jobId, elements: batch });
+      batch = [];
+      progress(jobId, `${name}: Extracting properties (${i + 1}/${elementIDs.length})`,
+        0.8 + ((i + 1) / elementIDs.length) * 0.2);
+    }
+  }
+  if (batch.length > 0) self.postMessage({ type: 'elements', jobId, elements: batch });
+}
+
+/** Flatten one IfcPropertySet / IfcElementQuantity into { "SetName.PropName": value }. */
+function readPropertySet(modelID, psetId) {
+  const props = {};
+  try {
+    const pset = ifcAPI.GetLine(modelID, psetId, true);
+    const psetName = pset.Name?.value || 'Properties';
+
+    if (pset.HasProperties) {
+      for (const propRef of pset.HasProperties) {
+        try {
+          const prop = (typeof propRef === 'object' && propRef.value)
+            ? ifcAPI.GetLine(modelID, propRef.value) : propRef;
+          if (prop.Name && prop.NominalValue) {
+            props[`${psetName}.${prop.Name.value}`] = prop.NominalValue.value;
+          }
+        } catch {}
+      }
+    }
+    if (pset.Quantities) {
+      for (const qRef of pset.Quantities) {
+        try {
+          const q = (typeof qRef === 'object' && qRef.value)
+            ? ifcAPI.GetLine(modelID, qRef.value) : qRef;
+          const qName = q.Name?.value || '';
+          const qPrefix = `${psetName}.${qName}`;
+          if (q.LengthValue !== undefined) props[qPrefix] = q.LengthValue.value;
+          else if (q.AreaValue !== undefined) props[qPrefix] = q.AreaValue.value;
+          else if (q.VolumeValue !== undefined) props[qPrefix] = q.VolumeValue.value;
+          else if (q.WeightValue !== undefined) props[qPrefix] = q.WeightValue.value;
+          else if (q.CountValue !== undefined) props[qPrefix] = q.CountValue.value;
+        } catch {}
+      }
+    }
+  } catch {}
+  return props;
+}
@@ -0,0 +1,421 @@
+/* ============================================================
+   BIM Model Viewer — issues.js
+   BCF issues: capture the current camera, selection, hidden
+   elements and section cut (plus a canvas snapshot) as a topic,
+   keep topics with comments in localStorage, jump back to a
+   topic's viewpoint, and exchange topics as .bcfzip files.
+   Elements are referenced by IFC GlobalId so topics travel
+   between models and tools.
+   ============================================================ */
+
+import * as THREE from 'three';
+import {
+  getViewerState, toStableKey, fromStableKey, isLegacyStableKey,
+  setCameraState, setHiddenKeys, selectKeys, captureSnapshot,
+} from './viewer.js';
+import { getClipPlanes, setClipPlanes } from './section-cut.js';
+import {
+  getAuthor, setAuthor, viewpointCamera, viewpointToWorld,
+  clipPlaneToBcf, bcfToClipPlane, downloadBcf, readBcfZip,
+} from './bcf.js';
+
+// ======================== CONFIG ========================
+const STORAGE_KEY = 'bcf_issues';
+const TOPIC_TYPES = ['Issue', 'Request', 'Clash', 'Remark'];
+const TOPIC_STATUSES = {
+  Open:          '#f87171',
+  'In Progress': '#fbbf24',
+  Resolved:      '#34d399',
+  Closed:        '#6b7280',
+};
+const SNAPSHOT_WIDTH = 640;
+
+// ======================== STATE ========================
+let issues = [];                 // BCF topics (see bcf.js buildBcfZip)
+let loaded = false;
+let expandedGuid = null;
+let statusFilter = 'all';
+let creating = false;
+
+// ======================== PERSISTENCE ========================
+function saveIssues() {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(issues));
+  } catch (e) {
+    console.warn('[issues] Save failed:', e);
+    showIssueStatus('Storage full — export to BCF to keep all snapshots');
+  }
+}
+
+function loadIssues() {
+  try {
+    issues = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+  } catch (e) {
+    console.warn('[issues] Load failed:', e);
+    issues = [];
+  }
+  loaded = true;
+}
+
+// ======================== VIEWPOINTS ========================
+/** GlobalIds of the given composite keys; elements without one cannot be referenced in BCF. */
+function toGlobalIds(keys) {
+  return [...keys].map(toStableKey).filter(k => k && !isLegacyStableKey(k));
+}
+
+/** Capture the current view as a BCF viewpoint (IFC coordinates). */
+function captureViewpoint() {
+  const { camera, controls, selectedKeys, hiddenKeys, elementMeshMap } = getViewerState();
+
+  // List whichever side is shorter: hidden elements, or the visible ones after an isolate
+  let visibility = { defaultVisible: true, exceptions: toGlobalIds(hiddenKeys) };
+  if (hiddenKeys.size > elementMeshMap.size / 2) {
+    const visible = [...elementMeshMap.keys()].filter(k => !hiddenKeys.has(k));
+    visibility = { defaultVisible: false, exceptions: toGlobalIds(visible) };
+  }
+
+  return {
+    guid: crypto.randomUUID(),
+    camera: viewpointCamera(camera.position, controls.target),
+    selection: toGlobalIds(selectedKeys),
+    visibility,
+    clippingPlanes: getClipPlanes().map(clipPlaneToBcf),
+    // JPEG keeps a topic small enough for localStorage
+    snapshot: captureSnapshot(SNAPSHOT_WIDTH, 'image/jpeg'),
+  };
+}
+
+/** Resolve GlobalIds to loaded composite keys; returns [keys, missingCount]. */
+function resolveGlobalIds(gids) {
+  const keys = [];
+  let missing = 0;
+  for (const gid of gids) {
+    const key = fromStableKey(gid);
+    if (key) keys.push(key);
+    else missing++;
+  }
+  return [keys, missing];
+}
+
+/** Put the viewer back into a viewpoint: camera, visibility, section cut, selection. */
+function restoreViewpoint(vp) {
+  const { camera, controls, elementMeshMap, models } = getViewerState();
+  if (models.length === 0) {
+    showIssueStatus('Load the models first');
+    return;
+  }
+
+  const [visibleOrHidden] = resolveGlobalIds(vp.visibility?.exceptions || []);
+  if (vp.visibility && !vp.visibility.defaultVisible) {
+    const keep = new Set(visibleOrHidden);
+    setHiddenKeys([...elementMeshMap.keys()].filter(k => !keep.has(k)));
+  } else {
+    setHiddenKeys(visibleOrHidden);
+  }
+
+  setClipPlanes((vp.clippingPlanes || []).map(bcfToClipPlane));
+
+  const [selection, missing] = resolveGlobalIds(vp.selection || []);
+  selectKeys(selection);
+
+  if (vp.camera) {
+    const { position, direction } = viewpointToWorld(vp.camera);
+    // BCF has no orbit target: orthogonal views open in orthographic at their
+    // scale, perspective views pivot on the current target's depth along the view
+    const scale = vp.camera.viewToWorldScale;
+    const depth = controls.target.clone().sub(camera.position).dot(camera.getWorldDirection(new THREE.Vector3()));
+    const dist = scale || Math.max(depth, 1);
+    const target = position.clone().addScaledVector(direction, dist);
+    setCameraState({
+      projection: scale ? 'ortho' : 'perspective',
+      orthoHeight: scale || null,
+      position: position.toArray(),
+      target: target.toArray(),
+    });
+  }
+
+  if (missing > 0) showIssueStatus(`${missing} selected element(s) not in the loaded models`);
+}
+
+// ======================== TOPICS ========================
+function createIssue(title, description, type) {
+  const now = new Date().toISOString();
+  const topic = {
+    guid: crypto.randomUUID(),
+    title: title || 'Untitled issue',
+    description,
+    type,
+    status: 'Open',
+    priority: '',
+    labels: [],
+    author: getAuthor(),
+    creationDate: now,
+    modifiedDate: null,
+    modifiedAuthor: null,
+    assignedTo: '',
+    comments: [],
+    viewpoints: [captureViewpoint()],
+  };
+  issues.unshift(topic);
+  expandedGuid = topic.guid;
+  saveIssues();
+  renderIssueList();
+  console.log(`[issues] Created "${topic.title}"`);
+}
+
+function touch(topic) {
+  topic.modifiedDate = new Date().toISOString();
+  topic.modifiedAuthor = getAuthor();
+}
+
+function updateIssue(guid, changes) {
+  const topic = issues.find(t => t.guid === guid);
+  if (!topic) return;
+  Object.assign(topic, changes);
+  touch(topic);
+  saveIssues();
+  renderIssueList();
+}
+
+function addComment(guid, text) {
+  const topic = issues.find(t => t.guid === guid);
+  if (!topic || !text.trim()) return;
+  topic.comments.push({
+    guid: crypto.randomUUID(),
+    date: new Date().toISOString(),
+    author: getAuthor(),
+    comment: text.trim(),
+    viewpointGuid: null,
+  });
+  touch(topic);
+  saveIssues();
+  renderIssueList();
+}
+
+/** Replace a topic's main viewpoint with the current view. */
+function recaptureViewpoint(guid) {
+  const topic = issues.find(t => t.guid === guid);
+  if (!topic) return;
+  topic.viewpoints = [captureViewpoint(), ...topic.viewpoints.slice(1)];
+  touch(topic);
+  saveIssues();
+  renderIssueList();
+  showIssueStatus('Viewpoint updated');
+}
+
+function deleteIssue(guid) {
+  const topic = issues.find(t => t.guid === guid);
+  if (!topic || !confirm(`Delete issue "${topic.title}"?`)) return;
+  issues = issues.filter(t => t.guid !== guid);
+  if (expandedGuid === guid) expandedGuid = null;
+  saveIssues();
+  renderIssueList();
+}
+
+// ======================== IMPORT / EXPORT ========================
+function exportIssuesBCF(version) {
+  const topics = visibleIssues();
+  if (topics.length === 0) { showIssueStatus('No issues to export'); return; }
+  downloadBcf(topics, `issues_${new Date().toISOString().slice(0, 10)}`, version);
+  showIssueStatus(`${topics.length} topic(s) exported as BCF ${version}`);
+}
+
+function importIssuesBCF() {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = '.bcfzip,.bcf,.zip';
+  input.addEventListener('change', async () => {
+    const file = input.files[0];
+    if (!file) return;
+    try {
+      const { topics } = await readBcfZip(file);
+      // Topics already here (same GUID) are replaced, so a round-trip updates them
+      const byGuid = new Map(issues.map(t => [t.guid, t]));
+      for (const t of topics) byGuid.set(t.guid, { comments: [], viewpoints: [], labels: [], ...t });
+      issues = [...byGuid.values()];
+      saveIssues();
+      renderIssueList();
+      showIssueStatus(`${topics.length} topic(s) imported`);
+    } catch (e) {
+      console.error('[issues] Import failed:', e);
+      showIssueStatus(`Import failed: ${e.message}`);
+    }
+  });
+  input.click();
+}
+
+// ======================== SIDEBAR PANEL ========================
+function initIssuesPanel() {
+  if (!loaded) loadIssues();
+  const authorInput = document.getElementById('issueAuthor');
+  if (authorInput) authorInput.value = getAuthor();
+  renderIssueList();
+}
+
+function visibleIssues() {
+  return statusFilter === 'all' ? issues : issues.filter(t => t.status === statusFilter);
+}
+
+function escapeHtml(s) {
+  return String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function statusColor(status) {
+  return TOPIC_STATUSES[status] || '#60a5fa';
+}
+
+function optionList(values, current) {
+  const all = current && !values.includes(current) ? [...values, current] : values;
+  return all.map(v => `<option value="${escapeHtml(v)}"${v === current ? ' selected' : ''}>${escapeHtml(v)}</option>`).join('');
+}
+
+function renderIssueList() {
+  const container = document.getElementById('issuesContent');
+  if (!container) return;
+
+  let html = '';
+  if (creating) {
+    html += `<div class="issue-form">`;
+    html += `<input type="text" class="issue-input" id="issueNewTitle" placeholder="Title">`;
+    html += `<textarea class="issue-input" id="issueNewDesc" rows="3" placeholder="Description"></textarea>`;
+    html += `<div class="issue-form-row">`;
+    html += `<select class="issue-select" id="issueNewType">${optionList(TOPIC_TYPES, 'Issue')}</select>`;
+    html += `<button class="btn-sm btn-primary" id="issueCreateBtn">Create</button>`;
+    html += `<button class="btn-sm btn-secondary" id="issueCancelBtn">Cancel</button>`;
+    html += `</div>`;
+    html += `<div class="issue-hint">Captures the camera, selection, hidden elements, section cut and a snapshot.</div>`;
+    html += `</div>`;
+  }
+
+  const counts = {};
+  for (const t of issues) counts[t.status] = (counts[t.status] || 0) + 1;
+  html += `<div class="issue-list-bar">`;
+  html += `<select class="issue-select" id="issueFilter">`;
+  html += `<option value="all">All (${issues.length})</option>`;
+  for (const s of new Set([...Object.keys(TOPIC_STATUSES), ...Object.keys(counts)])) {
+    html += `<option value="${escapeHtml(s)}"${s === statusFilter ? ' selected' : ''}>${escapeHtml(s)} (${counts[s] || 0})</option>`;
+  }
+  html += `</select></div>`;
+
+  const list = visibleIssues();
+  if (list.length === 0) {
+    html += `<div class="issue-empty">${issues.length === 0
+      ? 'No issues yet. Set up a view and click New Issue, or import a .bcfzip.'
+      : 'No issues with this status.'}</div>`;
+  }
+
+  for (const t of list) {
+    const vp = t.viewpoints[0];
+    const open = t.guid === expandedGuid;
+    html += `<div class="issue-card${open ? ' expanded' : ''}" data-guid="${escapeHtml(t.guid)}">`;
+    html += `<div class="issue-card-main">`;
+    html += vp?.snapshot?.startsWith('data:image/')
+      ? `<img class="issue-thumb" src="${escapeHtml(vp.snapshot)}" alt="">`
+      : `<div class="issue-thumb issue-thumb-empty">&#9634;</div>`;
+    html += `<div class="issue-card-text">`;
+    html += `<div class="issue-title">${escapeHtml(t.title)}</div>`;
+    html += `<div class="issue-meta"><span class="issue-badge" style="color:${statusColor(t.status)}">${escapeHtml(t.status)}</span>`;
+    html += ` · ${escapeHtml(t.type)} · ${escapeHtml(t.author)} · ${escapeHtml(t.creationDate.slice(0, 10))}`;
+    if (t.comments.length > 0) html += ` · ${t.comments.length} &#128172;`;
+    html += `</div></div></div>`;
+
+    if (open) {
+      html += `<div class="issue-detail">`;
+      html += `<input type="text" class="issue-input" data-field="title" value="${escapeHtml(t.title)}">`;
+      html += `<textarea class="issue-input" data-field="description" rows="3" placeholder="Description">${escapeHtml(t.description)}</textarea>`;
+      html += `<div class="issue-form-row">`;
+      html += `<select class="issue-select" data-field="status">${optionList(Object.keys(TOPIC_STATUSES), t.status)}</select>`;
+      html += `<select class="issue-select" data-field="type">${optionList(TOPIC_TYPES, t.type)}</select>`;
+      html += `</div>`;
+      if (vp) {
+        html += `<div class="issue-vp-info">${vp.selection.length} selected · `
+          + `${vp.visibility.defaultVisible ? `${vp.visibility.exceptions.length} hidden` : `${vp.visibility.exceptions.length} visible`}`
+          + ` · ${vp.clippingPlanes.length} clip plane(s)</div>`;
+      }
+      html += `<div class="issue-comments">`;
+      for (const c of t.comments) {
+        html += `<div class="issue-comment"><div class="issue-comment-head">${escapeHtml(c.author)} · ${escapeHtml(c.date.slice(0, 16).replace('T', ' '))}</div>`;
+        html += `<div class="issue-comment-text">${escapeHtml(c.comment)}</div></div>`;
+      }
+      html += `</div>`;
+      html += `<div class="issue-form-row">`;
+      html += `<input type="text" class="issue-input" data-role="comment" placeholder="Add a comment…">`;
+      html += `<button class="btn-sm btn-secondary" data-action="comment">Post</button>`;
+      html += `</div>`;
+      html += `<div class="issue-form-row">`;
+      html += `<button class="btn-sm btn-secondary" data-action="recapture" title="Replace the viewpoint with the current view">Update View</button>`;
+      html += `<button class="btn-sm btn-secondary issue-delete" data-action="delete">Delete</button>`;
+      html += `</div>`;
+      html += `</div>`;
+    }
+    html += `</div>`;
+  }
+
+  container.innerHTML = html;
+
+  // ---- Wire events ----
+  document.getElementById('issueCreateBtn')?.addEventListener('click', () => {
+    creating = false;
+    createIssue(
+      document.getElementById('issueNewTitle').value.trim(),
+      document.getElementById('issueNewDesc').value.trim(),
+      document.getElementById('issueNewType').value,
+    );
+  });
+  document.getElementById('issueCancelBtn')?.addEventListener('click', () => {
+    creating = false;
+    renderIssueList();
+  });
+  if (creating) document.getElementById('issueNewTitle')?.focus();
+
+  document.getElementById('issueFilter')?.addEventListener('change', (e) => {
+    statusFilter = e.target.value;
+    renderIssueList();
+  });
+
+  container.querySelectorAll('.issue-card').forEach(card => {
+    const guid = card.dataset.guid;
+    const topic = issues.find(t => t.guid === guid);
+    card.querySelector('.issue-card-main').addEventListener('click', () => {
+      expandedGuid = expandedGuid === guid ? null : guid;
+      if (topic.viewpoints[0]) restoreViewpoint(topic.viewpoints[0]);
+      renderIssueList();
+    });
+    card.querySelectorAll('[data-field]').forEach(el => {
+      el.addEventListener('change', () => updateIssue(guid, { [el.dataset.field]: el.value.trim() }));
+    });
+    const commentInput = card.querySelector('[data-role="comment"]');
+    commentInput?.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') addComment(guid, commentInput.value);
+    });
+    card.querySelector('[data-action="comment"]')?.addEventListener('click', () => addComment(guid, commentInput.value));
+    card.querySelector('[data-action="recapture"]')?.addEventListener('click', () => recaptureViewpoint(guid));
+    card.querySelector('[data-action="delete"]')?.addEventListener('click', () => deleteIssue(guid));
+  });
+}
+
+function showIssueStatus(msg) {
+  const el = document.getElementById('issueStatus');
+  if (!el) return;
+  el.textContent = msg;
+  el.classList.add('visible');
+  clearTimeout(el._timer);
+  el._timer = setTimeout(() => el.classList.remove('visible'), 2500);
+}
+
+function wireIssueEvents() {
+  if (!loaded) loadIssues();
+  document.getElementById('issueNewBtn')?.addEventListener('click', () => {
+    const { models } = getViewerState();
+    if (models.length === 0) { showIssueStatus('Load a model first'); return; }
+    creating = true;
+    renderIssueList();
+  });
+  document.getElementById('issueImportBtn')?.addEventListener('click', importIssuesBCF);
+  document.getElementById('issueExportBtn')?.addEventListener('click', () => exportIssuesBCF('2.1'));
+  document.getElementById('issueExport3Btn')?.addEventListener('click', () => exportIssuesBCF('3.0'));
+  document.getElementById('issueAuthor')?.addEventListener('change', (e) => setAuthor(e.target.value.trim()));
+}
+
+// ======================== EXPORTS ========================
+export { initIssuesPanel, wireIssueEvents, restoreViewpoint, exportIssuesBCF };
@@ -0,0 +1,655 @@
+/* ============================================================
+   BIM Model Viewer — measure.js
+   Measurement tools: point-to-point distance, chained polyline
+   length, planar area, angle and spot elevation. Picks snap to
+   the vertex, edge or face under the cursor. Points are kept in
+   model space (the model group's local frame, metres, Y up) so
+   they follow rotation presets; values display in the model's
+   own length unit via its unitFactor.
+   ============================================================ */
+
+import * as THREE from 'three';
+import { getViewerState, raycastHit } from './viewer.js';
+import { worldPointToIfc } from './bcf.js';
+
+// ======================== CONFIG ========================
+const MODES = {
+  distance:  { label: 'Distance',  points: 2,        hint: 'Click two points' },
+  polyline:  { label: 'Polyline',  points: Infinity, hint: 'Click points, double-click or Enter to finish' },
+  area:      { label: 'Area',      points: Infinity, hint: 'Click the outline, double-click or Enter to close' },
+  angle:     { label: 'Angle',     points: 3,        hint: 'Click a point, the vertex, then a second point' },
+  elevation: { label: 'Elevation', points: 1,        hint: 'Click a point' },
+};
+const MIN_POINTS = { distance: 2, polyline: 2, area: 3, angle: 3, elevation: 1 };
+
+const SNAP_PX = 12;              // pointer distance for vertex / edge snapping
+const CLICK_SLOP_PX = 4;         // more movement than this is an orbit drag, not a pick
+const SNAP_COLORS = { vertex: 0x34d399, edge: 0xfbbf24, face: 0x60a5fa };
+const LINE_COLOR = 0xfbbf24;
+const PENDING_COLOR = 0x60a5fa;
+
+// Known unit factors (metres per model unit) → label and display decimals
+const UNITS = [
+  { factor: 1,      label: 'm',  decimals: 3 },
+  { factor: 0.001,  label: 'mm', decimals: 0 },
+  { factor: 0.01,   label: 'cm', decimals: 1 },
+  { factor: 0.3048, label: 'ft', decimals: 2 },
+  { factor: 0.0254, label: 'in', decimals: 1 },
+];
+
+// ======================== STATE ========================
+let active = false;
+let mode = 'distance';
+let unitMode = 'model';          // 'model' | 'metric'
+let measurements = [];           // { id, type, points: [[x, y, z]] model space, modelIdx }
+let nextId = 1;
+let pending = null;              // { type, points, modelIdx } while picking
+let hover = null;                // current snap under the pointer
+
+let overlay = null;              // THREE.Group holding all measurement graphics
+let marker = null;               // snap indicator
+let labelLayer = null;           // DOM container for value labels
+let downPos = null;
+let moveQueued = false;
+let lastMoveEvent = null;
+
+const _v = new THREE.Vector3();
+const _m = new THREE.Matrix4();
+const _line = new THREE.Line3();
+
+// ======================== COORDINATES ========================
+/** Frame measurements live in: the (shared) local frame of the model groups. */
+function modelFrame() {
+  const { models } = getViewerState();
+  const group = models[0]?.modelGroup;
+  if (group) group.updateMatrixWorld(true);
+  return group || null;
+}
+
+function toModel(worldPoint) {
+  const group = modelFrame();
+  const p = worldPoint.clone();
+  if (group) group.worldToLocal(p);
+  return p.toArray();
+}
+
+function toWorld(arr) {
+  const group = modelFrame();
+  const p = new THREE.Vector3().fromArray(arr);
+  return group ? group.localToWorld(p) : p;
+}
+
+// ======================== UNITS ========================
+function unitFor(modelIdx) {
+  if (unitMode === 'metric') return UNITS[0];
+  const { models } = getViewerState();
+  const factor = models.find(m => m.idx === modelIdx)?.unitFactor || 1;
+  return UNITS.find(u => Math.abs(u.factor - factor) < factor * 1e-6)
+    || { factor, label: `× ${factor} m`, decimals: 3 };
+}
+
+function formatLength(metres, unit) {
+  return `${(metres / unit.factor).toFixed(unit.decimals)} ${unit.label}`;
+}
+
+function formatArea(sqMetres, unit) {
+  return `${(sqMetres / (unit.factor * unit.factor)).toFixed(unit.decimals)} ${unit.label}²`;
+}
+
+function formatSigned(metres, unit) {
+  return (metres >= 0 ? '+' : '−') + formatLength(Math.abs(metres), unit);
+}
+
+// ======================== GEOMETRY ========================
+function vec(arr) {
+  return new THREE.Vector3().fromArray(arr);
+}
+
+function pathLength(points) {
+  let sum = 0;
+  for (let i = 1; i < points.length; i++) sum += vec(points[i]).distanceTo(vec(points[i - 1]));
+  return sum;
+}
+
+/** Area of a (near-)planar polygon via Newell's method. */
+function polygonArea(points) {
+  const n = new THREE.Vector3();
+  for (let i = 0; i < points.length; i++) {
+    const a = vec(points[i]);
+    const b = vec(points[(i + 1) % points.length]);
+    n.add(a.cross(b));
+  }
+  return n.length() / 2;
+}
+
+/** Storey of the model at or just below an elevation (metres), or null. */
+function storeyBelow(elevation, modelIdx) {
+  const { storeys } = getViewerState();
+  let best = null;
+  for (const s of Object.values(storeys)) {
+    if (s.modelIdx !== modelIdx || s.elevation_m > elevation + 1e-3) continue;
+    if (!best || s.elevation_m > best.elevation_m) best = s;
+  }
+  return best;
+}
+
+/**
+ * Value of a measurement for display and export.
+ * @returns {{ value: number, unitKind: 'length' | 'area' | 'angle', text: string, detail: string }}
+ */
+function evaluate(m) {
+  const unit = unitFor(m.modelIdx);
+  const p = m.points;
+  switch (m.type) {
+    case 'distance': {
+      const d = vec(p[1]).sub(vec(p[0]));
+      return {
+        value: d.length(), unitKind: 'length',
+        text: formatLength(d.length(), unit),
+        detail: `Δh ${formatSigned(d.y, unit)} · horizontal ${formatLength(Math.hypot(d.x, d.z), unit)}`,
+      };
+    }
+    case 'polyline': {
+      const len = pathLength(p);
+      return { value: len, unitKind: 'length', text: formatLength(len, unit), detail: `${p.length - 1} segment(s)` };
+    }
+    case 'area': {
+      const area = polygonArea(p);
+      return {
+        value: area, unitKind: 'area',
+        text: formatArea(area, unit),
+        detail: `perimeter ${formatLength(pathLength([...p, p[0]]), unit)}`,
+      };
+    }
+    case 'angle': {
+      const a = vec(p[0]).sub(vec(p[1]));
+      const b = vec(p[2]).sub(vec(p[1]));
+      const deg = THREE.MathUtils.radToDeg(a.angleTo(b));
+      return { value: deg, unitKind: 'angle', text: `${deg.toFixed(1)}°`, detail: `supplement ${(180 - deg).toFixed(1)}°` };
+    }
+    case 'elevation': {
+      // Model space is Y up, so local Y is the IFC elevation
+      const z = p[0][1];
+      const storey = storeyBelow(z, m.modelIdx);
+      return {
+        value: z, unitKind: 'length',
+        text: storey ? `${storey.name} ${formatSigned(z - storey.elevation_m, unit)}` : formatSigned(z, unit),
+        detail: `absolute ${formatSigned(z, unit)}`,
+      };
+    }
+  }
+  return { value: 0, unitKind: 'length', text: '', detail: '' };
+}
+
+// ======================== SNAPPING ========================
+function toScreen(world, rect) {
+  const { camera } = getViewerState();
+  _v.copy(world).project(camera);
+  return { x: (_v.x + 1) / 2 * rect.width, y: (1 - _v.y) / 2 * rect.height, behind: _v.z > 1 };
+}
+
+/** World-space corners of the triangle a ray hit. */
+function hitTriangle(hit) {
+  const obj = hit.object;
+  const pos = obj.geometry.attributes.position;
+  const verts = [hit.face.a, hit.face.b, hit.face.c].map(i => new THREE.Vector3().fromBufferAttribute(pos, i));
+  if (obj.isInstancedMesh && hit.instanceId != null) {
+    obj.getMatrixAt(hit.instanceId, _m);
+    for (const v of verts) v.applyMatrix4(_m);
+  }
+  for (const v of verts) v.applyMatrix4(obj.matrixWorld);
+  return verts;
+}
+
+/** Element point under the pointer, snapped to a nearby vertex or edge. */
+function snapPoint(event) {
+  const res = raycastHit(event);
+  if (!res || !res.hit.face) return null;
+  const { renderer } = getViewerState();
+  const rect = renderer.domElement.getBoundingClientRect();
+  const cx = event.clientX - rect.left;
+  const cy = event.clientY - rect.top;
+  const screenDist = (w) => {
+    const s = toScreen(w, rect);
+    return Math.hypot(s.x - cx, s.y - cy);
+  };
+
+  const tri = hitTriangle(res.hit);
+  let best = null;
+  let bestDist = SNAP_PX;
+  for (const v of tri) {
+    const d = screenDist(v);
+    if (d < bestDist) { best = { point: v, kind: 'vertex' }; bestDist = d; }
+  }
+  if (!best) {
+    for (let i = 0; i < 3; i++) {
+      _line.set(tri[i], tri[(i + 1) % 3]);
+      const q = _line.closestPointToPoint(res.hit.point, true, new THREE.Vector3());
+      const d = screenDist(q);
+      if (d < bestDist) { best = { point: q, kind: 'edge' }; bestDist = d; }
+    }
+  }
+
+  const { elementDataMap } = getViewerState();
+  return {
+    point: best ? best.point : res.hit.point.clone(),
+    kind: best ? best.kind : 'face',
+    modelIdx: elementDataMap.get(res.key)?.modelIdx ?? 0,
+  };
+}
+
+// ======================== GRAPHICS ========================
+function ensureOverlay() {
+  const { scene } = getViewerState();
+  if (!overlay) {
+    overlay = new THREE.Group();
+    overlay.name = 'measurements';
+    overlay.matrixAutoUpdate = false;
+  }
+  if (!overlay.parent) scene.add(overlay);
+  if (!labelLayer) {
+    labelLayer = document.createElement('div');
+    labelLayer.className = 'measure-labels';
+    document.getElementById('canvas-container')?.appendChild(labelLayer);
+  }
+}
+
+function lineMaterial(color) {
+  return new THREE.LineBasicMaterial({ color, depthTest: false, transparent: true });
+}
+
+function pointMaterial(color) {
+  return new THREE.PointsMaterial({ color, size: 7, sizeAttenuation: false, depthTest: false, transparent: true });
+}
+
+/** Line + vertex dots for a list of model-space points (drawn inside the overlay group). */
+function buildShape(points, closed, color) {
+  const group = new THREE.Group();
+  const geom = new THREE.BufferGeometry().setFromPoints(points.map(vec));
+  if (points.length > 1) {
+    const line = closed ? new THREE.LineLoop(geom, lineMaterial(color)) : new THREE.Line(geom, lineMaterial(color));
+    line.renderOrder = 999;
+    group.add(line);
+  }
+  const dots = new THREE.Points(geom, pointMaterial(color));
+  dots.renderOrder = 999;
+  group.add(dots);
+  return group;
+}
+
+function disposeGroup(group) {
+  group.traverse(o => {
+    o.geometry?.dispose();
+    o.material?.dispose();
+  });
+}
+
+/** Model-space point the value label sits on. */
+function labelAnchor(m) {
+  const pts = m.points.map(vec);
+  if (m.type === 'angle' || m.type === 'elevation') return pts[m.type === 'angle' ? 1 : 0];
+  if (m.type === 'area') return pts.reduce((acc, p) => acc.add(p), new THREE.Vector3()).divideScalar(pts.length);
+  // Midpoint of the middle segment
+  const i = Math.max(0, Math.floor((pts.length - 1) / 2));
+  return pts[i].clone().lerp(pts[Math.min(i + 1, pts.length - 1)], 0.5);
+}
+
+function rebuildGraphics() {
+  ensureOverlay();
+  for (const child of [...overlay.children]) {
+    overlay.remove(child);
+    disposeGroup(child);
+  }
+  labelLayer.innerHTML = '';
+
+  for (const m of measurements) {
+    const shape = buildShape(m.points, m.type === 'area', LINE_COLOR);
+    shape.userData.measureId = m.id;
+    overlay.add(shape);
+
+    const label = document.createElement('div');
+    label.className = 'measure-label';
+    label.textContent = evaluate(m).text;
+    label._anchor = labelAnchor(m);
+    labelLayer.appendChild(label);
+  }
+
+  if (pending) {
+    const pts = hover ? [...pending.points, toModel(hover.point)] : pending.points;
+    if (pts.length > 0) overlay.add(buildShape(pts, pending.type === 'area' && pts.length > 2, PENDING_COLOR));
+    if (pts.length >= MIN_POINTS[pending.type]) {
+      const preview = { ...pending, points: pts };
+      const label = document.createElement('div');
+      label.className = 'measure-label pending';
+      label.textContent = evaluate(preview).text;
+      label._anchor = labelAnchor(preview);
+      labelLayer.appendChild(label);
+    }
+  }
+}
+
+function showMarker(snap) {
+  const { scene } = getViewerState();
+  if (!marker) {
+    marker = new THREE.Mesh(
+      new THREE.SphereGeometry(1, 12, 8),
+      new THREE.MeshBasicMaterial({ depthTest: false, transparent: true, opacity: 0.9 })
+    );
+    marker.renderOrder = 1000;
+  }
+  if (!snap) {
+    if (marker.parent) marker.parent.remove(marker);
+    return;
+  }
+  marker.material.color.setHex(SNAP_COLORS[snap.kind]);
+  marker.position.copy(snap.point);
+  if (!marker.parent) scene.add(marker);
+}
+
+/** Per-frame: follow the model frame, keep the marker a constant screen size, place labels. */
+function updateFrame() {
+  requestAnimationFrame(updateFrame);
+  if (!overlay && !marker) return;
+  const { camera, renderer } = getViewerState();
+  const group = modelFrame();
+
+  if (overlay) {
+    overlay.visible = !!group;
+    if (group) overlay.matrix.copy(group.matrixWorld);
+    overlay.matrixWorldNeedsUpdate = true;
+  }
+  if (marker?.parent) {
+    // Constant screen size; in orthographic the eye distance says nothing about scale
+    const reach = camera.isOrthographicCamera
+      ? (camera.top - camera.bottom) / camera.zoom * 1.2
+      : camera.position.distanceTo(marker.position);
+    marker.scale.setScalar(reach * 0.006);
+  }
+
+  if (labelLayer && group) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    for (const label of labelLayer.children) {
+      const s = toScreen(group.localToWorld(label._anchor.clone()), rect);
+      label.style.display = s.behind ? 'none' : '';
+      label.style.transform = `translate(${s.x}px, ${s.y}px) translate(-50%, -130%)`;
+    }
+  }
+}
+
+// ======================== PICKING ========================
+function startPending() {
+  pending = { type: mode, points: [], modelIdx: null };
+}
+
+function addPoint(snap) {
+  if (!pending) startPending();
+  const p = toModel(snap.point);
+  const last = pending.points[pending.points.length - 1];
+  // Double-click delivers two clicks on the same spot
+  if (last && vec(last).distanceTo(vec(p)) < 1e-6) return;
+  pending.points.push(p);
+  if (pending.modelIdx === null) pending.modelIdx = snap.modelIdx;
+  if (pending.points.length >= MODES[pending.type].points) finishPending();
+  else rebuildGraphics();
+}
+
+function finishPending() {
+  if (!pending) return;
+  if (pending.points.length >= MIN_POINTS[pending.type]) {
+    const m = { id: nextId++, type: pending.type, points: pending.points, modelIdx: pending.modelIdx };
+    measurements.push(m);
+    console.log(`[measure] ${MODES[m.type].label} ${m.id}: ${evaluate(m).text}`);
+  }
+  pending = null;
+  rebuildGraphics();
+  renderMeasureList();
+}
+
+function cancelPending() {
+  pending = null;
+  rebuildGraphics();
+}
+
+function undoPoint() {
+  if (!pending || pending.points.length === 0) return;
+  pending.points.pop();
+  if (pending.points.length === 0) pending = null;
+  rebuildGraphics();
+}
+
+function onPointerDown(e) {
+  downPos = { x: e.clientX, y: e.clientY };
+}
+
+/** Capture-phase click: while measuring, picks replace element selection. */
+function onClick(e) {
+  if (!active) return;
+  e.stopImmediatePropagation();
+  if (downPos && Math.hypot(e.clientX - downPos.x, e.clientY - downPos.y) > CLICK_SLOP_PX) return;
+  const snap = snapPoint(e);
+  if (snap) addPoint(snap);
+}
+
+function onDoubleClick(e) {
+  if (!active) return;
+  e.stopImmediatePropagation();
+  if (pending && MODES[pending.type].points === Infinity) finishPending();
+}
+
+function onPointerMove(e) {
+  if (!active) return;
+  lastMoveEvent = e;
+  if (moveQueued) return;
+  moveQueued = true;
+  requestAnimationFrame(() => {
+    moveQueued = false;
+    if (!active || e.buttons) return;
+    hover = snapPoint(lastMoveEvent);
+    showMarker(hover);
+    if (pending) rebuildGraphics();
+  });
+}
+
+// ======================== ACTIVATE / DEACTIVATE ========================
+function activate() {
+  const { models, renderer } = getViewerState();
+  if (active || models.length === 0) return;
+  active = true;
+  ensureOverlay();
+  renderer.domElement.classList.add('measuring');
+  showPanel();
+  document.getElementById('btnMeasure')?.classList.add('active');
+}
+
+function deactivate() {
+  if (!active) return;
+  active = false;
+  pending = null;
+  hover = null;
+  showMarker(null);
+  rebuildGraphics();
+  getViewerState().renderer.domElement.classList.remove('measuring');
+  document.getElementById('measurePanel')?.remove();
+  document.getElementById('btnMeasure')?.classList.remove('active');
+}
+
+function toggle() {
+  if (active) deactivate();
+  else activate();
+}
+
+function setMode(m) {
+  mode = m;
+  pending = null;
+  rebuildGraphics();
+  syncPanel();
+}
+
+// ======================== MEASUREMENT LIST ========================
+function deleteMeasurement(id) {
+  measurements = measurements.filter(m => m.id !== id);
+  rebuildGraphics();
+  renderMeasureList();
+}
+
+function clearMeasurements() {
+  measurements = [];
+  pending = null;
+  rebuildGraphics();
+  renderMeasureList();
+}
+
+function exportMeasureCSV() {
+  if (measurements.length === 0) return;
+  const rows = [['ID', 'Type', 'Value', 'Unit', 'Display', 'Detail', 'Points (IFC x y z, m)']];
+  for (const m of measurements) {
+    const r = evaluate(m);
+    const unit = unitFor(m.modelIdx);
+    const value = r.unitKind === 'angle' ? r.value
+      : r.unitKind === 'area' ? r.value / (unit.factor * unit.factor)
+      : r.value / unit.factor;
+    const unitLabel = r.unitKind === 'angle' ? 'deg' : r.unitKind === 'area' ? `${unit.label}²` : unit.label;
+    const pts = m.points.map(p => worldPointToIfc(toWorld(p)).map(c => c.toFixed(4)).join(' ')).join('; ');
+    rows.push([m.id, MODES[m.type].label, value.toFixed(4), unitLabel, r.text, r.detail, pts]);
+  }
+  const csv = rows.map(r => r.map(c => `"${String(c).replace(/"/g, '""')}"`).join(',')).join('\n');
+  const blob = new Blob([csv], { type: 'text/csv' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `measurements_${new Date().toISOString().slice(0, 10)}.csv`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// ======================== UI PANEL ========================
+function showPanel() {
+  document.getElementById('measurePanel')?.remove();
+  const panel = document.createElement('div');
+  panel.id = 'measurePanel';
+  panel.className = 'measure-panel';
+  panel.innerHTML = `
+    <div class="sc-header">
+      <div class="sc-title measure-title">Measure</div>
+      <button class="sc-close" id="measureClose" title="Close measure tool">&times;</button>
+    </div>
+    <div class="sc-section">
+      <div class="measure-mode-row">
+        ${Object.entries(MODES).map(([k, d]) => `<button class="sc-mode-btn" data-mode="${k}">${d.label}</button>`).join('')}
+      </div>
+      <div class="measure-hint" id="measureHint"></div>
+    </div>
+    <div class="sc-section measure-options">
+      <label class="sc-label">Units</label>
+      <select id="measureUnits" class="measure-select">
+        <option value="model">Model units</option>
+        <option value="metric">Metres</option>
+      </select>
+    </div>
+    <div class="measure-list" id="measureList"></div>
+    <div class="sc-section measure-footer">
+      <button class="btn-sm btn-secondary" id="measureCsvBtn">&#8615; CSV</button>
+      <button class="btn-sm btn-secondary" id="measureClearBtn">Clear All</button>
+    </div>
+  `;
+  document.body.appendChild(panel);
+
+  document.getElementById('measureClose').addEventListener('click', deactivate);
+  panel.querySelectorAll('.sc-mode-btn').forEach(b => b.addEventListener('click', () => setMode(b.dataset.mode)));
+  document.getElementById('measureUnits').addEventListener('change', (e) => {
+    unitMode = e.target.value;
+    rebuildGraphics();
+    renderMeasureList();
+  });
+  document.getElementById('measureCsvBtn').addEventListener('click', exportMeasureCSV);
+  document.getElementById('measureClearBtn').addEventListener('click', clearMeasurements);
+  syncPanel();
+  renderMeasureList();
+}
+
+function syncPanel() {
+  document.querySelectorAll('#measurePanel .sc-mode-btn').forEach(b =>
+    b.classList.toggle('active', b.dataset.mode === mode)
+  );
+  const hint = document.getElementById('measureHint');
+  if (hint) hint.textContent = `${MODES[mode].hint}. Backspace removes the last point.`;
+  const units = document.getElementById('measureUnits');
+  if (units) units.value = unitMode;
+}
+
+function renderMeasureList() {
+  const list = document.getElementById('measureList');
+  if (!list) return;
+  if (measurements.length === 0) {
+    list.innerHTML = `<div class="measure-empty">No measurements yet</div>`;
+    return;
+  }
+  list.innerHTML = measurements.map(m => {
+    const r = evaluate(m);
+    return `<div class="measure-row">
+      <span class="measure-row-type">${MODES[m.type].label} ${m.id}</span>
+      <span class="measure-row-value" title="${r.detail}">${r.text}</span>
+      <button class="measure-row-del" data-id="${m.id}" title="Delete">&times;</button>
+    </div>`;
+  }).join('');
+  list.querySelectorAll('.measure-row-del').forEach(b =>
+    b.addEventListener('click', () => deleteMeasurement(parseInt(b.dataset.id)))
+  );
+}
+
+// ======================== SAVE / RESTORE ========================
+/** Serializable measurements (project files). */
+function getMeasurements() {
+  return measurements.map(m => ({ ...m, points: m.points.map(p => [...p]) }));
+}
+
+function setMeasurements(list) {
+  measurements = (list || []).filter(m => MODES[m.type] && m.points?.length >= MIN_POINTS[m.type]);
+  nextId = measurements.reduce((max, m) => Math.max(max, m.id), 0) + 1;
+  pending = null;
+  rebuildGraphics();
+  renderMeasureList();
+}
+
+// ======================== EVENTS ========================
+function wireMeasureEvents() {
+  const { renderer } = getViewerState();
+  const canvas = renderer.domElement;
+  canvas.addEventListener('pointerdown', onPointerDown);
+  canvas.addEventListener('pointermove', onPointerMove);
+  // Capture phase so the viewer's own click-to-select never sees measuring clicks
+  canvas.addEventListener('click', onClick, true);
+  canvas.addEventListener('dblclick', onDoubleClick, true);
+  canvas.addEventListener('pointerleave', () => {
+    hover = null;
+    showMarker(null);
+    if (pending) rebuildGraphics();
+  });
+
+  document.getElementById('btnMeasure')?.addEventListener('click', toggle);
+
+  document.addEventListener('keydown', (e) => {
+    if (document.activeElement.tagName === 'INPUT' || document.activeElement.tagName === 'SELECT'
+      || document.activeElement.tagName === 'TEXTAREA') return;
+    if (e.key === 'm' || e.key === 'M') toggle();
+    if (!active) return;
+    if (e.key === 'Enter') finishPending();
+    if (e.key === 'Backspace') undoPoint();
+  });
+
+  // Capture phase, so cancelling a measurement does not also reach the viewer's Escape (Show All)
+  window.addEventListener('keydown', (e) => {
+    if (e.key !== 'Escape' || !active || !pending) return;
+    if (['INPUT', 'SELECT', 'TEXTAREA'].includes(document.activeElement.tagName)) return;
+    cancelPending();
+    e.stopImmediatePropagation();
+  }, true);
+
+  updateFrame();
+}
+
+// ======================== EXPORTS ========================
+export {
+  wireMeasureEvents, toggle, activate, deactivate,
+  getMeasurements, setMeasurements, exportMeasureCSV,
+};
@@ -0,0 +1,218 @@
+/* ============================================================
+   BIM Model Viewer — model-cache.js
+   IndexedDB cache of parsed models keyed by file content hash
+   (SHA-256). Stores what the IFC worker produced — header,
+   geometry buffers, instance groups, space volumes and element
+   data — so a model seen before reopens without re-parsing.
+   Least recently opened entries are evicted past the size /
+   count limits.
+   ============================================================ */
+
+// ======================== CONFIG ========================
+const DB_NAME = 'bim-viewer-model-cache';
+const DB_VERSION = 1;
+const META_STORE = 'models';     // hash → { hash, name, size, elementCount, bytes, format, cachedAt, lastOpened }
+const PAYLOAD_STORE = 'payloads'; // hash → { hash, header, meshes, groups, spaces, elements }
+
+// Bump whenever the worker output changes shape — older entries are ignored and evicted
+const CACHE_FORMAT = 5;   // 2: element records carry globalId; 3: spatial structure, zones, spaces; 4: decomposition parent; 5: type objects
+
+const MAX_CACHE_BYTES = 1024 * 1024 * 1024;  // 1 GB of geometry
+const MAX_CACHE_ENTRIES = 20;
+
+// ======================== DB HELPERS ========================
+let dbPromise = null;
+
+function openDB() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error('IndexedDB not available'));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(META_STORE)) db.createObjectStore(META_STORE, { keyPath: 'hash' });
+      if (!db.objectStoreNames.contains(PAYLOAD_STORE)) db.createObjectStore(PAYLOAD_STORE, { keyPath: 'hash' });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  // Let a later call retry if opening failed (e.g. private browsing)
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+}
+
+/** Run fn(stores) in a transaction; resolves with fn's result once the transaction completes. */
+async function withStores(mode, fn) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([META_STORE, PAYLOAD_STORE], mode);
+    let result;
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    Promise.resolve(fn(tx.objectStore(META_STORE), tx.objectStore(PAYLOAD_STORE)))
+      .then(r => { result = r; })
+      .catch(err => { tx.abort(); reject(err); });
+  });
+}
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// ======================== READ ========================
+/** All cached model entries (metadata only), most recently opened first. */
+async function listCachedModels() {
+  try {
+    const metas = await withStores('readonly', (meta) => request(meta.getAll()));
+    return metas
+      .filter(m => m.format === CACHE_FORMAT)
+      .sort((a, b) => b.lastOpened - a.lastOpened);
+  } catch (e) {
+    console.warn('[cache] List failed:', e);
+    return [];
+  }
+}
+
+/** Metadata for one hash, or null. */
+async function getCachedMeta(hash) {
+  try {
+    const m = await withStores('readonly', (meta) => request(meta.get(hash)));
+    return m && m.format === CACHE_FORMAT ? m : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Full cached model for a hash, or null. Marks the entry as recently opened.
+ * @returns {Promise<{ header, meshes, groups, spaces, elements, elementCount } | null>}
+ */
+async function getCachedModel(hash) {
+  try {
+    const entry = await withStores('readwrite', async (meta, payloads) => {
+      const m = await request(meta.get(hash));
+      if (!m || m.format !== CACHE_FORMAT) return null;
+      const p = await request(payloads.get(hash));
+      if (!p) return null;
+      m.lastOpened = Date.now();
+      meta.put(m);
+      return { ...p, elementCount: m.elementCount };
+    });
+    if (entry) console.log(`[cache] Hit for ${hash.slice(0, 12)}…`);
+    return entry;
+  } catch (e) {
+    console.warn('[cache] Read failed:', e);
+    return null;
+  }
+}
+
+// ======================== WRITE ========================
+/**
+ * Store a parsed model. Failures (quota, private mode) are logged, not thrown.
+ * @param {string} hash
+ * @param {{ name: string, size: number, elementCount: number }} info
+ * @param {{ header, meshes, groups, spaces, elements }} payload
+ */
+async function putCachedModel(hash, info, payload) {
+  const bytes = payloadBytes(payload);
+  if (bytes > MAX_CACHE_BYTES) {
+    console.log(`[cache] ${info.name} is too large to cache (${(bytes / 1048576).toFixed(0)} MB)`);
+    return false;
+  }
+  try {
+    await withStores('readwrite', (meta, payloads) => {
+      const now = Date.now();
+      meta.put({
+        hash,
+        name: info.name,
+        size: info.size,
+        elementCount: info.elementCount,
+        bytes,
+        format: CACHE_FORMAT,
+        cachedAt: now,
+        lastOpened: now,
+      });
+      payloads.put({ hash, ...payload });
+    });
+    console.log(`[cache] Stored ${info.name} (${(bytes / 1048576).toFixed(1)} MB)`);
+    await evictToFit();
+    return true;
+  } catch (e) {
+    console.warn('[cache] Write failed:', e);
+    return false;
+  }
+}
+
+/** Remove one entry. */
+async function evictCachedModel(hash) {
+  try {
+    await withStores('readwrite', (meta, payloads) => {
+      meta.delete(hash);
+      payloads.delete(hash);
+    });
+  } catch (e) {
+    console.warn('[cache] Evict failed:', e);
+  }
+}
+
+/** Remove every entry. */
+async function clearModelCache() {
+  try {
+    await withStores('readwrite', (meta, payloads) => {
+      meta.clear();
+      payloads.clear();
+    });
+  } catch (e) {
+    console.warn('[cache] Clear failed:', e);
+  }
+}
+
+/** Drop stale-format entries, then least recently opened ones until within limits. */
+async function evictToFit() {
+  const metas = await withStores('readonly', (meta) => request(meta.getAll()));
+  const stale = metas.filter(m => m.format !== CACHE_FORMAT);
+  const live = metas.filter(m => m.format === CACHE_FORMAT)
+    .sort((a, b) => a.lastOpened - b.lastOpened);
+
+  let total = live.reduce((sum, m) => sum + m.bytes, 0);
+  const evict = [...stale];
+  while (live.length > 0 && (total > MAX_CACHE_BYTES || live.length > MAX_CACHE_ENTRIES)) {
+    const m = live.shift();
+    total -= m.bytes;
+    evict.push(m);
+  }
+  for (const m of evict) {
+    await evictCachedModel(m.hash);
+    console.log(`[cache] Evicted ${m.name || m.hash}`);
+  }
+}
+
+/** Rough stored size: typed array bytes plus an allowance for element records. */
+function payloadBytes(payload) {
+  let bytes = 0;
+  for (const m of payload.meshes) bytes += m.positions.byteLength + m.normals.byteLength + m.indices.byteLength;
+  for (const m of payload.spaces) bytes += m.positions.byteLength + m.normals.byteLength + m.indices.byteLength;
+  for (const g of payload.groups) {
+    bytes += g.positions.byteLength + g.normals.byteLength + g.indices.byteLength;
+    bytes += g.instances.length * 160;
+  }
+  bytes += payload.elements.length * 512;
+  return bytes;
+}
+
+// ======================== EXPORTS ========================
+export {
+  listCachedModels,
+  getCachedMeta,
+  getCachedModel,
+  putCachedModel,
+  evictCachedModel,
+  clearModelCache,
+};
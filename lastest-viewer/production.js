@@ -4,7 +4,11 @@
    with 3D color overlay, timeline scrubber, and dashboard
    ============================================================ */
 
-import { getViewerState } from './viewer.js';
+import {
+  getViewerState, toStableKey, fromStableKey, isLegacyStableKey, unloadedEntries,
+  setOverlayLayer, removeOverlayLayer,
+} from './viewer.js';
+import { recordChange } from './history.js';
 
 // ======================== STATE ========================
 // compositeKey → { installed: true, date: 'YYYY-MM-DD' }
@@ -23,23 +27,56 @@ const PROD_COLORS = {
 const STORAGE_KEY = 'prod_installation_data';
 
 // ======================== PERSISTENCE ========================
-function saveToLocalStorage() {
-  const { models } = getViewerState();
-  if (models.length === 0) return;
-
+/** Installation data keyed by GlobalId (or legacy filename:expressID) for cross-session persistence. */
+function getInstallationData() {
   const data = {};
   for (const [key, entry] of installationMap) {
-    // Store by filename:expressID for cross-session persistence
-    const { elementDataMap } = getViewerState();
-    const d = elementDataMap.get(key);
-    if (!d) continue;
-    const model = models.find(m => m.idx === d.modelIdx);
-    if (!model) continue;
-    const persistKey = `${model.filename}:${key.split(':')[1]}`;
-    data[persistKey] = entry;
+    const persistKey = toStableKey(key);
+    if (persistKey) data[persistKey] = entry;
   }
+  return data;
+}
+
+/** Installation record of one element ({ installed, date }), or null. */
+function getInstallation(compositeKey) {
+  return installationMap.get(compositeKey) || null;
+}
+
+/**
+ * Merge stable-keyed records into installationMap.
+ * @returns {{ loaded: number, migrated: number }} records applied, and how many used legacy keys
+ *   for elements that now have a GlobalId
+ */
+function applyInstallationData(data) {
+  let loaded = 0;
+  let migrated = 0;
+  for (const [persistKey, entry] of Object.entries(data)) {
+    const compositeKey = fromStableKey(persistKey);
+    if (!compositeKey) continue;
+    installationMap.set(compositeKey, entry);
+    loaded++;
+    if (isLegacyStableKey(persistKey) && !isLegacyStableKey(toStableKey(compositeKey))) migrated++;
+  }
+  return { loaded, migrated };
+}
+
+/** Replace all installation data (project file open), persist and redraw. */
+function setInstallationData(data) {
+  installationMap.clear();
+  const { loaded } = applyInstallationData(data || {});
+  saveToLocalStorage();
+  refreshAll();
+  return loaded;
+}
+
+function saveToLocalStorage() {
+  const { models } = getViewerState();
+  if (models.length === 0) return;
 
   try {
+    // Keep records for models that are not loaded this session
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    const data = { ...unloadedEntries(stored), ...getInstallationData() };
     localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
     showSaveStatus('Saved');
   } catch (e) {
@@ -48,7 +85,7 @@ function saveToLocalStorage() {
 }
 
 function loadFromLocalStorage() {
-  const { models, elementDataMap } = getViewerState();
+  const { models } = getViewerState();
   if (models.length === 0) return;
 
   let data;
@@ -58,26 +95,14 @@ function loadFromLocalStorage() {
     data = JSON.parse(raw);
   } catch { return; }
 
-  // Build filename→idx lookup
-  const fileMap = {};
-  for (const m of models) fileMap[m.filename] = m.idx;
-
-  let loaded = 0;
-  for (const [persistKey, entry] of Object.entries(data)) {
-    const colonIdx = persistKey.indexOf(':');
-    if (colonIdx < 0) continue;
-    const filename = persistKey.substring(0, colonIdx);
-    const expressID = persistKey.substring(colonIdx + 1);
-    const modelIdx = fileMap[filename];
-    if (modelIdx === undefined) continue;
-    const compositeKey = `${modelIdx}:${expressID}`;
-    if (elementDataMap.has(compositeKey)) {
-      installationMap.set(compositeKey, entry);
-      loaded++;
-    }
-  }
+  const { loaded, migrated } = applyInstallationData(data);
 
   console.log(`[production] Loaded ${loaded} installation records from localStorage`);
+  // Rewrite filename:expressID records under their GlobalIds
+  if (migrated > 0) {
+    saveToLocalStorage();
+    console.log(`[production] Migrated ${migrated} records to GlobalId keys`);
+  }
 }
 
 function exportToJSON() {
@@ -89,6 +114,7 @@ function exportToJSON() {
     if (!d) continue;
     const model = models.find(m => m.idx === d.modelIdx);
     records.push({
+      globalId: d.globalId || null,
       compositeKey: key,
       elementName: d.name,
       ifcType: d.ifcType,
@@ -99,7 +125,7 @@ function exportToJSON() {
     });
   }
 
-  const blob = new Blob([JSON.stringify({ version: 1, exported: new Date().toISOString(), records }, null, 2)], { type: 'application/json' });
+  const blob = new Blob([JSON.stringify({ version: 2, exported: new Date().toISOString(), records }, null, 2)], { type: 'application/json' });
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
@@ -129,21 +155,23 @@ function importFromJSON() {
       for (const m of models) fileMap[m.filename] = m.idx;
 
       let imported = 0;
-      for (const rec of data.records) {
-        // Try compositeKey first, then rebuild from model+expressID
-        let key = rec.compositeKey;
-        if (!elementDataMap.has(key) && rec.model) {
-          const idx = fileMap[rec.model];
-          if (idx !== undefined) {
-            const eid = key.split(':')[1];
-            key = `${idx}:${eid}`;
+      recordChange('Import installation records', productionHistory, () => {
+        for (const rec of data.records) {
+          // GlobalId survives re-exports; older files fall back to compositeKey, then model+expressID
+          let key = (rec.globalId && fromStableKey(rec.globalId)) || rec.compositeKey;
+          if (!elementDataMap.has(key) && rec.model) {
+            const idx = fileMap[rec.model];
+            if (idx !== undefined) {
+              const eid = key.split(':')[1];
+              key = `${idx}:${eid}`;
+            }
+          }
+          if (elementDataMap.has(key) && rec.installed) {
+            installationMap.set(key, { installed: true, date: rec.date });
+            imported++;
           }
         }
-        if (elementDataMap.has(key) && rec.installed) {
-          installationMap.set(key, { installed: true, date: rec.date });
-          imported++;
-        }
-      }
+      });
 
       console.log(`[production] Imported ${imported} records`);
       saveToLocalStorage();
@@ -157,10 +185,11 @@ function importFromJSON() {
 }
 
 function exportToCSV() {
-  const { models, elementDataMap } = getViewerState();
+  const { models, elementDataMap, elementMeshMap } = getViewerState();
   let csv = 'Element Name,IFC Type,Storey,Model,Status,Installation Date\n';
 
   for (const [key, d] of elementDataMap) {
+    if (!elementMeshMap.has(key)) continue;
     const entry = installationMap.get(key);
     const model = models.find(m => m.idx === d.modelIdx);
     const status = entry?.installed ? 'Installed' : 'Not Installed';
@@ -179,96 +208,90 @@ function exportToCSV() {
 }
 
 // ======================== STATUS MANAGEMENT ========================
+// Installation records as an undo target (history.js)
+const productionHistory = {
+  capture: () => [...installationMap].map(([key, entry]) => [key, { ...entry }]),
+  restore: (entries) => {
+    installationMap = new Map(entries.map(([key, entry]) => [key, { ...entry }]));
+    saveToLocalStorage();
+    refreshAll();
+  },
+};
+
+function countLabel(n) {
+  return `${n} element${n !== 1 ? 's' : ''}`;
+}
+
 /** Mark selected elements as installed on a given date. */
 function markInstalled(keys, date) {
   if (!date) date = new Date().toISOString().slice(0, 10);
-  for (const key of keys) {
-    installationMap.set(key, { installed: true, date });
-  }
-  saveToLocalStorage();
-  refreshAll();
+  const { elementMeshMap } = getViewerState();
+  keys = keys.filter(k => elementMeshMap.has(k));
+  recordChange(`Mark ${countLabel(keys.length)} installed`, productionHistory, () => {
+    for (const key of keys) {
+      installationMap.set(key, { installed: true, date });
+    }
+    saveToLocalStorage();
+    refreshAll();
+  });
 }
 
 /** Unmark elements (set back to not installed). */
 function markNotInstalled(keys) {
-  for (const key of keys) {
-    installationMap.delete(key);
-  }
-  saveToLocalStorage();
-  refreshAll();
+  recordChange(`Unmark ${countLabel(keys.length)}`, productionHistory, () => {
+    for (const key of keys) {
+      installationMap.delete(key);
+    }
+    saveToLocalStorage();
+    refreshAll();
+  });
 }
 
 /** Mark all elements of a given type/storey as installed. */
 function markBulk(filterFn, date) {
   if (!date) date = new Date().toISOString().slice(0, 10);
-  const { elementDataMap } = getViewerState();
-  for (const [key, d] of elementDataMap) {
-    if (filterFn(key, d)) {
-      installationMap.set(key, { installed: true, date });
+  const { elementDataMap, elementMeshMap } = getViewerState();
+  recordChange('Mark elements installed', productionHistory, () => {
+    for (const [key, d] of elementDataMap) {
+      if (elementMeshMap.has(key) && filterFn(key, d)) {
+        installationMap.set(key, { installed: true, date });
+      }
     }
-  }
-  saveToLocalStorage();
-  refreshAll();
+    saveToLocalStorage();
+    refreshAll();
+  });
 }
 
 /** Clear all installation data. */
 function clearAll() {
-  if (!confirm('Clear all production tracking data? This cannot be undone.')) return;
-  installationMap.clear();
-  saveToLocalStorage();
-  refreshAll();
+  if (!confirm('Clear all production tracking data? (Ctrl+Z restores it)')) return;
+  recordChange('Clear installation data', productionHistory, () => {
+    installationMap.clear();
+    saveToLocalStorage();
+    refreshAll();
+  });
 }
 
 // ======================== 3D COLOR OVERLAY ========================
+/** Overlay layer: installed (as of the timeline date) in green, the rest ghosted gray. */
+function productionStyle(key) {
+  const entry = installationMap.get(key);
+  // If timeline date is set, only show as installed if date <= timelineDate
+  const showAsInstalled = entry?.installed && (!timelineDate || entry.date <= timelineDate);
+  return showAsInstalled
+    ? { color: PROD_COLORS.installed, opacity: 0.92, emissive: 0x0a3320 }
+    : { color: PROD_COLORS.notInstalled, opacity: 0.35, emissive: 0x000000 };
+}
+
 function applyProductionOverlay() {
-  const { elementMeshMap, elementDataMap } = getViewerState();
   productionMode = true;
-
-  for (const [key, mesh] of elementMeshMap) {
-    // Save original color if not already saved
-    if (mesh.userData._prodOrigColor === undefined) {
-      mesh.userData._prodOrigColor = mesh.material.color.getHex();
-      mesh.userData._prodOrigOpacity = mesh.material.opacity;
-      mesh.userData._prodOrigEmissive = mesh.material.emissive.getHex();
-    }
-
-    const entry = installationMap.get(key);
-    const isInstalled = entry?.installed;
-
-    // If timeline date is set, only show as installed if date <= timelineDate
-    const showAsInstalled = isInstalled && (!timelineDate || entry.date <= timelineDate);
-
-    if (showAsInstalled) {
-      mesh.material.color.setHex(PROD_COLORS.installed);
-      mesh.material.opacity = 0.92;
-      mesh.material.emissive.setHex(0x0a3320);
-    } else {
-      mesh.material.color.setHex(PROD_COLORS.notInstalled);
-      mesh.material.opacity = 0.35;
-      mesh.material.emissive.setHex(0x000000);
-    }
-    mesh.material.needsUpdate = true;
-  }
-
+  setOverlayLayer('production', productionStyle);
   updateProductionButton(true);
 }
 
 function removeProductionOverlay() {
-  const { elementMeshMap } = getViewerState();
   productionMode = false;
-
-  for (const [key, mesh] of elementMeshMap) {
-    if (mesh.userData._prodOrigColor !== undefined) {
-      mesh.material.color.setHex(mesh.userData._prodOrigColor);
-      mesh.material.opacity = mesh.userData._prodOrigOpacity;
-      mesh.material.emissive.setHex(mesh.userData._prodOrigEmissive || 0x000000);
-      delete mesh.userData._prodOrigColor;
-      delete mesh.userData._prodOrigOpacity;
-      delete mesh.userData._prodOrigEmissive;
-      mesh.material.needsUpdate = true;
-    }
-  }
-
+  removeOverlayLayer('production');
   updateProductionButton(false);
 }
 
@@ -280,6 +303,26 @@ function toggleProductionOverlay() {
   }
 }
 
+/** Show installation as of a date ('YYYY-MM-DD'), or everything for null. */
+function setTimelineDate(date) {
+  timelineDate = date || null;
+  if (productionMode) applyProductionOverlay();
+}
+
+function getTimelineDate() {
+  return timelineDate;
+}
+
+function isProductionOverlayActive() {
+  return productionMode;
+}
+
+/** Turn the overlay on or off; turning it on again re-applies the colors. */
+function setProductionOverlay(on) {
+  if (productionMode) removeProductionOverlay();
+  if (on) applyProductionOverlay();
+}
+
 function updateProductionButton(active) {
   const btn = document.getElementById('btnProduction');
   if (btn) btn.classList.toggle('active', active);
@@ -287,14 +330,18 @@ function updateProductionButton(active) {
 
 // ======================== STATISTICS ========================
 function getStats() {
-  const { elementDataMap } = getViewerState();
-  const total = elementDataMap.size;
+  const { elementDataMap, elementMeshMap } = getViewerState();
+  let total = 0;
   let installed = 0;
   const byDate = {};    // date → count
   const byStorey = {};  // storey → { installed, total }
   const byType = {};    // ifcType → { installed, total }
 
   for (const [key, d] of elementDataMap) {
+    // Installation is tracked on what gets built — assemblies without geometry count through their parts
+    if (!elementMeshMap.has(key)) continue;
+    total++;
+
     // Storey stats
     if (!byStorey[d.storey]) byStorey[d.storey] = { installed: 0, total: 0 };
     byStorey[d.storey].total++;
@@ -876,6 +923,13 @@ export {
   markInstalled,
   markNotInstalled,
   toggleProductionOverlay,
+  isProductionOverlayActive,
+  setProductionOverlay,
+  setTimelineDate,
+  getTimelineDate,
   toggleDashboard,
   refreshAll,
+  getInstallationData,
+  setInstallationData,
+  getInstallation,
 };
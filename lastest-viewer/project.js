@@ -0,0 +1,247 @@
+/* ============================================================
+   BIM Model Viewer — project.js
+   Project files (.bimproj): a single JSON document bundling the
+   loaded model list (with SHA-256 file hashes), camera, hidden
+   elements, section cut, measurements, saved viewpoints and
+   walkthrough steps, saved queries, UniFormat overrides,
+   estimate cost rates and production installation data.
+   IFC files are not embedded — Open Project takes the .bimproj
+   together with its IFC files and matches them by hash; models
+   still in the IndexedDB cache need not be selected again.
+   ============================================================ */
+
+import {
+  getViewerState, loadIFCFiles, hashBuffer,
+  getCameraState, setCameraState, setHiddenKeys,
+  toStableKey, fromStableKey,
+} from './viewer.js';
+import { getSectionState, setSectionState } from './section-cut.js';
+import { getMeasurements, setMeasurements } from './measure.js';
+import { getSavedViewpoints, setSavedViewpoints } from './viewpoints.js';
+import { getWalkthroughSteps, setWalkthroughSteps } from './walkthrough.js';
+import { getSavedQueries, setSavedQueries } from './query.js';
+import { getOverridesData, setOverridesData } from './uniformat.js';
+import { getCostRates, setCostRates } from './estimate.js';
+import { getInstallationData, setInstallationData } from './production.js';
+import { getCachedMeta } from './model-cache.js';
+import { clearHistory } from './history.js';
+
+// ======================== CONSTANTS ========================
+const PROJECT_FORMAT = 'bimproj';
+const PROJECT_VERSION = 2;   // 2: element keys are IFC GlobalIds (v1 used filename:expressID)
+const PROJECT_EXT = '.bimproj';
+
+// ======================== STABLE KEYS ========================
+// Element references use the viewer's stable keys: the IFC GlobalId, or
+// "filename:expressID" for elements without one and for v1 projects.
+
+/**
+ * Rewrite the filename part of a legacy stable key when a model was opened
+ * under a new name. GlobalIds are returned unchanged.
+ */
+function renameStableKey(stableKey, renames) {
+  const colonIdx = stableKey.lastIndexOf(':');
+  if (colonIdx < 0) return stableKey;
+  const filename = stableKey.substring(0, colonIdx);
+  return (renames[filename] ?? filename) + stableKey.substring(colonIdx);
+}
+
+function renameKeysIn(obj, renames) {
+  const out = {};
+  for (const [key, val] of Object.entries(obj || {})) {
+    out[renameStableKey(key, renames)] = val;
+  }
+  return out;
+}
+
+// ======================== SAVE ========================
+/** Snapshot every module's state into a project document. */
+function buildProject() {
+  const { models, hiddenKeys } = getViewerState();
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    saved: new Date().toISOString(),
+    models: models.map(m => ({
+      filename: m.filename,
+      size: m.size,
+      hash: m.hash,
+      elementCount: m.elementCount,
+    })),
+    camera: getCameraState(),
+    hiddenKeys: [...hiddenKeys].map(toStableKey).filter(Boolean),
+    section: getSectionState(),
+    measurements: getMeasurements(),
+    viewpoints: getSavedViewpoints(),
+    walkthrough: getWalkthroughSteps(),
+    queries: getSavedQueries(),
+    classifications: getOverridesData(),
+    costRates: getCostRates(),
+    installation: getInstallationData(),
+  };
+}
+
+function saveProject() {
+  const { models } = getViewerState();
+  if (models.length === 0) {
+    showProjectStatus('No models loaded');
+    return;
+  }
+
+  const project = buildProject();
+  const baseName = models.length === 1 ? models[0].filename : 'project';
+  const blob = new Blob([JSON.stringify(project, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${baseName}_${new Date().toISOString().slice(0, 10)}${PROJECT_EXT}`;
+  a.click();
+  URL.revokeObjectURL(url);
+  showProjectStatus('Project saved');
+}
+
+// ======================== OPEN ========================
+function openProject() {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = `${PROJECT_EXT},.ifc`;
+  input.multiple = true;
+  input.addEventListener('change', (e) => {
+    if (e.target.files.length > 0) openProjectFiles(e.target.files);
+  });
+  input.click();
+}
+
+/**
+ * Open a project from a file selection holding one .bimproj plus its IFC files.
+ * Models are matched by content hash first, then by filename, then looked up
+ * in the model cache.
+ */
+async function openProjectFiles(fileList) {
+  const files = [...fileList];
+  const projFile = files.find(f => f.name.toLowerCase().endsWith(PROJECT_EXT));
+  if (!projFile) {
+    showProjectStatus(`Select a ${PROJECT_EXT} file`);
+    return;
+  }
+
+  let project;
+  try {
+    project = JSON.parse(await projFile.text());
+  } catch (err) {
+    console.warn('[project] Failed to parse project file:', err);
+    showProjectStatus('Invalid project file');
+    return;
+  }
+  if (project.format !== PROJECT_FORMAT || !Array.isArray(project.models)) {
+    showProjectStatus('Invalid project file');
+    return;
+  }
+
+  showProjectStatus('Reading models...');
+  const candidates = [];
+  for (const f of files) {
+    if (!f.name.toLowerCase().endsWith('.ifc')) continue;
+    const buffer = await f.arrayBuffer();
+    candidates.push({ name: f.name, size: f.size, buffer, hash: await hashBuffer(buffer) });
+  }
+
+  const matched = [];
+  const missing = [];
+  const renames = {};   // saved filename → filename opened this session
+  for (const pm of project.models) {
+    const c = candidates.find(c => c.hash === pm.hash)
+      || candidates.find(c => c.name.replace('.ifc', '') === pm.filename);
+    if (!c) {
+      const meta = pm.hash ? await getCachedMeta(pm.hash) : null;
+      if (meta) {
+        matched.push({ name: meta.name, size: meta.size, hash: pm.hash });
+        renames[pm.filename] = meta.name.replace('.ifc', '');
+      } else {
+        missing.push(pm.filename);
+      }
+      continue;
+    }
+    if (c.hash !== pm.hash) {
+      console.warn(`[project] ${c.name} does not match the saved revision of ${pm.filename}`);
+    }
+    candidates.splice(candidates.indexOf(c), 1);
+    matched.push(c);
+    renames[pm.filename] = c.name.replace('.ifc', '');
+  }
+
+  if (matched.length === 0) {
+    showProjectStatus('Select the project file together with its IFC files');
+    return;
+  }
+  if (missing.length > 0 &&
+      !confirm(`These models were not selected:\n\n${missing.join('\n')}\n\nOpen the project without them?`)) {
+    return;
+  }
+
+  // Saved state is keyed to the project's models — only restore onto a complete load
+  const { status, failed } = await loadIFCFiles(matched, false);
+  if (status === 'busy') {
+    showProjectStatus('Wait for the current load to finish');
+    return;
+  }
+  if (status === 'cancelled') {
+    showProjectStatus('Loading cancelled — project not opened');
+    return;
+  }
+  if (failed.length === matched.length) {
+    showProjectStatus('No models could be loaded — project not opened');
+    return;
+  }
+  if (failed.length > 0 &&
+      !confirm(`These models failed to load:\n\n${failed.join('\n')}\n\nRestore the project onto the others?`)) {
+    showProjectStatus('Project not opened');
+    return;
+  }
+
+  restoreProject(project, renames);
+  const skipped = missing.length + failed.length;
+  showProjectStatus(skipped > 0 ? `Opened (${skipped} missing)` : 'Project opened');
+  console.log(`[project] Opened project with ${matched.length} model(s)`);
+}
+
+/** Apply a project's saved state to the freshly loaded models. */
+function restoreProject(project, renames = {}) {
+  setOverridesData(renameKeysIn(project.classifications, renames));
+  setCostRates(project.costRates);
+  setInstallationData(renameKeysIn(project.installation, renames));
+
+  const hidden = (project.hiddenKeys || [])
+    .map(k => fromStableKey(renameStableKey(k, renames)))
+    .filter(Boolean);
+  setHiddenKeys(hidden);
+
+  // Camera first — it carries the rotation preset the section bounds depend on
+  setCameraState(project.camera);
+  setSectionState(project.section);
+  setMeasurements(project.measurements);
+  setSavedViewpoints(project.viewpoints);
+  setWalkthroughSteps(project.walkthrough);
+  setSavedQueries(project.queries);
+
+  // The opened project is where undo stops
+  clearHistory();
+}
+
+// ======================== UI ========================
+function showProjectStatus(msg) {
+  const el = document.getElementById('projStatus');
+  if (!el) return;
+  el.textContent = msg;
+  el.classList.add('visible');
+  clearTimeout(el._timer);
+  el._timer = setTimeout(() => el.classList.remove('visible'), 2500);
+}
+
+function wireProjectEvents() {
+  document.getElementById('btnSaveProject')?.addEventListener('click', saveProject);
+  document.getElementById('btnOpenProject')?.addEventListener('click', openProject);
+}
+
+// ======================== EXPORTS ========================
+export { wireProjectEvents, saveProject, openProject, openProjectFiles, buildProject, restoreProject };
@@ -1,16 +1,20 @@
 /* ============================================================
    Model Quantification Tool — quantification.js
-   Aggregates IFC element quantities by Spatial (Storey → Type)
-   or UniFormat (L1 → L2 → L3) organization.
+   Aggregates IFC element quantities by Spatial (Storey → Type,
+   assemblies counted once with their parts' quantities)
+   or UniFormat (L1 → L2 → L3) organization, and room finish
+   areas (floor / wall / ceiling) per IfcSpace by storey or
+   department.
    Displays in standard construction units: EA, SF, LF, CY
    ============================================================ */
 
-import { getViewerState } from './viewer.js';
+import { getViewerState, focusSpaces, spaceLabel, storeyOfNode, assemblyParts } from './viewer.js';
 import { classifications, UNIFORMAT_HIERARCHY, L3_LABELS } from './uniformat.js';
 
 // ======================== STATE ========================
 
-let currentMode = 'spatial'; // 'spatial' | 'uniformat'
+let currentMode = 'spatial'; // 'spatial' | 'uniformat' | 'spaces'
+let spaceGroupBy = 'storey';  // 'storey' | 'department'
 let qtSearchTerm = '';
 
 // ======================== UNIT CONVERSIONS (metric → imperial) ========================
@@ -124,22 +128,133 @@ function extractQuantities(props) {
   return result;
 }
 
+/**
+ * Quantities of an element rolled up over its decomposition: per category,
+ * the assembly's own value where it carries one, else the sum over the parts
+ * that are not assemblies themselves. Plain elements just get their own.
+ */
+function rolledUpQuantities(key, elementDataMap) {
+  const own = extractQuantities(elementDataMap.get(key)?.props);
+  const parts = assemblyParts(key);
+  if (parts.length === 0) return own;
+
+  const sum = { area: 0, volume: 0, length: 0, count: 0 };
+  for (const part of parts) {
+    const data = elementDataMap.get(part);
+    if (!data || data.partKeys.length > 0) continue;
+    const q = extractQuantities(data.props);
+    for (const cat of Object.keys(sum)) sum[cat] += q[cat];
+  }
+  for (const cat of Object.keys(sum)) {
+    if (own[cat] === 0) own[cat] = sum[cat];
+  }
+  return own;
+}
+
+// ======================== SPACE QUANTITIES ========================
+
+/**
+ * Room quantities by property name, most specific first. Qto_SpaceBaseQuantities
+ * is the IFC standard; IFC2x3 files use BaseQuantities, Revit exports Dimensions.
+ */
+const SPACE_QTO = {
+  floor:     ['NetFloorArea', 'GrossFloorArea', 'Area'],
+  ceiling:   ['NetCeilingArea', 'GrossCeilingArea'],
+  wall:      ['NetWallArea', 'GrossWallArea'],
+  perimeter: ['NetPerimeter', 'GrossPerimeter', 'Perimeter'],
+  height:    ['FinishCeilingHeight', 'Height', 'ClearHeight', 'Unbounded Height'],
+};
+const SPACE_QTO_SETS = ['qto_spacebasequantities', 'basequantities', 'dimensions', 'pset_revit_dimensions'];
+const NO_DEPARTMENT = 'No Department';
+
+/**
+ * Finish quantities of one space, metric: { floor, ceiling, wall, perimeter, height, wallDerived }.
+ * Without a wall area in the file, walls are perimeter × height (openings not deducted);
+ * without a ceiling area, the ceiling is taken as flat and equal to the floor.
+ */
+function spaceQuantities(props) {
+  const values = new Map();   // lower-case "set.prop" → positive number
+  for (const [key, val] of Object.entries(props || {})) {
+    if (typeof val === 'number' && val > 0) values.set(key.toLowerCase(), val);
+  }
+  const find = (names) => {
+    for (const name of names) {
+      for (const set of SPACE_QTO_SETS) {
+        const v = values.get(`${set}.${name.toLowerCase()}`);
+        if (v !== undefined) return v;
+      }
+    }
+    return 0;
+  };
+
+  const floor = find(SPACE_QTO.floor);
+  const perimeter = find(SPACE_QTO.perimeter);
+  const height = find(SPACE_QTO.height);
+  let wall = find(SPACE_QTO.wall);
+  const wallDerived = wall === 0 && perimeter > 0 && height > 0;
+  if (wallDerived) wall = perimeter * height;
+  const ceiling = find(SPACE_QTO.ceiling) || floor;
+  return { floor, ceiling, wall, perimeter, height, wallDerived };
+}
+
+/** A "Department" property in any set (Revit Identity Data, custom psets), or null. */
+function departmentProp(props) {
+  for (const [key, val] of Object.entries(props || {})) {
+    if (key.toLowerCase().endsWith('.department') && String(val).trim() !== '') return String(val).trim();
+  }
+  return null;
+}
+
+/**
+ * Every IfcSpace with its finish quantities. The department is the space's
+ * Department property, else the first IfcZone it belongs to.
+ */
+function collectSpaces() {
+  const { spatialNodes, zones } = getViewerState();
+  const zonesOf = new Map();   // space key → zone names
+  for (const zone of zones.values()) {
+    for (const key of zone.spaceKeys) {
+      if (!zonesOf.has(key)) zonesOf.set(key, []);
+      zonesOf.get(key).push(zone.name);
+    }
+  }
+
+  const rooms = [];
+  for (const node of spatialNodes.values()) {
+    if (node.ifcType !== 'IFCSPACE') continue;
+    const zoneNames = zonesOf.get(node.key) || [];
+    rooms.push({
+      key: node.key,
+      number: node.name,
+      name: node.longName || '',
+      label: spaceLabel(node),
+      globalId: node.globalId,
+      storey: storeyOfNode(node.key) || 'Unassigned',
+      department: departmentProp(node.props) || zoneNames[0] || NO_DEPARTMENT,
+      zones: zoneNames,
+      ...spaceQuantities(node.props),
+    });
+  }
+  return rooms;
+}
+
 // ======================== AGGREGATION ========================
 
 function emptyAgg() {
   return { ea: 0, sf: 0, lf: 0, cy: 0, elements: [] };
 }
 
-function addToAgg(agg, quantities, key) {
+function addToAgg(agg, quantities, key, parts = []) {
   agg.ea++;
   agg.sf += quantities.area * M2_TO_SF;
   agg.lf += quantities.length * M_TO_LF;
   agg.cy += quantities.volume * M3_TO_CY;
-  agg.elements.push(key);
+  agg.elements.push(key, ...parts);
 }
 
 /**
- * Build aggregated tree in Spatial mode: Storey → IFC Type → elements
+ * Build aggregated tree in Spatial mode: Storey → IFC Type → elements.
+ * Parts are not counted on their own — they roll up into their assembly.
  */
 function aggregateSpatial() {
   const { elementDataMap } = getViewerState();
@@ -147,21 +262,56 @@ function aggregateSpatial() {
   const totals = emptyAgg();
 
   for (const [key, data] of elementDataMap) {
-    const q = extractQuantities(data.props);
+    if (data.parentKey) continue;
+    const q = rolledUpQuantities(key, elementDataMap);
+    const parts = assemblyParts(key);
     const storey = data.storey || 'Unassigned';
     const ifcType = data.ifcType || 'UNKNOWN';
 
     if (!tree[storey]) tree[storey] = { agg: emptyAgg(), types: {} };
     if (!tree[storey].types[ifcType]) tree[storey].types[ifcType] = emptyAgg();
 
-    addToAgg(tree[storey].agg, q, key);
-    addToAgg(tree[storey].types[ifcType], q, key);
-    addToAgg(totals, q, key);
+    addToAgg(tree[storey].agg, q, key, parts);
+    addToAgg(tree[storey].types[ifcType], q, key, parts);
+    addToAgg(totals, q, key, parts);
   }
 
   return { tree, totals };
 }
 
+function emptySpaceAgg() {
+  return { ea: 0, floor: 0, wall: 0, ceiling: 0, spaces: [] };
+}
+
+function addSpaceToAgg(agg, room) {
+  agg.ea++;
+  agg.floor += room.floor * M2_TO_SF;
+  agg.wall += room.wall * M2_TO_SF;
+  agg.ceiling += room.ceiling * M2_TO_SF;
+  agg.spaces.push(room.key);
+}
+
+/**
+ * Build aggregated tree in Spaces mode: Storey or Department → room.
+ * Rooms not matching the search term are left out of the groups and totals.
+ */
+function aggregateSpaces() {
+  const groups = new Map();   // group name → { agg, rooms }
+  const totals = emptySpaceAgg();
+  const s = qtSearchTerm.toLowerCase();
+
+  for (const room of collectSpaces()) {
+    if (s && ![room.label, room.storey, room.department].some(v => v.toLowerCase().includes(s))) continue;
+    const group = spaceGroupBy === 'department' ? room.department : room.storey;
+    if (!groups.has(group)) groups.set(group, { agg: emptySpaceAgg(), rooms: [] });
+    groups.get(group).rooms.push(room);
+    addSpaceToAgg(groups.get(group).agg, room);
+    addSpaceToAgg(totals, room);
+  }
+
+  return { groups, totals };
+}
+
 // L2 label lookup
 const L2_LABELS = {};
 for (const [l1Code, l1] of Object.entries(UNIFORMAT_HIERARCHY)) {
@@ -173,7 +323,8 @@ for (const [l1Code, l1] of Object.entries(UNIFORMAT_HIERARCHY)) {
 }
 
 /**
- * Build aggregated tree in UniFormat mode: L1 → L2 → L3 → elements
+ * Build aggregated tree in UniFormat mode: L1 → L2 → L3 → elements.
+ * Like Spatial mode, an assembly counts once under its own code with its parts rolled up.
  */
 function aggregateUniformat() {
   const { elementDataMap } = getViewerState();
@@ -182,12 +333,14 @@ function aggregateUniformat() {
   const unclassified = emptyAgg();
 
   for (const [key, data] of elementDataMap) {
-    const q = extractQuantities(data.props);
+    if (data.parentKey) continue;
+    const q = rolledUpQuantities(key, elementDataMap);
+    const parts = assemblyParts(key);
     const cls = classifications.get(key);
 
     if (!cls || !cls.code) {
-      addToAgg(unclassified, q, key);
-      addToAgg(totals, q, key);
+      addToAgg(unclassified, q, key, parts);
+      addToAgg(totals, q, key, parts);
       continue;
     }
 
@@ -199,10 +352,10 @@ function aggregateUniformat() {
     if (!tree[l1].children[l2]) tree[l1].children[l2] = { agg: emptyAgg(), children: {} };
     if (!tree[l1].children[l2].children[l3]) tree[l1].children[l2].children[l3] = emptyAgg();
 
-    addToAgg(tree[l1].agg, q, key);
-    addToAgg(tree[l1].children[l2].agg, q, key);
-    addToAgg(tree[l1].children[l2].children[l3], q, key);
-    addToAgg(totals, q, key);
+    addToAgg(tree[l1].agg, q, key, parts);
+    addToAgg(tree[l1].children[l2].agg, q, key, parts);
+    addToAgg(tree[l1].children[l2].children[l3], q, key, parts);
+    addToAgg(totals, q, key, parts);
   }
 
   return { tree, totals, unclassified };
@@ -255,6 +408,14 @@ function qtCols(agg) {
        + `<span class="qt-col qt-col-cy">${fmtQty(agg.cy)}</span>`;
 }
 
+/** Spaces mode columns: EA | Floor SF | Wall SF | Ceiling SF */
+function spaceCols(agg, wallTitle = '') {
+  return `<span class="qt-col qt-col-ea">${fmtCount(agg.ea)}</span>`
+       + `<span class="qt-col qt-col-sf">${fmtQty(agg.floor)}</span>`
+       + `<span class="qt-col qt-col-sf"${wallTitle ? ` title="${wallTitle}"` : ''}>${fmtQty(agg.wall)}</span>`
+       + `<span class="qt-col qt-col-sf">${fmtQty(agg.ceiling)}</span>`;
+}
+
 // ======================== UI BUILDER ========================
 
 // Indexed storage for element keys — avoids huge JSON in HTML attributes
@@ -278,6 +439,8 @@ function buildQuantificationPanel() {
 
   if (currentMode === 'spatial') {
     html = buildSpatialView();
+  } else if (currentMode === 'spaces') {
+    html = buildSpacesView();
   } else {
     html = buildUniformatView();
   }
@@ -287,13 +450,10 @@ function buildQuantificationPanel() {
 }
 
 /** Column header row — sticky at top of the tree */
-function colHeader() {
+function colHeader(labels = ['EA', 'SF', 'LF', 'CY']) {
   return `<div class="qt-col-header">`
        + `<span class="qt-col-hdr-label"></span>`
-       + `<span class="qt-col qt-col-hdr">EA</span>`
-       + `<span class="qt-col qt-col-hdr">SF</span>`
-       + `<span class="qt-col qt-col-hdr">LF</span>`
-       + `<span class="qt-col qt-col-hdr">CY</span>`
+       + labels.map(l => `<span class="qt-col qt-col-hdr">${l}</span>`).join('')
        + `</div>`;
 }
 
@@ -429,6 +589,58 @@ function buildUniformatView() {
   return html;
 }
 
+function buildSpacesView() {
+  const { groups, totals } = aggregateSpaces();
+  const { storeys } = getViewerState();
+
+  if (totals.ea === 0) {
+    return `<div class="qt-empty">${qtSearchTerm
+      ? 'No rooms match the search.'
+      : 'No IfcSpace elements in the loaded models — export rooms / spaces to IFC to take off finishes.'}</div>`;
+  }
+
+  let html = `<div class="qt-summary">`;
+  html += `<div class="qt-stat"><span class="qt-stat-val">${totals.ea.toLocaleString()}</span><span class="qt-stat-label">Rooms</span></div>`;
+  html += `<div class="qt-stat"><span class="qt-stat-val">${fmtQty(totals.floor)}</span><span class="qt-stat-label">Floor SF</span></div>`;
+  html += `<div class="qt-stat"><span class="qt-stat-val">${fmtQty(totals.wall)}</span><span class="qt-stat-label">Wall SF</span></div>`;
+  html += `<div class="qt-stat"><span class="qt-stat-val">${fmtQty(totals.ceiling)}</span><span class="qt-stat-label">Ceiling SF</span></div>`;
+  html += `</div>`;
+  html += colHeader(['EA', 'Floor', 'Wall', 'Ceiling']);
+
+  // Storeys top-down like the Spatial view; departments alphabetically, the unassigned last
+  const names = [...groups.keys()].sort((a, b) => {
+    if (spaceGroupBy === 'storey') {
+      return (storeys[b]?.elevation_m ?? -Infinity) - (storeys[a]?.elevation_m ?? -Infinity);
+    }
+    if (a === NO_DEPARTMENT || b === NO_DEPARTMENT) return (a === NO_DEPARTMENT) - (b === NO_DEPARTMENT);
+    return a.localeCompare(b, undefined, { numeric: true });
+  });
+
+  for (const name of names) {
+    const { agg, rooms } = groups.get(name);
+    html += `<div class="qt-node">`;
+    html += `<div class="qt-row qt-row-group qt-storey-row" data-gid="${storeGroupKeys(agg.spaces)}">`;
+    html += `<span class="qt-row-label"><span class="tree-toggle">▶</span>${name}</span>`;
+    html += spaceCols(agg);
+    html += `</div>`;
+    html += `<div class="tree-children qt-children">`;
+
+    rooms.sort((a, b) => a.number.localeCompare(b.number, undefined, { numeric: true }));
+    for (const room of rooms) {
+      const roomAgg = { ea: 1, floor: room.floor * M2_TO_SF, wall: room.wall * M2_TO_SF, ceiling: room.ceiling * M2_TO_SF };
+      const detail = spaceGroupBy === 'storey' ? room.department : room.storey;
+      html += `<div class="qt-row qt-row-type" data-gid="${storeGroupKeys([room.key])}" title="${detail}">`;
+      html += `<span class="qt-row-label qt-row-indent">${room.label}</span>`;
+      html += spaceCols(roomAgg, room.wallDerived ? 'Perimeter × height, openings not deducted' : '');
+      html += `</div>`;
+    }
+
+    html += `</div></div>`;
+  }
+
+  return html;
+}
+
 function buildSummaryBar(totals) {
   let html = `<div class="qt-summary">`;
   html += `<div class="qt-stat"><span class="qt-stat-val">${totals.ea.toLocaleString()}</span><span class="qt-stat-label">EA</span></div>`;
@@ -443,6 +655,11 @@ function buildSummaryBar(totals) {
 
 function selectGroupByGid(gid) {
   const keys = groupKeyStore.get(gid);
+  // Spaces mode stores space keys: select what the rooms contain and frame them
+  if (currentMode === 'spaces') {
+    if (keys && keys.length > 0) focusSpaces(keys);
+    return;
+  }
   if (keys && keys.length > 0 && window.__ufSetSelectedKeys) {
     window.__ufSetSelectedKeys(new Set(keys));
   }
@@ -484,11 +701,27 @@ function exportQuantificationCSV() {
   const { elementDataMap } = getViewerState();
   const rows = [];
 
-  if (currentMode === 'spatial') {
-    rows.push(['Storey', 'IFC Type', 'Element Name', 'CompositeKey', 'EA', 'SF', 'LF', 'CY']);
+  if (currentMode === 'spaces') {
+    rows.push(['Storey', 'Department', 'Zones', 'Number', 'Name', 'GlobalId', 'CompositeKey',
+               'Floor SF', 'Ceiling SF', 'Perimeter LF', 'Height FT', 'Wall SF', 'Wall Source']);
+
+    const fmt = (v, factor) => v > 0 ? (v * factor).toFixed(2) : '';
+    for (const room of collectSpaces()) {
+      rows.push([
+        room.storey, room.department, room.zones.join('; '),
+        room.number, room.name, room.globalId || '', room.key,
+        fmt(room.floor, M2_TO_SF), fmt(room.ceiling, M2_TO_SF),
+        fmt(room.perimeter, M_TO_LF), fmt(room.height, M_TO_LF),
+        fmt(room.wall, M2_TO_SF),
+        room.wall > 0 ? (room.wallDerived ? 'Perimeter x height' : 'IFC quantity') : '',
+      ]);
+    }
+  } else if (currentMode === 'spatial') {
+    rows.push(['Storey', 'IFC Type', 'Element Name', 'CompositeKey', 'Parts', 'EA', 'SF', 'LF', 'CY']);
 
     for (const [key, data] of elementDataMap) {
-      const q = extractQuantities(data.props);
+      if (data.parentKey) continue;
+      const q = rolledUpQuantities(key, elementDataMap);
       const sf = q.area > 0 ? (q.area * M2_TO_SF).toFixed(2) : '';
       const lf = q.length > 0 ? (q.length * M_TO_LF).toFixed(2) : '';
       const cy = q.volume > 0 ? (q.volume * M3_TO_CY).toFixed(2) : '';
@@ -497,16 +730,18 @@ function exportQuantificationCSV() {
         data.ifcType || '',
         data.name || '',
         key,
+        assemblyParts(key).length || '',
         '1',
         sf, lf, cy,
       ]);
     }
   } else {
     rows.push(['UniFormat Code', 'UniFormat Label', 'IFC Type', 'Element Name',
-               'CompositeKey', 'EA', 'SF', 'LF', 'CY']);
+               'CompositeKey', 'Parts', 'EA', 'SF', 'LF', 'CY']);
 
     for (const [key, data] of elementDataMap) {
-      const q = extractQuantities(data.props);
+      if (data.parentKey) continue;
+      const q = rolledUpQuantities(key, elementDataMap);
       const cls = classifications.get(key);
       const code = cls?.code || '';
       const label = code ? (L3_LABELS[code] || '') : '';
@@ -518,6 +753,7 @@ function exportQuantificationCSV() {
         data.ifcType || '',
         data.name || '',
         key,
+        assemblyParts(key).length || '',
         '1',
         sf, lf, cy,
       ]);
@@ -541,22 +777,27 @@ function initQuantificationPanel() {
 }
 
 function wireQuantificationEvents() {
-  const spatialBtn = document.getElementById('qtModeSpatial');
-  const uniformatBtn = document.getElementById('qtModeUniformat');
-
-  if (spatialBtn) {
-    spatialBtn.addEventListener('click', () => {
-      currentMode = 'spatial';
-      spatialBtn.classList.add('active');
-      if (uniformatBtn) uniformatBtn.classList.remove('active');
+  const modeBtns = {
+    spatial: document.getElementById('qtModeSpatial'),
+    uniformat: document.getElementById('qtModeUniformat'),
+    spaces: document.getElementById('qtModeSpaces'),
+  };
+  const spaceOptions = document.getElementById('qtSpaceOptions');
+
+  for (const [mode, btn] of Object.entries(modeBtns)) {
+    if (!btn) continue;
+    btn.addEventListener('click', () => {
+      currentMode = mode;
+      for (const [m, b] of Object.entries(modeBtns)) b?.classList.toggle('active', m === mode);
+      if (spaceOptions) spaceOptions.style.display = mode === 'spaces' ? '' : 'none';
       buildQuantificationPanel();
     });
   }
-  if (uniformatBtn) {
-    uniformatBtn.addEventListener('click', () => {
-      currentMode = 'uniformat';
-      uniformatBtn.classList.add('active');
-      if (spatialBtn) spatialBtn.classList.remove('active');
+
+  const groupSelect = document.getElementById('qtSpaceGroup');
+  if (groupSelect) {
+    groupSelect.addEventListener('change', () => {
+      spaceGroupBy = groupSelect.value;
       buildQuantificationPanel();
     });
   }
@@ -0,0 +1,559 @@
+/* ============================================================
+   BIM Model Viewer — query.js
+   Query builder: rules on any element property (Pset.Prop),
+   IFC type, name, storey, space, model, UniFormat code, installation
+   status or GlobalId, combined in nested AND / OR groups, e.g.
+     Pset_WallCommon.IsExternal = true AND BaseQuantities.NetVolume > 2
+   Results can be selected, isolated, hidden, colored or
+   exported to CSV. Named queries are kept in localStorage and
+   in project files.
+   ============================================================ */
+
+import {
+  getViewerState, setHiddenKeys, selectKeys, zoomToKeys, setOverlayLayer, removeOverlayLayer,
+} from './viewer.js';
+import { classifications } from './uniformat.js';
+import { getInstallation } from './production.js';
+
+// ======================== CONFIG ========================
+const STORAGE_KEY = 'saved_queries';
+const FIELDS = {
+  prop:      'Property',
+  ifcType:   'IFC Type',
+  name:      'Name',
+  storey:    'Storey',
+  space:     'Space',
+  model:     'Model',
+  uniformat: 'UniFormat',
+  status:    'Status',
+  globalId:  'GlobalId',
+};
+// label: shown in the builder — text: used in the one-line summary
+const OPS = {
+  eq:       { label: '=',           text: '=' },
+  ne:       { label: '≠',           text: '!=' },
+  gt:       { label: '>',           text: '>' },
+  gte:      { label: '≥',           text: '>=' },
+  lt:       { label: '<',           text: '<' },
+  lte:      { label: '≤',           text: '<=' },
+  contains: { label: 'contains',    text: 'CONTAINS' },
+  starts:   { label: 'starts with', text: 'STARTS WITH' },
+  exists:   { label: 'has value',   text: 'EXISTS' },
+  missing:  { label: 'is empty',    text: 'IS EMPTY' },
+};
+const UNARY_OPS = new Set(['exists', 'missing']);
+const TRUE_VALUES = new Set(['true', 't', '.t.', 'yes', '1']);
+const FALSE_VALUES = new Set(['false', 'f', '.f.', 'no', '0']);
+const DEFAULT_COLOR = '#f97316';
+const MAX_SUGGESTIONS = 300;
+// Re-count matches once typing pauses this long (ms)
+const COUNT_DEBOUNCE = 250;
+
+// ======================== STATE ========================
+// Rule: { field, prop, op, value } — Group: { op: 'and' | 'or', rules: [Rule | Group] }
+let query = newGroup();
+let queryName = '';
+let activeId = null;
+let savedQueries = [];     // [{ id, name, root }]
+let loaded = false;
+let countTimer = null;
+const coloredKeys = new Map();   // compositeKey → color, drawn by the 'query' overlay layer
+
+function newRule() {
+  return { field: 'prop', prop: '', op: 'eq', value: '' };
+}
+
+function newGroup(op = 'and') {
+  return { op, rules: [newRule()] };
+}
+
+// ======================== PERSISTENCE ========================
+function saveQueries() {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(savedQueries));
+  } catch (e) {
+    console.warn('[query] Save failed:', e);
+  }
+}
+
+function loadQueries() {
+  try {
+    savedQueries = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+  } catch (e) {
+    console.warn('[query] Load failed:', e);
+    savedQueries = [];
+  }
+  loaded = true;
+}
+
+// ======================== EVALUATION ========================
+/** A rule takes part once it names a field (and a value, unless the operator needs none). */
+function isComplete(rule) {
+  if (rule.field === 'prop' && !rule.prop.trim()) return false;
+  return UNARY_OPS.has(rule.op) || String(rule.value).trim() !== '';
+}
+
+function fieldValue(rule, key, data, modelNames) {
+  switch (rule.field) {
+    case 'prop':      return data.props?.[rule.prop.trim()];
+    case 'ifcType':   return data.ifcType;
+    case 'name':      return data.name;
+    case 'storey':    return data.storey;
+    case 'space':     return data.space;
+    case 'model':     return modelNames.get(data.modelIdx);
+    case 'uniformat': return classifications.get(key)?.code;
+    case 'status':    return getInstallation(key)?.installed ? 'Installed' : 'Not Installed';
+    case 'globalId':  return data.globalId;
+  }
+  return undefined;
+}
+
+/** IFC booleans arrive as true, 'T', '.T.', 'True'… — null when the value is not one. */
+function toBool(v) {
+  if (typeof v === 'boolean') return v;
+  const s = String(v).trim().toLowerCase();
+  if (TRUE_VALUES.has(s)) return true;
+  if (FALSE_VALUES.has(s)) return false;
+  return null;
+}
+
+/**
+ * Compare one value against a rule. A "true" / "false" rule value compares as a
+ * boolean, a numeric one numerically, anything else as case-insensitive text.
+ */
+function testValue(rule, actual) {
+  const empty = actual === undefined || actual === null || String(actual).trim() === '';
+  if (rule.op === 'exists') return !empty;
+  if (rule.op === 'missing') return empty;
+  if (empty) return rule.op === 'ne';
+
+  const want = String(rule.value).trim();
+  const a = String(actual).trim().toLowerCase();
+  const w = want.toLowerCase();
+  if (rule.op === 'contains') return a.includes(w);
+  if (rule.op === 'starts') return a.startsWith(w);
+
+  if (w === 'true' || w === 'false') {
+    if (rule.op !== 'eq' && rule.op !== 'ne') return false;
+    const equal = toBool(actual) === (w === 'true');
+    return rule.op === 'eq' ? equal : !equal;
+  }
+
+  let cmp;
+  if (Number.isFinite(Number(want)) && Number.isFinite(Number(actual)) && typeof actual !== 'boolean') {
+    cmp = Math.sign(Number(actual) - Number(want));
+  } else {
+    cmp = a === w ? 0 : a.localeCompare(w);
+  }
+
+  switch (rule.op) {
+    case 'eq':  return cmp === 0;
+    case 'ne':  return cmp !== 0;
+    case 'gt':  return cmp > 0;
+    case 'gte': return cmp >= 0;
+    case 'lt':  return cmp < 0;
+    case 'lte': return cmp <= 0;
+  }
+  return false;
+}
+
+/** Groups without complete rules match everything. */
+function matchGroup(group, key, data, modelNames) {
+  const nodes = group.rules.filter(n => n.rules || isComplete(n));
+  if (nodes.length === 0) return true;
+  const test = (n) => n.rules
+    ? matchGroup(n, key, data, modelNames)
+    : testValue(n, fieldValue(n, key, data, modelNames));
+  return group.op === 'or' ? nodes.some(test) : nodes.every(test);
+}
+
+/** Composite keys of every element matching a query group. */
+function runQuery(root = query) {
+  const { elementDataMap, models } = getViewerState();
+  const modelNames = new Map(models.map(m => [m.idx, m.filename]));
+  const keys = [];
+  for (const [key, data] of elementDataMap) {
+    if (matchGroup(root, key, data, modelNames)) keys.push(key);
+  }
+  return keys;
+}
+
+/** One-line text form of a query, e.g. `Pset.Prop = true AND (IFC Type = "IFCWALL" OR …)`. */
+function queryToText(group = query, nested = false) {
+  const parts = group.rules
+    .map(n => n.rules ? queryToText(n, true) : isComplete(n) ? ruleToText(n) : '')
+    .filter(Boolean);
+  if (parts.length === 0) return nested ? '' : 'All elements';
+  const text = parts.join(` ${group.op.toUpperCase()} `);
+  return nested && parts.length > 1 ? `(${text})` : text;
+}
+
+function ruleToText(rule) {
+  const field = rule.field === 'prop' ? rule.prop.trim() : FIELDS[rule.field];
+  const op = OPS[rule.op].text;
+  if (UNARY_OPS.has(rule.op)) return `${field} ${op}`;
+  const v = String(rule.value).trim();
+  const bare = Number.isFinite(Number(v)) || /^(true|false)$/i.test(v);
+  return `${field} ${op} ${bare ? v : `"${v}"`}`;
+}
+
+// ======================== ACTIONS ========================
+function selectResults() {
+  const keys = runQuery();
+  selectKeys(keys);
+  showQueryStatus(`${keys.length} selected`);
+}
+
+function isolateResults() {
+  const { elementMeshMap } = getViewerState();
+  const keys = new Set(runQuery());
+  setHiddenKeys([...elementMeshMap.keys()].filter(k => !keys.has(k)));
+  if (keys.size > 0) zoomToKeys([...keys]);
+  showQueryStatus(`${keys.size} isolated`);
+}
+
+function hideResults() {
+  const { hiddenKeys } = getViewerState();
+  const keys = runQuery();
+  setHiddenKeys([...hiddenKeys, ...keys]);
+  showQueryStatus(`${keys.length} hidden`);
+}
+
+function colorResults(hex) {
+  const color = parseInt(hex.replace('#', ''), 16);
+  const keys = runQuery();
+  for (const key of keys) coloredKeys.set(key, color);
+  setOverlayLayer('query', (key) => coloredKeys.has(key) ? { color: coloredKeys.get(key) } : null);
+  showQueryStatus(`${keys.length} colored`);
+}
+
+function clearQueryColors() {
+  coloredKeys.clear();
+  removeOverlayLayer('query');
+}
+
+/** CSV of the matches, with a column for every property the query tests. */
+function exportResultsCSV() {
+  const { elementDataMap, models } = getViewerState();
+  const keys = runQuery();
+  if (keys.length === 0) {
+    showQueryStatus('Nothing matches');
+    return;
+  }
+  const props = [];
+  const collect = (group) => group.rules.forEach(n => {
+    if (n.rules) collect(n);
+    else if (n.field === 'prop' && n.prop.trim() && !props.includes(n.prop.trim())) props.push(n.prop.trim());
+  });
+  collect(query);
+
+  const modelNames = new Map(models.map(m => [m.idx, m.filename]));
+  const rows = [['GlobalId', 'Name', 'IFC Type', 'Storey', 'Space', 'Model', 'UniFormat', 'Status', ...props]];
+  for (const key of keys) {
+    const d = elementDataMap.get(key);
+    rows.push([
+      d.globalId || '', d.name, d.ifcType, d.storey, d.space || '', modelNames.get(d.modelIdx) || '',
+      classifications.get(key)?.code || '',
+      getInstallation(key)?.installed ? 'Installed' : 'Not Installed',
+      ...props.map(p => d.props?.[p] ?? ''),
+    ]);
+  }
+  const csv = [`"# ${queryToText().replace(/"/g, '""')}"`,
+    ...rows.map(r => r.map(c => `"${String(c).replace(/"/g, '""')}"`).join(','))].join('\n');
+  const blob = new Blob([csv], { type: 'text/csv' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `query_${(queryName || 'results').replace(/[^\w-]+/g, '_')}.csv`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// ======================== SAVED QUERIES ========================
+/** Save under the open query's name (or none) to update it; a new name saves a new query. */
+function saveCurrentQuery(name) {
+  if (!loaded) loadQueries();
+  let entry = savedQueries.find(q => q.id === activeId);
+  if (entry && name && name !== entry.name) entry = null;
+  if (!entry && name) entry = savedQueries.find(q => q.name === name);
+  if (entry) {
+    entry.root = structuredClone(query);
+  } else {
+    entry = { id: `q${Date.now().toString(36)}`, name: name || `Query ${savedQueries.length + 1}`, root: structuredClone(query) };
+    savedQueries.push(entry);
+  }
+  activeId = entry.id;
+  queryName = entry.name;
+  saveQueries();
+  renderQueryPanel();
+  showQueryStatus('Query saved');
+}
+
+function openQuery(id) {
+  const saved = savedQueries.find(q => q.id === id);
+  if (!saved) return;
+  query = structuredClone(saved.root);
+  queryName = saved.name;
+  activeId = id;
+  renderQueryPanel();
+}
+
+function deleteQuery(id) {
+  savedQueries = savedQueries.filter(q => q.id !== id);
+  if (activeId === id) activeId = null;
+  saveQueries();
+  renderSavedList();
+}
+
+function newQuery() {
+  query = newGroup();
+  queryName = '';
+  activeId = null;
+  renderQueryPanel();
+}
+
+// ======================== UI ========================
+function escapeHtml(s) {
+  return String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/** Node at a dotted index path ('' is the root group). */
+function nodeAt(path) {
+  if (path === '') return query;
+  return path.split('.').reduce((node, i) => node.rules[parseInt(i)], query);
+}
+
+function parentOf(path) {
+  const parts = path.split('.');
+  const index = parseInt(parts.pop());
+  return { group: nodeAt(parts.join('.')), index };
+}
+
+function renderGroup(group, path) {
+  let html = `<div class="qb-group${path === '' ? ' qb-root' : ''}" data-path="${path}">`;
+  html += `<div class="qb-group-head">`;
+  html += `<div class="qb-combine">`;
+  for (const op of ['and', 'or']) {
+    html += `<button class="qb-combine-btn${group.op === op ? ' active' : ''}" data-action="combine" data-op="${op}">${op.toUpperCase()}</button>`;
+  }
+  html += `</div>`;
+  html += `<button class="qb-btn" data-action="add-rule">+ Rule</button>`;
+  html += `<button class="qb-btn" data-action="add-group">+ Group</button>`;
+  if (path !== '') html += `<button class="qb-btn qb-remove" data-action="remove" title="Remove group">&#10005;</button>`;
+  html += `</div>`;
+  group.rules.forEach((node, i) => {
+    const p = path === '' ? `${i}` : `${path}.${i}`;
+    html += node.rules ? renderGroup(node, p) : renderRule(node, p);
+  });
+  if (group.rules.length === 0) html += `<div class="qb-hint">An empty group matches every element.</div>`;
+  html += `</div>`;
+  return html;
+}
+
+function renderRule(rule, path) {
+  let html = `<div class="qb-rule" data-path="${path}">`;
+  html += `<select class="qb-field" data-role="field">`;
+  for (const [key, label] of Object.entries(FIELDS)) {
+    html += `<option value="${key}"${key === rule.field ? ' selected' : ''}>${label}</option>`;
+  }
+  html += `</select>`;
+  if (rule.field === 'prop') {
+    html += `<input type="text" class="qb-prop" data-role="prop" list="qbPropList" placeholder="Pset.Property" value="${escapeHtml(rule.prop)}">`;
+  }
+  html += `<select class="qb-op" data-role="op">`;
+  for (const [key, op] of Object.entries(OPS)) {
+    html += `<option value="${key}"${key === rule.op ? ' selected' : ''}>${op.label}</option>`;
+  }
+  html += `</select>`;
+  if (!UNARY_OPS.has(rule.op)) {
+    html += `<input type="text" class="qb-value" data-role="value" list="qbValueList" placeholder="value" value="${escapeHtml(rule.value)}">`;
+  }
+  html += `<button class="qb-btn qb-remove" data-action="remove" title="Remove rule">&#10005;</button>`;
+  html += `</div>`;
+  return html;
+}
+
+function renderBuilder() {
+  const container = document.getElementById('qbBuilder');
+  if (container) container.innerHTML = renderGroup(query, '');
+}
+
+function renderSavedList() {
+  const container = document.getElementById('qbSavedList');
+  if (!container) return;
+  if (!loaded) loadQueries();
+  if (savedQueries.length === 0) {
+    container.innerHTML = `<div class="qb-hint">No saved queries yet.</div>`;
+    return;
+  }
+  container.innerHTML = savedQueries.map(q => `
+    <div class="qb-saved${q.id === activeId ? ' active' : ''}" data-id="${q.id}">
+      <div class="qb-saved-text">
+        <div class="qb-saved-name">${escapeHtml(q.name)}</div>
+        <div class="qb-saved-summary">${escapeHtml(queryToText(q.root))}</div>
+      </div>
+      <button class="vp-btn vp-delete" data-action="delete" title="Delete">&#10005;</button>
+    </div>`).join('');
+}
+
+function renderQueryPanel() {
+  const nameInput = document.getElementById('qbName');
+  if (nameInput) nameInput.value = queryName;
+  renderBuilder();
+  renderSavedList();
+  refreshCount();
+}
+
+/** Recount matches and refresh the summary line. */
+function refreshCount() {
+  clearTimeout(countTimer);
+  countTimer = null;
+  const summary = document.getElementById('qbSummary');
+  if (summary) summary.textContent = queryToText();
+  const count = document.getElementById('qbCount');
+  if (!count) return;
+  const { elementDataMap } = getViewerState();
+  count.textContent = elementDataMap.size === 0 ? 'No model loaded'
+    : `${runQuery().length.toLocaleString()} of ${elementDataMap.size.toLocaleString()} elements match`;
+}
+
+function scheduleCount() {
+  clearTimeout(countTimer);
+  countTimer = setTimeout(refreshCount, COUNT_DEBOUNCE);
+}
+
+/** Property names across the loaded models for the rule autocomplete. */
+function refreshPropSuggestions() {
+  const list = document.getElementById('qbPropList');
+  if (!list) return;
+  const { elementDataMap } = getViewerState();
+  const names = new Set();
+  for (const [, d] of elementDataMap) {
+    for (const p of Object.keys(d.props || {})) names.add(p);
+  }
+  list.innerHTML = [...names].sort().map(p => `<option value="${escapeHtml(p)}">`).join('');
+}
+
+/** Distinct values of a rule's field, most common first. */
+function refreshValueSuggestions(rule) {
+  const list = document.getElementById('qbValueList');
+  if (!list) return;
+  const { elementDataMap, models } = getViewerState();
+  const modelNames = new Map(models.map(m => [m.idx, m.filename]));
+  const counts = new Map();
+  for (const [key, d] of elementDataMap) {
+    const v = fieldValue(rule, key, d, modelNames);
+    if (v === undefined || v === null || v === '') continue;
+    counts.set(String(v), (counts.get(String(v)) || 0) + 1);
+  }
+  list.innerHTML = [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_SUGGESTIONS)
+    .map(([v]) => `<option value="${escapeHtml(v)}">`).join('');
+}
+
+function showQueryStatus(msg) {
+  const el = document.getElementById('qbStatus');
+  if (!el) return;
+  el.textContent = msg;
+  el.classList.add('visible');
+  clearTimeout(el._timer);
+  el._timer = setTimeout(() => el.classList.remove('visible'), 2500);
+}
+
+function initQueryPanel() {
+  if (!loaded) loadQueries();
+  refreshPropSuggestions();
+  renderQueryPanel();
+}
+
+function wireQueryEvents() {
+  const builder = document.getElementById('qbBuilder');
+  if (!builder) return;
+
+  builder.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-action]');
+    if (!btn) return;
+    const path = btn.closest('[data-path]').dataset.path;
+    const node = nodeAt(path);
+    const action = btn.dataset.action;
+    if (action === 'combine') node.op = btn.dataset.op;
+    else if (action === 'add-rule') node.rules.push(newRule());
+    else if (action === 'add-group') node.rules.push(newGroup(node.op === 'and' ? 'or' : 'and'));
+    else if (action === 'remove') {
+      const { group, index } = parentOf(path);
+      group.rules.splice(index, 1);
+    }
+    renderBuilder();
+    refreshCount();
+  });
+
+  // Field and operator changes add or drop inputs, so the rule is redrawn
+  builder.addEventListener('change', (e) => {
+    const role = e.target.dataset.role;
+    if (role !== 'field' && role !== 'op') return;
+    const rule = nodeAt(e.target.closest('[data-path]').dataset.path);
+    rule[role] = e.target.value;
+    if (role === 'field') rule.value = '';
+    renderBuilder();
+    refreshCount();
+  });
+
+  builder.addEventListener('input', (e) => {
+    const role = e.target.dataset.role;
+    if (role !== 'prop' && role !== 'value') return;
+    nodeAt(e.target.closest('[data-path]').dataset.path)[role] = e.target.value;
+    scheduleCount();
+  });
+
+  builder.addEventListener('focusin', (e) => {
+    if (e.target.dataset.role !== 'value') return;
+    refreshValueSuggestions(nodeAt(e.target.closest('[data-path]').dataset.path));
+  });
+
+  const nameInput = document.getElementById('qbName');
+  nameInput?.addEventListener('input', () => { queryName = nameInput.value; });
+  nameInput?.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') saveCurrentQuery(nameInput.value.trim());
+  });
+  document.getElementById('qbSaveBtn')?.addEventListener('click', () => saveCurrentQuery(nameInput?.value.trim()));
+  document.getElementById('qbNewBtn')?.addEventListener('click', newQuery);
+
+  document.getElementById('qbSelectBtn')?.addEventListener('click', selectResults);
+  document.getElementById('qbIsolateBtn')?.addEventListener('click', isolateResults);
+  document.getElementById('qbHideBtn')?.addEventListener('click', hideResults);
+  document.getElementById('qbShowAllBtn')?.addEventListener('click', () => setHiddenKeys([]));
+  document.getElementById('qbColorBtn')?.addEventListener('click', () =>
+    colorResults(document.getElementById('qbColor')?.value || DEFAULT_COLOR));
+  document.getElementById('qbClearColorBtn')?.addEventListener('click', clearQueryColors);
+  document.getElementById('qbExportBtn')?.addEventListener('click', exportResultsCSV);
+
+  document.getElementById('qbSavedList')?.addEventListener('click', (e) => {
+    const item = e.target.closest('.qb-saved');
+    if (!item) return;
+    if (e.target.closest('[data-action="delete"]')) deleteQuery(item.dataset.id);
+    else openQuery(item.dataset.id);
+  });
+}
+
+// ======================== SAVE / RESTORE ========================
+/** Saved queries for project files. */
+function getSavedQueries() {
+  if (!loaded) loadQueries();
+  return structuredClone(savedQueries);
+}
+
+function setSavedQueries(list) {
+  if (!Array.isArray(list)) return;
+  savedQueries = structuredClone(list.filter(q => q?.id && q.root?.rules));
+  loaded = true;
+  activeId = null;
+  saveQueries();
+  renderSavedList();
+}
+
+// ======================== EXPORTS ========================
+export {
+  initQueryPanel, wireQueryEvents, runQuery, queryToText,
+  getSavedQueries, setSavedQueries, clearQueryColors,
+};
@@ -0,0 +1,472 @@
+/* ============================================================
+   Batched Rendering — render-batches.js
+   Merges element geometry into a few large meshes per model,
+   one per type color, to cut draw calls on big models, and
+   draws repeated geometry (same IfcRepresentationMap) as one
+   InstancedMesh per shared geometry.
+   Every element still gets its own entry in elementMeshMap: a
+   lightweight handle exposing the same surface the tools use on
+   a THREE.Mesh (visible, material.color / emissive / opacity /
+   depthWrite / wireframe / clippingPlanes / clipIntersection,
+   userData). Writing to a handle marks it dirty; dirty handles
+   are written into per-vertex or per-instance attributes once
+   per frame.
+   ============================================================ */
+
+import * as THREE from 'three';
+
+// ======================== CONFIG ========================
+// Flush a color group into its own batch once it reaches this many vertices
+const BATCH_MAX_VERTS = 1 << 19;
+// Fragments below this alpha are discarded — hidden elements are written with alpha 0
+const HIDDEN_ALPHA_TEST = 0.01;
+
+// Scale-to-zero matrix for hidden instances
+const ZERO_MATRIX = new THREE.Matrix4().makeScale(0, 0, 0);
+
+// ======================== STATE ========================
+const liveBatches = new Set();   // batch records currently in a scene ({ kind: 'merged' | 'instanced', ... })
+const _color = new THREE.Color();
+const _vec = new THREE.Vector3();
+const _mat = new THREE.Matrix4();
+
+/** THREE.Color that reports in-place writes, so handle colors can mark the handle dirty. */
+class TrackedColor extends THREE.Color {
+  constructor(color, onChange) {
+    super(color);
+    this.onChange = onChange;
+  }
+}
+for (const method of ['setScalar', 'setHex', 'setRGB', 'setHSL', 'copy', 'lerp']) {
+  TrackedColor.prototype[method] = function (...args) {
+    THREE.Color.prototype[method].apply(this, args);
+    this.onChange?.();
+    return this;
+  };
+}
+
+// ======================== BUILDER ========================
+/**
+ * Create a batch builder for one model. Elements are grouped by color and
+ * flushed into batch meshes as groups fill up; call finish() after the last add().
+ * @param {THREE.Group} modelGroup - parent for the batch meshes
+ * @param {number} modelIdx
+ * @param {Map} elementMeshMap - receives one handle per element
+ */
+function createBatchBuilder(modelGroup, modelIdx, elementMeshMap) {
+  const pending = new Map();  // color → { items, verts }
+
+  function flush(color) {
+    const group = pending.get(color);
+    if (!group || group.items.length === 0) return;
+    pending.delete(color);
+    const batch = buildBatch(modelIdx, color, group.items);
+    modelGroup.add(batch.mesh);
+    for (const h of batch.handles) elementMeshMap.set(h.userData.compositeKey, h);
+  }
+
+  return {
+    /** Queue one element: { expressID, ifcType, positions, normals, indices } */
+    add(meshData, color) {
+      if (!pending.has(color)) pending.set(color, { items: [], verts: 0 });
+      const group = pending.get(color);
+      group.items.push(meshData);
+      group.verts += meshData.positions.length / 3;
+      if (group.verts >= BATCH_MAX_VERTS) flush(color);
+    },
+    finish() {
+      for (const color of [...pending.keys()]) flush(color);
+    },
+  };
+}
+
+function buildBatch(modelIdx, color, items) {
+  let totalVerts = 0;
+  let totalIndices = 0;
+  for (const it of items) {
+    totalVerts += it.positions.length / 3;
+    totalIndices += it.indices.length;
+  }
+
+  const positions = new Float32Array(totalVerts * 3);
+  const normals = new Float32Array(totalVerts * 3);
+  const colors = new Uint8Array(totalVerts * 4);
+  const indices = new Uint32Array(totalIndices);
+  const triStarts = new Uint32Array(items.length);  // first triangle of each element, ascending
+
+  const batch = {
+    kind: 'merged',
+    mesh: null,
+    handles: [],
+    triStarts,
+    colorAttr: null,
+    ...emptyBatchState(),
+  };
+
+  let vOffset = 0;
+  let iOffset = 0;
+  for (let e = 0; e < items.length; e++) {
+    const { expressID, ifcType, positions: p, normals: n, indices: idx } = items[e];
+    const numVerts = p.length / 3;
+    positions.set(p, vOffset * 3);
+    normals.set(n, vOffset * 3);
+    for (let i = 0; i < idx.length; i++) indices[iOffset + i] = idx[i] + vOffset;
+    triStarts[e] = iOffset / 3;
+
+    batch.handles.push(createElementHandle(batch, {
+      expressID,
+      ifcType,
+      modelIdx,
+      compositeKey: `${modelIdx}:${expressID}`,
+    }, color, { vertStart: vOffset, vertCount: numVerts, indexStart: iOffset, indexCount: idx.length }));
+
+    vOffset += numVerts;
+    iOffset += idx.length;
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+  batch.colorAttr = new THREE.BufferAttribute(colors, 4, true);
+  geometry.setAttribute('color', batch.colorAttr);
+  geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+  geometry.computeBoundingBox();
+  geometry.computeBoundingSphere();
+
+  const material = new THREE.MeshPhongMaterial({
+    vertexColors: true,
+    transparent: true,
+    alphaTest: HIDDEN_ALPHA_TEST,
+    side: THREE.DoubleSide,
+    shininess: 40,
+    flatShading: false,
+  });
+
+  batch.mesh = new THREE.Mesh(geometry, material);
+  batch.mesh.userData.batch = batch;
+  batch.mesh.userData.modelIdx = modelIdx;
+
+  // Seed the vertex colors from the handles' initial state
+  syncBatch(batch);
+  liveBatches.add(batch);
+  return batch;
+}
+
+// ======================== INSTANCED GROUPS ========================
+/**
+ * Build an InstancedMesh for geometry shared by several elements and register
+ * one handle per instance. Not subject to the render mode — repeated geometry
+ * is always drawn instanced.
+ * @param {THREE.Group} modelGroup
+ * @param {number} modelIdx
+ * @param {{ positions, normals, indices, instances: Array<{expressID, ifcType, matrix}> }} group
+ * @param {function(string): number} colorFor - ifcType → hex color
+ * @param {Map} elementMeshMap
+ */
+function addInstancedGroup(modelGroup, modelIdx, group, colorFor, elementMeshMap) {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(group.positions, 3));
+  geometry.setAttribute('normal', new THREE.BufferAttribute(group.normals, 3));
+  geometry.setIndex(new THREE.BufferAttribute(group.indices, 1));
+
+  const count = group.instances.length;
+  const opacityAttr = new THREE.InstancedBufferAttribute(new Float32Array(count), 1);
+  geometry.setAttribute('instanceOpacity', opacityAttr);
+
+  const mesh = new THREE.InstancedMesh(geometry, createInstancedMaterial(), count);
+  const batch = {
+    kind: 'instanced',
+    mesh,
+    handles: [],
+    opacityAttr,
+    ...emptyBatchState(),
+  };
+  mesh.userData.batch = batch;
+  mesh.userData.modelIdx = modelIdx;
+
+  for (let i = 0; i < count; i++) {
+    const { expressID, ifcType, matrix } = group.instances[i];
+    const handle = createElementHandle(batch, {
+      expressID,
+      ifcType,
+      modelIdx,
+      compositeKey: `${modelIdx}:${expressID}`,
+    }, colorFor(ifcType), { instanceIndex: i, matrix: new THREE.Matrix4().fromArray(matrix) });
+    batch.handles.push(handle);
+    mesh.setColorAt(i, handle.material.color);
+    elementMeshMap.set(handle.userData.compositeKey, handle);
+  }
+
+  syncInstanced(batch);
+  mesh.computeBoundingBox();
+  mesh.computeBoundingSphere();
+  modelGroup.add(mesh);
+  liveBatches.add(batch);
+  return batch;
+}
+
+/** Phong material whose alpha is scaled by the per-instance `instanceOpacity` attribute. */
+function createInstancedMaterial() {
+  const material = new THREE.MeshPhongMaterial({
+    transparent: true,
+    side: THREE.DoubleSide,
+    shininess: 40,
+    flatShading: false,
+  });
+  material.onBeforeCompile = (shader) => {
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', '#include <common>\nattribute float instanceOpacity;\nvarying float vInstanceOpacity;')
+      .replace('#include <begin_vertex>', '#include <begin_vertex>\nvInstanceOpacity = instanceOpacity;');
+    shader.fragmentShader = shader.fragmentShader
+      .replace('#include <common>', '#include <common>\nvarying float vInstanceOpacity;')
+      .replace('#include <color_fragment>', '#include <color_fragment>\ndiffuseColor.a *= vInstanceOpacity;');
+  };
+  material.customProgramCacheKey = () => 'instance-opacity';
+  return material;
+}
+
+// ======================== ELEMENT HANDLES ========================
+/**
+ * Stand-in for a per-element THREE.Mesh. Writes to colors, opacity, depthWrite,
+ * wireframe and visibility queue the handle for syncBatches(); clipping planes
+ * are forwarded to the batch material.
+ */
+function createElementHandle(batch, userData, color, range) {
+  let visible = true;
+  let opacity = 0.88;
+  let depthWrite = true;
+  let wireframe = false;
+  const touch = () => batch.dirty.add(handle);
+
+  const material = {
+    color: new TrackedColor(color, touch),
+    emissive: new TrackedColor(0x000000, touch),
+    get opacity() { return opacity; },
+    set opacity(v) { opacity = v; touch(); },
+    transparent: true,
+    get depthWrite() { return depthWrite; },
+    set depthWrite(v) { depthWrite = v; touch(); },
+    get wireframe() { return wireframe; },
+    set wireframe(v) { wireframe = v; touch(); },
+    get clippingPlanes() { return batch.mesh.material.clippingPlanes; },
+    set clippingPlanes(v) { batch.mesh.material.clippingPlanes = v; },
+    get clipIntersection() { return batch.mesh.material.clipIntersection; },
+    set clipIntersection(v) { batch.mesh.material.clipIntersection = v; },
+    get clipShadows() { return batch.mesh.material.clipShadows; },
+    set clipShadows(v) { batch.mesh.material.clipShadows = v; },
+    get needsUpdate() { return false; },
+    set needsUpdate(v) { if (v) batch.mesh.material.needsUpdate = true; },
+    dispose() {},
+  };
+
+  const handle = {
+    isElementHandle: true,
+    get visible() { return visible; },
+    set visible(v) { visible = v; touch(); },
+    material,
+    userData,
+    batch,
+    ...range,   // merged: vertStart/vertCount/indexStart/indexCount — instanced: instanceIndex/matrix
+    // What the last sync wrote, for the batch-wide counters
+    _shown: undefined,
+    _noDepth: false,
+    _wire: false,
+  };
+  touch();
+  return handle;
+}
+
+/** Dirty queue and the counters behind the batch mesh's visible / depthWrite / wireframe. */
+function emptyBatchState() {
+  return { dirty: new Set(), shownCount: 0, noDepthCount: 0, wireCount: 0 };
+}
+
+/** Fold one handle's synced flags into its batch's counters. */
+function countHandle(batch, h, shown, noDepth, wire) {
+  batch.shownCount += (shown ? 1 : 0) - (h._shown ? 1 : 0);
+  batch.noDepthCount += (noDepth ? 1 : 0) - (h._noDepth ? 1 : 0);
+  batch.wireCount += (wire ? 1 : 0) - (h._wire ? 1 : 0);
+  h._shown = shown;
+  h._noDepth = noDepth;
+  h._wire = wire;
+}
+
+/** Apply the batch-wide flags derived from the counters to the batch mesh. */
+function applyBatchFlags(batch) {
+  const mesh = batch.mesh;
+  const wireframe = batch.wireCount > 0;
+  mesh.visible = batch.shownCount > 0;
+  mesh.material.depthWrite = batch.noDepthCount === 0;
+  if (mesh.material.wireframe !== wireframe) {
+    mesh.material.wireframe = wireframe;
+    mesh.material.needsUpdate = true;
+  }
+}
+
+// ======================== SYNC ========================
+/** Push dirty handle state into the batch buffers. Called from the render loop. */
+function syncBatches() {
+  for (const batch of liveBatches) {
+    if (batch.dirty.size === 0) continue;
+    if (batch.kind === 'instanced') syncInstanced(batch);
+    else syncBatch(batch);
+  }
+}
+
+function syncBatch(batch) {
+  const colors = batch.colorAttr.array;
+  let changed = false;
+
+  for (const h of batch.dirty) {
+    const m = h.material;
+    // Emissive has no per-vertex slot — fold it into the diffuse color
+    const r = toByte(m.color.r + m.emissive.r);
+    const g = toByte(m.color.g + m.emissive.g);
+    const b = toByte(m.color.b + m.emissive.b);
+    const a = h.visible ? toByte(m.opacity) : 0;
+    countHandle(batch, h, a > 0, a > 0 && !m.depthWrite, m.wireframe);
+
+    const o = h.vertStart * 4;
+    if (colors[o] === r && colors[o + 1] === g && colors[o + 2] === b && colors[o + 3] === a) continue;
+
+    for (let v = 0, end = h.vertCount * 4; v < end; v += 4) {
+      colors[o + v] = r;
+      colors[o + v + 1] = g;
+      colors[o + v + 2] = b;
+      colors[o + v + 3] = a;
+    }
+    changed = true;
+  }
+  batch.dirty.clear();
+
+  if (changed) batch.colorAttr.needsUpdate = true;
+  applyBatchFlags(batch);
+}
+
+function syncInstanced(batch) {
+  const mesh = batch.mesh;
+  const opacities = batch.opacityAttr.array;
+  let matricesChanged = false;
+  let colorsChanged = false;
+  let opacityChanged = false;
+
+  for (const h of batch.dirty) {
+    const m = h.material;
+    const i = h.instanceIndex;
+    const shown = h.visible && m.opacity > 0;
+
+    // Hidden instances collapse to a point so they neither draw nor raycast
+    if (shown !== h._shown) {
+      mesh.setMatrixAt(i, shown ? h.matrix : ZERO_MATRIX);
+      matricesChanged = true;
+    }
+    countHandle(batch, h, shown, shown && !m.depthWrite, m.wireframe);
+
+    const a = Math.fround(m.opacity);
+    if (opacities[i] !== a) {
+      opacities[i] = a;
+      opacityChanged = true;
+    }
+
+    _color.setRGB(
+      Math.min(1, m.color.r + m.emissive.r),
+      Math.min(1, m.color.g + m.emissive.g),
+      Math.min(1, m.color.b + m.emissive.b),
+    );
+    const c = mesh.instanceColor.array;
+    if (c[i * 3] !== Math.fround(_color.r) || c[i * 3 + 1] !== Math.fround(_color.g) || c[i * 3 + 2] !== Math.fround(_color.b)) {
+      mesh.setColorAt(i, _color);
+      colorsChanged = true;
+    }
+  }
+  batch.dirty.clear();
+
+  if (matricesChanged) mesh.instanceMatrix.needsUpdate = true;
+  if (colorsChanged) mesh.instanceColor.needsUpdate = true;
+  if (opacityChanged) batch.opacityAttr.needsUpdate = true;
+  applyBatchFlags(batch);
+}
+
+function toByte(v) {
+  return v <= 0 ? 0 : v >= 1 ? 255 : Math.round(v * 255);
+}
+
+// ======================== QUERIES ========================
+/** Map a raycast hit on a batch or instanced mesh back to its element handle (or null). */
+function handleForHit(hit) {
+  const batch = hit.object.userData.batch;
+  if (!batch) return null;
+  if (batch.kind === 'instanced') return batch.handles[hit.instanceId] || null;
+  if (hit.faceIndex == null) return null;
+
+  // Binary search: last element whose first triangle <= faceIndex
+  const starts = batch.triStarts;
+  let lo = 0, hi = starts.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (starts[mid] <= hit.faceIndex) lo = mid;
+    else hi = mid - 1;
+  }
+  return batch.handles[lo] || null;
+}
+
+/** World-space bounding box of one element handle, written into target. */
+function handleBoundingBox(handle, target) {
+  const mesh = handle.batch.mesh;
+  mesh.updateWorldMatrix(true, false);
+  target.makeEmpty();
+
+  if (handle.batch.kind === 'instanced') {
+    if (!mesh.geometry.boundingBox) mesh.geometry.computeBoundingBox();
+    _mat.multiplyMatrices(mesh.matrixWorld, handle.matrix);
+    return target.copy(mesh.geometry.boundingBox).applyMatrix4(_mat);
+  }
+
+  const pos = mesh.geometry.attributes.position;
+  for (let v = handle.vertStart, end = handle.vertStart + handle.vertCount; v < end; v++) {
+    target.expandByPoint(_vec.fromBufferAttribute(pos, v));
+  }
+  return target.applyMatrix4(mesh.matrixWorld);
+}
+
+/** World-space triangles of one element handle: 9 floats (3 vertices) per triangle. */
+function handleTriangles(handle) {
+  const mesh = handle.batch.mesh;
+  mesh.updateWorldMatrix(true, false);
+  const pos = mesh.geometry.attributes.position;
+  const index = mesh.geometry.index.array;
+
+  let start = 0, count = index.length;
+  if (handle.batch.kind === 'instanced') _mat.multiplyMatrices(mesh.matrixWorld, handle.matrix);
+  else {
+    _mat.copy(mesh.matrixWorld);
+    start = handle.indexStart;
+    count = handle.indexCount;
+  }
+
+  const out = new Float32Array(count * 3);
+  for (let i = 0; i < count; i++) {
+    _vec.fromBufferAttribute(pos, index[start + i]).applyMatrix4(_mat);
+    out[i * 3] = _vec.x;
+    out[i * 3 + 1] = _vec.y;
+    out[i * 3 + 2] = _vec.z;
+  }
+  return out;
+}
+
+/** Release a batch mesh removed from the scene (geometry/material disposed by the caller). */
+function releaseBatch(mesh) {
+  const batch = mesh.userData.batch;
+  if (batch) liveBatches.delete(batch);
+}
+
+// ======================== EXPORTS ========================
+export {
+  createBatchBuilder,
+  addInstancedGroup,
+  syncBatches,
+  handleForHit,
+  handleBoundingBox,
+  handleTriangles,
+  releaseBatch,
+};
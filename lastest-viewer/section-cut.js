@@ -1,16 +1,36 @@
 /* ============================================================
    Section Cut Tool — section-cut.js
-   Single plane + Section Box (6 planes) clipping
-   for BIM Model Viewer
+   Single plane, Section Box (6 planes) and custom planes
+   (any number, any orientation, picked from a face or three
+   points and moved with a gizmo, combined as intersection or
+   union) for BIM Model Viewer, with optional section linework and
+   hatched caps (section-lines.js) and SVG / DXF export.
+   Storey preset: a box from a storey's floor up to the next
+   storey or a cut height, stepped with PageUp / PageDown
+   while it is shown
    ============================================================ */
 
 import * as THREE from 'three';
-import { getViewerState } from './viewer.js';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+import { getViewerState, raycastHit } from './viewer.js';
+import {
+  computeSections, buildSectionGroup, disposeSectionGroup,
+  exportSectionSVG, exportSectionDXF,
+} from './section-lines.js';
+import { pushChange } from './history.js';
+
+// Linework is rebuilt once the sliders have been still this long (ms)
+const CAPS_DEBOUNCE = 150;
+// Pointer travel that still counts as a click rather than an orbit drag (px)
+const CLICK_SLOP_PX = 4;
+// Storeys of different models closer than this share a level (m)
+const LEVEL_MERGE_TOL = 0.1;
+const DEFAULT_CUT_HEIGHT = 1.2;
 
 // ======================== STATE ========================
 const state = {
   active: false,
-  mode: 'plane',         // 'plane' | 'box'
+  mode: 'plane',         // 'plane' | 'box' | 'custom'
 
   // Single plane
   planeAxis: 'y',        // 'x' | 'y' | 'z'
@@ -24,15 +44,45 @@ const state = {
     zMin: 0.0, zMax: 1.0,
   },
 
+  // Custom planes — world space, THREE.Plane convention (the negative side is cut away)
+  custom: {
+    planes: [],            // [{ normal: [x, y, z], constant }]
+    combine: 'intersection', // 'intersection' keeps what every plane keeps, 'union' what any plane keeps
+  },
+
+  // Storey preset — a section box over one level, across all loaded models
+  storey: {
+    level: null,           // world floor height (m) of the selected level, null when the box is free
+    top: 'next',           // 'next' storey or 'cut' height above the floor
+    cutHeight: DEFAULT_CUT_HEIGHT,
+  },
+
   // Visual options
   showPlaneHelper: true,
-  showCaps: false,        // fill cut faces (stencil-based)
+  showCaps: false,        // section linework + hatched caps
 };
 
 // Three.js clipping objects
 let clipPlanes = [];       // active THREE.Plane array
 let planeHelpers = [];     // visual helpers in scene
-let stencilGroup = null;   // for cap rendering
+let capsGroup = null;      // section linework + caps in scene
+let capsTimer = null;
+let sections = null;       // last computeSections() result, null when stale
+
+// Custom plane editing
+let selectedPlane = -1;    // index into state.custom.planes carrying the gizmo
+let gizmo = null;          // TransformControls
+let gizmoAnchor = null;    // Object3D the gizmo moves; +Z is the plane normal
+let gizmoMode = 'translate';
+let gizmoDragEnd = 0;      // time the last gizmo drag ended
+let followingCamera = false;
+let picking = null;        // { kind: 'face' | 'points', points: Vector3[] } while picking
+let pickDown = null;
+let pickMarkers = [];
+
+const _zAxis = new THREE.Vector3(0, 0, 1);
+const _vec = new THREE.Vector3();
+const _mat4 = new THREE.Matrix4();
 
 // Cached model bounds
 let cachedBounds = null;
@@ -57,9 +107,11 @@ function activate() {
   // Initialize plane position to center
   state.planePosition = 0.5;
   state.box = { xMin: 0.0, xMax: 1.0, yMin: 0.0, yMax: 1.0, zMin: 0.0, zMax: 1.0 };
+  state.storey.level = null;
 
   // Create clip planes and apply
   updateClipping();
+  attachGizmo();
 
   // Show UI
   showPanel();
@@ -70,21 +122,26 @@ function activate() {
 }
 
 function deactivate() {
-  const { renderer, elementMeshMap } = getViewerState();
+  const { renderer, elementMeshMap, spaceMeshMap } = getViewerState();
   if (!state.active) return;
   state.active = false;
 
   // Remove clip planes from all materials
-  for (const [, mesh] of elementMeshMap) {
+  for (const mesh of [...elementMeshMap.values(), ...spaceMeshMap.values()]) {
     mesh.material.clippingPlanes = [];
+    mesh.material.clipIntersection = false;
     mesh.material.needsUpdate = true;
   }
 
+  cancelPick();
+  detachGizmo();
+
   // Remove helpers
   removeHelpers();
 
-  // Remove stencil group
-  removeStencil();
+  // Remove linework and caps
+  removeCaps();
+  sections = null;
 
   // Disable clipping
   renderer.localClippingEnabled = false;
@@ -95,6 +152,7 @@ function deactivate() {
 
   const btn = document.getElementById('btnSectionCut');
   if (btn) btn.classList.remove('active');
+  recordSectionChange();
 }
 
 function toggle() {
@@ -120,25 +178,48 @@ function updateClipping() {
 
   if (state.mode === 'plane') {
     clipPlanes = buildSinglePlane(min, max, size);
-  } else {
+  } else if (state.mode === 'box') {
     clipPlanes = buildSectionBox(min, max, size);
+  } else {
+    clipPlanes = buildCustomPlanes();
   }
 
-  // Apply to all mesh materials
-  const { elementMeshMap } = getViewerState();
-  for (const [, mesh] of elementMeshMap) {
+  // Apply to all mesh materials, space volumes included
+  const { elementMeshMap, spaceMeshMap } = getViewerState();
+  const union = isUnion();
+  for (const mesh of [...elementMeshMap.values(), ...spaceMeshMap.values()]) {
     mesh.material.clippingPlanes = clipPlanes;
+    mesh.material.clipIntersection = union;
     mesh.material.clipShadows = true;
     mesh.material.needsUpdate = true;
   }
 
   // Update visual helpers
   updateHelpers(bounds);
+  updateReadout();
 
-  // Update cap rendering if enabled
-  if (state.showCaps) {
-    updateStencilCaps();
-  }
+  // Linework is stale now; rebuild it once the cut settles
+  sections = null;
+  removeCaps();
+  if (state.showCaps) scheduleCaps();
+  recordSectionChange();
+}
+
+// ======================== UNDO HISTORY ========================
+// Section cut as an undo target (history.js). Every clipping update is
+// recorded against the last recorded state; slider and gizmo drags merge.
+const sectionHistory = {
+  capture: () => getSectionState(),
+  restore: (saved) => setSectionState(saved),
+};
+let recordedSection = { active: false };
+
+function recordSectionChange() {
+  const now = getSectionState();
+  const before = recordedSection;
+  recordedSection = now;
+  const label = now.active === before.active ? 'Move section' : now.active ? 'Section on' : 'Section off';
+  pushChange(label, sectionHistory, before, now, { merge: 'section' });
 }
 
 /**
@@ -212,6 +293,15 @@ function buildSectionBox(min, max, size) {
   return planes;
 }
 
+function buildCustomPlanes() {
+  return state.custom.planes.map(p => new THREE.Plane(new THREE.Vector3().fromArray(p.normal), p.constant));
+}
+
+/** Union keeps whatever any plane keeps (THREE clipIntersection); otherwise every plane cuts. */
+function isUnion() {
+  return state.mode === 'custom' && state.custom.combine === 'union';
+}
+
 // ======================== VISUAL HELPERS ========================
 
 function removeHelpers() {
@@ -236,7 +326,33 @@ function updateHelpers(bounds) {
   const center = bounds.getCenter(new THREE.Vector3());
   const maxDim = Math.max(size.x, size.y, size.z);
 
-  if (state.mode === 'plane') {
+  if (state.mode === 'custom') {
+    // One square per custom plane, centred on the model; the selected one is brighter
+    clipPlanes.forEach((plane, i) => {
+      const helperSize = maxDim * 1.2;
+      const helperGeo = new THREE.PlaneGeometry(helperSize, helperSize);
+      const helperMat = new THREE.MeshBasicMaterial({
+        color: 0x6366f1,
+        transparent: true,
+        opacity: i === selectedPlane ? 0.14 : 0.06,
+        side: THREE.DoubleSide,
+        depthWrite: false,
+      });
+      const helperMesh = new THREE.Mesh(helperGeo, helperMat);
+      helperMesh.quaternion.setFromUnitVectors(_zAxis, plane.normal);
+      plane.projectPoint(center, helperMesh.position);
+
+      const edgeGeo = new THREE.EdgesGeometry(helperGeo);
+      const edgeMat = new THREE.LineBasicMaterial({ color: 0x6366f1, transparent: true, opacity: i === selectedPlane ? 0.8 : 0.4 });
+      helperMesh.add(new THREE.LineSegments(edgeGeo, edgeMat));
+
+      helperMesh.name = 'SectionCustomPlaneHelper';
+      helperMesh.renderOrder = 1;
+      scene.add(helperMesh);
+      planeHelpers.push(helperMesh);
+    });
+
+  } else if (state.mode === 'plane') {
     // Single plane visualization
     const plane = clipPlanes[0];
     if (!plane) return;
@@ -341,26 +457,343 @@ function updateHelpers(bounds) {
   }
 }
 
-// ======================== STENCIL CAPS (optional) ========================
+// ======================== SECTION LINEWORK & CAPS ========================
+
+function removeCaps() {
+  clearTimeout(capsTimer);
+  capsTimer = null;
+  if (!capsGroup) return;
+  getViewerState().scene.remove(capsGroup);
+  disposeSectionGroup(capsGroup);
+  capsGroup = null;
+}
+
+/** Recompute the cut after CAPS_DEBOUNCE; dragging a slider only re-clips. */
+function scheduleCaps() {
+  clearTimeout(capsTimer);
+  capsTimer = setTimeout(() => {
+    capsTimer = null;
+    if (!state.active || !state.showCaps) return;
+    capsGroup = buildSectionGroup(currentSections());
+    getViewerState().scene.add(capsGroup);
+  }, CAPS_DEBOUNCE);
+}
+
+/** Sections for the current clip planes, computed on first use. */
+function currentSections() {
+  if (!sections) sections = computeSections(clipPlanes, { union: isUnion() });
+  return sections;
+}
+
+function exportCut(format) {
+  if (!state.active) return;
+  const cut = currentSections();
+  if (!cut.some(s => s.elements.length > 0)) {
+    alert('Nothing is cut by the current section.');
+    return;
+  }
+  if (format === 'svg') exportSectionSVG(cut);
+  else exportSectionDXF(cut);
+}
+
+// ======================== STOREY PRESET ========================
+
+/**
+ * Storeys of every loaded model as levels, bottom up, at world height. Storeys
+ * of different models at the same height (architecture and structure) share a level.
+ * @returns {Array<{ y: number, names: string[] }>}
+ */
+function storeyLevels() {
+  const { storeys, models } = getViewerState();
+  const list = [];
+  for (const s of Object.values(storeys)) {
+    const model = models.find(m => m.idx === s.modelIdx);
+    if (!model?.modelGroup) continue;
+    model.modelGroup.updateMatrixWorld(true);
+    const y = model.modelGroup.localToWorld(new THREE.Vector3(0, s.elevation_m, 0)).y;
+    // Colliding storey names carry the file name; the level label does not need it
+    const suffix = ` [${model.filename}]`;
+    list.push({ y, name: s.name.endsWith(suffix) ? s.name.slice(0, -suffix.length) : s.name });
+  }
+  list.sort((a, b) => a.y - b.y);
+
+  const levels = [];
+  for (const s of list) {
+    const last = levels[levels.length - 1];
+    if (last && s.y - last.y < LEVEL_MERGE_TOL) {
+      if (!last.names.includes(s.name)) last.names.push(s.name);
+    } else {
+      levels.push({ y: s.y, names: [s.name] });
+    }
+  }
+  return levels;
+}
+
+/** Index of the level the box currently shows, or -1. */
+function currentLevelIndex(levels) {
+  if (!state.active || state.mode !== 'box' || state.storey.level === null) return -1;
+  return levels.findIndex(l => Math.abs(l.y - state.storey.level) < LEVEL_MERGE_TOL);
+}
+
+/** Section box over one level: floor to next storey (or cut height), full plan extent. */
+function setStoreyLevel(index) {
+  const levels = storeyLevels();
+  const level = levels[index];
+  if (!level) return;
+  if (!state.active) activate();
+  if (!state.active) return;
+
+  cachedBounds = getModelBounds();
+  const min = cachedBounds.min;
+  const size = cachedBounds.getSize(new THREE.Vector3());
+  const next = levels[index + 1];
+  const top = state.storey.top === 'cut' ? level.y + state.storey.cutHeight
+    : next ? next.y : cachedBounds.max.y;
+  const frac = (y) => size.y > 0 ? THREE.MathUtils.clamp((y - min.y) / size.y, 0, 1) : 0;
+
+  cancelPick();
+  state.mode = 'box';
+  state.box = { xMin: 0, xMax: 1, yMin: frac(level.y), yMax: frac(top), zMin: 0, zMax: 1 };
+  state.storey.level = level.y;
+  updateClipping();
+  attachGizmo();
+  syncPanel();
+  console.log(`[section] ${level.names.join(' / ')}: ${level.y.toFixed(2)} to ${top.toFixed(2)} m`);
+}
+
+/** Step the storey box up (+1) or down (-1); starts at the bottom or top level. */
+function stepStorey(dir) {
+  const levels = storeyLevels();
+  if (levels.length === 0) return;
+  const current = currentLevelIndex(levels);
+  const index = current < 0
+    ? (dir > 0 ? 0 : levels.length - 1)
+    : THREE.MathUtils.clamp(current + dir, 0, levels.length - 1);
+  setStoreyLevel(index);
+}
+
+/** Re-derive the box after the top rule changed. */
+function refreshStoreyBox() {
+  const index = currentLevelIndex(storeyLevels());
+  if (index >= 0) setStoreyLevel(index);
+  else syncPanel();
+}
+
+function renderStoreyOptions() {
+  const select = document.getElementById('scStoreySelect');
+  if (!select) return;
+  const levels = storeyLevels();
+  const current = currentLevelIndex(levels);
+  select.innerHTML = `<option value="">${levels.length ? 'Choose storey…' : 'No storeys'}</option>` +
+    levels.map((l, i) =>
+      `<option value="${i}"${i === current ? ' selected' : ''}>${l.names.join(' / ')} (${l.y.toFixed(2)} m)</option>`
+    ).join('');
+}
 
-function removeStencil() {
+// ======================== CUSTOM PLANES ========================
+
+function planeToState(plane) {
+  return { normal: plane.normal.toArray(), constant: plane.constant };
+}
+
+function addCustomPlane(plane) {
+  state.custom.planes.push(planeToState(plane));
+  selectPlane(state.custom.planes.length - 1);
+}
+
+/** Put the gizmo on a custom plane (-1 for none). */
+function selectPlane(index) {
+  selectedPlane = index;
+  updateClipping();
+  attachGizmo();
+  renderPlaneList();
+}
+
+function removePlane(index) {
+  state.custom.planes.splice(index, 1);
+  if (selectedPlane === index) selectedPlane = -1;
+  else if (selectedPlane > index) selectedPlane--;
+  selectPlane(selectedPlane);
+}
+
+/** Swap the kept side of a custom plane. */
+function flipPlane(index) {
+  const p = state.custom.planes[index];
+  if (!p) return;
+  p.normal = p.normal.map(c => -c);
+  p.constant = -p.constant;
+  selectPlane(selectedPlane);
+}
+
+// ---- Picking ----
+
+function startPick(kind) {
+  if (!state.active) return;
+  cancelPick();
+  picking = { kind, points: [] };
+  const canvas = getViewerState().renderer.domElement;
+  canvas.addEventListener('pointerdown', onPickPointerDown);
+  // Capture phase so the viewer's click-to-select never sees picking clicks
+  canvas.addEventListener('click', onPickClick, true);
+  canvas.style.cursor = 'crosshair';
+  updatePickHint();
+}
+
+function cancelPick() {
+  if (!picking) return;
+  picking = null;
+  const canvas = getViewerState().renderer.domElement;
+  canvas.removeEventListener('pointerdown', onPickPointerDown);
+  canvas.removeEventListener('click', onPickClick, true);
+  canvas.style.cursor = '';
+  clearPickMarkers();
+  updatePickHint();
+}
+
+function onPickPointerDown(e) {
+  pickDown = { x: e.clientX, y: e.clientY };
+}
+
+function onPickClick(e) {
+  if (!picking) return;
+  e.stopImmediatePropagation();
+  if (pickDown && Math.hypot(e.clientX - pickDown.x, e.clientY - pickDown.y) > CLICK_SLOP_PX) return;
+  const res = raycastHit(e);
+  if (!res) return;
+  const { hit } = res;
+
+  if (picking.kind === 'face') {
+    if (!hit.face) return;
+    finishPick(new THREE.Plane().setFromNormalAndCoplanarPoint(hitNormal(hit), hit.point));
+    return;
+  }
+
+  picking.points.push(hit.point.clone());
+  addPickMarker(hit.point);
+  if (picking.points.length < 3) {
+    updatePickHint();
+    return;
+  }
+  const plane = new THREE.Plane().setFromCoplanarPoints(...picking.points);
+  if (plane.normal.lengthSq() < 0.5) {
+    console.warn('[section] The three points lie on one line, pick again');
+    picking.points = [];
+    clearPickMarkers();
+    updatePickHint();
+    return;
+  }
+  finishPick(plane);
+}
+
+/** World-space normal of the picked face (batched and instanced meshes included). */
+function hitNormal(hit) {
+  const n = hit.face.normal.clone();
+  if (hit.object.isInstancedMesh && hit.instanceId != null) {
+    hit.object.getMatrixAt(hit.instanceId, _mat4);
+    n.transformDirection(_mat4);
+  }
+  return n.transformDirection(hit.object.matrixWorld);
+}
+
+/** New planes cut away the side the camera is on, so the cut opens towards the viewer. */
+function finishPick(plane) {
+  const { camera } = getViewerState();
+  if (plane.distanceToPoint(camera.position) > 0) plane.negate();
+  cancelPick();
+  addCustomPlane(plane);
+}
+
+function addPickMarker(point) {
   const { scene } = getViewerState();
-  if (stencilGroup) {
-    scene.remove(stencilGroup);
-    stencilGroup.traverse(child => {
-      if (child.geometry) child.geometry.dispose();
-      if (child.material) child.material.dispose();
-    });
-    stencilGroup = null;
+  const radius = (cachedBounds ? cachedBounds.getSize(_vec).length() : 10) * 0.004;
+  const marker = new THREE.Mesh(
+    new THREE.SphereGeometry(radius, 12, 8),
+    new THREE.MeshBasicMaterial({ color: 0x6366f1, depthTest: false }),
+  );
+  marker.position.copy(point);
+  marker.renderOrder = 4;
+  scene.add(marker);
+  pickMarkers.push(marker);
+}
+
+function clearPickMarkers() {
+  const { scene } = getViewerState();
+  for (const m of pickMarkers) {
+    scene.remove(m);
+    m.geometry.dispose();
+    m.material.dispose();
   }
+  pickMarkers = [];
 }
 
-function updateStencilCaps() {
-  // Stencil-based cap rendering is complex and perf-heavy.
-  // For now we keep this as a placeholder — the visual effect
-  // comes from the clipping itself. Full stencil caps would require
-  // a two-pass render with stencil buffer manipulation.
-  // This can be enhanced in a future iteration.
+// ---- Gizmo ----
+
+function ensureGizmo() {
+  if (gizmo) return;
+  const { scene, camera, renderer, controls } = getViewerState();
+  gizmoAnchor = new THREE.Object3D();
+  gizmoAnchor.name = 'SectionGizmoAnchor';
+  scene.add(gizmoAnchor);
+
+  gizmo = new TransformControls(camera, renderer.domElement);
+  gizmo.setSpace('local');
+  gizmo.setMode(gizmoMode);
+  gizmo.addEventListener('dragging-changed', (e) => {
+    controls.enabled = !e.value;
+    if (!e.value) gizmoDragEnd = performance.now();
+  });
+  gizmo.addEventListener('objectChange', onGizmoChange);
+  scene.add(gizmo);
+
+  // The click that ends a gizmo drag must not select or deselect elements
+  renderer.domElement.addEventListener('click', (e) => {
+    if (performance.now() - gizmoDragEnd < 250) e.stopImmediatePropagation();
+  }, true);
+}
+
+/** Move the gizmo onto the selected custom plane, or hide it. */
+function attachGizmo() {
+  const p = state.custom.planes[selectedPlane];
+  if (!state.active || state.mode !== 'custom' || !p || !cachedBounds) {
+    detachGizmo();
+    return;
+  }
+  ensureGizmo();
+  const plane = new THREE.Plane(new THREE.Vector3().fromArray(p.normal), p.constant);
+  plane.projectPoint(cachedBounds.getCenter(_vec), gizmoAnchor.position);
+  gizmoAnchor.quaternion.setFromUnitVectors(_zAxis, plane.normal);
+  gizmo.attach(gizmoAnchor);
+  if (!followingCamera) followCamera();
+}
+
+function detachGizmo() {
+  if (gizmo) gizmo.detach();
+}
+
+/** The viewer swaps cameras between perspective and ortho; keep the gizmo on the live one. */
+function followCamera() {
+  followingCamera = !!gizmo?.object;
+  if (!followingCamera) return;
+  gizmo.camera = getViewerState().camera;
+  requestAnimationFrame(followCamera);
+}
+
+function onGizmoChange() {
+  const p = state.custom.planes[selectedPlane];
+  if (!p) return;
+  const normal = _zAxis.clone().applyQuaternion(gizmoAnchor.quaternion);
+  p.normal = normal.toArray();
+  p.constant = -normal.dot(gizmoAnchor.position);
+  updateClipping();
+  renderPlaneList();
+}
+
+function setGizmoMode(mode) {
+  gizmoMode = mode;
+  if (gizmo) gizmo.setMode(mode);
+  document.querySelectorAll('#scGizmoRow .sc-mode-btn').forEach(b =>
+    b.classList.toggle('active', b.dataset.gizmo === mode)
+  );
 }
 
 // ======================== HELPERS ========================
@@ -402,9 +835,29 @@ function createPanel() {
 
     <div class="sc-section">
       <label class="sc-label">Mode</label>
-      <div class="sc-mode-row">
+      <div class="sc-mode-row" id="scModeRow">
         <button class="sc-mode-btn active" id="scModePlane" data-mode="plane">Single Plane</button>
         <button class="sc-mode-btn" id="scModeBox" data-mode="box">Section Box</button>
+        <button class="sc-mode-btn" id="scModeCustom" data-mode="custom">Custom</button>
+      </div>
+    </div>
+
+    <!-- STOREY PRESET -->
+    <div class="sc-section">
+      <label class="sc-label">Storey</label>
+      <div class="sc-storey-row">
+        <button class="sc-storey-step" id="scStoreyDown" title="Storey below (Page Down)">&#9660;</button>
+        <select class="sc-storey-select" id="scStoreySelect"></select>
+        <button class="sc-storey-step" id="scStoreyUp" title="Storey above (Page Up)">&#9650;</button>
+      </div>
+      <div class="sc-storey-row">
+        <span class="sc-range-label">Top</span>
+        <select class="sc-storey-select" id="scStoreyTop">
+          <option value="next">Next storey</option>
+          <option value="cut">Cut height above floor</option>
+        </select>
+        <input type="number" class="sc-storey-cut" id="scStoreyCut" min="0.1" step="0.1" title="Cut height (m)">
+        <span class="sc-range-label">m</span>
       </div>
     </div>
 
@@ -485,12 +938,59 @@ function createPanel() {
       </div>
     </div>
 
+    <!-- CUSTOM PLANE CONTROLS -->
+    <div id="scCustomControls" style="display:none;">
+      <div class="sc-section">
+        <label class="sc-label">Add Plane</label>
+        <div class="sc-button-row">
+          <button class="sc-reset-btn" id="scPickFace" title="Click a face: the plane lies on it">Pick Face</button>
+          <button class="sc-reset-btn" id="scPickPoints" title="Click three points on the model">3 Points</button>
+        </div>
+        <div class="sc-pick-hint" id="scPickHint"></div>
+      </div>
+
+      <div class="sc-section">
+        <label class="sc-label">Planes</label>
+        <div class="sc-plane-list" id="scPlaneList"></div>
+      </div>
+
+      <div class="sc-section">
+        <label class="sc-label">Combine</label>
+        <div class="sc-mode-row" id="scCombineRow">
+          <button class="sc-mode-btn" data-combine="intersection" title="Keep only what every plane keeps">Intersection</button>
+          <button class="sc-mode-btn" data-combine="union" title="Keep what any plane keeps">Union</button>
+        </div>
+      </div>
+
+      <div class="sc-section">
+        <label class="sc-label">Gizmo</label>
+        <div class="sc-mode-row" id="scGizmoRow">
+          <button class="sc-mode-btn" data-gizmo="translate">Move</button>
+          <button class="sc-mode-btn" data-gizmo="rotate">Rotate</button>
+        </div>
+      </div>
+    </div>
+
     <!-- OPTIONS -->
     <div class="sc-section sc-option-row">
       <label class="sc-checkbox-label">
         <input type="checkbox" id="scShowHelper" checked> Show Plane Helper
       </label>
     </div>
+    <div class="sc-section sc-option-row">
+      <label class="sc-checkbox-label">
+        <input type="checkbox" id="scShowCaps"${state.showCaps ? ' checked' : ''}> Section Linework &amp; Caps
+      </label>
+    </div>
+
+    <!-- EXPORT -->
+    <div class="sc-section">
+      <label class="sc-label">Export Cut</label>
+      <div class="sc-button-row">
+        <button class="sc-reset-btn" id="scExportSvg" title="Section outlines with hatches, 1:50">SVG</button>
+        <button class="sc-reset-btn" id="scExportDxf" title="R12 polylines, one layer per IFC type">DXF</button>
+      </div>
+    </div>
 
     <!-- READOUT -->
     <div class="sc-readout" id="scReadout">
@@ -518,21 +1018,37 @@ function wirePanel() {
   document.getElementById('scClose').addEventListener('click', deactivate);
 
   // Mode toggle
-  document.querySelectorAll('.sc-mode-btn').forEach(btn => {
+  document.querySelectorAll('#scModeRow .sc-mode-btn').forEach(btn => {
     btn.addEventListener('click', () => {
       state.mode = btn.dataset.mode;
-      document.querySelectorAll('.sc-mode-btn').forEach(b => b.classList.remove('active'));
-      btn.classList.add('active');
-
-      // Show/hide control sections
-      document.getElementById('scPlaneControls').style.display = state.mode === 'plane' ? '' : 'none';
-      document.getElementById('scBoxControls').style.display = state.mode === 'box' ? '' : 'none';
-
+      state.storey.level = null;
+      if (state.mode !== 'custom') cancelPick();
       updateClipping();
-      updateReadout();
+      attachGizmo();
+      syncPanel();
     });
   });
 
+  // Storey preset
+  const storeySelect = document.getElementById('scStoreySelect');
+  storeySelect.addEventListener('focus', renderStoreyOptions);
+  storeySelect.addEventListener('change', () => {
+    if (storeySelect.value !== '') setStoreyLevel(parseInt(storeySelect.value));
+    storeySelect.blur();
+  });
+  document.getElementById('scStoreyDown').addEventListener('click', () => stepStorey(-1));
+  document.getElementById('scStoreyUp').addEventListener('click', () => stepStorey(1));
+  document.getElementById('scStoreyTop').addEventListener('change', (e) => {
+    state.storey.top = e.target.value;
+    e.target.blur();
+    refreshStoreyBox();
+  });
+  document.getElementById('scStoreyCut').addEventListener('change', (e) => {
+    const h = parseFloat(e.target.value);
+    state.storey.cutHeight = h > 0 ? h : DEFAULT_CUT_HEIGHT;
+    refreshStoreyBox();
+  });
+
   // Axis buttons (single plane)
   document.getElementById('scAxisBtns').addEventListener('click', (e) => {
     const btn = e.target.closest('.sc-axis-btn');
@@ -568,6 +1084,7 @@ function wirePanel() {
       const val = parseInt(slider.value) / 1000;
       const stateKey = key.charAt(0).toLowerCase() + key.slice(1); // xMin, xMax, etc.
       state.box[stateKey] = val;
+      state.storey.level = null;
       valEl.textContent = `${Math.round(val * 100)}%`;
 
       // Enforce min < max
@@ -594,6 +1111,7 @@ function wirePanel() {
   // Reset box
   document.getElementById('scResetBox').addEventListener('click', () => {
     state.box = { xMin: 0, xMax: 1, yMin: 0, yMax: 1, zMin: 0, zMax: 1 };
+    state.storey.level = null;
     // Reset all sliders
     for (const key of boxSliders) {
       const slider = document.getElementById(`scBox${key}`);
@@ -610,17 +1128,49 @@ function wirePanel() {
     state.showPlaneHelper = e.target.checked;
     updateClipping();
   });
+
+  // Linework & caps toggle
+  document.getElementById('scShowCaps').addEventListener('change', (e) => {
+    state.showCaps = e.target.checked;
+    removeCaps();
+    if (state.showCaps) scheduleCaps();
+  });
+
+  // Custom planes
+  document.getElementById('scPickFace').addEventListener('click', () =>
+    picking?.kind === 'face' ? cancelPick() : startPick('face'));
+  document.getElementById('scPickPoints').addEventListener('click', () =>
+    picking?.kind === 'points' ? cancelPick() : startPick('points'));
+
+  document.getElementById('scPlaneList').addEventListener('click', (e) => {
+    const item = e.target.closest('.sc-plane-item');
+    if (!item) return;
+    const index = parseInt(item.dataset.index);
+    const action = e.target.closest('[data-action]')?.dataset.action;
+    if (action === 'flip') flipPlane(index);
+    else if (action === 'delete') removePlane(index);
+    else selectPlane(index === selectedPlane ? -1 : index);
+  });
+
+  document.querySelectorAll('#scCombineRow .sc-mode-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      state.custom.combine = btn.dataset.combine;
+      updateClipping();
+      syncPanel();
+    });
+  });
+
+  document.querySelectorAll('#scGizmoRow .sc-mode-btn').forEach(btn => {
+    btn.addEventListener('click', () => setGizmoMode(btn.dataset.gizmo));
+  });
+
+  document.getElementById('scExportSvg').addEventListener('click', () => exportCut('svg'));
+  document.getElementById('scExportDxf').addEventListener('click', () => exportCut('dxf'));
 }
 
 function showPanel() {
   createPanel();
-  // Set initial axis highlight
-  const activeAxis = document.querySelector(`.sc-axis-btn[data-axis="${state.planeAxis}"]`);
-  if (activeAxis) {
-    document.querySelectorAll('.sc-axis-btn').forEach(b => b.classList.remove('active'));
-    activeAxis.classList.add('active');
-  }
-  updateReadout();
+  syncPanel();
 }
 
 function hidePanel() {
@@ -633,21 +1183,246 @@ function updateReadout() {
   const planesEl = document.getElementById('scReadoutPlanes');
   const axisEl = document.getElementById('scReadoutAxis');
 
-  if (modeEl) modeEl.textContent = state.mode === 'plane' ? 'Plane' : 'Box';
-  if (planesEl) planesEl.textContent = state.mode === 'plane' ? '1' : '6';
-  if (axisEl) axisEl.textContent = state.mode === 'plane'
-    ? state.planeAxis.toUpperCase()
-    : 'X/Y/Z';
+  if (modeEl) modeEl.textContent = { plane: 'Plane', box: 'Box', custom: 'Custom' }[state.mode];
+  if (planesEl) planesEl.textContent = String(clipPlanes.length);
+  if (axisEl) axisEl.textContent = state.mode === 'plane' ? state.planeAxis.toUpperCase()
+    : state.mode === 'box' ? 'X/Y/Z'
+    : isUnion() ? 'Union' : 'Free';
+}
+
+function renderPlaneList() {
+  const list = document.getElementById('scPlaneList');
+  if (!list) return;
+  const planes = state.custom.planes;
+  if (planes.length === 0) {
+    list.innerHTML = '<div class="sc-plane-empty">No planes yet. Pick a face or three points.</div>';
+    return;
+  }
+  list.innerHTML = planes.map((p, i) => `
+    <div class="sc-plane-item${i === selectedPlane ? ' active' : ''}" data-index="${i}" title="Click to move / rotate with the gizmo">
+      <span class="sc-plane-name">Plane ${i + 1}</span>
+      <span class="sc-plane-normal">n ${p.normal.map(c => c.toFixed(2)).join(', ')}</span>
+      <button class="sc-plane-btn" data-action="flip" title="Flip the kept side">&#8645;</button>
+      <button class="sc-plane-btn" data-action="delete" title="Remove plane">&times;</button>
+    </div>`).join('');
+}
+
+function updatePickHint() {
+  const hint = document.getElementById('scPickHint');
+  if (hint) {
+    hint.textContent = !picking ? ''
+      : picking.kind === 'face' ? 'Click a face on the model (Esc cancels)'
+      : `Click point ${picking.points.length + 1} of 3 (Esc cancels)`;
+  }
+  document.getElementById('scPickFace')?.classList.toggle('active', picking?.kind === 'face');
+  document.getElementById('scPickPoints')?.classList.toggle('active', picking?.kind === 'points');
+}
+
+/** Push state into the panel controls (after a programmatic restore). */
+function syncPanel() {
+  document.querySelectorAll('#scModeRow .sc-mode-btn').forEach(b =>
+    b.classList.toggle('active', b.dataset.mode === state.mode)
+  );
+  const planeControls = document.getElementById('scPlaneControls');
+  const boxControls = document.getElementById('scBoxControls');
+  const customControls = document.getElementById('scCustomControls');
+  if (planeControls) planeControls.style.display = state.mode === 'plane' ? '' : 'none';
+  if (boxControls) boxControls.style.display = state.mode === 'box' ? '' : 'none';
+  if (customControls) customControls.style.display = state.mode === 'custom' ? '' : 'none';
+
+  document.querySelectorAll('#scCombineRow .sc-mode-btn').forEach(b =>
+    b.classList.toggle('active', b.dataset.combine === state.custom.combine)
+  );
+  setGizmoMode(gizmoMode);
+  renderPlaneList();
+  renderStoreyOptions();
+  const storeyTop = document.getElementById('scStoreyTop');
+  if (storeyTop) storeyTop.value = state.storey.top;
+  const storeyCut = document.getElementById('scStoreyCut');
+  if (storeyCut) {
+    storeyCut.value = state.storey.cutHeight;
+    storeyCut.disabled = state.storey.top !== 'cut';
+  }
+  updatePickHint();
+
+  document.querySelectorAll('.sc-axis-btn').forEach(b =>
+    b.classList.toggle('active', b.dataset.axis === state.planeAxis)
+  );
+
+  const posSlider = document.getElementById('scPosSlider');
+  if (posSlider) posSlider.value = Math.round(state.planePosition * 1000);
+  const posDisplay = document.getElementById('scPosDisplay');
+  if (posDisplay) posDisplay.textContent = `${Math.round(state.planePosition * 100)}%`;
+
+  const flip = document.getElementById('scFlip');
+  if (flip) flip.checked = state.planeFlipped;
+  const helper = document.getElementById('scShowHelper');
+  if (helper) helper.checked = state.showPlaneHelper;
+  const caps = document.getElementById('scShowCaps');
+  if (caps) caps.checked = state.showCaps;
+
+  for (const key of ['XMin', 'XMax', 'YMin', 'YMax', 'ZMin', 'ZMax']) {
+    const val = state.box[key.charAt(0).toLowerCase() + key.slice(1)];
+    const slider = document.getElementById(`scBox${key}`);
+    const valEl = document.getElementById(`scBox${key}Val`);
+    if (slider) slider.value = Math.round(val * 1000);
+    if (valEl) valEl.textContent = `${Math.round(val * 100)}%`;
+  }
+  updateReadout();
+}
+
+// ======================== SAVE / RESTORE ========================
+
+/** Serializable snapshot of the section cut (project files). */
+function getSectionState() {
+  return {
+    active: state.active,
+    mode: state.mode,
+    planeAxis: state.planeAxis,
+    planeFlipped: state.planeFlipped,
+    planePosition: state.planePosition,
+    box: { ...state.box },
+    custom: {
+      planes: state.custom.planes.map(p => ({ normal: [...p.normal], constant: p.constant })),
+      combine: state.custom.combine,
+    },
+    storey: { ...state.storey },
+    showPlaneHelper: state.showPlaneHelper,
+    showCaps: state.showCaps,
+  };
+}
+
+/** Restore a snapshot from getSectionState(). Models must already be loaded. */
+function setSectionState(saved) {
+  if (!saved || !saved.active) {
+    deactivate();
+    return;
+  }
+  if (!state.active) activate();
+  if (!state.active) return;   // nothing loaded to cut
+
+  state.mode = ['plane', 'box', 'custom'].includes(saved.mode) ? saved.mode : 'plane';
+  state.planeAxis = saved.planeAxis || 'y';
+  state.planeFlipped = !!saved.planeFlipped;
+  state.planePosition = saved.planePosition ?? 0.5;
+  state.box = { ...state.box, ...saved.box };
+  state.custom = {
+    planes: (saved.custom?.planes || [])
+      .filter(p => p.normal?.length === 3 && Number.isFinite(p.constant))
+      .map(p => ({ normal: [...p.normal], constant: p.constant })),
+    combine: saved.custom?.combine === 'union' ? 'union' : 'intersection',
+  };
+  state.storey = {
+    level: Number.isFinite(saved.storey?.level) ? saved.storey.level : null,
+    top: saved.storey?.top === 'cut' ? 'cut' : 'next',
+    cutHeight: saved.storey?.cutHeight > 0 ? saved.storey.cutHeight : DEFAULT_CUT_HEIGHT,
+  };
+  selectedPlane = -1;
+  cancelPick();
+  state.showPlaneHelper = saved.showPlaneHelper !== false;
+  state.showCaps = !!saved.showCaps;
+
+  // A storey box follows its level rather than the saved fractions, which
+  // shift when a different set of models is loaded
+  const levelIndex = currentLevelIndex(storeyLevels());
+  if (levelIndex >= 0) {
+    setStoreyLevel(levelIndex);
+    return;
+  }
+  if (state.mode === 'box') state.storey.level = null;
+
+  cachedBounds = getModelBounds();
+  updateClipping();
+  attachGizmo();
+  syncPanel();
+}
+
+/**
+ * World-space copies of the active clip planes (empty when the cut is off).
+ * BCF has no union: custom planes combined as a union come back as an intersection.
+ */
+function getClipPlanes() {
+  return state.active ? clipPlanes.map(p => p.clone()) : [];
+}
+
+/**
+ * Drive the cut from world-space planes (BCF viewpoints, floor plans). One
+ * axis-aligned plane becomes a single cut and several a section box; anything
+ * oblique becomes custom planes combined as an intersection.
+ */
+function setClipPlanes(planes) {
+  if (!planes || planes.length === 0) {
+    deactivate();
+    return;
+  }
+  if (!state.active) activate();
+  if (!state.active) return;
+
+  cachedBounds = getModelBounds();
+  cancelPick();
+  selectedPlane = -1;
+  state.storey.level = null;
+  const isAxisAligned = (p) => Math.max(...p.normal.toArray().map(Math.abs)) > 0.999;
+  if (!planes.every(isAxisAligned)) {
+    state.mode = 'custom';
+    state.custom = { planes: planes.map(planeToState), combine: 'intersection' };
+    updateClipping();
+    attachGizmo();
+    syncPanel();
+    return;
+  }
+
+  const min = cachedBounds.min;
+  const size = cachedBounds.getSize(new THREE.Vector3());
+  const axes = ['x', 'y', 'z'];
+  const snapped = planes.map(p => {
+    const n = p.normal;
+    const i = [0, 1, 2].reduce((best, j) => Math.abs(n.getComponent(j)) > Math.abs(n.getComponent(best)) ? j : best, 0);
+    const coord = p.coplanarPoint(new THREE.Vector3()).getComponent(i);
+    const t = size.getComponent(i) > 0 ? (coord - min.getComponent(i)) / size.getComponent(i) : 0.5;
+    return { axis: axes[i], positive: n.getComponent(i) > 0, t: Math.min(1, Math.max(0, t)) };
+  });
+
+  if (snapped.length === 1) {
+    state.mode = 'plane';
+    state.planeAxis = snapped[0].axis;
+    state.planeFlipped = !snapped[0].positive;
+    state.planePosition = snapped[0].t;
+  } else {
+    state.mode = 'box';
+    state.box = { xMin: 0.0, xMax: 1.0, yMin: 0.0, yMax: 1.0, zMin: 0.0, zMax: 1.0 };
+    // A plane facing +axis keeps what lies above it, so it is the box minimum
+    for (const s of snapped) state.box[s.axis + (s.positive ? 'Min' : 'Max')] = s.t;
+  }
+  updateClipping();
+  attachGizmo();
+  syncPanel();
 }
 
 // ======================== KEYBOARD SHORTCUT ========================
+// Capture phase, so cancelling a pick does not also reach the viewer's Escape (Show All)
+window.addEventListener('keydown', (e) => {
+  if (e.key !== 'Escape' || !picking) return;
+  cancelPick();
+  e.stopImmediatePropagation();
+}, true);
+
 document.addEventListener('keydown', (e) => {
-  if (document.activeElement.tagName === 'INPUT' || document.activeElement.tagName === 'SELECT') return;
+  if (['INPUT', 'TEXTAREA', 'SELECT'].includes(document.activeElement.tagName)) return;
 
   if (e.key === 'c' || e.key === 'C') {
     toggle();
   }
+  // Only while a storey box is shown — otherwise the keys scroll the panels as usual
+  const storeyShown = state.active && state.mode === 'box' && state.storey.level !== null;
+  if (storeyShown && (e.key === 'PageUp' || e.key === 'PageDown')) {
+    e.preventDefault();
+    stepStorey(e.key === 'PageUp' ? 1 : -1);
+  }
 });
 
 // ======================== EXPORTS ========================
-export { toggle, activate, deactivate, state, refreshBounds };
+export {
+  toggle, activate, deactivate, state, refreshBounds,
+  getSectionState, setSectionState, getClipPlanes, setClipPlanes,
+};
@@ -0,0 +1,619 @@
+/* ============================================================
+   BIM Model Viewer — section-lines.js
+   True 2D section linework for the section cut: intersects
+   every visible element's triangles with each clip plane,
+   chains the segments into closed outlines per element,
+   clips them to the rest of the section box and builds crisp
+   outline lines plus hatched caps by material / IFC type.
+   Cuts export to SVG (with hatches) and DXF (R12 polylines on
+   one layer per IFC type), tagged with element GlobalIds.
+   Plane coordinates: u to the right and v up, as seen looking
+   from the removed side towards what the plane keeps.
+   ============================================================ */
+
+import * as THREE from 'three';
+import { getViewerState, getElementBox, getElementTriangles } from './viewer.js';
+
+// ======================== CONFIG ========================
+// Endpoints closer than this chain together (m)
+const WELD_EPS = 1e-5;
+// Elements that are never drawn in section
+const SKIP_TYPES = new Set(['IFCSPACE', 'IFCOPENINGELEMENT', 'IFCVIRTUALELEMENT', 'IFCANNOTATION', 'IFCGRID']);
+// Scale of exported SVG drawings (1:SVG_SCALE)
+const SVG_SCALE = 50;
+
+/**
+ * Cap hatches. Lines and dots are drawn in a unit tile repeated every `size`
+ * metres: lines as [x1, y1, x2, y2], dots as [x, y].
+ */
+const HATCHES = {
+  concrete: { label: 'Concrete', size: 0.25, bg: '#cdc8bc', ink: '#6e695f',
+    lines: [[0, 1, 1, 0]], dots: [[0.22, 0.3], [0.68, 0.78], [0.8, 0.18], [0.4, 0.6]] },
+  steel:    { label: 'Steel', size: 0.04, bg: '#8c95a8', ink: '#3b4150',
+    lines: [[0, 1, 1, 0], [0, 0, 1, 1]], dots: [] },
+  masonry:  { label: 'Masonry', size: 0.12, bg: '#dbbb9d', ink: '#8a5a3c',
+    lines: [[0, 1, 1, 0]], dots: [] },
+  timber:   { label: 'Timber', size: 0.1, bg: '#dcc593', ink: '#8b6a2f',
+    lines: [[0, 0.5, 1, 0.5]], dots: [] },
+  generic:  { label: 'Other', size: 1, bg: '#c4c8d6', ink: '#c4c8d6', lines: [], dots: [] },
+};
+
+const MATERIAL_PATTERNS = [
+  ['concrete', /concrete|beton|béton|hormig|cast.?in.?place|grout/i],
+  ['steel', /steel|stahl|acier|metal|alumin|iron/i],
+  ['masonry', /brick|block|masonry|cmu|stone|mauerwerk/i],
+  ['timber', /wood|timber|lumber|plywood|\bclt\b|glulam|holz/i],
+];
+
+const TYPE_HATCH = {
+  IFCSLAB: 'concrete', IFCFOOTING: 'concrete', IFCPILE: 'concrete', IFCROOF: 'concrete',
+  IFCWALL: 'concrete', IFCWALLSTANDARDCASE: 'concrete', IFCCOLUMN: 'concrete',
+  IFCSTAIR: 'concrete', IFCSTAIRFLIGHT: 'concrete', IFCRAMP: 'concrete', IFCRAMPFLIGHT: 'concrete',
+  IFCBEAM: 'steel', IFCMEMBER: 'steel', IFCPLATE: 'steel',
+  IFCREINFORCINGBAR: 'steel', IFCMECHANICALFASTENER: 'steel', IFCFASTENER: 'steel',
+};
+
+// ======================== CLASSIFICATION ========================
+/** Hatch key for an element: a material property if it names one, else its IFC type. */
+function hatchFor(data) {
+  for (const [k, v] of Object.entries(data?.props || {})) {
+    if (typeof v !== 'string' || !/material/i.test(k)) continue;
+    for (const [hatch, re] of MATERIAL_PATTERNS) if (re.test(v)) return hatch;
+  }
+  return TYPE_HATCH[(data?.ifcType || '').toUpperCase()] || 'generic';
+}
+
+// ======================== PLANE BASIS ========================
+/**
+ * 2D frame on a clip plane. Looking along the normal (from the removed side),
+ * v is world up — or north (−Z) on horizontal cuts — and u is to the right.
+ */
+function planeBasis(plane) {
+  const n = plane.normal;
+  const origin = plane.coplanarPoint(new THREE.Vector3());
+  const v = Math.abs(n.y) > 0.99 ? new THREE.Vector3(0, 0, -1) : new THREE.Vector3(0, 1, 0);
+  v.addScaledVector(n, -v.dot(n)).normalize();
+  const u = new THREE.Vector3().crossVectors(n, v).normalize();
+  return { origin, u, v, n: n.clone() };
+}
+
+function to2D(basis, p) {
+  const dx = p.x - basis.origin.x, dy = p.y - basis.origin.y, dz = p.z - basis.origin.z;
+  return [
+    dx * basis.u.x + dy * basis.u.y + dz * basis.u.z,
+    dx * basis.v.x + dy * basis.v.y + dz * basis.v.z,
+  ];
+}
+
+// ======================== INTERSECTION ========================
+const _a = new THREE.Vector3();
+const _b = new THREE.Vector3();
+const _c = new THREE.Vector3();
+
+/** Signed distance, nudged off zero so vertices on the plane count as in front. */
+function side(plane, p) {
+  const d = plane.distanceToPoint(p);
+  return d === 0 ? 1e-12 : d;
+}
+
+/**
+ * Crossing point of edge p–q with the plane. Vertices are put in a fixed order
+ * first, so the two triangles sharing an edge produce the identical point.
+ */
+function edgePoint(p, dp, q, dq) {
+  if (p.x > q.x || (p.x === q.x && (p.y > q.y || (p.y === q.y && p.z > q.z)))) {
+    [p, q] = [q, p];
+    [dp, dq] = [dq, dp];
+  }
+  return new THREE.Vector3().lerpVectors(p, q, dp / (dp - dq));
+}
+
+/** Cut segments of one element's world triangles with a plane. */
+function cutTriangles(tris, plane) {
+  const segments = [];
+  for (let o = 0; o < tris.length; o += 9) {
+    _a.set(tris[o], tris[o + 1], tris[o + 2]);
+    _b.set(tris[o + 3], tris[o + 4], tris[o + 5]);
+    _c.set(tris[o + 6], tris[o + 7], tris[o + 8]);
+    const da = side(plane, _a), db = side(plane, _b), dc = side(plane, _c);
+    const pts = [];
+    if ((da > 0) !== (db > 0)) pts.push(edgePoint(_a, da, _b, db));
+    if ((db > 0) !== (dc > 0)) pts.push(edgePoint(_b, db, _c, dc));
+    if ((dc > 0) !== (da > 0)) pts.push(edgePoint(_c, dc, _a, da));
+    if (pts.length === 2) segments.push(pts);
+  }
+  return segments;
+}
+
+/**
+ * Chain 2D segments into polylines by welding shared endpoints.
+ * @returns {{ loops: number[][][], open: number[][][] }} points as [u, v]
+ */
+function chainSegments(segs) {
+  const keyOf = (p) => `${Math.round(p[0] / WELD_EPS)},${Math.round(p[1] / WELD_EPS)}`;
+  // Segments that collapse to a point (a vertex grazing the plane) join nothing
+  segs = segs.filter(([p, q]) => keyOf(p) !== keyOf(q));
+  const byKey = new Map();   // endpoint key → segment indices
+  segs.forEach(([p, q], i) => {
+    for (const k of [keyOf(p), keyOf(q)]) {
+      if (!byKey.has(k)) byKey.set(k, []);
+      byKey.get(k).push(i);
+    }
+  });
+
+  const used = new Uint8Array(segs.length);
+  /** Follow unused segments from the end point of `line`, appending (or prepending) as it goes. */
+  const extend = (line, atEnd) => {
+    for (;;) {
+      const k = keyOf(atEnd ? line[line.length - 1] : line[0]);
+      if (atEnd && k === keyOf(line[0])) return;   // closed
+      const i = (byKey.get(k) || []).find(j => !used[j]);
+      if (i === undefined) return;
+      used[i] = 1;
+      const [p, q] = segs[i];
+      const next = keyOf(p) === k ? q : p;
+      if (atEnd) line.push(next);
+      else line.unshift(next);
+    }
+  };
+
+  const loops = [], open = [];
+  for (let s = 0; s < segs.length; s++) {
+    if (used[s]) continue;
+    used[s] = 1;
+    const line = [segs[s][0], segs[s][1]];
+    extend(line, true);
+    const closed = line.length > 3 && keyOf(line[0]) === keyOf(line[line.length - 1]);
+    if (closed) {
+      line.pop();
+      loops.push(line);
+    } else {
+      extend(line, false);
+      open.push(line);
+    }
+  }
+  return { loops, open };
+}
+
+/** Drop vertices that sit on a straight run (triangle diagonals leave many). */
+function simplify(line, closed) {
+  const out = [];
+  const n = line.length;
+  for (let i = 0; i < n; i++) {
+    if (!closed && (i === 0 || i === n - 1)) { out.push(line[i]); continue; }
+    const p = line[(i - 1 + n) % n], c = line[i], q = line[(i + 1) % n];
+    const cross = (c[0] - p[0]) * (q[1] - c[1]) - (c[1] - p[1]) * (q[0] - c[0]);
+    const scale = Math.hypot(c[0] - p[0], c[1] - p[1]) * Math.hypot(q[0] - c[0], q[1] - c[1]);
+    if (Math.abs(cross) > scale * 1e-6) out.push(c);
+  }
+  return out;
+}
+
+// ======================== SECTION BOX TRIM ========================
+/**
+ * Another clip plane as a 2D half-plane [a, b, c] on this plane's frame:
+ * a·u + b·v + c >= 0 is kept.
+ */
+function halfPlane2D(basis, q) {
+  return [q.normal.dot(basis.u), q.normal.dot(basis.v), q.distanceToPoint(basis.origin)];
+}
+
+const hpDist = ([a, b, c], p) => a * p[0] + b * p[1] + c;
+const hpCross = (hp, p, q) => {
+  const dp = hpDist(hp, p), dq = hpDist(hp, q);
+  const t = dp / (dp - dq);
+  return [p[0] + (q[0] - p[0]) * t, p[1] + (q[1] - p[1]) * t];
+};
+
+/** Clip a closed polygon to a half-plane (Sutherland–Hodgman). */
+function clipPolygon(poly, hp) {
+  const out = [];
+  for (let i = 0; i < poly.length; i++) {
+    const p = poly[i], q = poly[(i + 1) % poly.length];
+    const pIn = hpDist(hp, p) >= 0, qIn = hpDist(hp, q) >= 0;
+    if (pIn) out.push(p);
+    if (pIn !== qIn) out.push(hpCross(hp, p, q));
+  }
+  return out;
+}
+
+/** Clip an open polyline to a half-plane; it may split into several pieces. */
+function clipPolyline(line, hp) {
+  const pieces = [];
+  let current = [];
+  for (let i = 0; i < line.length; i++) {
+    const p = line[i];
+    const pIn = hpDist(hp, p) >= 0;
+    if (i > 0 && pIn !== (hpDist(hp, line[i - 1]) >= 0)) {
+      const x = hpCross(hp, line[i - 1], p);
+      current.push(x);
+      if (!pIn) { pieces.push(current); current = []; }
+      else current = [x];
+    }
+    if (pIn) current.push(p);
+  }
+  if (current.length > 1) pieces.push(current);
+  return pieces.filter(l => l.length > 1);
+}
+
+/** Twice the signed area of a 2D polygon. */
+function signedArea2(poly) {
+  let a = 0;
+  for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+    a += (poly[j][0] * poly[i][1]) - (poly[i][0] * poly[j][1]);
+  }
+  return a;
+}
+
+function pointInPolygon(pt, poly) {
+  let inside = false;
+  for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+    const [xi, yi] = poly[i], [xj, yj] = poly[j];
+    if ((yi > pt[1]) !== (yj > pt[1]) && pt[0] < (xj - xi) * (pt[1] - yi) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * Group loops into outer boundaries with their holes by nesting depth
+ * (even depth = solid, odd = hole inside the innermost enclosing solid).
+ */
+function nestLoops(loops) {
+  const depth = loops.map((l, i) =>
+    loops.filter((o, j) => j !== i && pointInPolygon(l[0], o)).length
+  );
+  const shapes = [];
+  loops.forEach((l, i) => {
+    if (depth[i] % 2 === 0) shapes.push({ outer: l, holes: [], index: i });
+  });
+  loops.forEach((l, i) => {
+    if (depth[i] % 2 === 0) return;
+    // Innermost solid containing this hole
+    const parent = shapes
+      .filter(s => depth[s.index] === depth[i] - 1 && pointInPolygon(l[0], s.outer))[0];
+    if (parent) parent.holes.push(l);
+  });
+  return shapes;
+}
+
+// ======================== BUILD ========================
+/** Is the box entirely on the removed (negative) side of the plane? */
+function boxOutside(plane, box) {
+  const n = plane.normal;
+  _a.set(n.x > 0 ? box.max.x : box.min.x, n.y > 0 ? box.max.y : box.min.y, n.z > 0 ? box.max.z : box.min.z);
+  return plane.distanceToPoint(_a) < 0;
+}
+
+/**
+ * Compute the section of every visible element on each plane. With several
+ * planes each plane's outlines are clipped to the others, so caps stay closed:
+ * to what they keep, or for a union to what they all cut away.
+ * @param {THREE.Plane[]} planes - world-space clip planes
+ * @param {{ union?: boolean }} [options] - planes keep the union of their sides
+ * @returns {Array<{ plane, basis, elements: Array<{ key, globalId, ifcType, name, hatch,
+ *           loops: number[][][], open: number[][][] }> }>}
+ */
+function computeSections(planes, { union = false } = {}) {
+  const { elementMeshMap, elementDataMap } = getViewerState();
+  const box = new THREE.Box3();
+  const started = performance.now();
+  let segmentCount = 0;
+
+  const sections = planes.map((plane, pi) => {
+    // A cut face shows only where no other plane keeps the model whole
+    const others = planes.filter((_, j) => j !== pi).map(q => union ? q.clone().negate() : q);
+    const basis = planeBasis(plane);
+    const trims = others.map(q => halfPlane2D(basis, q));
+    const elements = [];
+    for (const [key, mesh] of elementMeshMap) {
+      if (!mesh.visible) continue;
+      const data = elementDataMap.get(key);
+      const type = (data?.ifcType || mesh.userData.ifcType || '').toUpperCase();
+      if (SKIP_TYPES.has(type)) continue;
+      if (!getElementBox(key, box) || !plane.intersectsBox(box)) continue;
+      if (others.some(q => boxOutside(q, box))) continue;
+
+      const tris = getElementTriangles(key);
+      if (!tris) continue;
+      const segs = cutTriangles(tris, plane);
+      if (segs.length === 0) continue;
+      segmentCount += segs.length;
+      const chains = chainSegments(segs.map(([p, q]) => [to2D(basis, p), to2D(basis, q)]));
+      let loops = chains.loops.map(l => simplify(l, true));
+      let open = chains.open.map(l => simplify(l, false));
+      for (const hp of trims) {
+        loops = loops.map(l => clipPolygon(l, hp)).filter(l => l.length >= 3);
+        open = open.flatMap(l => clipPolyline(l, hp));
+      }
+      if (loops.length === 0 && open.length === 0) continue;
+      elements.push({
+        key,
+        globalId: data?.globalId || '',
+        ifcType: type,
+        name: data?.name || '',
+        hatch: hatchFor(data),
+        loops,
+        open,
+      });
+    }
+    return { plane: plane.clone(), basis, elements };
+  });
+
+  const elementCount = sections.reduce((n, s) => n + s.elements.length, 0);
+  console.log(`[section] ${segmentCount} segments, ${elementCount} element cuts in ${Math.round(performance.now() - started)} ms`);
+  return sections;
+}
+
+// ======================== RENDERING ========================
+const textureCache = new Map();
+
+/** Repeating canvas texture for a hatch (one tile = 1 world unit of UV). */
+function hatchTexture(key) {
+  if (textureCache.has(key)) return textureCache.get(key);
+  const h = HATCHES[key];
+  const px = 64;
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = px;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = h.bg;
+  ctx.fillRect(0, 0, px, px);
+  ctx.strokeStyle = h.ink;
+  ctx.fillStyle = h.ink;
+  ctx.lineWidth = 2;
+  for (const [x1, y1, x2, y2] of h.lines) {
+    ctx.beginPath();
+    ctx.moveTo(x1 * px, (1 - y1) * px);
+    ctx.lineTo(x2 * px, (1 - y2) * px);
+    ctx.stroke();
+  }
+  for (const [x, y] of h.dots) {
+    ctx.beginPath();
+    ctx.arc(x * px, (1 - y) * px, 2.5, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  const tex = new THREE.CanvasTexture(canvas);
+  tex.wrapS = tex.wrapT = THREE.RepeatWrapping;
+  tex.repeat.set(1 / h.size, 1 / h.size);
+  tex.colorSpace = THREE.SRGBColorSpace;
+  textureCache.set(key, tex);
+  return tex;
+}
+
+/** Scene group with one outline LineSegments and one cap mesh per hatch, per plane. */
+function buildSectionGroup(sections) {
+  const group = new THREE.Group();
+  group.name = 'SectionLinework';
+  const lineMat = new THREE.LineBasicMaterial({ color: 0x111118 });
+
+  for (const section of sections) {
+    const { basis } = section;
+    // Plane space → world: columns u, v, n and the origin
+    const toWorld = new THREE.Matrix4().makeBasis(basis.u, basis.v, basis.n).setPosition(basis.origin);
+
+    const linePts = [];
+    const capsByHatch = new Map();
+    for (const el of section.elements) {
+      for (const loop of el.loops) {
+        for (let i = 0; i < loop.length; i++) {
+          const p = loop[i], q = loop[(i + 1) % loop.length];
+          linePts.push(p[0], p[1], 0, q[0], q[1], 0);
+        }
+      }
+      for (const line of el.open) {
+        for (let i = 0; i + 1 < line.length; i++) {
+          linePts.push(line[i][0], line[i][1], 0, line[i + 1][0], line[i + 1][1], 0);
+        }
+      }
+      for (const { outer, holes } of nestLoops(el.loops)) {
+        const shape = new THREE.Shape(outer.map(([x, y]) => new THREE.Vector2(x, y)));
+        for (const hole of holes) shape.holes.push(new THREE.Path(hole.map(([x, y]) => new THREE.Vector2(x, y))));
+        if (!capsByHatch.has(el.hatch)) capsByHatch.set(el.hatch, []);
+        capsByHatch.get(el.hatch).push(shape);
+      }
+    }
+
+    if (linePts.length > 0) {
+      const geo = new THREE.BufferGeometry();
+      geo.setAttribute('position', new THREE.Float32BufferAttribute(linePts, 3));
+      const lines = new THREE.LineSegments(geo, lineMat);
+      lines.applyMatrix4(toWorld);
+      lines.renderOrder = 3;
+      group.add(lines);
+    }
+    for (const [hatch, shapes] of capsByHatch) {
+      // ShapeGeometry UVs are the plane coordinates, so hatches keep a real-world scale
+      const geo = new THREE.ShapeGeometry(shapes);
+      const mat = new THREE.MeshBasicMaterial({
+        map: hatchTexture(hatch),
+        side: THREE.DoubleSide,
+        polygonOffset: true,
+        polygonOffsetFactor: 1,
+        polygonOffsetUnits: 1,
+      });
+      const caps = new THREE.Mesh(geo, mat);
+      caps.applyMatrix4(toWorld);
+      caps.renderOrder = 2;
+      group.add(caps);
+    }
+  }
+  return group;
+}
+
+function disposeSectionGroup(group) {
+  group.traverse(child => {
+    if (child.geometry) child.geometry.dispose();
+    // Hatch textures are cached and shared, so only the materials go
+    if (child.material) child.material.dispose();
+  });
+}
+
+// ======================== EXPORT ========================
+function download(text, type, filename) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+function xmlEscape(s) {
+  return String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/** 2D bounds of a section's linework, or null when it is empty. */
+function sectionBounds(section) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const el of section.elements) {
+    for (const line of [...el.loops, ...el.open]) {
+      for (const [x, y] of line) {
+        minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+        minY = Math.min(minY, y); maxY = Math.max(maxY, y);
+      }
+    }
+  }
+  return minX === Infinity ? null : { minX, minY, maxX, maxY };
+}
+
+/** "plan" for horizontal cuts, else "section-x" / "section-z" by the plane's axis. */
+function planeLabel(section) {
+  const n = section.basis.n;
+  const i = [0, 1, 2].reduce((best, j) => Math.abs(n.getComponent(j)) > Math.abs(n.getComponent(best)) ? j : best, 0);
+  return i === 1 ? 'plan' : `section-${'xyz'[i]}`;
+}
+
+/**
+ * SVG of the sections side by side, 1:SVG_SCALE, in metres. Each element is a
+ * <g> carrying its GlobalId and IFC type; caps use <pattern> hatches.
+ */
+function sectionsToSVG(sections) {
+  const margin = 1;
+  const parts = [];
+  let offsetX = 0, height = 0;
+  for (const section of sections) {
+    const b = sectionBounds(section);
+    if (!b) continue;
+    parts.push({ section, b, offsetX });
+    offsetX += (b.maxX - b.minX) + margin * 2;
+    height = Math.max(height, b.maxY - b.minY);
+  }
+  const width = Math.max(offsetX, margin * 2);
+  height += margin * 2;
+  const mm = (m) => (m * 1000 / SVG_SCALE).toFixed(1);
+  const f = (x) => x.toFixed(4);
+
+  let svg = `<?xml version="1.0" encoding="UTF-8"?>\n`;
+  svg += `<svg xmlns="http://www.w3.org/2000/svg" width="${mm(width)}mm" height="${mm(height)}mm" viewBox="0 0 ${f(width)} ${f(height)}">\n`;
+  svg += `<title>Section linework, 1:${SVG_SCALE}, units m</title>\n<defs>\n`;
+  for (const [key, h] of Object.entries(HATCHES)) {
+    svg += `<pattern id="hatch-${key}" patternUnits="userSpaceOnUse" width="${h.size}" height="${h.size}">`;
+    svg += `<rect width="${h.size}" height="${h.size}" fill="${h.bg}"/>`;
+    for (const [x1, y1, x2, y2] of h.lines) {
+      svg += `<line x1="${f(x1 * h.size)}" y1="${f((1 - y1) * h.size)}" x2="${f(x2 * h.size)}" y2="${f((1 - y2) * h.size)}" stroke="${h.ink}" stroke-width="${f(h.size * 0.04)}"/>`;
+    }
+    for (const [x, y] of h.dots) {
+      svg += `<circle cx="${f(x * h.size)}" cy="${f((1 - y) * h.size)}" r="${f(h.size * 0.04)}" fill="${h.ink}"/>`;
+    }
+    svg += `</pattern>\n`;
+  }
+  svg += `</defs>\n`;
+
+  parts.forEach(({ section, b, offsetX: ox }, index) => {
+    // Plane v points up; SVG y points down
+    const tx = (x) => f(ox + margin + x - b.minX);
+    const ty = (y) => f(margin + b.maxY - y);
+    const pathOf = (line, close) => `M${line.map(([x, y]) => `${tx(x)} ${ty(y)}`).join(' L')}${close ? ' Z' : ''}`;
+
+    svg += `<g id="${planeLabel(section)}-${index + 1}">\n`;
+    for (const el of section.elements) {
+      svg += `<g data-global-id="${xmlEscape(el.globalId)}" data-ifc-type="${el.ifcType}" data-hatch="${el.hatch}">`;
+      svg += `<title>${xmlEscape(el.name || el.ifcType)} ${xmlEscape(el.globalId)}</title>`;
+      if (el.loops.length > 0) {
+        svg += `<path d="${el.loops.map(l => pathOf(l, true)).join(' ')}" fill="url(#hatch-${el.hatch})" fill-rule="evenodd" stroke="#111" stroke-width="${f(0.35 * SVG_SCALE / 1000)}"/>`;
+      }
+      for (const line of el.open) {
+        svg += `<path d="${pathOf(line, false)}" fill="none" stroke="#111" stroke-width="${f(0.35 * SVG_SCALE / 1000)}"/>`;
+      }
+      svg += `</g>\n`;
+    }
+    svg += `</g>\n`;
+  });
+  svg += `</svg>\n`;
+  return svg;
+}
+
+/**
+ * DXF (R12, metres) of the sections side by side: closed outlines and open
+ * lines as POLYLINEs on one layer per IFC type, with the element GlobalId and
+ * name as extended data.
+ */
+function sectionsToDXF(sections) {
+  const APP = 'BIMVIEWER';
+  const out = [];
+  const g = (code, value) => out.push(String(code), String(value));
+
+  const layers = new Set();
+  for (const s of sections) for (const el of s.elements) layers.add(el.ifcType || 'UNKNOWN');
+
+  g(0, 'SECTION'); g(2, 'HEADER');
+  g(9, '$ACADVER'); g(1, 'AC1009');
+  g(0, 'ENDSEC');
+
+  g(0, 'SECTION'); g(2, 'TABLES');
+  g(0, 'TABLE'); g(2, 'LAYER'); g(70, layers.size);
+  for (const name of layers) {
+    g(0, 'LAYER'); g(2, name); g(70, 0); g(62, 7); g(6, 'CONTINUOUS');
+  }
+  g(0, 'ENDTAB');
+  g(0, 'TABLE'); g(2, 'APPID'); g(70, 1);
+  g(0, 'APPID'); g(2, APP); g(70, 0);
+  g(0, 'ENDTAB');
+  g(0, 'ENDSEC');
+
+  g(0, 'SECTION'); g(2, 'ENTITIES');
+  let offsetX = 0;
+  for (const section of sections) {
+    const b = sectionBounds(section);
+    if (!b) continue;
+    const ox = offsetX - b.minX;
+    const oy = -b.minY;
+    for (const el of section.elements) {
+      const polylines = [...el.loops.map(l => [l, true]), ...el.open.map(l => [l, false])];
+      for (const [line, closed] of polylines) {
+        g(0, 'POLYLINE'); g(8, el.ifcType || 'UNKNOWN'); g(66, 1); g(70, closed ? 1 : 0);
+        g(10, 0); g(20, 0); g(30, 0);
+        g(1001, APP); g(1000, el.globalId); g(1000, el.name);
+        for (const [x, y] of line) {
+          g(0, 'VERTEX'); g(8, el.ifcType || 'UNKNOWN');
+          g(10, (x + ox).toFixed(5)); g(20, (y + oy).toFixed(5)); g(30, 0);
+        }
+        g(0, 'SEQEND');
+      }
+    }
+    offsetX += (b.maxX - b.minX) + 2;
+  }
+  g(0, 'ENDSEC');
+  g(0, 'EOF');
+  return out.join('\n') + '\n';
+}
+
+function exportSectionSVG(sections) {
+  if (!sections?.length) return;
+  download(sectionsToSVG(sections), 'image/svg+xml', `section_${new Date().toISOString().slice(0, 10)}.svg`);
+}
+
+function exportSectionDXF(sections) {
+  if (!sections?.length) return;
+  download(sectionsToDXF(sections), 'application/dxf', `section_${new Date().toISOString().slice(0, 10)}.dxf`);
+}
+
+// ======================== EXPORTS ========================
+export {
+  HATCHES,
+  computeSections,
+  buildSectionGroup,
+  disposeSectionGroup,
+  exportSectionSVG,
+  exportSectionDXF,
+};
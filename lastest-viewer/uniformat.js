@@ -4,7 +4,11 @@
    property-based classification detection, and manual overrides.
    ============================================================ */
 
-import { getViewerState } from './viewer.js';
+import {
+  getViewerState, toStableKey, fromStableKey, isLegacyStableKey, unloadedEntries,
+  setOverlayLayer, removeOverlayLayer,
+} from './viewer.js';
+import { recordChange } from './history.js';
 
 // ======================== UNIFORMAT II HIERARCHY (E1557-97) ========================
 // Full Level 1 → Level 2 → Level 3 taxonomy from the ASTM standard
@@ -415,7 +419,24 @@ function contextAwareMap(data) {
 
 // ======================== MANUAL OVERRIDE ========================
 
+// Manual overrides as an undo target (history.js); classifications are derived from them
+const overridesHistory = {
+  capture: () => [...manualOverrides],
+  restore: (entries) => {
+    manualOverrides = new Map(entries);
+    classifyAllElements();
+    buildUniformatTree();
+    saveOverrides();
+  },
+};
+
 function setManualClassification(compositeKey, l3Code) {
+  const name = getViewerState().elementDataMap.get(compositeKey)?.name || 'element';
+  const label = l3Code ? `Classify ${name} as ${l3Code}` : `Reset classification of ${name}`;
+  recordChange(label, overridesHistory, () => applyManualClassification(compositeKey, l3Code));
+}
+
+function applyManualClassification(compositeKey, l3Code) {
   if (l3Code && L3_LABELS[l3Code]) {
     manualOverrides.set(compositeKey, l3Code);
     classifications.set(compositeKey, {
@@ -452,17 +473,19 @@ function setManualClassification(compositeKey, l3Code) {
  */
 function bulkAssignByType(ifcType, l3Code) {
   const { elementDataMap } = getViewerState();
-  for (const [key, data] of elementDataMap) {
-    if (data.ifcType === ifcType) {
-      // Apply directly to avoid per-element save + tree rebuild
-      if (l3Code && L3_LABELS[l3Code]) {
-        manualOverrides.set(key, l3Code);
-        classifications.set(key, { code: l3Code, source: 'manual', confidence: 1.0 });
+  recordChange(`Assign all ${ifcType} to ${l3Code}`, overridesHistory, () => {
+    for (const [key, data] of elementDataMap) {
+      if (data.ifcType === ifcType) {
+        // Apply directly to avoid per-element save + tree rebuild
+        if (l3Code && L3_LABELS[l3Code]) {
+          manualOverrides.set(key, l3Code);
+          classifications.set(key, { code: l3Code, source: 'manual', confidence: 1.0 });
+        }
       }
     }
-  }
-  saveOverrides(); // single save for the whole batch
-  buildUniformatTree();
+    saveOverrides(); // single save for the whole batch
+    buildUniformatTree();
+  });
 }
 
 // ======================== STATISTICS ========================
@@ -939,6 +962,29 @@ function removeOverrideMenu() {
 // Track which group header is currently "selected" so we can highlight it in the tree
 let selectedGroup = null;  // { level: 'l1'|'l2'|'l3', code: string } or null
 
+// Drawn by the 'uniformat' overlay layer
+let groupKeys = null;      // highlighted group members — everything else is ghosted
+let isolatedKeys = null;   // isolated group members — everything else is ghosted
+
+function uniformatStyle(key, a) {
+  if (groupKeys?.has(key)) return { color: 0x4d8ef7, emissive: 0x1a3a7a, opacity: 1.0, depthWrite: true };
+  if (groupKeys || (isolatedKeys && !isolatedKeys.has(key))) return { opacity: Math.min(a.opacity, 0.06) };
+  return null;
+}
+
+/** Show All in the viewer drops the group highlight and isolation. */
+function resetUniformatLayer() {
+  groupKeys = null;
+  isolatedKeys = null;
+  selectedGroup = null;
+  updateTreeSelection(null);
+}
+
+function updateUniformatLayer() {
+  if (groupKeys || isolatedKeys) setOverlayLayer('uniformat', uniformatStyle, { reset: resetUniformatLayer });
+  else removeOverlayLayer('uniformat');
+}
+
 /**
  * Collect all composite keys that match a given UniFormat filter.
  */
@@ -960,8 +1006,6 @@ function getKeysForFilter(l1Filter, l2Filter, l3Filter) {
  * dims everything else — like selecting a single element but for a whole group.
  */
 function selectByUniformat(l1Filter, l2Filter, l3Filter) {
-  const { elementMeshMap } = getViewerState();
-
   // Toggle: if the same group is already selected, deselect it
   const code = l3Filter || l2Filter || l1Filter;
   const level = l3Filter ? 'l3' : l2Filter ? 'l2' : 'l1';
@@ -974,34 +1018,15 @@ function selectByUniformat(l1Filter, l2Filter, l3Filter) {
 
   if (matchingKeys.size === 0) return;
 
-  // Clear any existing viewer selection first (without restoring materials — we handle that)
+  // Clear any existing viewer selection first — the group is drawn by its own layer
   if (window.__ufClearSelection) window.__ufClearSelection();
 
   // Push matching keys into the viewer's selectedKeys so right-click context menu works
   if (window.__ufSetSelectedKeys) window.__ufSetSelectedKeys(matchingKeys);
 
   // Highlight matching, dim others
-  for (const [key, mesh] of elementMeshMap) {
-    if (matchingKeys.has(key)) {
-      // Store originals for restore
-      if (!mesh.userData._ufOrigColor) {
-        mesh.userData._ufOrigColor = mesh.material.color.getHex();
-        mesh.userData._ufOrigOpacity = mesh.material.opacity;
-        mesh.userData._ufOrigEmissive = mesh.material.emissive.getHex();
-      }
-      mesh.material.color.setHex(0x4d8ef7);
-      mesh.material.opacity = 1.0;
-      mesh.material.emissive.setHex(0x1a3a7a);
-      mesh.visible = true;
-      mesh.userData._ufSelected = true;
-    } else {
-      if (!mesh.userData._ufOrigOpacity2) {
-        mesh.userData._ufOrigOpacity2 = mesh.material.opacity;
-      }
-      mesh.material.opacity = 0.06;
-      mesh.userData._ufSelected = false;
-    }
-  }
+  groupKeys = matchingKeys;
+  updateUniformatLayer();
 
   // Track the group selection for tree highlighting
   selectedGroup = { level, code };
@@ -1017,38 +1042,12 @@ function selectByUniformat(l1Filter, l2Filter, l3Filter) {
 }
 
 /**
- * Clear group selection and restore all mesh materials.
+ * Clear group selection and isolation, restoring all elements.
  */
 function clearGroupSelection() {
-  const { elementMeshMap, hiddenKeys } = getViewerState();
-
-  for (const [key, mesh] of elementMeshMap) {
-    // Restore original colors/emissive from group highlight
-    if (mesh.userData._ufOrigColor !== undefined) {
-      mesh.material.color.setHex(mesh.userData._ufOrigColor);
-      mesh.material.emissive.setHex(mesh.userData._ufOrigEmissive || 0x000000);
-      delete mesh.userData._ufOrigColor;
-      delete mesh.userData._ufOrigEmissive;
-    }
-    if (mesh.userData._ufOrigOpacity !== undefined) {
-      mesh.material.opacity = mesh.userData._ufOrigOpacity;
-      delete mesh.userData._ufOrigOpacity;
-    }
-    if (mesh.userData._ufOrigOpacity2 !== undefined) {
-      mesh.material.opacity = mesh.userData._ufOrigOpacity2;
-      delete mesh.userData._ufOrigOpacity2;
-    }
-    mesh.userData._ufSelected = false;
-
-    // Respect existing isolation/hide state — only restore visible elements
-    if (hiddenKeys && hiddenKeys.has(key)) {
-      mesh.visible = false;
-    } else {
-      mesh.visible = true;
-      mesh.material.opacity = 0.88;
-      mesh.material.depthWrite = true;
-    }
-  }
+  groupKeys = null;
+  isolatedKeys = null;
+  updateUniformatLayer();
 
   selectedGroup = null;
   updateTreeSelection(null);
@@ -1060,29 +1059,11 @@ function clearGroupSelection() {
 
 /**
  * Isolate (show only) elements matching a UniFormat group.
- * Double-click on a group header: shows ONLY matching elements.
+ * Double-click on a group header: ghosts everything outside the group.
  */
 function isolateByUniformat(l1Filter, l2Filter, l3Filter) {
-  const { elementMeshMap } = getViewerState();
-
-  for (const [key, mesh] of elementMeshMap) {
-    const cls = classifications.get(key);
-    const code = cls?.code;
-
-    let match = false;
-    if (code) {
-      if (l3Filter) match = (code === l3Filter);
-      else if (l2Filter) match = code.startsWith(l2Filter);
-      else if (l1Filter) match = code.startsWith(l1Filter);
-    }
-
-    if (match) {
-      mesh.material.opacity = 0.88;
-      mesh.visible = true;
-    } else {
-      mesh.material.opacity = 0.06;
-    }
-  }
+  isolatedKeys = new Set(getKeysForFilter(l1Filter, l2Filter, l3Filter));
+  updateUniformatLayer();
 }
 
 /**
@@ -1160,45 +1141,40 @@ function exportClassifications() {
 
 const OVERRIDES_STORAGE_KEY = 'uf_manual_overrides';
 
-/**
- * Build a stable key for persistence: "filename:expressID"
- * The composite key "modelIdx:expressID" changes every session, so we
- * resolve modelIdx → filename for a key that survives reload.
- */
-function toStableKey(compositeKey) {
-  const { models } = getViewerState();
-  const [idxStr, eidStr] = compositeKey.split(':');
-  const modelIdx = parseInt(idxStr);
-  const model = models.find(m => m.idx === modelIdx);
-  if (!model) return null;
-  return `${model.filename}:${eidStr}`;
+/** Manual overrides as { stableKey → L3 code } (localStorage, override files, project files). */
+function getOverridesData() {
+  const data = {};
+  for (const [compositeKey, l3Code] of manualOverrides) {
+    const sk = toStableKey(compositeKey);
+    if (sk) data[sk] = l3Code;
+  }
+  return data;
 }
 
 /**
- * Resolve a stable key back to a composite key for the current session.
+ * Replace all manual overrides (project file open), then re-classify,
+ * rebuild the tree and persist.
  */
-function fromStableKey(stableKey) {
-  const { models } = getViewerState();
-  const colonIdx = stableKey.lastIndexOf(':');
-  if (colonIdx < 0) return null;
-  const filename = stableKey.substring(0, colonIdx);
-  const eid = stableKey.substring(colonIdx + 1);
-  const model = models.find(m => m.filename === filename);
-  if (!model) return null;
-  return `${model.idx}:${eid}`;
+function setOverridesData(data) {
+  manualOverrides.clear();
+  for (const [stableKey, l3Code] of Object.entries(data || {})) {
+    const ck = fromStableKey(stableKey);
+    if (ck && L3_LABELS[l3Code]) manualOverrides.set(ck, l3Code);
+  }
+  classifyAllElements();
+  buildUniformatTree();
+  saveOverrides();
 }
 
 /**
  * Save all manual overrides to localStorage as { stableKey → L3 code }.
- * Called automatically whenever a manual classification is made.
+ * Called automatically whenever a manual classification is made. Entries
+ * for models not loaded this session are carried over untouched.
  */
 function saveOverrides() {
   try {
-    const data = {};
-    for (const [compositeKey, l3Code] of manualOverrides) {
-      const sk = toStableKey(compositeKey);
-      if (sk) data[sk] = l3Code;
-    }
+    const stored = JSON.parse(localStorage.getItem(OVERRIDES_STORAGE_KEY) || '{}');
+    const data = { ...unloadedEntries(stored), ...getOverridesData() };
     localStorage.setItem(OVERRIDES_STORAGE_KEY, JSON.stringify(data));
     showSaveIndicator('saved');
   } catch (e) {
@@ -1217,13 +1193,20 @@ function loadOverrides() {
     if (!raw) return 0;
     const data = JSON.parse(raw);
     let loaded = 0;
+    let migrated = 0;
     for (const [stableKey, l3Code] of Object.entries(data)) {
       const ck = fromStableKey(stableKey);
       if (ck && L3_LABELS[l3Code]) {
         manualOverrides.set(ck, l3Code);
         loaded++;
+        if (isLegacyStableKey(stableKey) && !isLegacyStableKey(toStableKey(ck))) migrated++;
       }
     }
+    // Rewrite filename:expressID entries under their GlobalIds
+    if (migrated > 0) {
+      saveOverrides();
+      console.log(`[uniformat] Migrated ${migrated} override(s) to GlobalId keys`);
+    }
     return loaded;
   } catch (e) {
     console.warn('[uniformat] Failed to load overrides:', e);
@@ -1235,11 +1218,7 @@ function loadOverrides() {
  * Export overrides to a JSON file for sharing or backup.
  */
 function exportOverridesToFile() {
-  const data = {};
-  for (const [compositeKey, l3Code] of manualOverrides) {
-    const sk = toStableKey(compositeKey);
-    if (sk) data[sk] = l3Code;
-  }
+  const data = getOverridesData();
   const count = Object.keys(data).length;
   if (count === 0) {
     showSaveIndicator('empty');
@@ -1271,17 +1250,19 @@ function importOverridesFromFile() {
       try {
         const data = JSON.parse(reader.result);
         let imported = 0;
-        for (const [stableKey, l3Code] of Object.entries(data)) {
-          const ck = fromStableKey(stableKey);
-          if (ck && L3_LABELS[l3Code]) {
-            manualOverrides.set(ck, l3Code);
-            imported++;
+        recordChange('Import classification overrides', overridesHistory, () => {
+          for (const [stableKey, l3Code] of Object.entries(data)) {
+            const ck = fromStableKey(stableKey);
+            if (ck && L3_LABELS[l3Code]) {
+              manualOverrides.set(ck, l3Code);
+              imported++;
+            }
           }
-        }
-        // Re-classify with the imported overrides and rebuild tree
-        classifyAllElements();
-        buildUniformatTree();
-        saveOverrides(); // persist the merged set
+          // Re-classify with the imported overrides and rebuild tree
+          classifyAllElements();
+          buildUniformatTree();
+          saveOverrides(); // persist the merged set
+        });
         showSaveIndicator(`imported ${imported}`);
       } catch (err) {
         console.warn('[uniformat] Import failed:', err);
@@ -1431,4 +1412,6 @@ export {
   UNIFORMAT_HIERARCHY,
   L3_LABELS,
   classifications,
+  getOverridesData,
+  setOverridesData,
 };
@@ -0,0 +1,164 @@
+/* ============================================================
+   BIM Model Viewer — view-cube.js
+   View cube widget and standard views: a CSS 3D cube in the
+   corner of the viewer that follows the camera, whose faces
+   snap to orthographic top / bottom / front / back / left /
+   right views framing the model, plus a "floor plan at storey"
+   command that cuts a storey just above window-sill height
+   and frames it from above.
+   Front looks north (IFC +Y, world −Z); plans have north up.
+   ============================================================ */
+
+import * as THREE from 'three';
+import { getViewerState, setProjection, fitCameraAll, zoomToKeys } from './viewer.js';
+import { setClipPlanes } from './section-cut.js';
+
+// ======================== CONFIG ========================
+const CUBE_SIZE = 64;         // px
+const PLAN_CUT_HEIGHT = 1.2;  // m above the storey elevation
+
+// Camera offset from the target for each view. Top and bottom lean a hair
+// towards +Z so the orbit controls keep north up on screen.
+const VIEWS = {
+  top:    { label: 'Top',    dir: [0, 1, 1e-4] },
+  bottom: { label: 'Bottom', dir: [0, -1, 1e-4] },
+  front:  { label: 'Front',  dir: [0, 0, 1] },
+  back:   { label: 'Back',   dir: [0, 0, -1] },
+  right:  { label: 'Right',  dir: [1, 0, 0] },
+  left:   { label: 'Left',   dir: [-1, 0, 0] },
+};
+
+// CSS transform placing each face on the cube (CSS y points down)
+const FACE_TRANSFORMS = {
+  top: 'rotateX(90deg)',
+  bottom: 'rotateX(-90deg)',
+  front: '',
+  back: 'rotateY(180deg)',
+  right: 'rotateY(90deg)',
+  left: 'rotateY(-90deg)',
+};
+
+// ======================== STATE ========================
+const _quat = new THREE.Quaternion();
+const _mat = new THREE.Matrix4();
+
+// ======================== STANDARD VIEWS ========================
+/** Look at the model from one of the six standard directions, orthographic and framed. */
+function snapView(name) {
+  const view = VIEWS[name];
+  if (!view || getViewerState().models.length === 0) return;
+  setProjection('ortho');
+  const { camera, controls } = getViewerState();
+  const dir = new THREE.Vector3().fromArray(view.dir).normalize();
+  camera.position.copy(controls.target).addScaledVector(dir, camera.position.distanceTo(controls.target));
+  fitCameraAll();
+}
+
+/** World floor height of a storey, or null if it is not loaded. */
+function storeyFloorY(name) {
+  const { storeys, models } = getViewerState();
+  const s = storeys[name];
+  const model = s && models.find(m => m.idx === s.modelIdx);
+  if (!model?.modelGroup) return null;
+  model.modelGroup.updateMatrixWorld(true);
+  return model.modelGroup.localToWorld(new THREE.Vector3(0, s.elevation_m, 0)).y;
+}
+
+/** Storey names sorted by elevation. */
+function storeyNames() {
+  const { storeys } = getViewerState();
+  return Object.values(storeys).sort((a, b) => a.elevation_m - b.elevation_m).map(s => s.name);
+}
+
+/**
+ * Floor plan: cut the model PLAN_CUT_HEIGHT above the storey, look straight
+ * down in orthographic and frame the storey's elements.
+ */
+function floorPlan(name) {
+  const { storeys, elementDataMap } = getViewerState();
+  const s = storeys[name];
+  const y = storeyFloorY(name);
+  if (!s || y === null) return;
+
+  // Keep everything below the cut (clipping removes the negative side)
+  setClipPlanes([new THREE.Plane(new THREE.Vector3(0, -1, 0), y + PLAN_CUT_HEIGHT)]);
+
+  setProjection('ortho');
+  const { camera, controls } = getViewerState();
+  const dir = new THREE.Vector3().fromArray(VIEWS.top.dir).normalize();
+  camera.position.copy(controls.target).addScaledVector(dir, camera.position.distanceTo(controls.target));
+
+  // Storey names are prefixed with the file name when two models share one
+  const keys = [];
+  for (const [key, data] of elementDataMap) {
+    if (data.modelIdx !== s.modelIdx) continue;
+    if (data.storey === name || name.startsWith(`${data.storey} [`)) keys.push(key);
+  }
+  if (keys.length > 0) zoomToKeys(keys);
+  else fitCameraAll();
+  console.log(`[view-cube] Floor plan of ${name} cut at ${(y + PLAN_CUT_HEIGHT).toFixed(2)} m`);
+}
+
+// ======================== WIDGET ========================
+function buildCube() {
+  const wrap = document.createElement('div');
+  wrap.className = 'view-cube';
+  wrap.id = 'viewCube';
+  let faces = '';
+  for (const [name, view] of Object.entries(VIEWS)) {
+    faces += `<div class="view-cube-face" data-view="${name}"
+      style="transform: ${FACE_TRANSFORMS[name]} translateZ(${CUBE_SIZE / 2}px)">${view.label}</div>`;
+  }
+  wrap.innerHTML = `
+    <div class="view-cube-stage"><div class="view-cube-box" id="viewCubeBox">${faces}</div></div>
+    <select class="view-cube-plan" id="viewCubePlan" title="Floor plan at storey">
+      <option value="">Floor plan…</option>
+    </select>`;
+  document.querySelector('.viewer')?.appendChild(wrap);
+
+  wrap.querySelectorAll('.view-cube-face').forEach(face => {
+    face.addEventListener('click', () => snapView(face.dataset.view));
+  });
+  const plan = wrap.querySelector('#viewCubePlan');
+  plan.addEventListener('focus', refreshStoreyOptions);
+  plan.addEventListener('change', () => {
+    if (plan.value) floorPlan(plan.value);
+    plan.value = '';
+    plan.blur();
+  });
+  return wrap;
+}
+
+function refreshStoreyOptions() {
+  const plan = document.getElementById('viewCubePlan');
+  if (!plan) return;
+  plan.innerHTML = `<option value="">Floor plan…</option>` +
+    storeyNames().map(n => `<option value="${n}">${n}</option>`).join('');
+}
+
+/** Rotate the cube with the view, so the face toward the viewer names the side being looked at. */
+function updateCube() {
+  requestAnimationFrame(updateCube);
+  const box = document.getElementById('viewCubeBox');
+  if (!box) return;
+  const { camera } = getViewerState();
+  _mat.makeRotationFromQuaternion(_quat.copy(camera.quaternion).invert());
+  // World → CSS flips y on both sides of the rotation
+  const e = _mat.elements;
+  box.style.transform = `translateZ(-${CUBE_SIZE}px) matrix3d(${[
+    e[0], -e[1], e[2], 0,
+    -e[4], e[5], -e[6], 0,
+    e[8], -e[9], e[10], 0,
+    0, 0, 0, 1,
+  ].join(',')})`;
+}
+
+// ======================== EVENTS ========================
+function wireViewCubeEvents() {
+  buildCube().style.setProperty('--cube-size', `${CUBE_SIZE}px`);
+  refreshStoreyOptions();
+  updateCube();
+}
+
+// ======================== EXPORTS ========================
+export { wireViewCubeEvents, snapView, floorPlan };
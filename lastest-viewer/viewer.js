@@ -6,27 +6,57 @@
 
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import {
+  createBatchBuilder, addInstancedGroup, syncBatches, handleForHit, handleBoundingBox, handleTriangles,
+  releaseBatch,
+} from './render-batches.js';
+import {
+  listCachedModels, getCachedModel, putCachedModel, evictCachedModel, clearModelCache,
+} from './model-cache.js';
+import { recordChange, clearHistory } from './history.js';
 
 // ======================== STATE ========================
-let ifcAPI = null;
 let scene, camera, renderer, controls, raycaster, mouse;
+let perspCamera, orthoCamera;     // camera is whichever of the two is active
 
 // --- Multi-model state ---
-// Each loaded model entry: { idx, filename, modelID, modelGroup, unitFactor, elementCount }
+// Each loaded model entry: { idx, filename, hash, size, modelGroup, spaceGroup, unitFactor, elementCount, batched }
 let models = [];
 let modelCounter = 0;  // monotonically increasing index for composite keys
 
 // Global combined maps use composite key: "modelIdx:expressID"
 let elementMeshMap = new Map();   // compositeKey → THREE.Mesh
-let elementDataMap = new Map();   // compositeKey → { ifcType, name, storey, props, modelIdx }
+let elementDataMap = new Map();   // compositeKey → { globalId, ifcType, name, storey, space, spaceKey, parentKey, partKeys, props, modelIdx }
+let globalIdIndex = new Map();    // IFC GlobalId → compositeKey (first loaded wins)
 let storeys = {};                 // name → { elevation, expressID, modelIdx }
 
+// Spatial structure (project → site → building → storey → space) and zones, by composite key
+let spatialNodes = new Map();     // key → { key, ifcType, globalId, name, longName, parentKey, elevation, props, modelIdx }
+let zones = new Map();            // key → { key, globalId, name, longName, spaceKeys, modelIdx }
+let spaceMeshMap = new Map();     // IfcSpace key → THREE.Mesh (spaces layer, not pickable)
+let activeSpaceKeys = new Set();  // spaces picked in the tree — drawn highlighted even with the layer off
+const SPACES_KEY = 'viewer_show_spaces';
+let spacesVisible = localStorage.getItem(SPACES_KEY) === '1';
+
+let pickCycle = null;             // { leaf, level, selectedKey } — repeated clicks walk up the assemblies
 let selectedKey = null;           // composite key of selected element (legacy, kept for compat)
 let selectedKeys = new Set();     // multi-select: set of selected composite keys
+let highlightedKeys = new Set();  // selection shown in the highlight color (selectedKeys may be set without it)
+let filterKeys = null;            // storey / type filter: matching keys, the rest are ghosted
 let wireframeMode = false;
 let xrayMode = false;
 let rotationPresetIndex = 0;
 
+// --- Render mode ---
+// 'auto' batches models above AUTO_BATCH_THRESHOLD elements, 'mesh' = one mesh per element,
+// 'batched' = merged per-color batches (see render-batches.js). Applies to the next load.
+const RENDER_MODE_KEY = 'viewer_render_mode';
+const AUTO_BATCH_THRESHOLD = 3000;
+let renderMode = localStorage.getItem(RENDER_MODE_KEY) || 'auto';
+
+// Orbit polar limits in perspective; orthographic views may look straight up or down
+const PERSP_POLAR_LIMITS = [0.1, Math.PI * 0.85];
+
 const ROTATION_PRESETS = [
   { label: 'No rotation (raw IFC)', rx: 0, ry: 0, rz: 0 },
   { label: 'Z-up → Y-up (−90° X)', rx: -Math.PI / 2, ry: 0, rz: 0 },
@@ -36,35 +66,7 @@ const ROTATION_PRESETS = [
   { label: '180° X', rx: Math.PI, ry: 0, rz: 0 },
 ];
 
-// ======================== IFC TYPE CONSTANTS ========================
-const IFCTYPES = {
-  IFCBEAM: 753842376, IFCCOLUMN: 3495092785, IFCSLAB: 1529196076,
-  IFCWALL: 2391406946, IFCWALLSTANDARDCASE: 3512223829, IFCFOOTING: 900683007,
-  IFCMEMBER: 1073191201, IFCPLATE: 3171933400, IFCRAILING: 2262370178,
-  IFCSTAIR: 331165859, IFCSTAIRFLIGHT: 4252922144, IFCRAMP: 3024970846,
-  IFCRAMPFLIGHT: 3283111854, IFCCURTAINWALL: 844718557, IFCDOOR: 395920057,
-  IFCWINDOW: 3304561284, IFCBUILDINGELEMENTPROXY: 1095909175,
-  IFCPILE: 1687234759, IFCELEMENTASSEMBLY: 4123344466,
-  IFCBUILDINGSTOREY: 3124254112, IFCRELCONTAINEDINSPATIALSTRUCTURE: 3242617779,
-  IFCRELAGGREGATES: 160246688, IFCRELDEFINESBYPROPERTIES: 4186316022,
-  IFCPROPERTYSET: 1451395588, IFCELEMENTQUANTITY: 1883228015,
-  IFCPROPERTYSINGLEVALUE: 3972844353, IFCQUANTITYLENGTH: 931644368,
-  IFCQUANTITYAREA: 2044713172, IFCQUANTITYVOLUME: 3124970251,
-  IFCQUANTITYWEIGHT: 825690147, IFCQUANTITYCOUNT: 2093928680,
-  IFCPROJECT: 103090709, IFCSIUNIT: 448429030, IFCUNITASSIGNMENT: 180925521,
-  IFCCONVERSIONBASEDUNIT: 2889183280, IFCMEASUREWITHUNIT: 3368373690,
-};
-
-const TYPE_ID_TO_NAME = {};
-for (const [name, id] of Object.entries(IFCTYPES)) {
-  TYPE_ID_TO_NAME[id] = name;
-}
-
-const SKIP_TYPES = new Set([
-  'IFCBUILDINGSTOREY', 'IFCBUILDING', 'IFCSITE', 'IFCPROJECT',
-  'IFCSPACE', 'IFCOPENINGELEMENT', 'IFCANNOTATION',
-]);
-
+// ======================== IFC TYPE COLORS ========================
 const TYPE_COLORS = {
   IFCBEAM: 0x7799cc, IFCCOLUMN: 0xcc6666, IFCSLAB: 0xaaaaaa,
   IFCWALL: 0xd9cc99, IFCWALLSTANDARDCASE: 0xd9cc99, IFCFOOTING: 0x808080,
@@ -75,6 +77,105 @@ const TYPE_COLORS = {
   IFCRAMP: 0xbb9977, IFCRAMPFLIGHT: 0xbb9977,
 };
 
+function typeColor(ifcType) {
+  return TYPE_COLORS[ifcType] || 0x99aacc;
+}
+
+// ======================== OVERLAY LAYERS ========================
+// Everything that changes how elements look is a layer: a style function
+// (key, appearance, mesh) → partial { color, emissive, opacity, depthWrite, visible }
+// or null to leave the element alone. Layers apply in ascending priority over
+// the base appearance, each seeing the result so far, so any combination of
+// overlays resolves the same way whatever order they were turned on in.
+const OVERLAY_PRIORITY = {
+  colorBy: 10,
+  production: 20,
+  compare: 30,
+  query: 40,
+  filter: 50,
+  xray: 60,
+  uniformat: 70,
+  selection: 80,
+};
+const BASE_OPACITY = 0.88;
+const HIGHLIGHT_COLOR = 0x4d8ef7;
+const HIGHLIGHT_EMISSIVE = 0x1a3a7a;
+const DIM_OPACITY = 0.15;
+const GHOST_OPACITY = 0.06;
+const XRAY_OPACITY = 0.2;
+
+const overlayLayers = new Map();  // id → { priority, style, reset }
+let overlayOrder = [];
+
+/**
+ * Add or replace a layer and recompute every element.
+ * @param {string} id - a key of OVERLAY_PRIORITY, or any id with options.priority
+ * @param {Function} style - (key, appearance, mesh) → partial appearance | null
+ * @param {{ priority?: number, reset?: Function }} options - reset() is called by Show All
+ */
+function setOverlayLayer(id, style, { priority = OVERLAY_PRIORITY[id] ?? 50, reset = null } = {}) {
+  overlayLayers.set(id, { priority, style, reset });
+  overlayOrder = [...overlayLayers.values()].sort((a, b) => a.priority - b.priority);
+  refreshOverlays();
+}
+
+function removeOverlayLayer(id) {
+  if (!overlayLayers.delete(id)) return;
+  overlayOrder = [...overlayLayers.values()].sort((a, b) => a.priority - b.priority);
+  refreshOverlays();
+}
+
+function hasOverlayLayer(id) {
+  return overlayLayers.has(id);
+}
+
+/** Recompute the appearance of every element (or just the given keys) from the layers. */
+function refreshOverlays(keys) {
+  const list = keys ? [...keys] : elementMeshMap.keys();
+  for (const key of list) {
+    const mesh = elementMeshMap.get(key);
+    if (!mesh) continue;
+    const a = {
+      color: typeColor(elementDataMap.get(key)?.ifcType ?? mesh.userData.ifcType),
+      emissive: 0x000000,
+      opacity: BASE_OPACITY,
+      depthWrite: true,
+      visible: true,
+    };
+    for (const layer of overlayOrder) {
+      const s = layer.style(key, a, mesh);
+      if (s) Object.assign(a, s);
+    }
+    mesh.material.color.setHex(a.color);
+    mesh.material.emissive.setHex(a.emissive);
+    mesh.material.opacity = a.opacity;
+    mesh.material.depthWrite = a.depthWrite;
+    mesh.visible = a.visible && !hiddenKeys.has(key);
+  }
+}
+
+/** Show All: layers that are a kind of selection or filter let go. */
+function resetOverlayLayers() {
+  for (const layer of overlayLayers.values()) layer.reset?.();
+}
+
+// ---- Viewer's own layers ----
+function selectionStyle(key, a) {
+  if (highlightedKeys.size === 0) return null;
+  return highlightedKeys.has(key)
+    ? { color: HIGHLIGHT_COLOR, emissive: HIGHLIGHT_EMISSIVE, opacity: 1.0, depthWrite: true }
+    : { opacity: Math.min(a.opacity, DIM_OPACITY) };
+}
+
+function filterStyle(key, a) {
+  if (!filterKeys || filterKeys.has(key)) return null;
+  return { opacity: Math.min(a.opacity, GHOST_OPACITY) };
+}
+
+function xrayStyle(key, a) {
+  return { opacity: Math.min(a.opacity, XRAY_OPACITY), depthWrite: false };
+}
+
 // ======================== COMPOSITE KEY HELPERS ========================
 function makeKey(modelIdx, expressID) {
   return `${modelIdx}:${expressID}`;
@@ -85,16 +186,63 @@ function parseKey(key) {
   return { modelIdx: parseInt(parts[0]), expressID: parseInt(parts[1]) };
 }
 
+// ======================== STABLE ELEMENT IDS ========================
+// Persisted data (UniFormat overrides, installation records, project files)
+// refers to elements by IFC GlobalId, which survives re-exports and renames.
+// Elements without a GlobalId fall back to the legacy "filename:expressID"
+// form, which is also still accepted when reading older data. GlobalIds never
+// contain ':', so the two forms are told apart by the colon.
+
+/** Composite key → stable key (GlobalId, or filename:expressID), or null if unknown. */
+function toStableKey(compositeKey) {
+  const data = elementDataMap.get(compositeKey);
+  if (data?.globalId) return data.globalId;
+  const { modelIdx, expressID } = parseKey(compositeKey);
+  const model = models.find(m => m.idx === modelIdx);
+  return model ? `${model.filename}:${expressID}` : null;
+}
+
+/** Stable key (either form) → composite key in this session, or null if not loaded. */
+function fromStableKey(stableKey) {
+  const colonIdx = stableKey.lastIndexOf(':');
+  if (colonIdx < 0) return globalIdIndex.get(stableKey) || null;
+
+  const filename = stableKey.substring(0, colonIdx);
+  const model = models.find(m => m.filename === filename);
+  if (!model) return null;
+  const key = makeKey(model.idx, stableKey.substring(colonIdx + 1));
+  return elementDataMap.has(key) ? key : null;
+}
+
+function isLegacyStableKey(stableKey) {
+  return stableKey.includes(':');
+}
+
+/**
+ * Entries of a stable-keyed object that refer to models not loaded right now.
+ * Stores merge these back in on save so data for other models is not lost.
+ */
+function unloadedEntries(data) {
+  const out = {};
+  for (const [stableKey, val] of Object.entries(data || {})) {
+    if (!fromStableKey(stableKey)) out[stableKey] = val;
+  }
+  return out;
+}
+
 // ======================== INIT THREE.JS ========================
 function initThreeJS() {
   const container = document.getElementById('canvas-container');
   scene = new THREE.Scene();
   scene.background = new THREE.Color(0x1a1b2e);
 
-  camera = new THREE.PerspectiveCamera(
+  perspCamera = new THREE.PerspectiveCamera(
     45, container.clientWidth / container.clientHeight, 0.1, 10000
   );
-  camera.position.set(50, 40, 50);
+  perspCamera.position.set(50, 40, 50);
+  // Frustum is sized when switching to it (see setProjection)
+  orthoCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 10000);
+  camera = perspCamera;
 
   renderer = new THREE.WebGLRenderer({ antialias: true });
   renderer.setSize(container.clientWidth, container.clientHeight);
@@ -106,8 +254,8 @@ function initThreeJS() {
   controls.enableDamping = true;
   controls.dampingFactor = 0.1;
   controls.screenSpacePanning = true;
-  controls.minPolarAngle = 0.1;
-  controls.maxPolarAngle = Math.PI * 0.85;
+  controls.minPolarAngle = PERSP_POLAR_LIMITS[0];
+  controls.maxPolarAngle = PERSP_POLAR_LIMITS[1];
   controls.mouseButtons = {
     LEFT: THREE.MOUSE.ROTATE,
     MIDDLE: THREE.MOUSE.DOLLY,
@@ -135,8 +283,9 @@ function initThreeJS() {
 
   // Resize handler
   window.addEventListener('resize', () => {
-    camera.aspect = container.clientWidth / container.clientHeight;
-    camera.updateProjectionMatrix();
+    perspCamera.aspect = container.clientWidth / container.clientHeight;
+    perspCamera.updateProjectionMatrix();
+    setOrthoFrustum(orthoCamera.top - orthoCamera.bottom);
     renderer.setSize(container.clientWidth, container.clientHeight);
   });
 
@@ -148,17 +297,23 @@ function initThreeJS() {
   (function animate() {
     requestAnimationFrame(animate);
     controls.update();
+    syncBatches();
     renderer.render(scene, camera);
   })();
 }
 
-// ======================== INIT WEB-IFC ========================
+// ======================== INIT IFC WORKER ========================
 async function initIfcAPI() {
   showLoading('Initializing IFC engine...', 5);
-  ifcAPI = new WebIFC.IfcAPI();
-  await ifcAPI.Init();
+  try {
+    await getIfcWorker();
+    console.log('[viewer] IFC worker ready');
+  } catch (e) {
+    console.error('[viewer] IFC worker failed to initialize:', e);
+    showLoadToast('IFC engine unavailable');
+    hideLoadToast(`Failed: ${e.message}`);
+  }
   hideLoading();
-  console.log('[viewer] web-ifc initialized');
 }
 
 // ======================== LOAD TOAST (non-blocking loading indicator) ========================
@@ -216,22 +371,132 @@ function updateLoadToastQueue(files, currentIndex) {
   container.innerHTML = html;
 }
 
-function hideLoadToast() {
+function hideLoadToast(finalStep = 'Complete') {
   clearInterval(loadToastTimer);
   const toast = document.getElementById('loadToast');
   // Brief "done" flash before hiding
-  document.getElementById('loadToastStep').textContent = 'Complete';
+  document.getElementById('loadToastStep').textContent = finalStep;
   setLoadToastProgress(100);
   setTimeout(() => toast.classList.remove('visible'), 800);
 }
 
+// ======================== IFC WORKER ========================
+// Parsing, geometry merging and property extraction run in ifc-worker.js.
+// The worker handles one file at a time; activeJob routes its messages.
+let ifcWorker = null;
+let ifcWorkerReady = null;  // Promise<Worker>, resolved once web-ifc is initialized
+let activeJob = null;       // { id, handlers, resolve, reject }
+let jobCounter = 0;
+let loadInProgress = false;
+let loadCancelRequested = false;  // checked between phases the worker doesn't own
+
+function getIfcWorker() {
+  if (ifcWorkerReady) return ifcWorkerReady;
+
+  ifcWorker = new Worker(new URL('./ifc-worker.js', import.meta.url));
+  ifcWorkerReady = new Promise((resolve, reject) => {
+    let ready = false;
+    ifcWorker.onmessage = (e) => {
+      if (e.data.type === 'ready') { ready = true; resolve(ifcWorker); }
+      else onWorkerMessage(e.data);
+    };
+    ifcWorker.onerror = (e) => {
+      console.error('[viewer] IFC worker error:', e.message);
+      const err = new Error(e.message || 'IFC worker crashed');
+      err.initFailed = !ready;  // no file can load until the engine starts
+      reject(err);
+      // The WASM heap may be corrupt after an uncaught error — start fresh next time
+      terminateIfcWorker(err);
+    };
+  });
+  ifcWorker.postMessage({ type: 'init' });
+  return ifcWorkerReady;
+}
+
+function onWorkerMessage(msg) {
+  const job = activeJob;
+  if (!job || msg.jobId !== job.id) return;
+
+  switch (msg.type) {
+    case 'progress': job.handlers.onProgress?.(msg.step, msg.fraction); break;
+    case 'header':   job.handlers.onHeader?.(msg); break;
+    case 'geometry': job.handlers.onGeometry?.(msg.meshes); break;
+    case 'instances': job.handlers.onInstances?.(msg.groups); break;
+    case 'spaces':   job.handlers.onSpaces?.(msg.meshes); break;
+    case 'elements': job.handlers.onElements?.(msg.elements); break;
+    case 'done':
+      activeJob = null;
+      job.resolve(msg);
+      break;
+    case 'error':
+      activeJob = null;
+      job.reject(new Error(msg.message));
+      break;
+  }
+}
+
+/**
+ * Send one file to the worker. The buffer is transferred (detached on this side).
+ * Handlers receive streamed results; the promise resolves with { elementCount, skipped }.
+ */
+async function parseInWorker(name, buffer, handlers) {
+  const worker = await getIfcWorker();
+  return new Promise((resolve, reject) => {
+    activeJob = { id: ++jobCounter, handlers, resolve, reject };
+    worker.postMessage({ type: 'parse', jobId: activeJob.id, name, buffer }, [buffer]);
+  });
+}
+
+/** Kill the worker (and any in-flight parse). A new one is spun up on the next load. */
+function terminateIfcWorker(reason) {
+  if (ifcWorker) ifcWorker.terminate();
+  ifcWorker = null;
+  ifcWorkerReady = null;
+  if (activeJob) {
+    const job = activeJob;
+    activeJob = null;
+    job.reject(reason);
+  }
+}
+
+/** Abort the current load. Models that finished loading are kept. */
+function cancelLoad() {
+  if (!loadInProgress) return;
+  const err = new Error('Load cancelled');
+  err.cancelled = true;
+  loadCancelRequested = true;
+  terminateIfcWorker(err);
+  console.log('[viewer] Load cancelled by user');
+}
+
+/** Throw if the user cancelled while hashing or replaying from the cache. */
+function checkLoadCancelled() {
+  if (!loadCancelRequested) return;
+  const err = new Error('Load cancelled');
+  err.cancelled = true;
+  throw err;
+}
+
 // ======================== LOAD MULTIPLE IFC FILES ========================
 /**
  * Load one or more IFC files. Supports both initial load and append.
- * @param {Array<{name: string, buffer: ArrayBuffer, size: number}>} files
+ * Geometry streams in from the worker and is added to the scene as it arrives;
+ * models already in the IndexedDB cache are rebuilt from it without parsing.
+ * An entry may omit `buffer` when its `hash` is known to be cached (recent models).
+ * @param {Array<{name: string, buffer?: ArrayBuffer, size: number, hash?: string}>} files
  * @param {boolean} append - if false, clears existing models first
+ * @returns {Promise<{ status: 'loaded' | 'busy' | 'cancelled' | 'failed', failed: string[] }>}
+ *   failed lists the files that could not be loaded; 'failed' means the IFC engine
+ *   did not start, so every remaining file is listed
  */
 async function loadIFCFiles(files, append = false) {
+  if (loadInProgress) {
+    console.warn('[viewer] A load is already in progress');
+    return { status: 'busy', failed: [] };
+  }
+  loadInProgress = true;
+  loadCancelRequested = false;
+
   if (!append) {
     clearAllModels(true); // silent clear (no UI update yet)
   }
@@ -243,110 +508,260 @@ async function loadIFCFiles(files, append = false) {
   showLoadToast(toastTitle);
   updateLoadToastQueue(files, 0);
 
+  let cancelled = false;
+  let engineError = null;
+  const failed = [];
+
   for (let f = 0; f < totalFiles; f++) {
-    const { name, buffer } = files[f];
-    const overallPct = (f / totalFiles) * 100;
+    const { name, buffer, size } = files[f];
+    const filename = name.replace('.ifc', '');
+    const filePct = 100 / totalFiles;
+    const overallPct = f * filePct;
 
     updateLoadToastQueue(files, f);
 
-    setLoadToastStep(`Parsing ${name}...`);
-    setLoadToastProgress(overallPct + 2);
-    await yieldToUI();
-
     const idx = modelCounter++;
-    const data = new Uint8Array(buffer);
-    const modelID = ifcAPI.OpenModel(data);
-
-    setLoadToastStep(`${name}: Detecting units`);
-    setLoadToastProgress(overallPct + (100 / totalFiles) * 0.1);
-    const unitFactor = detectUnits(modelID);
-
-    setLoadToastStep(`${name}: Extracting spatial structure`);
-    setLoadToastProgress(overallPct + (100 / totalFiles) * 0.2);
-    await yieldToUI();
-    extractStoreys(modelID, idx, unitFactor);
-    const spatialMap = buildSpatialMap(modelID);
-
-    setLoadToastStep(`${name}: Loading 3D geometry...`);
-    setLoadToastProgress(overallPct + (100 / totalFiles) * 0.3);
-    await yieldToUI();
-    const { modelGroup, elementCount } = await loadGeometry(modelID, idx);
-
-    setLoadToastStep(`${name}: Extracting properties (${elementCount} elements)`);
-    setLoadToastProgress(overallPct + (100 / totalFiles) * 0.8);
-    await yieldToUI();
-    extractProperties(modelID, idx, spatialMap);
-
-    // Apply rotation and add to scene
-    if (modelGroup) {
-      applyRotationPreset(rotationPresetIndex, modelGroup);
-      scene.add(modelGroup);
-      modelGroup.updateMatrixWorld(true);
-    }
+    const modelGroup = new THREE.Group();
+    modelGroup.name = `IFC Model ${idx}`;
+    modelGroup.userData.modelIdx = idx;
+    applyRotationPreset(rotationPresetIndex, modelGroup);
+    scene.add(modelGroup);
+    // Spaces live beside the model group so picking and element tools never see them
+    const spaceGroup = new THREE.Group();
+    spaceGroup.name = `IFC Spaces ${idx}`;
+    applyRotationPreset(rotationPresetIndex, spaceGroup);
+    scene.add(spaceGroup);
+
+    let unitFactor = 1.0;
+    let batcher = null;   // null → one THREE.Mesh per element
+    let typeObjects = new Map();   // type expressID → { name, ifcType, props }
+
+    try {
+      // Hash before the buffer is transferred to the worker
+      setLoadToastStep(`${name}: Computing file hash`);
+      const hash = files[f].hash || await hashBuffer(buffer);
+      checkLoadCancelled();
+
+      setLoadToastStep(`${name}: Checking model cache`);
+      const cached = await getCachedModel(hash);
+      checkLoadCancelled();
+      if (!cached && !buffer) throw new Error('Model is no longer cached — load the IFC file again');
+
+      // Worker output is kept so it can be cached once the parse succeeds
+      const capture = cached ? null : { header: null, meshes: [], groups: [], spaces: [], elements: [] };
+
+      const handlers = {
+        onProgress: (step, fraction) => {
+          setLoadToastStep(step);
+          setLoadToastProgress(overallPct + fraction * filePct);
+        },
+        onHeader: (header) => {
+          if (capture) capture.header = header;
+          unitFactor = header.unitFactor;
+          registerStoreys(header.storeys, idx, unitFactor, filename);
+          registerSpatialStructure(header.spatial, header.zones, idx);
+          typeObjects = new Map(header.types.map(t => [t.expressID, t]));
+          if (shouldBatch(header.elementEstimate)) {
+            batcher = createBatchBuilder(modelGroup, idx, elementMeshMap);
+          }
+        },
+        onGeometry: (meshes) => {
+          if (capture) capture.meshes.push(...meshes);
+          for (const m of meshes) {
+            if (batcher) batcher.add(m, typeColor(m.ifcType));
+            else addElementMesh(modelGroup, idx, m);
+          }
+        },
+        onInstances: (groups) => {
+          if (capture) capture.groups.push(...groups);
+          for (const g of groups) addInstancedGroup(modelGroup, idx, g, typeColor, elementMeshMap);
+        },
+        onSpaces: (meshes) => {
+          if (capture) capture.spaces.push(...meshes);
+          for (const m of meshes) addSpaceMesh(spaceGroup, idx, m);
+        },
+        onElements: (elements) => {
+          if (capture) capture.elements.push(...elements);
+          for (const el of elements) {
+            const key = makeKey(idx, el.expressID);
+            const spaceKey = el.space != null ? makeKey(idx, el.space) : null;
+            const space = spatialNodes.get(spaceKey);
+            // Type properties first so the instance's own values override them
+            const type = typeObjects.get(el.type);
+            elementDataMap.set(key, {
+              globalId: el.globalId, ifcType: el.ifcType, name: el.name,
+              storey: el.storey, space: space ? spaceLabel(space) : null, spaceKey: space ? spaceKey : null,
+              parentKey: el.parent != null ? makeKey(idx, el.parent) : null, partKeys: [],
+              type: type ? { name: type.name, ifcType: type.ifcType } : null,
+              typeProps: type ? Object.keys(type.props).filter(k => !(k in el.props)) : [],
+              props: type ? { ...type.props, ...el.props } : el.props, modelIdx: idx,
+            });
+            if (el.globalId && !globalIdIndex.has(el.globalId)) globalIdIndex.set(el.globalId, key);
+          }
+        },
+      };
 
-    const modelEntry = {
-      idx,
-      filename: name.replace('.ifc', ''),
-      modelID,
-      modelGroup,
-      unitFactor,
-      elementCount,
-    };
-    models.push(modelEntry);
+      let result;
+      if (cached) {
+        setLoadToastStep(`${name}: Loading from cache`);
+        result = await replayCachedModel(cached, handlers);
+      } else {
+        result = await parseInWorker(name, buffer, handlers);
+        // Cache in the background — the model is usable right away
+        putCachedModel(hash, { name, size, elementCount: result.elementCount }, capture)
+          .then(() => renderRecentModels());
+      }
 
-    setLoadToastProgress(((f + 1) / totalFiles) * 100);
-    console.log(`[viewer] Loaded model "${name}" (idx=${idx}, elements=${elementCount})`);
+      if (batcher) batcher.finish();
+      linkAssemblies(idx);
+      modelGroup.updateMatrixWorld(true);
+      spaceGroup.updateMatrixWorld(true);
+      models.push({
+        idx, filename, hash, size, modelGroup, spaceGroup, unitFactor,
+        elementCount: result.elementCount,
+        batched: !!batcher,
+      });
+
+      setLoadToastProgress(overallPct + filePct);
+      console.log(`[viewer] Loaded model "${name}" (idx=${idx}, elements=${result.elementCount})`);
+    } catch (err) {
+      // Drop whatever was streamed in for this file
+      disposeModelGroup(modelGroup);
+      disposeModelGroup(spaceGroup);
+      purgeModelData(idx);
+
+      if (err.cancelled) {
+        cancelled = true;
+        break;
+      }
+      if (err.initFailed) {
+        console.error('[viewer] IFC engine failed to start:', err);
+        engineError = err;
+        failed.push(...files.slice(f).map(file => file.name));
+        break;
+      }
+      console.error(`[viewer] Failed to load "${name}":`, err);
+      failed.push(name);
+    }
   }
 
+  loadInProgress = false;
+
   // Mark all files done in queue
-  updateLoadToastQueue(files, totalFiles);
+  if (!cancelled && !engineError) updateLoadToastQueue(files, totalFiles);
   setLoadToastStep('Finalizing...');
 
-  // Update title
-  if (models.length === 1) {
-    document.getElementById('modelTitle').textContent = models[0].filename;
+  if (models.length === 0) {
+    clearAllModels();
   } else {
-    document.getElementById('modelTitle').textContent = `${models.length} Models Loaded`;
+    // Update title
+    if (models.length === 1) {
+      document.getElementById('modelTitle').textContent = models[0].filename;
+    } else {
+      document.getElementById('modelTitle').textContent = `${models.length} Models Loaded`;
+    }
+    fitCameraAll();
+    updateUI();
   }
 
-  fitCameraAll();
-  updateUI();
-  hideLoadToast();
+  if (cancelled) hideLoadToast('Cancelled');
+  else if (engineError) hideLoadToast(`Failed: IFC engine did not start (${engineError.message})`);
+  else if (failed.length > 0) hideLoadToast(`Failed: ${failed.join(', ')}`);
+  else hideLoadToast();
+
+  refreshOverlays();
 
   // Notify UniFormat panel to refresh classifications
   window.dispatchEvent(new CustomEvent('uniformat-refresh'));
   window.dispatchEvent(new CustomEvent('quantification-refresh'));
+
+  return { status: cancelled ? 'cancelled' : engineError ? 'failed' : 'loaded', failed };
 }
 
-/** Yield to the browser so the UI can repaint (timer updates, progress bar, etc.) */
-function yieldToUI() {
-  return new Promise(resolve => setTimeout(resolve, 0));
+/**
+ * Feed a cached model through the same handlers the worker messages use.
+ * Yields between phases so the Cancel button gets a chance to run.
+ */
+async function replayCachedModel(entry, handlers) {
+  const phases = [
+    () => handlers.onHeader(entry.header),
+    () => handlers.onGeometry(entry.meshes),
+    () => handlers.onInstances(entry.groups),
+    () => handlers.onSpaces(entry.spaces),
+    () => handlers.onElements(entry.elements),
+  ];
+  for (const phase of phases) {
+    await new Promise(r => setTimeout(r, 0));
+    checkLoadCancelled();
+    phase();
+  }
+  return { elementCount: entry.elementCount };
+}
+
+/** SHA-256 of a file's contents as a hex string — identifies a model revision. */
+async function hashBuffer(buffer) {
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// ======================== MODEL CLEANUP HELPERS ========================
+/** Remove a model group from the scene and free its GPU resources. */
+function disposeModelGroup(modelGroup) {
+  if (!modelGroup) return;
+  scene.remove(modelGroup);
+  modelGroup.traverse(child => {
+    if (child.isMesh) {
+      releaseBatch(child);
+      child.geometry?.dispose();
+      child.material?.dispose();
+    }
+  });
+}
+
+/** Remove entries from global maps that belong to model idx. */
+function purgeModelData(idx) {
+  const prefix = `${idx}:`;
+  for (const key of [...elementMeshMap.keys()]) {
+    if (key.startsWith(prefix)) elementMeshMap.delete(key);
+  }
+  for (const key of [...elementDataMap.keys()]) {
+    if (key.startsWith(prefix)) elementDataMap.delete(key);
+  }
+  for (const [gid, key] of [...globalIdIndex]) {
+    if (key.startsWith(prefix)) globalIdIndex.delete(gid);
+  }
+  for (const [name, data] of Object.entries(storeys)) {
+    if (data.modelIdx === idx) delete storeys[name];
+  }
+  for (const map of [spatialNodes, zones, spaceMeshMap]) {
+    for (const key of [...map.keys()]) {
+      if (key.startsWith(prefix)) map.delete(key);
+    }
+  }
+  for (const key of [...activeSpaceKeys]) {
+    if (key.startsWith(prefix)) activeSpaceKeys.delete(key);
+  }
 }
 
 // ======================== CLEAR ALL MODELS ========================
 function clearAllModels(silent = false) {
   clearSelection();
+  clearHistory();
 
-  // Remove model groups from scene
   for (const m of models) {
-    if (m.modelGroup) {
-      scene.remove(m.modelGroup);
-      // Dispose geometries and materials
-      m.modelGroup.traverse(child => {
-        if (child.isMesh) {
-          child.geometry?.dispose();
-          child.material?.dispose();
-        }
-      });
-    }
-    // Close model in web-ifc
-    try { ifcAPI.CloseModel(m.modelID); } catch {}
+    disposeModelGroup(m.modelGroup);
+    disposeModelGroup(m.spaceGroup);
   }
 
   models = [];
   elementMeshMap.clear();
   elementDataMap.clear();
+  globalIdIndex.clear();
   storeys = {};
+  spatialNodes.clear();
+  zones.clear();
+  spaceMeshMap.clear();
+  activeSpaceKeys.clear();
   selectedKey = null;
 
   if (!silent) {
@@ -380,34 +795,11 @@ function removeModel(idx) {
 
   const m = models[mIndex];
   clearSelection();
+  clearHistory();
 
-  // Remove from scene
-  if (m.modelGroup) {
-    scene.remove(m.modelGroup);
-    m.modelGroup.traverse(child => {
-      if (child.isMesh) {
-        child.geometry?.dispose();
-        child.material?.dispose();
-      }
-    });
-  }
-
-  // Close model in web-ifc
-  try { ifcAPI.CloseModel(m.modelID); } catch {}
-
-  // Remove entries from global maps with this model's idx
-  const prefix = `${idx}:`;
-  for (const key of [...elementMeshMap.keys()]) {
-    if (key.startsWith(prefix)) elementMeshMap.delete(key);
-  }
-  for (const key of [...elementDataMap.keys()]) {
-    if (key.startsWith(prefix)) elementDataMap.delete(key);
-  }
-
-  // Remove storeys belonging to this model
-  for (const [name, data] of Object.entries(storeys)) {
-    if (data.modelIdx === idx) delete storeys[name];
-  }
+  disposeModelGroup(m.modelGroup);
+  disposeModelGroup(m.spaceGroup);
+  purgeModelData(idx);
 
   models.splice(mIndex, 1);
 
@@ -429,298 +821,200 @@ function removeModel(idx) {
   }
 }
 
-// ======================== UNIT DETECTION ========================
-function detectUnits(modelID) {
-  let unitFactor = 1.0;
-  try {
-    const projects = ifcAPI.GetLineIDsWithType(modelID, IFCTYPES.IFCPROJECT);
-    if (projects.size() > 0) {
-      const proj = ifcAPI.GetLine(modelID, projects.get(0));
-      if (proj.UnitsInContext) {
-        const unitAssign = ifcAPI.GetLine(modelID, proj.UnitsInContext.value);
-        if (unitAssign.Units) {
-          for (const unitRef of unitAssign.Units) {
-            const unit = ifcAPI.GetLine(modelID, unitRef.value);
-            if (unit.UnitType && unit.UnitType.value === 'LENGTHUNIT') {
-              if (unit.type === IFCTYPES.IFCCONVERSIONBASEDUNIT) {
-                const factor = ifcAPI.GetLine(modelID, unit.ConversionFactor.value);
-                if (factor.ValueComponent) {
-                  unitFactor = factor.ValueComponent.value;
-                }
-              } else if (unit.Prefix) {
-                const prefixes = {
-                  '.MILLI.': 0.001, '.CENTI.': 0.01,
-                  '.DECI.': 0.1, '.KILO.': 1000,
-                };
-                unitFactor = prefixes[unit.Prefix.value] || 1.0;
-              }
-            }
-          }
-        }
-      }
-    }
-  } catch (e) { console.warn('[viewer] Unit detection fallback:', e); }
-  console.log('[viewer] Unit factor (to meters):', unitFactor);
-  return unitFactor;
-}
-
 // ======================== STOREYS ========================
-function extractStoreys(modelID, modelIdx, unitFactor) {
-  const ids = ifcAPI.GetLineIDsWithType(modelID, IFCTYPES.IFCBUILDINGSTOREY);
-  for (let i = 0; i < ids.size(); i++) {
-    const line = ifcAPI.GetLine(modelID, ids.get(i));
-    const name = line.Name?.value || `Level ${i}`;
-    const elev = line.Elevation?.value || 0;
-    // Use model-prefixed name if there's a collision with another model's storey
-    const storeyKey = storeys[name] && storeys[name].modelIdx !== modelIdx
-      ? `${name} [${models.length > 0 ? models.find(m => m.idx === modelIdx)?.filename || modelIdx : modelIdx}]`
-      : name;
+/** Register storeys reported by the worker, prefixing names that collide with another model's. */
+function registerStoreys(list, modelIdx, unitFactor, filename) {
+  for (const s of list) {
+    const storeyKey = storeys[s.name] && storeys[s.name].modelIdx !== modelIdx
+      ? `${s.name} [${filename}]`
+      : s.name;
     storeys[storeyKey] = {
       name: storeyKey,
-      elevation_m: elev * unitFactor,
-      expressID: ids.get(i),
+      elevation_m: s.elevation * unitFactor,
+      expressID: s.expressID,
       modelIdx,
     };
   }
 }
 
-function buildSpatialMap(modelID) {
-  const map = new Map();
-  const parentMap = new Map();
-
-  try {
-    const relIds = ifcAPI.GetLineIDsWithType(
-      modelID, IFCTYPES.IFCRELCONTAINEDINSPATIALSTRUCTURE
-    );
-    for (let i = 0; i < relIds.size(); i++) {
-      const rel = ifcAPI.GetLine(modelID, relIds.get(i));
-      let storeyName = null;
-      try {
-        const container = ifcAPI.GetLine(modelID, rel.RelatingStructure.value);
-        if (container.type === IFCTYPES.IFCBUILDINGSTOREY) {
-          storeyName = container.Name?.value || 'Unknown';
-        }
-      } catch {}
-      if (storeyName && rel.RelatedElements) {
-        for (const elemRef of rel.RelatedElements) {
-          map.set(elemRef.value, storeyName);
-        }
-      }
-    }
-
-    const aggIds = ifcAPI.GetLineIDsWithType(modelID, IFCTYPES.IFCRELAGGREGATES);
-    for (let i = 0; i < aggIds.size(); i++) {
-      const rel = ifcAPI.GetLine(modelID, aggIds.get(i));
-      try {
-        const parentId = rel.RelatingObject.value;
-        const parent = ifcAPI.GetLine(modelID, parentId);
-        if (parent.type === IFCTYPES.IFCBUILDINGSTOREY) {
-          const pName = parent.Name?.value || 'Unknown';
-          if (rel.RelatedObjects) {
-            for (const childRef of rel.RelatedObjects) {
-              map.set(childRef.value, pName);
-            }
-          }
-        } else if (rel.RelatedObjects) {
-          for (const childRef of rel.RelatedObjects) {
-            parentMap.set(childRef.value, parentId);
-          }
-        }
-      } catch {}
-    }
+// ======================== SPATIAL STRUCTURE ========================
+/** Register the worker's spatial structure and zones for one model under composite keys. */
+function registerSpatialStructure(nodes, zoneList, modelIdx) {
+  for (const n of nodes) {
+    const key = makeKey(modelIdx, n.expressID);
+    spatialNodes.set(key, {
+      key,
+      ifcType: n.ifcType,
+      globalId: n.globalId,
+      name: n.name,
+      longName: n.longName,
+      parentKey: n.parent != null ? makeKey(modelIdx, n.parent) : null,
+      elevation: n.elevation ?? null,
+      props: n.props || {},
+      modelIdx,
+    });
+  }
+  for (const z of zoneList) {
+    const key = makeKey(modelIdx, z.expressID);
+    zones.set(key, {
+      key,
+      globalId: z.globalId,
+      name: z.name,
+      longName: z.longName,
+      spaceKeys: z.spaces.map(id => makeKey(modelIdx, id)),
+      modelIdx,
+    });
+  }
+}
 
-    for (const [childId, parentId] of parentMap) {
-      if (!map.has(childId)) {
-        let current = parentId;
-        let depth = 0;
-        while (current && depth < 10) {
-          if (map.has(current)) {
-            map.set(childId, map.get(current));
-            break;
-          }
-          current = parentMap.get(current);
-          depth++;
-        }
-      }
-    }
-  } catch (e) { console.warn('[viewer] Spatial map error:', e); }
+/** Room number and name, e.g. "101 · Office" (IfcSpace Name / LongName). */
+function spaceLabel(node) {
+  if (!node.longName || node.longName === node.name) return node.name;
+  return `${node.name} · ${node.longName}`;
+}
 
-  console.log(`[viewer] Spatial map: ${map.size} elements mapped to storeys`);
-  return map;
+/** Name of the storey a spatial node sits on, or null. */
+function storeyOfNode(key) {
+  let node = spatialNodes.get(key);
+  for (let depth = 0; node && depth < 10; depth++) {
+    if (node.ifcType === 'IFCBUILDINGSTOREY') return node.name;
+    node = spatialNodes.get(node.parentKey);
+  }
+  return null;
 }
 
 // ======================== GEOMETRY ========================
-async function loadGeometry(modelID, modelIdx) {
-  const modelGroup = new THREE.Group();
-  modelGroup.name = `IFC Model ${modelIdx}`;
-  modelGroup.userData.modelIdx = modelIdx;
-
-  let count = 0;
-  let skipped = 0;
-
-  ifcAPI.StreamAllMeshes(modelID, (mesh) => {
-    const expressID = mesh.expressID;
-
-    let line;
-    try { line = ifcAPI.GetLine(modelID, expressID, true); } catch { return; }
-
-    let typeName = TYPE_ID_TO_NAME[line.type] || null;
-    if (!typeName) {
-      try {
-        const typeStr = ifcAPI.GetNameFromTypeCode?.(line.type) || '';
-        typeName = typeStr.toUpperCase();
-      } catch {}
-    }
-    if (!typeName) typeName = 'UNKNOWN';
-    if (SKIP_TYPES.has(typeName)) { skipped++; return; }
-
-    const geometries = mesh.geometries;
-    if (!geometries || geometries.size() === 0) return;
-
-    const mergedPositions = [];
-    const mergedNormals = [];
-    const mergedIndices = [];
-    let vertexOffset = 0;
-
-    for (let g = 0; g < geometries.size(); g++) {
-      const placed = geometries.get(g);
-      let geomData;
-      try { geomData = ifcAPI.GetGeometry(modelID, placed.geometryExpressID); } catch { continue; }
-
-      const vData = ifcAPI.GetVertexArray(
-        geomData.GetVertexData(), geomData.GetVertexDataSize()
-      );
-      const iData = ifcAPI.GetIndexArray(
-        geomData.GetIndexData(), geomData.GetIndexDataSize()
-      );
-
-      if (!vData || vData.length === 0 || !iData || iData.length === 0) {
-        geomData.delete();
-        continue;
-      }
-
-      const numVerts = vData.length / 6;
-      const matrix = new THREE.Matrix4();
-      matrix.fromArray(placed.flatTransformation);
-      const normalMatrix = new THREE.Matrix3().getNormalMatrix(matrix);
-
-      for (let v = 0; v < numVerts; v++) {
-        const px = vData[v * 6], py = vData[v * 6 + 1], pz = vData[v * 6 + 2];
-        const nx = vData[v * 6 + 3], ny = vData[v * 6 + 4], nz = vData[v * 6 + 5];
-
-        const pos = new THREE.Vector3(px, py, pz).applyMatrix4(matrix);
-        const norm = new THREE.Vector3(nx, ny, nz).applyMatrix3(normalMatrix).normalize();
+/** Whether a model with roughly elementEstimate elements should be loaded as batches. */
+function shouldBatch(elementEstimate) {
+  if (renderMode === 'batched') return true;
+  if (renderMode === 'mesh') return false;
+  return elementEstimate > AUTO_BATCH_THRESHOLD;
+}
+
+function setRenderMode(mode) {
+  renderMode = mode;
+  localStorage.setItem(RENDER_MODE_KEY, mode);
+  console.log(`[viewer] Render mode: ${mode} (applies to models loaded from now on)`);
+}
+
+/** Build a THREE.Mesh from one element's merged buffers (already in world space). */
+function addElementMesh(modelGroup, modelIdx, { expressID, ifcType, positions, normals, indices }) {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+  geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+
+  const material = new THREE.MeshPhongMaterial({
+    color: typeColor(ifcType),
+    transparent: true,
+    opacity: BASE_OPACITY,
+    side: THREE.DoubleSide,
+    shininess: 40,
+    flatShading: false,
+  });
 
-        mergedPositions.push(pos.x, pos.y, pos.z);
-        mergedNormals.push(norm.x, norm.y, norm.z);
-      }
+  const meshObj = new THREE.Mesh(geometry, material);
+  const compositeKey = makeKey(modelIdx, expressID);
+  meshObj.userData.expressID = expressID;
+  meshObj.userData.ifcType = ifcType;
+  meshObj.userData.modelIdx = modelIdx;
+  meshObj.userData.compositeKey = compositeKey;
+  modelGroup.add(meshObj);
+  elementMeshMap.set(compositeKey, meshObj);
+  return meshObj;
+}
+
+// ======================== SPACES LAYER ========================
+const SPACE_COLOR = 0x4fb0a8;
+const SPACE_OPACITY = 0.18;
+const SPACE_ACTIVE_OPACITY = 0.35;
+
+/** Build the translucent volume of one IfcSpace. */
+function addSpaceMesh(spaceGroup, modelIdx, { expressID, positions, normals, indices }) {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+  geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+
+  const material = new THREE.MeshPhongMaterial({
+    color: SPACE_COLOR,
+    transparent: true,
+    opacity: SPACE_OPACITY,
+    depthWrite: false,
+    side: THREE.DoubleSide,
+    shininess: 10,
+  });
 
-      for (let idx = 0; idx < iData.length; idx++) {
-        mergedIndices.push(iData[idx] + vertexOffset);
-      }
+  const mesh = new THREE.Mesh(geometry, material);
+  const key = makeKey(modelIdx, expressID);
+  mesh.userData.expressID = expressID;
+  mesh.userData.modelIdx = modelIdx;
+  mesh.userData.spaceKey = key;
+  mesh.visible = spacesVisible || activeSpaceKeys.has(key);
+  spaceGroup.add(mesh);
+  spaceMeshMap.set(key, mesh);
+  return mesh;
+}
 
-      vertexOffset += numVerts;
-      geomData.delete();
-    }
+/** Apply the layer toggle and the tree's active spaces to every space volume. */
+function updateSpaceMeshes() {
+  for (const [key, mesh] of spaceMeshMap) {
+    const active = activeSpaceKeys.has(key);
+    mesh.visible = spacesVisible || active;
+    mesh.material.color.setHex(active ? HIGHLIGHT_COLOR : SPACE_COLOR);
+    mesh.material.opacity = active ? SPACE_ACTIVE_OPACITY : SPACE_OPACITY;
+  }
+}
 
-    if (mergedPositions.length === 0) return;
-
-    const geometry = new THREE.BufferGeometry();
-    geometry.setAttribute('position', new THREE.Float32BufferAttribute(mergedPositions, 3));
-    geometry.setAttribute('normal', new THREE.Float32BufferAttribute(mergedNormals, 3));
-    geometry.setIndex(mergedIndices);
-
-    const color = TYPE_COLORS[typeName] || 0x99aacc;
-    const material = new THREE.MeshPhongMaterial({
-      color,
-      transparent: true,
-      opacity: 0.88,
-      side: THREE.DoubleSide,
-      shininess: 40,
-      flatShading: false,
-    });
+function toggleSpaces() {
+  spacesVisible = !spacesVisible;
+  localStorage.setItem(SPACES_KEY, spacesVisible ? '1' : '0');
+  updateSpaceMeshes();
+  document.getElementById('btnSpaces')?.classList.toggle('active', spacesVisible);
+}
 
-    const meshObj = new THREE.Mesh(geometry, material);
-    const compositeKey = makeKey(modelIdx, expressID);
-    meshObj.userData.expressID = expressID;
-    meshObj.userData.ifcType = typeName;
-    meshObj.userData.modelIdx = modelIdx;
-    meshObj.userData.compositeKey = compositeKey;
-    modelGroup.add(meshObj);
-    elementMeshMap.set(compositeKey, meshObj);
+function clearActiveSpaces() {
+  if (activeSpaceKeys.size === 0) return;
+  activeSpaceKeys = new Set();
+  updateSpaceMeshes();
+  document.querySelectorAll('.tree-header.space-active').forEach(el => el.classList.remove('space-active'));
+}
 
-    count++;
-  });
+/**
+ * Navigate to rooms: select the elements the spaces contain, highlight the
+ * spaces themselves and frame them. A single space shows its own properties.
+ */
+function focusSpaces(spaceKeys) {
+  const keys = new Set(spaceKeys);
+  const contained = [];
+  for (const [key, data] of elementDataMap) {
+    if (keys.has(data.spaceKey)) contained.push(key);
+  }
+  selectKeys(contained);
 
-  console.log(`[viewer] Model ${modelIdx}: ${count} meshes (skipped ${skipped} non-geometric)`);
-  return { modelGroup, elementCount: count };
-}
+  activeSpaceKeys = keys;
+  updateSpaceMeshes();
+  document.querySelectorAll('.tree-header[data-space]').forEach(el =>
+    el.classList.toggle('space-active', keys.has(el.dataset.space))
+  );
 
-// ======================== PROPERTIES ========================
-function extractProperties(modelID, modelIdx, spatialMap) {
-  const propRels = new Map();
-  try {
-    const relIds = ifcAPI.GetLineIDsWithType(modelID, IFCTYPES.IFCRELDEFINESBYPROPERTIES);
-    for (let i = 0; i < relIds.size(); i++) {
-      const rel = ifcAPI.GetLine(modelID, relIds.get(i));
-      const psetRef = rel.RelatingPropertyDefinition?.value;
-      if (!psetRef || !rel.RelatedObjects) continue;
-      for (const objRef of rel.RelatedObjects) {
-        if (!propRels.has(objRef.value)) propRels.set(objRef.value, []);
-        propRels.get(objRef.value).push(psetRef);
-      }
-    }
-  } catch (e) { console.warn('[viewer] PropRel error:', e); }
-
-  const prefix = `${modelIdx}:`;
-  for (const [key, mesh] of elementMeshMap) {
-    if (!key.startsWith(prefix)) continue;
-
-    const expressID = mesh.userData.expressID;
-    let line;
-    try { line = ifcAPI.GetLine(modelID, expressID, true); } catch { continue; }
-
-    const ifcType = mesh.userData.ifcType;
-    const name = line.Name?.value || 'Unnamed';
-    const storey = spatialMap.get(expressID) || 'Unassigned';
-
-    const props = {};
-    const psetIds = propRels.get(expressID) || [];
-    for (const psetId of psetIds) {
-      try {
-        const pset = ifcAPI.GetLine(modelID, psetId, true);
-        const psetName = pset.Name?.value || 'Properties';
-
-        if (pset.HasProperties) {
-          for (const propRef of pset.HasProperties) {
-            try {
-              const prop = (typeof propRef === 'object' && propRef.value)
-                ? ifcAPI.GetLine(modelID, propRef.value) : propRef;
-              if (prop.Name && prop.NominalValue) {
-                props[`${psetName}.${prop.Name.value}`] = prop.NominalValue.value;
-              }
-            } catch {}
-          }
-        }
-        if (pset.Quantities) {
-          for (const qRef of pset.Quantities) {
-            try {
-              const q = (typeof qRef === 'object' && qRef.value)
-                ? ifcAPI.GetLine(modelID, qRef.value) : qRef;
-              const qName = q.Name?.value || '';
-              const qPrefix = `${psetName}.${qName}`;
-              if (q.LengthValue !== undefined) props[qPrefix] = q.LengthValue.value;
-              else if (q.AreaValue !== undefined) props[qPrefix] = q.AreaValue.value;
-              else if (q.VolumeValue !== undefined) props[qPrefix] = q.VolumeValue.value;
-              else if (q.WeightValue !== undefined) props[qPrefix] = q.WeightValue.value;
-              else if (q.CountValue !== undefined) props[qPrefix] = q.CountValue.value;
-            } catch {}
-          }
-        }
-      } catch {}
+  const box = new THREE.Box3();
+  for (const key of keys) {
+    const mesh = spaceMeshMap.get(key);
+    if (mesh) box.expandByObject(mesh);
+  }
+  if (box.isEmpty()) zoomToKeys(contained);
+  else frameBox(box);
+
+  if (keys.size === 1) {
+    const [key] = keys;
+    const node = spatialNodes.get(key);
+    if (node) {
+      showPropertyDetail({
+        name: spaceLabel(node), ifcType: node.ifcType, globalId: node.globalId,
+        storey: storeyOfNode(key) || 'Unassigned', props: node.props, modelIdx: node.modelIdx,
+      });
     }
-
-    elementDataMap.set(key, { ifcType, name, storey, props, modelIdx });
   }
 }
 
@@ -733,6 +1027,7 @@ function applyRotationPreset(idx, targetGroup) {
     // Apply to all model groups
     for (const m of models) {
       if (m.modelGroup) m.modelGroup.rotation.set(p.rx, p.ry, p.rz);
+      if (m.spaceGroup) m.spaceGroup.rotation.set(p.rx, p.ry, p.rz);
     }
   }
   updateViewerInfo();
@@ -744,6 +1039,7 @@ function cycleRotation() {
   applyRotationPreset(rotationPresetIndex);
   for (const m of models) {
     if (m.modelGroup) m.modelGroup.updateMatrixWorld(true);
+    if (m.spaceGroup) m.spaceGroup.updateMatrixWorld(true);
   }
   fitCameraAll();
 }
@@ -765,17 +1061,204 @@ function fitCameraAll() {
   const center = box.getCenter(new THREE.Vector3());
   const size = box.getSize(new THREE.Vector3());
   const maxDim = Math.max(size.x, size.y, size.z);
+  const dist = maxDim * 1.3;
+  perspCamera.near = dist * 0.01;
+  perspCamera.far = dist * 10;
 
-  controls.target.copy(center);
+  // Orthographic views keep their direction, so plans and elevations stay put
+  if (camera.isOrthographicCamera) {
+    frameBoxOrtho(box, 1.1);
+    return;
+  }
 
-  const dist = maxDim * 1.3;
+  controls.target.copy(center);
   camera.position.set(
     center.x + dist * 0.7,
     center.y + dist * 0.5,
     center.z + dist * 0.7,
   );
+  camera.lookAt(center);
+  camera.updateProjectionMatrix();
+  controls.update();
+}
+
+// ======================== PROJECTION ========================
+/** Size the orthographic frustum to show `height` world units vertically at zoom 1. */
+function setOrthoFrustum(height) {
+  const container = renderer.domElement.parentElement;
+  const aspect = container.clientWidth / container.clientHeight;
+  orthoCamera.top = height / 2;
+  orthoCamera.bottom = -height / 2;
+  orthoCamera.left = -height * aspect / 2;
+  orthoCamera.right = height * aspect / 2;
+  orthoCamera.updateProjectionMatrix();
+}
+
+/** World height visible at the orbit target. */
+function viewHeight() {
+  if (camera.isOrthographicCamera) return (camera.top - camera.bottom) / camera.zoom;
+  return 2 * camera.position.distanceTo(controls.target) * Math.tan(camera.fov * Math.PI / 360);
+}
+
+function getProjection() {
+  return camera.isOrthographicCamera ? 'ortho' : 'perspective';
+}
+
+/** Switch between perspective and orthographic, keeping the view direction and scale at the target. */
+function setProjection(mode) {
+  if (mode === getProjection()) return;
+  const height = viewHeight();
+  const dir = camera.position.clone().sub(controls.target).normalize();
+
+  if (mode === 'ortho') {
+    // Distance does not change the scale in orthographic, so stand well back
+    // to keep the whole scene in front of the near plane
+    orthoCamera.position.copy(controls.target).addScaledVector(dir, perspCamera.far / 2);
+    orthoCamera.zoom = 1;
+    orthoCamera.near = 0;
+    orthoCamera.far = perspCamera.far;
+    setOrthoFrustum(height);
+    controls.minPolarAngle = 0;
+    controls.maxPolarAngle = Math.PI;
+    camera = orthoCamera;
+  } else {
+    const dist = height / 2 / Math.tan(perspCamera.fov * Math.PI / 360);
+    perspCamera.position.copy(controls.target).addScaledVector(dir, dist);
+    controls.minPolarAngle = PERSP_POLAR_LIMITS[0];
+    controls.maxPolarAngle = PERSP_POLAR_LIMITS[1];
+    camera = perspCamera;
+  }
+
+  controls.object = camera;
+  camera.lookAt(controls.target);
+  camera.updateProjectionMatrix();
+  controls.update();
+  document.getElementById('btnProjection')?.classList.toggle('active', mode === 'ortho');
+}
+
+function toggleProjection() {
+  setProjection(getProjection() === 'ortho' ? 'perspective' : 'ortho');
+}
+
+/**
+ * Orthographic camera only: frame a world box along the current view direction,
+ * sizing the frustum so the box's projection fits with some padding.
+ */
+function frameBoxOrtho(box, padding) {
+  const center = box.getCenter(new THREE.Vector3());
+  const radius = Math.max(box.getBoundingSphere(new THREE.Sphere()).radius, 0.5);
+  const dir = camera.position.clone().sub(controls.target).normalize();
+
+  controls.target.copy(center);
+  camera.position.copy(center).addScaledVector(dir, radius * 2);
+  camera.lookAt(center);
+  camera.updateMatrixWorld();
+
+  // Half extents of the box corners across the view
+  let halfW = 0, halfH = 0;
+  const corner = new THREE.Vector3();
+  const origin = center.clone().applyMatrix4(camera.matrixWorldInverse);
+  for (let i = 0; i < 8; i++) {
+    corner.set(
+      i & 1 ? box.max.x : box.min.x,
+      i & 2 ? box.max.y : box.min.y,
+      i & 4 ? box.max.z : box.min.z,
+    ).applyMatrix4(camera.matrixWorldInverse).sub(origin);
+    halfW = Math.max(halfW, Math.abs(corner.x));
+    halfH = Math.max(halfH, Math.abs(corner.y));
+  }
+  const container = renderer.domElement.parentElement;
+  const aspect = container.clientWidth / container.clientHeight;
+  camera.near = 0;
+  camera.far = radius * 4;
+  camera.zoom = 1;
+  setOrthoFrustum(Math.max(halfH, halfW / aspect) * 2 * padding);
+  controls.update();
+}
+
+/** World-space bounding box of one element (mesh or batch handle), or null if unknown. */
+function getElementBox(compositeKey, target = new THREE.Box3()) {
+  const mesh = elementMeshMap.get(compositeKey);
+  if (!mesh) return null;
+  if (mesh.isElementHandle) return handleBoundingBox(mesh, target);
+  mesh.updateWorldMatrix(true, false);
+  if (!mesh.geometry.boundingBox) mesh.geometry.computeBoundingBox();
+  return target.copy(mesh.geometry.boundingBox).applyMatrix4(mesh.matrixWorld);
+}
+
+/** World-space triangles of one element (9 floats per triangle), or null if it has no geometry. */
+function getElementTriangles(compositeKey) {
+  const mesh = elementMeshMap.get(compositeKey);
+  if (!mesh) return null;
+  if (mesh.isElementHandle) return handleTriangles(mesh);
+
+  mesh.updateWorldMatrix(true, false);
+  const pos = mesh.geometry.attributes.position;
+  const index = mesh.geometry.index.array;
+  const out = new Float32Array(index.length * 3);
+  const v = new THREE.Vector3();
+  for (let i = 0; i < index.length; i++) {
+    v.fromBufferAttribute(pos, index[i]).applyMatrix4(mesh.matrixWorld);
+    out[i * 3] = v.x;
+    out[i * 3 + 1] = v.y;
+    out[i * 3 + 2] = v.z;
+  }
+  return out;
+}
+
+let cameraFlight = 0;
+
+/**
+ * Move the camera and orbit target to a new pose over `duration` ms (ease in-out).
+ * A newer flight cancels one still in progress.
+ */
+function flyTo(position, target, duration = 700) {
+  const fromPos = camera.position.clone();
+  const fromTarget = controls.target.clone();
+  const toPos = new THREE.Vector3().fromArray(position);
+  const toTarget = new THREE.Vector3().fromArray(target);
+  const flight = ++cameraFlight;
+  const start = performance.now();
+
+  (function step(now) {
+    if (flight !== cameraFlight) return;
+    const t = Math.min(1, (now - start) / duration);
+    const k = t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+    camera.position.lerpVectors(fromPos, toPos, k);
+    controls.target.lerpVectors(fromTarget, toTarget, k);
+    camera.lookAt(controls.target);
+    controls.update();
+    if (t < 1) requestAnimationFrame(step);
+  })(start);
+}
+
+/** Frame the given elements, keeping the current view direction. */
+function zoomToKeys(keys) {
+  const box = new THREE.Box3();
+  const elBox = new THREE.Box3();
+  for (const key of keys) {
+    if (getElementBox(key, elBox)) box.union(elBox);
+  }
+  frameBox(box);
+}
+
+/** Frame a world-space box, keeping the current view direction. */
+function frameBox(box) {
+  if (box.isEmpty()) return;
+  if (camera.isOrthographicCamera) {
+    frameBoxOrtho(box, 1.3);
+    return;
+  }
+
+  const center = box.getCenter(new THREE.Vector3());
+  const size = box.getSize(new THREE.Vector3());
+  const dist = Math.max(size.x, size.y, size.z, 1) * 1.6;
+  const dir = camera.position.clone().sub(controls.target).normalize();
+
+  controls.target.copy(center);
+  camera.position.copy(center).addScaledVector(dir, dist);
+  // Same ratio as fitCameraAll — set from this distance, never just shrunk, so depth precision comes back
   camera.near = dist * 0.01;
-  camera.far = dist * 10;
   camera.lookAt(center);
   camera.updateProjectionMatrix();
   controls.update();
@@ -783,8 +1266,11 @@ function fitCameraAll() {
 
 // ======================== SELECTION (multi-select aware) ========================
 
-/** Raycast helper — returns the compositeKey of the first hit mesh, or null. */
-function raycastElement(event) {
+/**
+ * Raycast helper — the first visible, unclipped element under the pointer as
+ * { key, hit } (hit is the THREE intersection, world-space point), or null.
+ */
+function raycastHit(event) {
   if (models.length === 0) return null;
   const rect = renderer.domElement.getBoundingClientRect();
   mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
@@ -796,7 +1282,24 @@ function raycastElement(event) {
     if (m.modelGroup) m.modelGroup.traverse(c => { if (c.isMesh) meshes.push(c); });
   }
   const hits = raycaster.intersectObjects(meshes);
-  return hits.length > 0 ? hits[0].object.userData.compositeKey : null;
+  for (const hit of hits) {
+    // Batch and instanced meshes cover many elements — resolve the face / instance to its handle
+    const target = hit.object.userData.batch ? handleForHit(hit) : hit.object;
+    if (!target || !target.visible || target.material.opacity <= 0) continue;
+    // Skip surfaces the section cut has removed (by any plane, or by all of them for a union)
+    const planes = target.material.clippingPlanes;
+    if (planes?.length > 0) {
+      const cut = (p) => p.distanceToPoint(hit.point) < 0;
+      if (target.material.clipIntersection ? planes.every(cut) : planes.some(cut)) continue;
+    }
+    return { key: target.userData.compositeKey, hit };
+  }
+  return null;
+}
+
+/** Raycast helper — returns the compositeKey of the first visible element hit, or null. */
+function raycastElement(event) {
+  return raycastHit(event)?.key ?? null;
 }
 
 function onCanvasClick(event) {
@@ -813,8 +1316,13 @@ function onCanvasClick(event) {
         addToSelection(key);
       }
     } else {
-      // Replace selection with just this element
-      selectElement(key);
+      // Replace selection with just this element; clicking it again walks up its assemblies
+      const chain = assemblyChain(key);
+      const again = pickCycle && pickCycle.leaf === key && pickCycle.selectedKey === selectedKey;
+      const level = again ? (pickCycle.level + 1) % chain.length : 0;
+      if (level === 0) selectElement(key);
+      else selectAssembly(chain[level]);
+      pickCycle = { leaf: key, level, selectedKey };
     }
   } else if (!additive) {
     clearSelection();
@@ -842,7 +1350,13 @@ function onCanvasRightClick(event) {
 
 /** Select a single element (clears previous selection). */
 function selectElement(compositeKey) {
+  // Assemblies without geometry of their own are picked through their parts
+  if (!elementMeshMap.has(compositeKey) && elementDataMap.get(compositeKey)?.partKeys.length > 0) {
+    selectAssembly(compositeKey);
+    return;
+  }
   clearSelectionHighlights();
+  clearActiveSpaces();
   selectedKeys.clear();
 
   selectedKeys.add(compositeKey);
@@ -875,6 +1389,26 @@ function addToSelection(compositeKey) {
   highlightElementInList(compositeKey);
 }
 
+/** Replace the selection with a set of elements in one pass (restored viewpoints, etc.). */
+function selectKeys(keys) {
+  const list = [...keys].filter(k => elementMeshMap.has(k));
+  if (list.length === 0) {
+    clearSelection();
+    return;
+  }
+  if (list.length === 1) {
+    selectElement(list[0]);
+    return;
+  }
+  clearSelectionHighlights();
+  clearActiveSpaces();
+  selectedKeys.clear();
+  for (const k of list) selectedKeys.add(k);
+  selectedKey = list[list.length - 1];
+  highlightSelectedMeshes();
+  showMultiSelectionInfo();
+}
+
 /** Remove a single element from multi-selection. */
 function deselectElement(compositeKey) {
   selectedKeys.delete(compositeKey);
@@ -896,6 +1430,7 @@ function deselectElement(compositeKey) {
 /** Parse Revit Family/Type from element data.
  *  Revit IFC exports use "Family:Type" in the Name field, and may also
  *  store these in property sets like "Other.Family and Type", "Other.Type", etc.
+ *  The resolved IfcTypeObject name is preferred over guessing from the Name.
  *  Returns { category, family, type, familyAndType }
  */
 function parseRevitClassification(data) {
@@ -927,6 +1462,20 @@ function parseRevitClassification(data) {
     }
   }
 
+  // Type object: Revit names it "Family:Type", other tools just the type
+  if (!family && !type && data.type?.name) {
+    const typeName = data.type.name;
+    const colonIdx = typeName.indexOf(':');
+    if (colonIdx > 0) {
+      family = typeName.substring(0, colonIdx).trim();
+      type = typeName.substring(colonIdx + 1).trim();
+    } else {
+      type = typeName.trim();
+      const nameColon = data.name ? data.name.indexOf(':') : -1;
+      if (nameColon > 0) family = data.name.substring(0, nameColon).trim();
+    }
+  }
+
   // Fallback: parse from element Name (Revit uses "Family:Type" pattern)
   if (!family && !type && data.name) {
     const colonIdx = data.name.indexOf(':');
@@ -1071,47 +1620,21 @@ function selectBySameType(compositeKey) {
 
 /** Apply highlight color to all selected meshes and dim the rest. */
 function highlightSelectedMeshes() {
-  for (const [key, m] of elementMeshMap) {
-    if (selectedKeys.has(key)) {
-      if (m.userData.origColor === undefined) {
-        m.userData.origColor = m.material.color.getHex();
-        m.userData.origOpacity = m.material.opacity;
-      }
-      m.material.color.setHex(0x4d8ef7);
-      m.material.opacity = 1.0;
-      m.material.emissive.setHex(0x1a3a7a);
-      m.userData.dimmed = false;
-    } else {
-      if (!m.userData.dimmed) {
-        m.userData.origOpacity2 = m.material.opacity;
-      }
-      m.material.opacity = 0.15;
-      m.userData.dimmed = true;
-    }
-  }
+  highlightedKeys = new Set(selectedKeys);
+  refreshOverlays();
 }
 
-/** Restore original materials on all meshes, respecting hidden elements. */
+/** Drop the selection highlight (the selection itself is left to the caller). */
 function clearSelectionHighlights() {
-  for (const [key, m] of elementMeshMap) {
-    const isHidden = hiddenKeys.has(key);
-    if (m.userData.origColor !== undefined) {
-      m.material.color.setHex(m.userData.origColor);
-      m.material.opacity = isHidden ? 0 : m.userData.origOpacity;
-      m.material.emissive.setHex(0x000000);
-      delete m.userData.origColor;
-      delete m.userData.origOpacity;
-    }
-    if (m.userData.dimmed) {
-      m.material.opacity = isHidden ? 0 : (m.userData.origOpacity2 || 0.88);
-      m.userData.dimmed = false;
-      delete m.userData.origOpacity2;
-    }
-  }
+  if (highlightedKeys.size === 0) return;
+  highlightedKeys.clear();
+  refreshOverlays();
 }
 
 function clearSelection(keepDim) {
   clearSelectionHighlights();
+  clearActiveSpaces();
+  pickCycle = null;
   selectedKeys.clear();
   selectedKey = null;
   document.getElementById('selectionInfo').classList.remove('visible');
@@ -1121,27 +1644,36 @@ function clearSelection(keepDim) {
 // Track manually hidden elements so Show All can restore them
 let hiddenKeys = new Set();
 
+// Hidden elements as an undo target (history.js) — restoring leaves selection and filters alone
+const visibilityHistory = {
+  capture: () => [...hiddenKeys],
+  restore: (keys) => replaceHiddenKeys(keys),
+};
+
+function replaceHiddenKeys(keys) {
+  hiddenKeys.clear();
+  for (const key of keys) {
+    if (elementMeshMap.has(key)) hiddenKeys.add(key);
+  }
+  refreshOverlays();
+  updateVisibilityButtons();
+}
+
 /** Isolate selection — show only selected elements, hide everything else. */
 function isolateSelection() {
   if (selectedKeys.size === 0) return;
 
-  // Restore selection highlight colors first
-  clearSelectionHighlights();
-
-  for (const [key, mesh] of elementMeshMap) {
-    if (selectedKeys.has(key)) {
-      // Restore original appearance for selected items
-      mesh.visible = true;
-      mesh.material.opacity = 0.88;
-    } else {
-      mesh.visible = false;
-      hiddenKeys.add(key);
+  recordChange(`Isolate ${selectedKeys.size} element${selectedKeys.size !== 1 ? 's' : ''}`, visibilityHistory, () => {
+    for (const key of elementMeshMap.keys()) {
+      if (!selectedKeys.has(key)) hiddenKeys.add(key);
     }
-  }
+  });
 
   // Clear the active selection state (elements stay visible, no highlight)
   selectedKeys.clear();
   selectedKey = null;
+  highlightedKeys.clear();
+  refreshOverlays();
   document.getElementById('selectionInfo').classList.remove('visible');
   updateVisibilityButtons();
 }
@@ -1150,58 +1682,29 @@ function isolateSelection() {
 function hideSelection() {
   if (selectedKeys.size === 0) return;
 
-  // Restore selection highlight colors first
-  clearSelectionHighlights();
-
-  for (const key of selectedKeys) {
-    const mesh = elementMeshMap.get(key);
-    if (mesh) {
-      mesh.visible = false;
-      hiddenKeys.add(key);
-    }
-  }
-
-  // Restore dimmed elements back to normal opacity
-  for (const [key, mesh] of elementMeshMap) {
-    if (mesh.visible && mesh.userData.dimmed) {
-      mesh.material.opacity = mesh.userData.origOpacity2 || 0.88;
-      mesh.userData.dimmed = false;
-      delete mesh.userData.origOpacity2;
+  recordChange(`Hide ${selectedKeys.size} element${selectedKeys.size !== 1 ? 's' : ''}`, visibilityHistory, () => {
+    for (const key of selectedKeys) {
+      if (elementMeshMap.has(key)) hiddenKeys.add(key);
     }
-  }
+  });
 
   selectedKeys.clear();
   selectedKey = null;
+  highlightedKeys.clear();
+  refreshOverlays();
   document.getElementById('selectionInfo').classList.remove('visible');
   updateVisibilityButtons();
 }
 
-/** Show all elements — restore everything to visible. */
+/** Show all elements — unhide everything and drop selections and filters. Color overlays stay. */
 function showAll() {
-  // Restore any selection highlights
-  clearSelectionHighlights();
-
-  for (const [, mesh] of elementMeshMap) {
-    mesh.visible = true;
-    mesh.material.opacity = 0.88;
-    mesh.material.depthWrite = true;
-    // Clean up any lingering UniFormat selection state
-    if (mesh.userData._ufOrigColor !== undefined) {
-      mesh.material.color.setHex(mesh.userData._ufOrigColor);
-      mesh.material.emissive.setHex(mesh.userData._ufOrigEmissive || 0x000000);
-      delete mesh.userData._ufOrigColor;
-      delete mesh.userData._ufOrigEmissive;
-      delete mesh.userData._ufOrigOpacity;
-    }
-    if (mesh.userData._ufOrigOpacity2 !== undefined) {
-      delete mesh.userData._ufOrigOpacity2;
-    }
-    mesh.userData._ufSelected = false;
-  }
-
-  hiddenKeys.clear();
+  recordChange('Show all', visibilityHistory, () => hiddenKeys.clear());
   selectedKeys.clear();
   selectedKey = null;
+  highlightedKeys.clear();
+  filterKeys = null;
+  resetOverlayLayers();
+  refreshOverlays();
   document.getElementById('selectionInfo').classList.remove('visible');
   updateVisibilityButtons();
 }
@@ -1223,9 +1726,10 @@ function updateVisibilityButtons() {
 function showSelectionInfo(data) {
   const modelEntry = models.find(m => m.idx === data.modelIdx);
   const modelLabel = modelEntry ? modelEntry.filename : '';
+  const parts = data.partKeys?.length ? ` · ${data.partKeys.length} parts` : '';
   document.getElementById('selName').textContent = data.name;
   document.getElementById('selMeta').textContent =
-    `${fmtType(data.ifcType)} · ${data.storey}${models.length > 1 ? ` · ${modelLabel}` : ''}`;
+    `${fmtType(data.ifcType)} · ${data.storey}${parts}${models.length > 1 ? ` · ${modelLabel}` : ''}`;
   document.getElementById('selectionInfo').classList.add('visible');
 }
 
@@ -1248,6 +1752,46 @@ function showMultiSelectionInfo() {
   document.getElementById('selectionInfo').classList.add('visible');
 }
 
+// ======================== ASSEMBLIES ========================
+/** Fill partKeys from the parts' parentKey once all of a model's elements are in. */
+function linkAssemblies(modelIdx) {
+  for (const [key, data] of elementDataMap) {
+    if (data.modelIdx !== modelIdx || !data.parentKey) continue;
+    const parent = elementDataMap.get(data.parentKey);
+    if (parent) parent.partKeys.push(key);
+    else data.parentKey = null;
+  }
+}
+
+/** Every part below an assembly, depth first (empty for a plain element). */
+function assemblyParts(key, out = [], depth = 0) {
+  for (const part of elementDataMap.get(key)?.partKeys || []) {
+    out.push(part);
+    if (depth < 10) assemblyParts(part, out, depth + 1);
+  }
+  return out;
+}
+
+/** The element followed by the assemblies it belongs to, innermost first. */
+function assemblyChain(key) {
+  const chain = [key];
+  let parent = elementDataMap.get(key)?.parentKey;
+  while (parent && chain.length < 10) {
+    chain.push(parent);
+    parent = elementDataMap.get(parent)?.parentKey;
+  }
+  return chain;
+}
+
+/** Select an assembly with all of its parts and show the assembly's own data. */
+function selectAssembly(key) {
+  selectKeys([key, ...assemblyParts(key)]);
+  const data = elementDataMap.get(key);
+  if (!data) return;
+  showSelectionInfo(data);
+  showPropertyDetail(data);
+}
+
 // ======================== 3D CONTEXT MENU ========================
 let ctx3DMenu = null;
 
@@ -1289,6 +1833,21 @@ function show3DContextMenu(compositeKey, x, y) {
   }
   html += `<div class="ctx3d-divider"></div>`;
 
+  // Decomposition — only for parts and assemblies
+  const parent = data.parentKey ? elementDataMap.get(data.parentKey) : null;
+  if (parent || data.partKeys.length > 0) {
+    html += `<div class="ctx3d-section-label">Assembly</div>`;
+    if (parent) {
+      html += `<div class="ctx3d-item" data-action="parent-assembly">`;
+      html += `<span class="ctx3d-icon">⤒</span> Select Parent Assembly <span class="ctx3d-hint">${truncate(parent.name, 24)}</span></div>`;
+    }
+    if (data.partKeys.length > 0) {
+      html += `<div class="ctx3d-item" data-action="all-parts">`;
+      html += `<span class="ctx3d-icon">⊟</span> Select All Parts <span class="ctx3d-hint">${assemblyParts(compositeKey).length}</span></div>`;
+    }
+    html += `<div class="ctx3d-divider"></div>`;
+  }
+
   // Production tracking
   html += `<div class="ctx3d-section-label">Production Tracking</div>`;
   // Check if any selected elements are installed
@@ -1354,6 +1913,15 @@ function show3DContextMenu(compositeKey, x, y) {
     });
   }
 
+  menu.querySelector('[data-action="parent-assembly"]')?.addEventListener('click', () => {
+    selectAssembly(data.parentKey);
+    remove3DContextMenu();
+  });
+  menu.querySelector('[data-action="all-parts"]')?.addEventListener('click', () => {
+    selectAssembly(compositeKey);
+    remove3DContextMenu();
+  });
+
   // Wire production tracking items
   for (let pi = 0; pi < prodItems.length; pi++) {
     const prodEl = menu.querySelector(`[data-action="prod-${pi}"]`);
@@ -1408,27 +1976,25 @@ function truncate(str, maxLen) {
 // ======================== 3D FILTER / ISOLATE ========================
 function isolateByFilter(storeyFilter, typeFilter) {
   clearSelection();
-  for (const [key, mesh] of elementMeshMap) {
-    const data = elementDataMap.get(key);
-    if (!data) continue;
+  filterKeys = new Set();
+  for (const [key, data] of elementDataMap) {
     const matchStorey = storeyFilter === 'all' || data.storey === storeyFilter;
     const matchType = typeFilter === 'all' || data.ifcType === typeFilter;
-    if (matchStorey && matchType) {
-      mesh.material.opacity = 0.88;
-      mesh.visible = true;
-    } else {
-      mesh.material.opacity = 0.06;
-    }
+    if (matchStorey && matchType) filterKeys.add(key);
   }
+  refreshOverlays();
+}
+
+/** Ghost everything but the given elements (a spatial tree group). */
+function isolateKeys(keys) {
+  clearSelection();
+  filterKeys = new Set(keys);
+  refreshOverlays();
 }
 
 function resetVisibility() {
   clearSelection();
-  for (const [, m] of elementMeshMap) {
-    m.material.opacity = xrayMode ? 0.2 : 0.88;
-    m.visible = true;
-    m.material.depthWrite = !xrayMode;
-  }
+  showAll();
 }
 
 // ======================== VIEW TOOLS ========================
@@ -1440,10 +2006,8 @@ function toggleWireframe() {
 
 function toggleXray() {
   xrayMode = !xrayMode;
-  for (const [, m] of elementMeshMap) {
-    m.material.opacity = xrayMode ? 0.2 : 0.88;
-    m.material.depthWrite = !xrayMode;
-  }
+  if (xrayMode) setOverlayLayer('xray', xrayStyle);
+  else removeOverlayLayer('xray');
   document.getElementById('btnXray').classList.toggle('active', xrayMode);
 }
 
@@ -1519,7 +2083,7 @@ function updateModelsPanel() {
     html += `<div class="model-card" data-model-idx="${m.idx}">`;
     html += `<div class="model-card-info">`;
     html += `<div class="model-card-name">${m.filename}</div>`;
-    html += `<div class="model-card-meta">${m.elementCount} elements · unit factor: ${m.unitFactor}</div>`;
+    html += `<div class="model-card-meta">${m.elementCount} elements · unit factor: ${m.unitFactor}${m.batched ? ' · batched' : ''}</div>`;
     html += `</div>`;
     html += `<div class="model-card-actions">`;
     html += `<button class="btn-toggle-vis" data-model-idx="${m.idx}" title="Toggle visibility">👁</button>`;
@@ -1545,93 +2109,253 @@ function updateModelsPanel() {
       const m = models.find(m => m.idx === idx);
       if (m && m.modelGroup) {
         m.modelGroup.visible = !m.modelGroup.visible;
+        m.spaceGroup.visible = m.modelGroup.visible;
         btn.classList.toggle('dimmed', !m.modelGroup.visible);
       }
     });
   });
+
+  renderRecentModels();
+}
+
+// ======================== RECENT (CACHED) MODELS ========================
+/** List models in the IndexedDB cache; each can be reopened without its IFC file. */
+async function renderRecentModels() {
+  const container = document.getElementById('recentModelsList');
+  const section = document.getElementById('recentModels');
+  if (!container || !section) return;
+
+  const cached = await listCachedModels();
+  section.style.display = cached.length > 0 ? '' : 'none';
+
+  const loadedHashes = new Set(models.map(m => m.hash));
+  let html = '';
+  for (const c of cached) {
+    const sizeMB = (c.size / (1024 * 1024)).toFixed(1);
+    const opened = new Date(c.lastOpened).toLocaleDateString();
+    const isLoaded = loadedHashes.has(c.hash);
+    html += `<div class="recent-model${isLoaded ? ' loaded' : ''}" data-hash="${c.hash}">`;
+    html += `<div class="recent-model-info">`;
+    html += `<div class="recent-model-name">${c.name.replace('.ifc', '')}</div>`;
+    html += `<div class="recent-model-meta">${c.elementCount} elements · ${sizeMB} MB · ${opened}</div>`;
+    html += `</div>`;
+    html += `<button class="btn-recent-open" data-hash="${c.hash}" title="${isLoaded ? 'Already loaded' : 'Open from cache'}"${isLoaded ? ' disabled' : ''}>＋</button>`;
+    html += `<button class="btn-recent-evict" data-hash="${c.hash}" title="Remove from cache">✕</button>`;
+    html += `</div>`;
+  }
+  container.innerHTML = html;
+
+  container.querySelectorAll('.btn-recent-open').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const c = cached.find(c => c.hash === btn.dataset.hash);
+      if (c) loadIFCFiles([{ name: c.name, size: c.size, hash: c.hash }], true);
+    });
+  });
+  container.querySelectorAll('.btn-recent-evict').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      await evictCachedModel(btn.dataset.hash);
+      renderRecentModels();
+    });
+  });
 }
 
 // ======================== SPATIAL TREE ========================
+const SPATIAL_KIND = {
+  IFCPROJECT: 'Project', IFCSITE: 'Site', IFCBUILDING: 'Building',
+  IFCBUILDINGSTOREY: 'Storey', IFCSPACE: 'Space',
+};
+// Levels shown expanded when the tree is built — storeys and below start closed
+const SPATIAL_OPEN = new Set(['IFCPROJECT', 'IFCSITE', 'IFCBUILDING']);
+
+/**
+ * Project → site → building → storey → space, per model. Storeys list the
+ * elements that are not in a space by type; spaces list what they contain.
+ * Assemblies expand to their parts, which are listed under them only.
+ * Elements off the structure go under Unassigned, IfcZone groupings last.
+ * Double-click any group to isolate it; clicking a space or zone focuses it.
+ */
 function buildSpatialTree() {
   const container = document.getElementById('spatialTree');
   if (!container) return;
 
-  const grouped = {};
+  const push = (map, k, v) => {
+    if (!map.has(k)) map.set(k, []);
+    map.get(k).push(v);
+  };
+
+  // Elements by where they sit: a space, else a storey of their model (parts go with their assembly)
+  const bySpace = new Map();
+  const byStorey = new Map();   // "modelIdx|storey" → elements
+  const unassigned = [];
   for (const [key, data] of elementDataMap) {
-    const s = data.storey;
-    const t = data.ifcType;
-    if (!grouped[s]) grouped[s] = {};
-    if (!grouped[s][t]) grouped[s][t] = [];
-    grouped[s][t].push({ key, ...data });
-  }
+    if (data.parentKey) continue;
+    const item = { key, ...data };
+    if (data.spaceKey) push(bySpace, data.spaceKey, item);
+    else if (data.storey !== 'Unassigned') push(byStorey, `${data.modelIdx}|${data.storey}`, item);
+    else unassigned.push(item);
+  }
+
+  const childrenOf = new Map();
+  const roots = [];
+  for (const node of spatialNodes.values()) {
+    if (node.parentKey && spatialNodes.has(node.parentKey)) push(childrenOf, node.parentKey, node);
+    else roots.push(node);
+  }
+  const kinds = Object.keys(SPATIAL_KIND);
+  const byOrder = (a, b) => {
+    if (a.ifcType !== b.ifcType) return kinds.indexOf(a.ifcType) - kinds.indexOf(b.ifcType);
+    if (a.elevation !== null && b.elevation !== null && a.elevation !== b.elevation) return a.elevation - b.elevation;
+    return a.name.localeCompare(b.name, undefined, { numeric: true });
+  };
+
+  const withParts = (elems) => elems.flatMap(e => [e.key, ...assemblyParts(e.key)]);
+
+  const ownElements = (node) => {
+    if (node.ifcType === 'IFCSPACE') return bySpace.get(node.key) || [];
+    if (node.ifcType === 'IFCBUILDINGSTOREY') return byStorey.get(`${node.modelIdx}|${node.name}`) || [];
+    return [];
+  };
+
+  // Keys under each rendered group, for isolation on double-click
+  const groupKeys = [];
+  const addGroup = (keys) => {
+    groupKeys.push(keys);
+    return groupKeys.length - 1;
+  };
+
+  const renderElement = (key, depth = 0) => {
+    const data = elementDataMap.get(key);
+    if (data.partKeys.length === 0 || depth >= 10) return `<div class="tree-element" data-key="${key}">${escapeHtml(data.name)}</div>`;
+    let html = `<div class="tree-element tree-assembly" data-key="${key}">`;
+    html += `<span class="tree-toggle">▶</span>`;
+    html += `<span class="tree-label">${escapeHtml(data.name)}</span>`;
+    html += `<span class="tree-count">${data.partKeys.length}</span>`;
+    html += `</div>`;
+    html += `<div class="tree-children">${data.partKeys.map(k => renderElement(k, depth + 1)).join('')}</div>`;
+    return html;
+  };
+
+  const renderTypes = (elems) => {
+    const byType = new Map();
+    for (const e of elems) push(byType, e.ifcType, e);
+    let html = '';
+    for (const type of [...byType.keys()].sort()) {
+      const list = byType.get(type);
+      html += `<div class="tree-type-header" data-group="${addGroup(withParts(list))}">`;
+      html += `<span class="tree-toggle">▶</span>`;
+      html += `<span class="type-badge ${typeClass(type)}">${fmtType(type)}</span>`;
+      html += `<span class="tree-count">${list.length}</span>`;
+      html += `</div>`;
+      html += `<div class="tree-children">`;
+      for (const elem of list) html += renderElement(elem.key);
+      html += `</div>`;
+    }
+    return html;
+  };
 
-  const order = Object.entries(storeys)
-    .sort((a, b) => a[1].elevation_m - b[1].elevation_m)
-    .map(([n]) => n);
-  if (grouped['Unassigned']) order.push('Unassigned');
+  // Returns { html, keys, spaces } — empty html for a branch with neither elements nor spaces
+  const renderNode = (node) => {
+    const own = ownElements(node);
+    const keys = withParts(own);
+    let spaces = node.ifcType === 'IFCSPACE' ? 1 : 0;
+    let inner = '';
+    for (const child of (childrenOf.get(node.key) || []).sort(byOrder)) {
+      const r = renderNode(child);
+      inner += r.html;
+      keys.push(...r.keys);
+      spaces += r.spaces;
+    }
+    if (keys.length === 0 && spaces === 0) return { html: '', keys, spaces };
+    inner += renderTypes(own);
+
+    const open = SPATIAL_OPEN.has(node.ifcType) ? ' open' : '';
+    const isSpace = node.ifcType === 'IFCSPACE';
+    const label = escapeHtml(isSpace ? spaceLabel(node) : node.name);
+    const title = node.longName && !isSpace ? ` title="${escapeHtml(node.longName)}"` : '';
+    let html = `<div class="tree-node">`;
+    html += `<div class="tree-header"${isSpace ? ` data-space="${node.key}"` : ''} data-group="${addGroup(keys)}"${title}>`;
+    html += `<span class="tree-toggle${open}">▶</span>`;
+    html += `<span class="tree-kind">${SPATIAL_KIND[node.ifcType]}</span>`;
+    html += `<span class="tree-label">${label}</span>`;
+    html += `<span class="tree-count">${keys.length}</span>`;
+    html += `</div>`;
+    html += `<div class="tree-children${open}">${inner}</div>`;
+    html += `</div>`;
+    return { html, keys, spaces };
+  };
 
   let html = '';
-  for (const storey of order) {
-    if (!grouped[storey]) continue;
-    const types = Object.keys(grouped[storey]).sort();
-    const totalInStorey = types.reduce((sum, t) => sum + grouped[storey][t].length, 0);
+  for (const root of roots.sort(byOrder)) html += renderNode(root).html;
 
+  if (unassigned.length > 0) {
     html += `<div class="tree-node">`;
-    html += `<div class="tree-header" data-storey="${storey}">`;
+    const keys = withParts(unassigned);
+    html += `<div class="tree-header" data-group="${addGroup(keys)}">`;
     html += `<span class="tree-toggle">▶</span>`;
-    html += `<span class="tree-label">${storey}</span>`;
-    html += `<span class="tree-count">${totalInStorey}</span>`;
+    html += `<span class="tree-label">Unassigned</span>`;
+    html += `<span class="tree-count">${keys.length}</span>`;
+    html += `</div>`;
+    html += `<div class="tree-children">${renderTypes(unassigned)}</div>`;
     html += `</div>`;
-    html += `<div class="tree-children" data-storey-children="${storey}">`;
+  }
 
-    for (const type of types) {
-      const elems = grouped[storey][type];
-      html += `<div class="tree-type-header" data-storey="${storey}" data-type="${type}">`;
+  if (zones.size > 0) {
+    const sorted = [...zones.values()].sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    html += `<div class="tree-node">`;
+    html += `<div class="tree-header">`;
+    html += `<span class="tree-toggle">▶</span>`;
+    html += `<span class="tree-label">Zones</span>`;
+    html += `<span class="tree-count">${zones.size}</span>`;
+    html += `</div>`;
+    html += `<div class="tree-children">`;
+    for (const zone of sorted) {
+      const keys = zone.spaceKeys.flatMap(k => withParts(bySpace.get(k) || []));
+      html += `<div class="tree-type-header" data-zone="${zone.key}" data-group="${addGroup(keys)}"${zone.longName ? ` title="${escapeHtml(zone.longName)}"` : ''}>`;
       html += `<span class="tree-toggle">▶</span>`;
-      html += `<span class="type-badge ${typeClass(type)}">${fmtType(type)}</span>`;
-      html += `<span class="tree-count">${elems.length}</span>`;
+      html += `<span class="tree-kind">Zone</span>`;
+      html += `<span class="tree-label">${escapeHtml(zone.name)}</span>`;
+      html += `<span class="tree-count">${zone.spaceKeys.length}</span>`;
       html += `</div>`;
-      html += `<div class="tree-children" data-type-children="${storey}-${type}">`;
-      for (const elem of elems) {
-        html += `<div class="tree-element" data-key="${elem.key}">${elem.name}</div>`;
+      html += `<div class="tree-children">`;
+      for (const spaceKey of zone.spaceKeys) {
+        const space = spatialNodes.get(spaceKey);
+        if (space) html += `<div class="tree-element tree-space-ref" data-space="${spaceKey}">${escapeHtml(spaceLabel(space))}</div>`;
       }
       html += `</div>`;
     }
-
     html += `</div></div>`;
   }
 
   container.innerHTML = html;
 
-  container.querySelectorAll('.tree-header').forEach(header => {
-    header.addEventListener('click', () => {
-      const storey = header.dataset.storey;
-      const children = container.querySelector(`[data-storey-children="${storey}"]`);
-      const toggle = header.querySelector('.tree-toggle');
-      children.classList.toggle('open');
-      toggle.classList.toggle('open');
-    });
-  });
+  const toggleOpen = (header) => {
+    header.nextElementSibling?.classList.toggle('open');
+    header.querySelector('.tree-toggle')?.classList.toggle('open');
+  };
 
-  container.querySelectorAll('.tree-type-header').forEach(header => {
+  container.querySelectorAll('.tree-header, .tree-type-header').forEach(header => {
     header.addEventListener('click', (e) => {
       e.stopPropagation();
-      const key = `${header.dataset.storey}-${header.dataset.type}`;
-      const children = container.querySelector(`[data-type-children="${key}"]`);
-      const toggle = header.querySelector('.tree-toggle');
-      children.classList.toggle('open');
-      toggle.classList.toggle('open');
+      toggleOpen(header);
+      if (header.dataset.space) focusSpaces([header.dataset.space]);
+      if (header.dataset.zone) focusSpaces(zones.get(header.dataset.zone)?.spaceKeys || []);
     });
 
-    header.addEventListener('dblclick', () => {
-      isolateByFilter(header.dataset.storey, header.dataset.type);
-    });
+    if (header.dataset.group !== undefined) {
+      header.addEventListener('dblclick', (e) => {
+        e.stopPropagation();
+        isolateKeys(groupKeys[header.dataset.group]);
+      });
+    }
   });
 
   container.querySelectorAll('.tree-element').forEach(el => {
     el.addEventListener('click', (e) => {
       e.stopPropagation();
-      selectElement(el.dataset.key);
+      if (el.dataset.space) focusSpaces([el.dataset.space]);
+      else if (!el.classList.contains('tree-assembly')) selectElement(el.dataset.key);
+      else if (e.target.closest('.tree-toggle')) toggleOpen(el);
+      else selectAssembly(el.dataset.key);
     });
   });
 }
@@ -1721,10 +2445,23 @@ function showPropertyDetail(data) {
   let html = `<div class="detail-section">`;
   html += `<h3>${data.name}</h3>`;
   html += `<div class="detail-meta">${fmtType(data.ifcType)} · ${data.storey}`;
+  if (data.space) html += ` · ${data.space}`;
   if (models.length > 1) html += ` · <em>${modelLabel}</em>`;
   html += `</div>`;
+  const parent = data.parentKey ? elementDataMap.get(data.parentKey) : null;
+  if (parent) {
+    html += `<div class="detail-meta">Part of <a href="#" class="detail-assembly-link" data-key="${data.parentKey}">${parent.name}</a> (${fmtType(parent.ifcType)})</div>`;
+  }
+  if (data.partKeys?.length) {
+    html += `<div class="detail-meta">Assembly of ${data.partKeys.length} part${data.partKeys.length !== 1 ? 's' : ''}</div>`;
+  }
+  if (data.type) {
+    html += `<div class="detail-meta">Type: ${data.type.name} (${fmtType(data.type.ifcType)})</div>`;
+  }
+  if (data.globalId) html += `<div class="detail-guid" title="IFC GlobalId">${data.globalId}</div>`;
 
   const propEntries = Object.entries(data.props);
+  const inherited = new Set(data.typeProps);
   if (propEntries.length > 0) {
     const groups = {};
     for (const [key, val] of propEntries) {
@@ -1739,7 +2476,11 @@ function showPropertyDetail(data) {
       html += `<h4>${groupName}</h4>`;
       html += `<table class="props-table">`;
       for (const [k, v] of props.slice(0, 30)) {
-        html += `<tr><td class="prop-key">${k}</td><td class="prop-val">${v}</td></tr>`;
+        if (inherited.has(`${groupName}.${k}`)) {
+          html += `<tr class="prop-inherited" title="Inherited from type ${data.type.name}"><td class="prop-key">${k}<span class="prop-source">type</span></td><td class="prop-val">${v}</td></tr>`;
+        } else {
+          html += `<tr><td class="prop-key">${k}</td><td class="prop-val">${v}</td></tr>`;
+        }
       }
       if (props.length > 30) {
         html += `<tr><td colspan="2" style="color:var(--text-muted);text-align:center">+${props.length - 30} more properties</td></tr>`;
@@ -1754,9 +2495,19 @@ function showPropertyDetail(data) {
   c.innerHTML = html;
   c.style.display = 'block';
   if (placeholder) placeholder.style.display = 'none';
+
+  c.querySelector('.detail-assembly-link')?.addEventListener('click', (e) => {
+    e.preventDefault();
+    selectAssembly(e.target.dataset.key);
+  });
 }
 
 // ======================== HELPERS ========================
+/** Names from the IFC file go into innerHTML — escape them. */
+function escapeHtml(s) {
+  return String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
 function fmtType(t) {
   return t.replace('IFC', '')
     .replace('STANDARDCASE', '')
@@ -1842,8 +2593,12 @@ function wireEvents() {
     fitCameraAll();
   });
   document.getElementById('btnRotateModel').addEventListener('click', cycleRotation);
+  document.getElementById('btnProjection')?.addEventListener('click', toggleProjection);
   document.getElementById('btnWireframe').addEventListener('click', toggleWireframe);
   document.getElementById('btnXray').addEventListener('click', toggleXray);
+  const spacesBtn = document.getElementById('btnSpaces');
+  spacesBtn.addEventListener('click', toggleSpaces);
+  spacesBtn.classList.toggle('active', spacesVisible);
 
   // Properties panel toggle + close
   document.getElementById('btnPropsPanel').addEventListener('click', togglePropsPanel);
@@ -1882,6 +2637,21 @@ function wireEvents() {
     clearAllModels();
   });
 
+  // Render mode (per-element meshes vs merged batches)
+  const renderModeSelect = document.getElementById('renderModeSelect');
+  renderModeSelect.value = renderMode;
+  renderModeSelect.addEventListener('change', () => setRenderMode(renderModeSelect.value));
+
+  // Model cache
+  document.getElementById('btnClearCache').addEventListener('click', async () => {
+    if (!confirm('Remove all cached models? Their IFC files will need to be parsed again.')) return;
+    await clearModelCache();
+    renderRecentModels();
+  });
+
+  // Cancel an in-progress load
+  document.getElementById('btnCancelLoad').addEventListener('click', cancelLoad);
+
   // Drag and drop (supports multiple files)
   document.addEventListener('dragover', e => {
     e.preventDefault();
@@ -1926,6 +2696,9 @@ function wireEvents() {
     if (e.key === 'r' || e.key === 'R') {
       if (document.activeElement.tagName !== 'INPUT') cycleRotation();
     }
+    if (e.key === 'o' || e.key === 'O') {
+      if (document.activeElement.tagName !== 'INPUT') toggleProjection();
+    }
     if (e.key === 'p' || e.key === 'P') {
       if (document.activeElement.tagName !== 'INPUT') togglePropsPanel();
     }
@@ -1941,6 +2714,9 @@ function wireEvents() {
     if (e.key === 'a' || e.key === 'A') {
       if (document.activeElement.tagName !== 'INPUT') showAll();
     }
+    if (e.key === 'n' || e.key === 'N') {
+      if (document.activeElement.tagName !== 'INPUT') toggleSpaces();
+    }
   });
 }
 
@@ -1950,11 +2726,111 @@ function getViewerState() {
   return {
     scene, camera, renderer, controls,
     models, elementMeshMap, elementDataMap, storeys,
+    spatialNodes, zones, spaceMeshMap,
     selectedKey, selectedKeys, hiddenKeys,
   };
 }
 
-export { getViewerState };
+// ======================== SESSION STATE (project files) ========================
+/** Camera, orbit target, projection and rotation preset as plain values. */
+function getCameraState() {
+  return {
+    position: camera.position.toArray(),
+    target: controls.target.toArray(),
+    rotationPreset: rotationPresetIndex,
+    projection: getProjection(),
+    orthoHeight: camera.isOrthographicCamera ? viewHeight() : null,
+  };
+}
+
+function setCameraState(s) {
+  if (!s) return;
+  if (s.rotationPreset !== undefined && s.rotationPreset !== rotationPresetIndex) {
+    rotationPresetIndex = s.rotationPreset % ROTATION_PRESETS.length;
+    applyRotationPreset(rotationPresetIndex);
+    for (const m of models) {
+      if (m.modelGroup) m.modelGroup.updateMatrixWorld(true);
+    }
+  }
+  if (s.projection) setProjection(s.projection);
+  if (s.position) camera.position.fromArray(s.position);
+  if (s.target) controls.target.fromArray(s.target);
+  if (camera.isOrthographicCamera && s.orthoHeight) {
+    camera.zoom = 1;
+    setOrthoFrustum(s.orthoHeight);
+  }
+  camera.lookAt(controls.target);
+  camera.updateProjectionMatrix();
+  controls.update();
+}
+
+/**
+ * Image data URL of the current view (PNG unless another type is given). Renders
+ * first, since the drawing buffer is not preserved between frames. Scaled down
+ * to maxWidth when given.
+ */
+function captureSnapshot(maxWidth = 0, type = 'image/png') {
+  renderer.render(scene, camera);
+  const src = renderer.domElement;
+  if (!maxWidth || src.width <= maxWidth) return src.toDataURL(type, 0.85);
+  const canvas = document.createElement('canvas');
+  canvas.width = maxWidth;
+  canvas.height = Math.round(src.height * maxWidth / src.width);
+  canvas.getContext('2d').drawImage(src, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL(type, 0.85);
+}
+
+/** Wireframe / x-ray display modes and the spaces layer. */
+function getDisplayModes() {
+  return { wireframe: wireframeMode, xray: xrayMode, spaces: spacesVisible };
+}
+
+function setDisplayModes(s) {
+  if (!s) return;
+  if (!!s.wireframe !== wireframeMode) toggleWireframe();
+  if (!!s.xray !== xrayMode) toggleXray();
+  // Saved before the spaces layer existed → leave it as it is
+  if (s.spaces !== undefined && !!s.spaces !== spacesVisible) toggleSpaces();
+}
+
+/** Replace the hidden set with the given composite keys. Selection and filters are left alone. */
+function setHiddenKeys(keys) {
+  recordChange('Hide elements', visibilityHistory, () => replaceHiddenKeys(keys));
+}
+
+export {
+  getViewerState,
+  toStableKey,
+  fromStableKey,
+  isLegacyStableKey,
+  unloadedEntries,
+  loadIFCFiles,
+  hashBuffer,
+  getElementBox,
+  getElementTriangles,
+  zoomToKeys,
+  fitCameraAll,
+  flyTo,
+  raycastHit,
+  getCameraState,
+  setCameraState,
+  getProjection,
+  setProjection,
+  setHiddenKeys,
+  selectKeys,
+  captureSnapshot,
+  getDisplayModes,
+  setDisplayModes,
+  setOverlayLayer,
+  removeOverlayLayer,
+  hasOverlayLayer,
+  refreshOverlays,
+  toggleSpaces,
+  focusSpaces,
+  spaceLabel,
+  storeyOfNode,
+  assemblyParts,
+};
 
 // Expose functions globally for tool modules (UniFormat, etc.)
 window.__ufSelectElement = selectElement;
@@ -1976,6 +2852,9 @@ window.__ufSetSelectedKeys = function(keys) {
 };
 
 // ======================== INIT ========================
+setOverlayLayer('filter', filterStyle);
+setOverlayLayer('selection', selectionStyle);
 initThreeJS();
 wireEvents();
 initIfcAPI();
+renderRecentModels();
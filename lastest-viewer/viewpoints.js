@@ -0,0 +1,306 @@
+/* ============================================================
+   BIM Model Viewer — viewpoints.js
+   Saved viewpoints: named, repeatable views for walking people
+   through a model. Each one captures the camera and orbit
+   target, hidden / isolated elements, the section cut, x-ray
+   and wireframe modes and the active color overlays, with a
+   thumbnail. Restoring flies the camera to the saved pose.
+   Element references are stable keys (GlobalIds).
+   ============================================================ */
+
+import {
+  getViewerState, toStableKey, fromStableKey,
+  getCameraState, setCameraState, setHiddenKeys, flyTo,
+  captureSnapshot, getDisplayModes, setDisplayModes,
+} from './viewer.js';
+import { getSectionState, setSectionState } from './section-cut.js';
+import { isProductionOverlayActive, setProductionOverlay } from './production.js';
+import { isCompareOverlayActive, setCompareOverlay } from './compare.js';
+import { recordGroup } from './history.js';
+
+// ======================== CONFIG ========================
+const STORAGE_KEY = 'saved_viewpoints';
+const THUMB_WIDTH = 240;
+
+// ======================== STATE ========================
+// { id, name, created, camera, visibility: { isolated, keys }, section, display, overlays, thumbnail }
+let viewpoints = [];
+let loaded = false;
+let renamingId = null;
+let activeId = null;
+
+// ======================== PERSISTENCE ========================
+function saveViewpoints() {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(viewpoints));
+  } catch (e) {
+    console.warn('[viewpoints] Save failed:', e);
+    showViewpointStatus('Storage full — delete some views');
+  }
+  // Let the walkthrough editor pick up added / renamed / removed views
+  window.dispatchEvent(new CustomEvent('viewpoints-refresh'));
+}
+
+function loadViewpoints() {
+  try {
+    viewpoints = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+  } catch (e) {
+    console.warn('[viewpoints] Load failed:', e);
+    viewpoints = [];
+  }
+  loaded = true;
+}
+
+// ======================== CAPTURE / RESTORE ========================
+/** Hidden elements, or the visible ones when most of the model is hidden (isolation). */
+function captureVisibility() {
+  const { hiddenKeys, elementMeshMap } = getViewerState();
+  const isolated = hiddenKeys.size > elementMeshMap.size / 2;
+  const keys = isolated
+    ? [...elementMeshMap.keys()].filter(k => !hiddenKeys.has(k))
+    : [...hiddenKeys];
+  return { isolated, keys: keys.map(toStableKey).filter(Boolean) };
+}
+
+function captureViewpoint(name) {
+  return {
+    id: crypto.randomUUID(),
+    name,
+    created: new Date().toISOString(),
+    camera: getCameraState(),
+    visibility: captureVisibility(),
+    section: getSectionState(),
+    display: getDisplayModes(),
+    overlays: { production: isProductionOverlayActive(), compare: isCompareOverlayActive() },
+    thumbnail: captureSnapshot(THUMB_WIDTH, 'image/jpeg'),
+  };
+}
+
+/**
+ * Everything a viewpoint holds except the camera pose (rotation preset and projection included).
+ * One undo step.
+ */
+function applyViewState(vp) {
+  recordGroup(`Restore view "${vp.name}"`, () => restoreViewState(vp));
+}
+
+function restoreViewState(vp) {
+  const { elementMeshMap } = getViewerState();
+
+  const keys = (vp.visibility?.keys || []).map(fromStableKey).filter(Boolean);
+  if (vp.visibility?.isolated) {
+    const keep = new Set(keys);
+    setHiddenKeys([...elementMeshMap.keys()].filter(k => !keep.has(k)));
+  } else {
+    setHiddenKeys(keys);
+  }
+
+  // The rotation preset changes the section bounds, so it goes before the cut
+  const { rotationPreset, projection, orthoHeight } = vp.camera;
+  setCameraState({ rotationPreset, projection, orthoHeight });
+  setSectionState(vp.section);
+
+  setProductionOverlay(!!vp.overlays?.production);
+  setCompareOverlay(!!vp.overlays?.compare);
+  setDisplayModes(vp.display || { wireframe: false, xray: false });
+}
+
+function restoreViewpoint(vp) {
+  const { models } = getViewerState();
+  if (models.length === 0) {
+    showViewpointStatus('Load the models first');
+    return;
+  }
+  applyViewState(vp);
+  flyTo(vp.camera.position, vp.camera.target);
+  activeId = vp.id;
+  renderViewpointList();
+}
+
+// ======================== EDITING ========================
+function addViewpoint(name) {
+  const { models } = getViewerState();
+  if (models.length === 0) {
+    showViewpointStatus('Load a model first');
+    return;
+  }
+  const vp = captureViewpoint(name || `View ${viewpoints.length + 1}`);
+  viewpoints.push(vp);
+  activeId = vp.id;
+  saveViewpoints();
+  renderViewpointList();
+  showViewpointStatus('View saved');
+}
+
+function updateViewpoint(id) {
+  const i = viewpoints.findIndex(v => v.id === id);
+  if (i < 0) return;
+  viewpoints[i] = { ...captureViewpoint(viewpoints[i].name), id, created: viewpoints[i].created };
+  saveViewpoints();
+  renderViewpointList();
+  showViewpointStatus('View updated');
+}
+
+function renameViewpoint(id, name) {
+  const vp = viewpoints.find(v => v.id === id);
+  if (vp && name) vp.name = name;
+  renamingId = null;
+  saveViewpoints();
+  renderViewpointList();
+}
+
+function moveViewpoint(id, delta) {
+  const i = viewpoints.findIndex(v => v.id === id);
+  const j = i + delta;
+  if (i < 0 || j < 0 || j >= viewpoints.length) return;
+  [viewpoints[i], viewpoints[j]] = [viewpoints[j], viewpoints[i]];
+  saveViewpoints();
+  renderViewpointList();
+}
+
+function deleteViewpoint(id) {
+  const vp = viewpoints.find(v => v.id === id);
+  if (!vp || !confirm(`Delete view "${vp.name}"?`)) return;
+  viewpoints = viewpoints.filter(v => v.id !== id);
+  saveViewpoints();
+  renderViewpointList();
+}
+
+// ======================== SIDEBAR PANEL ========================
+function initViewpointsPanel() {
+  if (!loaded) loadViewpoints();
+  renderViewpointList();
+}
+
+function escapeHtml(s) {
+  return String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function renderViewpointList() {
+  const container = document.getElementById('viewpointsContent');
+  if (!container) return;
+
+  if (viewpoints.length === 0) {
+    container.innerHTML = `<div class="vp-empty">No saved views. Set up the camera, visibility and section, then click Save View.</div>`;
+    return;
+  }
+
+  let html = '';
+  viewpoints.forEach((vp, i) => {
+    const tags = [
+      vp.visibility?.isolated ? 'isolated' : vp.visibility?.keys.length ? `${vp.visibility.keys.length} hidden` : '',
+      vp.section?.active ? `section ${vp.section.mode}` : '',
+      vp.display?.xray ? 'x-ray' : '',
+      vp.display?.wireframe ? 'wireframe' : '',
+      vp.overlays?.production ? 'production' : '',
+      vp.overlays?.compare ? 'compare' : '',
+    ].filter(Boolean).join(' · ');
+
+    html += `<div class="vp-card${vp.id === activeId ? ' active' : ''}" data-id="${escapeHtml(vp.id)}">`;
+    // Viewpoints come from project files — only render image data URLs
+    html += String(vp.thumbnail).startsWith('data:image/')
+      ? `<img class="vp-thumb" src="${escapeHtml(vp.thumbnail)}" alt="">`
+      : `<div class="vp-thumb"></div>`;
+    html += `<div class="vp-card-text">`;
+    html += vp.id === renamingId
+      ? `<input type="text" class="vp-rename" value="${escapeHtml(vp.name)}">`
+      : `<div class="vp-name" title="Double-click to rename">${escapeHtml(vp.name)}</div>`;
+    html += `<div class="vp-meta">${escapeHtml(tags) || 'full model'}</div>`;
+    html += `<div class="vp-actions">`;
+    html += `<button class="vp-btn" data-action="up" title="Move up"${i === 0 ? ' disabled' : ''}>&#9650;</button>`;
+    html += `<button class="vp-btn" data-action="down" title="Move down"${i === viewpoints.length - 1 ? ' disabled' : ''}>&#9660;</button>`;
+    html += `<button class="vp-btn" data-action="rename" title="Rename">&#9998;</button>`;
+    html += `<button class="vp-btn" data-action="update" title="Replace with the current view">&#10227;</button>`;
+    html += `<button class="vp-btn vp-delete" data-action="delete" title="Delete">&#10005;</button>`;
+    html += `</div></div></div>`;
+  });
+  container.innerHTML = html;
+
+  // ---- Wire events ----
+  container.querySelectorAll('.vp-card').forEach(card => {
+    const id = card.dataset.id;
+    card.addEventListener('click', (e) => {
+      if (e.target.closest('button, input')) return;
+      const vp = viewpoints.find(v => v.id === id);
+      if (vp) restoreViewpoint(vp);
+    });
+    card.querySelector('.vp-name')?.addEventListener('dblclick', () => {
+      renamingId = id;
+      renderViewpointList();
+    });
+    card.querySelectorAll('.vp-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const action = btn.dataset.action;
+        if (action === 'up') moveViewpoint(id, -1);
+        else if (action === 'down') moveViewpoint(id, 1);
+        else if (action === 'update') updateViewpoint(id);
+        else if (action === 'delete') deleteViewpoint(id);
+        else if (action === 'rename') {
+          renamingId = id;
+          renderViewpointList();
+        }
+      });
+    });
+  });
+
+  const input = container.querySelector('.vp-rename');
+  if (input) {
+    input.focus();
+    input.select();
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') renameViewpoint(renamingId, input.value.trim());
+      if (e.key === 'Escape') { renamingId = null; renderViewpointList(); }
+    });
+    input.addEventListener('blur', () => {
+      if (renamingId) renameViewpoint(renamingId, input.value.trim());
+    });
+  }
+}
+
+function showViewpointStatus(msg) {
+  const el = document.getElementById('vpStatus');
+  if (!el) return;
+  el.textContent = msg;
+  el.classList.add('visible');
+  clearTimeout(el._timer);
+  el._timer = setTimeout(() => el.classList.remove('visible'), 2500);
+}
+
+function wireViewpointEvents() {
+  const nameInput = document.getElementById('vpNameInput');
+  const save = () => {
+    addViewpoint(nameInput?.value.trim());
+    if (nameInput) nameInput.value = '';
+  };
+  document.getElementById('vpSaveBtn')?.addEventListener('click', save);
+  nameInput?.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') save();
+  });
+}
+
+// ======================== SAVE / RESTORE ========================
+/** The saved viewpoints in list order (live objects — do not modify). */
+function getViewpointList() {
+  if (!loaded) loadViewpoints();
+  return viewpoints;
+}
+
+/** Saved viewpoints for project files. */
+function getSavedViewpoints() {
+  return viewpoints.map(v => ({ ...v }));
+}
+
+function setSavedViewpoints(list) {
+  if (!Array.isArray(list)) return;
+  viewpoints = list.map(v => ({ ...v }));
+  loaded = true;
+  activeId = null;
+  saveViewpoints();
+  renderViewpointList();
+}
+
+// ======================== EXPORTS ========================
+export {
+  initViewpointsPanel, wireViewpointEvents, restoreViewpoint, restoreViewState,
+  getViewpointList, getSavedViewpoints, setSavedViewpoints,
+};
@@ -0,0 +1,419 @@
+/* ============================================================
+   BIM Model Viewer — walk.js
+   First-person walk mode: WASD to move, mouse look (pointer
+   lock), Shift to run. The camera is dropped onto the floor of
+   a chosen storey and kept there by gravity; it steps up stairs
+   and ramps and is stopped by walls, slabs and other solid
+   elements (doors, openings and spaces can be walked through).
+   Collision uses a BVH over element boxes with per-element
+   triangle BVHs built on demand. Leaving walk mode flies back
+   to the orbit view it started from.
+   ============================================================ */
+
+import * as THREE from 'three';
+import {
+  getViewerState, getElementBox, getElementTriangles, flyTo,
+  getCameraState, setCameraState, setProjection,
+} from './viewer.js';
+import { buildBVH, buildTriangleBVH, box3ToArray, queryRay, raycast } from './bvh.js';
+import { deactivate as deactivateMeasure } from './measure.js';
+
+// ======================== CONFIG ========================
+const EYE_HEIGHT = 1.6;       // m above the floor
+const STEP_HEIGHT = 0.45;     // highest riser climbed without stopping
+const BODY_RADIUS = 0.3;      // m kept clear of walls
+const WALK_SPEED = 1.4;       // m/s
+const RUN_FACTOR = 2.5;
+const GRAVITY = 9.81;
+const LOOK_SPEED = 0.0025;    // rad per pixel of mouse movement
+// Within the orbit controls' polar limits, which still run every frame
+const MAX_PITCH = Math.PI / 3;
+const NEAR = 0.05;
+
+// Elements that never block movement
+const PASS_THROUGH = new Set([
+  'IFCSPACE', 'IFCOPENINGELEMENT', 'IFCDOOR', 'IFCDOORSTANDARDCASE',
+  'IFCVIRTUALELEMENT', 'IFCANNOTATION', 'IFCGRID', 'IFCSITE',
+]);
+
+// Movement keys by KeyboardEvent.code, so they work on any keyboard layout
+const MOVE_KEYS = {
+  KeyW: 'forward', ArrowUp: 'forward',
+  KeyS: 'back', ArrowDown: 'back',
+  KeyA: 'left', ArrowLeft: 'left',
+  KeyD: 'right', ArrowRight: 'right',
+};
+
+// ======================== STATE ========================
+let active = false;
+let storeyName = null;
+let levels = [];              // storeyLevels() when walking started
+let eyeHeight = EYE_HEIGHT;
+let yaw = 0;                  // rad, 0 = looking down -Z
+let pitch = 0;
+let feet = new THREE.Vector3();
+let fallSpeed = 0;
+let running = false;
+const pressed = new Set();    // 'forward' | 'back' | 'left' | 'right'
+
+let orbitPose = null;         // getCameraState() to return to
+let cameraClip = null;        // { near, far } before walking
+let frame = 0;
+let lastTime = 0;
+let hudTimer = 0;
+
+// Collision world: element BVH + lazily built triangle BVHs
+let colliderKeys = [];
+let colliderBVH = null;
+const triangleBVHs = new Map();
+
+const _origin = new THREE.Vector3();
+const _dir = new THREE.Vector3();
+const _move = new THREE.Vector3();
+const _forward = new THREE.Vector3();
+
+// ======================== STOREYS ========================
+/** Storeys sorted by elevation, with their floor height in world space. */
+function storeyLevels() {
+  const { storeys, models } = getViewerState();
+  return Object.values(storeys)
+    .map(s => {
+      const model = models.find(m => m.idx === s.modelIdx);
+      if (!model?.modelGroup) return null;
+      model.modelGroup.updateMatrixWorld(true);
+      const y = model.modelGroup.localToWorld(new THREE.Vector3(0, s.elevation_m, 0)).y;
+      return { name: s.name, y };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.y - b.y);
+}
+
+/** The storey whose floor is the highest one at or below y (small tolerance for slab tops). */
+function storeyAt(y) {
+  let found = null;
+  for (const s of levels) {
+    if (s.y <= y + 0.1) found = s;
+  }
+  return found;
+}
+
+// ======================== COLLISION ========================
+function buildColliders() {
+  const { elementMeshMap, elementDataMap } = getViewerState();
+  const box = new THREE.Box3();
+  colliderKeys = [];
+  const boxes = [];
+  for (const [key, mesh] of elementMeshMap) {
+    if (!mesh.visible) continue;
+    const type = (elementDataMap.get(key)?.ifcType || mesh.userData.ifcType || '').toUpperCase();
+    if (PASS_THROUGH.has(type)) continue;
+    if (!getElementBox(key, box) || box.isEmpty()) continue;
+    colliderKeys.push(key);
+    boxes.push(box3ToArray(box));
+  }
+  const flat = new Float32Array(boxes.length * 6);
+  boxes.forEach((b, i) => flat.set(b, i * 6));
+  colliderBVH = buildBVH(flat);
+  triangleBVHs.clear();
+  console.log(`[walk] ${colliderKeys.length} collision elements`);
+}
+
+function trianglesFor(key) {
+  let bvh = triangleBVHs.get(key);
+  if (!bvh) {
+    bvh = buildTriangleBVH(getElementTriangles(key) || new Float32Array(0));
+    triangleBVHs.set(key, bvh);
+  }
+  return bvh;
+}
+
+/** Distance along the unit direction dir to the nearest solid surface within far, or null. */
+function castRay(origin, dir, far) {
+  if (!colliderBVH) return null;
+  const { elementMeshMap } = getViewerState();
+  let best = null;
+  queryRay(colliderBVH, origin, dir, far, (i) => {
+    const key = colliderKeys[i];
+    // Elements hidden since walking started no longer block
+    if (!elementMeshMap.get(key)?.visible) return;
+    const t = raycast(trianglesFor(key), origin, dir, best ?? far);
+    if (t !== null && (best === null || t < best)) best = t;
+  });
+  return best;
+}
+
+/** Is a horizontal move of `delta` from the feet position blocked at knee or chest height? */
+function blocked(delta) {
+  const len = delta.length();
+  if (len === 0) return false;
+  _dir.copy(delta).divideScalar(len);
+  for (const h of [STEP_HEIGHT + 0.05, eyeHeight * 0.75]) {
+    _origin.copy(feet);
+    _origin.y += h;
+    if (castRay(_origin, _dir, len + BODY_RADIUS) !== null) return true;
+  }
+  return false;
+}
+
+/** Floor height under the feet, looking from one step above them, or null over a void. */
+function groundBelow(maxDrop) {
+  _origin.copy(feet);
+  _origin.y += STEP_HEIGHT;
+  _dir.set(0, -1, 0);
+  const t = castRay(_origin, _dir, STEP_HEIGHT + maxDrop);
+  return t === null ? null : _origin.y - t;
+}
+
+/** Free height above the floor, or null when nothing is overhead within 20 m. */
+function headroom() {
+  _origin.copy(feet);
+  _origin.y += 0.05;
+  _dir.set(0, 1, 0);
+  const t = castRay(_origin, _dir, 20);
+  return t === null ? null : t + 0.05;
+}
+
+// ======================== MOVEMENT ========================
+function update(now) {
+  frame = requestAnimationFrame(update);
+  const dt = Math.min(0.05, (now - lastTime) / 1000);
+  lastTime = now;
+
+  // Horizontal movement, sliding along walls when the straight move is blocked
+  _forward.set(-Math.sin(yaw), 0, -Math.cos(yaw));
+  _move.set(0, 0, 0);
+  if (pressed.has('forward')) _move.add(_forward);
+  if (pressed.has('back')) _move.sub(_forward);
+  if (pressed.has('left')) _move.add(new THREE.Vector3(_forward.z, 0, -_forward.x));
+  if (pressed.has('right')) _move.add(new THREE.Vector3(-_forward.z, 0, _forward.x));
+  if (_move.lengthSq() > 0) {
+    _move.normalize().multiplyScalar(WALK_SPEED * (running ? RUN_FACTOR : 1) * dt);
+    if (!blocked(_move)) {
+      feet.add(_move);
+    } else {
+      const along = [new THREE.Vector3(_move.x, 0, 0), new THREE.Vector3(0, 0, _move.z)];
+      for (const d of along) {
+        if (!blocked(d)) { feet.add(d); break; }
+      }
+    }
+  }
+
+  // Gravity: step up onto anything within STEP_HEIGHT, otherwise fall
+  const drop = Math.max(0.5, fallSpeed * dt + 0.5);
+  const ground = groundBelow(drop);
+  if (ground !== null && ground >= feet.y - 0.02) {
+    feet.y = ground;
+    fallSpeed = 0;
+  } else {
+    fallSpeed += GRAVITY * dt;
+    feet.y -= fallSpeed * dt;
+    if (ground !== null && feet.y < ground) {
+      feet.y = ground;
+      fallSpeed = 0;
+    }
+  }
+  // Never fall out of the building entirely
+  const lowest = levels.length > 0 ? levels[0].y : 0;
+  if (feet.y < lowest - 50) {
+    feet.y = lowest;
+    fallSpeed = 0;
+  }
+
+  applyCamera();
+  if (now - hudTimer > 250) {
+    hudTimer = now;
+    updateHud();
+  }
+}
+
+function applyCamera() {
+  const { camera, controls } = getViewerState();
+  camera.position.set(feet.x, feet.y + eyeHeight, feet.z);
+  // The orbit controls keep updating every frame, so aim their target where we look
+  _dir.set(-Math.sin(yaw) * Math.cos(pitch), Math.sin(pitch), -Math.cos(yaw) * Math.cos(pitch));
+  controls.target.copy(camera.position).add(_dir);
+  camera.lookAt(controls.target);
+}
+
+/** Put the feet on the chosen storey, at the orbit target's plan position. */
+function dropOnStorey(name) {
+  const level = levels.find(s => s.name === name) || levels[0];
+  storeyName = level?.name ?? null;
+  const { controls } = getViewerState();
+  feet.set(controls.target.x, (level?.y ?? 0) + 0.1, controls.target.z);
+  // Settle onto the slab top, which may sit a little above the storey elevation
+  const ground = groundBelow(1);
+  if (ground !== null) feet.y = ground;
+  fallSpeed = 0;
+}
+
+// ======================== ACTIVATE / DEACTIVATE ========================
+function activate(name = storeyName) {
+  if (active || getViewerState().models.length === 0) return;
+  deactivateMeasure();
+  active = true;
+
+  orbitPose = getCameraState();
+  setProjection('perspective');
+  const { camera, controls, renderer } = getViewerState();
+  cameraClip = { near: camera.near, far: camera.far };
+  controls.enabled = false;
+  camera.near = NEAR;
+  camera.updateProjectionMatrix();
+
+  // Keep looking the way the orbit camera did, but level
+  const look = controls.target.clone().sub(camera.position);
+  yaw = Math.atan2(-look.x, -look.z);
+  pitch = 0;
+
+  levels = storeyLevels();
+  buildColliders();
+  dropOnStorey(name);
+  pressed.clear();
+  running = false;
+
+  renderer.domElement.classList.add('walking');
+  showPanel();
+  document.getElementById('btnWalk')?.classList.add('active');
+  lastTime = performance.now();
+  frame = requestAnimationFrame(update);
+}
+
+function deactivate() {
+  if (!active) return;
+  active = false;
+  cancelAnimationFrame(frame);
+  pressed.clear();
+  colliderBVH = null;
+  triangleBVHs.clear();
+
+  const { camera, controls, renderer } = getViewerState();
+  if (document.pointerLockElement === renderer.domElement) document.exitPointerLock();
+  renderer.domElement.classList.remove('walking');
+  camera.near = cameraClip.near;
+  camera.far = cameraClip.far;
+  camera.updateProjectionMatrix();
+  controls.enabled = true;
+  if (orbitPose.projection === 'ortho') setCameraState(orbitPose);
+  else flyTo(orbitPose.position, orbitPose.target);
+
+  document.getElementById('walkPanel')?.remove();
+  document.getElementById('btnWalk')?.classList.remove('active');
+}
+
+function toggle() {
+  if (active) deactivate();
+  else activate();
+}
+
+function isWalking() {
+  return active;
+}
+
+// ======================== UI PANEL ========================
+function showPanel() {
+  document.getElementById('walkPanel')?.remove();
+  const panel = document.createElement('div');
+  panel.id = 'walkPanel';
+  panel.className = 'walk-panel';
+  panel.innerHTML = `
+    <div class="sc-header">
+      <div class="sc-title walk-title">Walk</div>
+      <button class="sc-close" id="walkClose" title="Back to orbit (G)">&times;</button>
+    </div>
+    <div class="sc-section walk-options">
+      <label class="sc-label">Storey</label>
+      <select id="walkStorey" class="measure-select">
+        ${levels.map(s => `<option value="${s.name}"${s.name === storeyName ? ' selected' : ''}>${s.name}</option>`).join('')}
+      </select>
+    </div>
+    <div class="sc-section walk-options">
+      <label class="sc-label">Eye height</label>
+      <span><input type="number" id="walkEye" class="walk-num" min="0.5" max="2.5" step="0.05" value="${eyeHeight}"> m</span>
+    </div>
+    <div class="sc-section walk-readout" id="walkHud"></div>
+    <div class="sc-section walk-hint">
+      Click the view to look around · WASD / arrows to move · Shift to run · Esc releases the mouse, Esc again or G returns to orbit
+    </div>
+  `;
+  document.body.appendChild(panel);
+
+  document.getElementById('walkClose').addEventListener('click', deactivate);
+  document.getElementById('walkStorey').addEventListener('change', (e) => {
+    dropOnStorey(e.target.value);
+    e.target.blur();
+  });
+  document.getElementById('walkEye').addEventListener('change', (e) => {
+    eyeHeight = Math.min(2.5, Math.max(0.5, parseFloat(e.target.value) || EYE_HEIGHT));
+    e.target.value = eyeHeight;
+    e.target.blur();
+  });
+  updateHud();
+}
+
+function updateHud() {
+  const hud = document.getElementById('walkHud');
+  if (!hud) return;
+  const level = storeyAt(feet.y);
+  const room = headroom();
+  hud.innerHTML = `
+    <div><span>Storey</span><b>${level ? level.name : '—'}</b></div>
+    <div><span>Floor</span><b>${level ? `${feet.y - level.y >= 0 ? '+' : ''}${(feet.y - level.y).toFixed(2)} m` : `${feet.y.toFixed(2)} m`}</b></div>
+    <div><span>Headroom</span><b>${room === null ? 'open' : `${room.toFixed(2)} m`}</b></div>
+  `;
+  const select = document.getElementById('walkStorey');
+  if (select && level && document.activeElement !== select) select.value = level.name;
+}
+
+// ======================== EVENTS ========================
+function onKey(e) {
+  const tag = document.activeElement.tagName;
+  if (tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA') return;
+
+  if (e.type === 'keydown' && !e.repeat && (e.key === 'g' || e.key === 'G')) {
+    toggle();
+    return;
+  }
+  if (!active) return;
+
+  const dir = MOVE_KEYS[e.code];
+  if (dir) {
+    if (e.type === 'keydown') pressed.add(dir);
+    else pressed.delete(dir);
+  } else if (e.key === 'Shift') {
+    running = e.type === 'keydown';
+  } else if (e.key === 'Escape' && e.type === 'keydown') {
+    deactivate();
+  } else {
+    return;
+  }
+  // Keep W / A / S / D and the arrows away from the viewer shortcuts while walking
+  e.preventDefault();
+  e.stopImmediatePropagation();
+}
+
+function wireWalkEvents() {
+  const { renderer } = getViewerState();
+  const canvas = renderer.domElement;
+
+  // Capture phase so walking keys and clicks never reach the other tools
+  window.addEventListener('keydown', onKey, true);
+  window.addEventListener('keyup', onKey, true);
+  window.addEventListener('blur', () => pressed.clear());
+
+  canvas.addEventListener('click', (e) => {
+    if (!active) return;
+    e.stopImmediatePropagation();
+    if (document.pointerLockElement !== canvas) canvas.requestPointerLock();
+  }, true);
+  document.addEventListener('mousemove', (e) => {
+    if (!active || document.pointerLockElement !== canvas) return;
+    yaw -= e.movementX * LOOK_SPEED;
+    pitch = Math.max(-MAX_PITCH, Math.min(MAX_PITCH, pitch - e.movementY * LOOK_SPEED));
+  });
+
+  document.getElementById('btnWalk')?.addEventListener('click', toggle);
+}
+
+// ======================== EXPORTS ========================
+export { wireWalkEvents, toggle, activate, deactivate, isWalking };
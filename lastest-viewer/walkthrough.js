@@ -0,0 +1,413 @@
+/* ============================================================
+   BIM Model Viewer — walkthrough.js
+   Presentation mode: plays an ordered list of saved viewpoints,
+   flying the camera from one to the next, holding each for a
+   dwell time under a caption. A step can set the production
+   timeline date, so progress can be shown as of that day.
+   Any mouse or keyboard input on the model pauses playback.
+   ============================================================ */
+
+import * as THREE from 'three';
+import { getViewerState } from './viewer.js';
+import { getViewpointList, restoreViewState } from './viewpoints.js';
+import { setTimelineDate, setProductionOverlay, isProductionOverlayActive } from './production.js';
+import { withoutHistory } from './history.js';
+
+// ======================== CONFIG ========================
+const STORAGE_KEY = 'walkthrough_steps';
+const DEFAULT_TRAVEL = 3;   // seconds flying to a step
+const DEFAULT_DWELL = 5;    // seconds holding it
+
+// ======================== STATE ========================
+// { id, viewId, caption, travel, dwell, date }
+let steps = [];
+let loaded = false;
+
+// Playback
+let playing = false;
+let paused = false;
+let index = 0;
+let phase = 'travel';       // 'travel' | 'dwell'
+let phaseStart = 0;
+let phaseElapsed = 0;       // ms into the phase when paused
+let fromPose = null;        // { position, target } Vector3s
+let toPose = null;
+let frame = 0;
+let overlayBefore = false;  // production overlay state to put back when playback ends
+
+// ======================== PERSISTENCE ========================
+function saveSteps() {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(steps));
+  } catch (e) {
+    console.warn('[walkthrough] Save failed:', e);
+  }
+}
+
+function loadSteps() {
+  try {
+    steps = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+  } catch (e) {
+    console.warn('[walkthrough] Load failed:', e);
+    steps = [];
+  }
+  loaded = true;
+}
+
+function viewFor(step) {
+  return getViewpointList().find(v => v.id === step.viewId) || null;
+}
+
+/** Steps whose viewpoint still exists. */
+function playableSteps() {
+  return steps.filter(viewFor);
+}
+
+// ======================== PLAYBACK ========================
+function ease(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+function currentPose() {
+  const { camera, controls } = getViewerState();
+  return { position: camera.position.clone(), target: controls.target.clone() };
+}
+
+/** Enter step i: apply its view state and start flying from wherever the camera is. */
+function startStep(i) {
+  const list = playableSteps();
+  if (i < 0 || i >= list.length) {
+    stop();
+    return;
+  }
+  index = i;
+  const step = list[i];
+  const vp = viewFor(step);
+
+  // Playback is presentation — none of it goes on the undo stack
+  withoutHistory(() => {
+    restoreViewState(vp);
+    if (step.date) {
+      setTimelineDate(step.date);
+      setProductionOverlay(true);
+    } else {
+      setTimelineDate(null);
+    }
+  });
+
+  fromPose = currentPose();
+  toPose = {
+    position: new THREE.Vector3().fromArray(vp.camera.position),
+    target: new THREE.Vector3().fromArray(vp.camera.target),
+  };
+  phase = 'travel';
+  phaseStart = performance.now();
+  phaseElapsed = 0;
+  updatePlayer();
+}
+
+function tick(now) {
+  frame = requestAnimationFrame(tick);
+  if (!playing || paused) return;
+  const list = playableSteps();
+  const step = list[index];
+  if (!step) { stop(); return; }
+
+  const elapsed = now - phaseStart;
+  if (phase === 'travel') {
+    const { camera, controls } = getViewerState();
+    const t = Math.min(1, elapsed / ((step.travel ?? DEFAULT_TRAVEL) * 1000));
+    const k = ease(t);
+    camera.position.lerpVectors(fromPose.position, toPose.position, k);
+    controls.target.lerpVectors(fromPose.target, toPose.target, k);
+    camera.lookAt(controls.target);
+    controls.update();
+    if (t >= 1) {
+      phase = 'dwell';
+      phaseStart = now;
+    }
+  } else if (elapsed >= (step.dwell ?? DEFAULT_DWELL) * 1000) {
+    if (index + 1 < list.length) startStep(index + 1);
+    else stop();
+    return;
+  }
+  updateProgress(now);
+}
+
+function play(from = 0) {
+  const { models } = getViewerState();
+  if (models.length === 0) return;
+  if (playableSteps().length === 0) return;
+  if (!playing) overlayBefore = isProductionOverlayActive();
+  playing = true;
+  paused = false;
+  showPlayer();
+  startStep(from);
+  cancelAnimationFrame(frame);
+  frame = requestAnimationFrame(tick);
+  console.log(`[walkthrough] Playing ${playableSteps().length} step(s)`);
+}
+
+function pause() {
+  if (!playing || paused) return;
+  paused = true;
+  phaseElapsed = performance.now() - phaseStart;
+  updatePlayer();
+}
+
+function resume() {
+  if (!playing || !paused) return;
+  paused = false;
+  if (phase === 'travel') {
+    // The camera may have been moved while paused — fly on from where it is now
+    fromPose = currentPose();
+    phaseStart = performance.now();
+  } else {
+    phaseStart = performance.now() - phaseElapsed;
+  }
+  updatePlayer();
+}
+
+function stop() {
+  if (!playing) return;
+  playing = false;
+  paused = false;
+  cancelAnimationFrame(frame);
+  // Back to today's progress and the overlay as it was; the last step's view stays on screen
+  withoutHistory(() => {
+    setTimelineDate(null);
+    setProductionOverlay(overlayBefore);
+  });
+  hidePlayer();
+}
+
+function step(delta) {
+  if (!playing) return;
+  paused = false;
+  startStep(Math.max(0, Math.min(playableSteps().length - 1, index + delta)));
+}
+
+// ======================== PLAYER OVERLAY ========================
+function showPlayer() {
+  let el = document.getElementById('wtPlayer');
+  if (!el) {
+    el = document.createElement('div');
+    el.id = 'wtPlayer';
+    el.className = 'wt-player';
+    el.innerHTML = `
+      <div class="wt-caption" id="wtCaption"></div>
+      <div class="wt-controls">
+        <button class="wt-btn" data-action="prev" title="Previous (←)">&#9664;&#9664;</button>
+        <button class="wt-btn" data-action="toggle" id="wtToggle" title="Pause / resume (Space)">&#10074;&#10074;</button>
+        <button class="wt-btn" data-action="next" title="Next (→)">&#9654;&#9654;</button>
+        <span class="wt-counter" id="wtCounter"></span>
+        <div class="wt-progress"><div class="wt-progress-fill" id="wtProgress"></div></div>
+        <button class="wt-btn" data-action="stop" title="Stop">&#9632;</button>
+      </div>`;
+    document.querySelector('.viewer')?.appendChild(el);
+    el.querySelectorAll('.wt-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const a = btn.dataset.action;
+        if (a === 'prev') step(-1);
+        else if (a === 'next') step(1);
+        else if (a === 'stop') stop();
+        else if (paused) resume();
+        else pause();
+      });
+    });
+  }
+  el.classList.add('visible');
+}
+
+function hidePlayer() {
+  document.getElementById('wtPlayer')?.classList.remove('visible');
+}
+
+function updatePlayer() {
+  const list = playableSteps();
+  const s = list[index];
+  if (!s) return;
+  const caption = document.getElementById('wtCaption');
+  if (caption) {
+    const date = s.date ? `<span class="wt-date">As of ${s.date}</span>` : '';
+    caption.innerHTML = `${escapeHtml(s.caption || viewFor(s).name)}${date}`;
+  }
+  const counter = document.getElementById('wtCounter');
+  if (counter) counter.textContent = `${index + 1} / ${list.length}${paused ? ' · paused' : ''}`;
+  const toggle = document.getElementById('wtToggle');
+  if (toggle) toggle.innerHTML = paused ? '&#9654;' : '&#10074;&#10074;';
+}
+
+function updateProgress(now) {
+  const fill = document.getElementById('wtProgress');
+  const s = playableSteps()[index];
+  if (!fill || !s) return;
+  const travel = (s.travel ?? DEFAULT_TRAVEL) * 1000;
+  const dwell = (s.dwell ?? DEFAULT_DWELL) * 1000;
+  const done = phase === 'travel' ? now - phaseStart : travel + now - phaseStart;
+  fill.style.width = `${Math.min(100, done / (travel + dwell) * 100)}%`;
+}
+
+// ======================== EDITOR ========================
+function escapeHtml(s) {
+  return String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function addStep() {
+  const views = getViewpointList();
+  if (views.length === 0) return;
+  // Next view after the last step's, so adding repeatedly walks the list
+  const last = steps[steps.length - 1];
+  const lastIdx = last ? views.findIndex(v => v.id === last.viewId) : -1;
+  const view = views[(lastIdx + 1) % views.length];
+  steps.push({ id: crypto.randomUUID(), viewId: view.id, caption: '', travel: DEFAULT_TRAVEL, dwell: DEFAULT_DWELL, date: '' });
+  saveSteps();
+  renderWalkthroughEditor();
+}
+
+function updateStep(id, changes) {
+  const s = steps.find(x => x.id === id);
+  if (!s) return;
+  Object.assign(s, changes);
+  saveSteps();
+}
+
+function moveStep(id, delta) {
+  const i = steps.findIndex(x => x.id === id);
+  const j = i + delta;
+  if (i < 0 || j < 0 || j >= steps.length) return;
+  [steps[i], steps[j]] = [steps[j], steps[i]];
+  saveSteps();
+  renderWalkthroughEditor();
+}
+
+function removeStep(id) {
+  steps = steps.filter(x => x.id !== id);
+  saveSteps();
+  renderWalkthroughEditor();
+}
+
+function initWalkthroughPanel() {
+  if (!loaded) loadSteps();
+  renderWalkthroughEditor();
+}
+
+function renderWalkthroughEditor() {
+  const container = document.getElementById('walkthroughContent');
+  if (!container) return;
+  const views = getViewpointList();
+
+  let html = `<div class="wt-head">`;
+  html += `<span class="wt-title">Walkthrough</span>`;
+  html += `<button class="btn-sm btn-secondary" id="wtAddBtn"${views.length === 0 ? ' disabled' : ''}>+ Step</button>`;
+  html += `<button class="btn-sm btn-primary" id="wtPlayBtn"${playableSteps().length === 0 ? ' disabled' : ''}>&#9654; Play</button>`;
+  html += `</div>`;
+
+  if (steps.length === 0) {
+    html += `<div class="wt-empty">${views.length === 0
+      ? 'Save some views first, then chain them into a walkthrough.'
+      : 'Add steps to build a presentation from the saved views.'}</div>`;
+  }
+
+  steps.forEach((s, i) => {
+    const missing = !viewFor(s);
+    html += `<div class="wt-step${missing ? ' missing' : ''}" data-id="${s.id}">`;
+    html += `<div class="wt-step-row">`;
+    html += `<span class="wt-step-num">${i + 1}</span>`;
+    html += `<select class="wt-input" data-field="viewId">`;
+    if (missing) html += `<option value="${s.viewId}" selected>(deleted view)</option>`;
+    for (const v of views) {
+      html += `<option value="${v.id}"${v.id === s.viewId ? ' selected' : ''}>${escapeHtml(v.name)}</option>`;
+    }
+    html += `</select>`;
+    html += `<button class="vp-btn" data-action="up"${i === 0 ? ' disabled' : ''}>&#9650;</button>`;
+    html += `<button class="vp-btn" data-action="down"${i === steps.length - 1 ? ' disabled' : ''}>&#9660;</button>`;
+    html += `<button class="vp-btn" data-action="play" title="Play from here">&#9654;</button>`;
+    html += `<button class="vp-btn vp-delete" data-action="remove">&#10005;</button>`;
+    html += `</div>`;
+    html += `<input type="text" class="wt-input" data-field="caption" placeholder="Caption" value="${escapeHtml(s.caption)}">`;
+    html += `<div class="wt-step-row">`;
+    html += `<label class="wt-field">Fly <input type="number" class="wt-input wt-num" data-field="travel" min="0" step="0.5" value="${s.travel}">s</label>`;
+    html += `<label class="wt-field">Hold <input type="number" class="wt-input wt-num" data-field="dwell" min="0" step="0.5" value="${s.dwell}">s</label>`;
+    html += `<input type="date" class="wt-input wt-date-input" data-field="date" value="${s.date || ''}" title="Production timeline date (optional)">`;
+    html += `</div></div>`;
+  });
+
+  container.innerHTML = html;
+
+  // ---- Wire events ----
+  document.getElementById('wtAddBtn')?.addEventListener('click', addStep);
+  document.getElementById('wtPlayBtn')?.addEventListener('click', () => play(0));
+  container.querySelectorAll('.wt-step').forEach(row => {
+    const id = row.dataset.id;
+    row.querySelectorAll('[data-field]').forEach(input => {
+      input.addEventListener('change', () => {
+        const f = input.dataset.field;
+        const value = f === 'travel' || f === 'dwell' ? Math.max(0, parseFloat(input.value) || 0) : input.value;
+        updateStep(id, { [f]: value });
+        if (f === 'viewId') renderWalkthroughEditor();
+      });
+    });
+    row.querySelectorAll('.vp-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const a = btn.dataset.action;
+        if (a === 'up') moveStep(id, -1);
+        else if (a === 'down') moveStep(id, 1);
+        else if (a === 'remove') removeStep(id);
+        else if (a === 'play') play(Math.max(0, playableSteps().findIndex(x => x.id === id)));
+      });
+    });
+  });
+}
+
+// ======================== EVENTS ========================
+function wireWalkthroughEvents() {
+  if (!loaded) loadSteps();
+  const { renderer } = getViewerState();
+
+  // Any direct interaction with the model pauses the show
+  for (const type of ['pointerdown', 'wheel']) {
+    renderer.domElement.addEventListener(type, () => pause(), { passive: true });
+  }
+  document.addEventListener('keydown', (e) => {
+    if (!playing) return;
+    if (document.activeElement.tagName === 'INPUT' || document.activeElement.tagName === 'SELECT') return;
+    if (e.key === ' ') {
+      e.preventDefault();
+      if (paused) resume(); else pause();
+    } else if (e.key === 'ArrowRight') step(1);
+    else if (e.key === 'ArrowLeft') step(-1);
+    else pause();
+  });
+
+  // Capture phase, so stopping does not also reach the viewer's Escape (Show All)
+  window.addEventListener('keydown', (e) => {
+    if (e.key !== 'Escape' || !playing) return;
+    stop();
+    e.stopImmediatePropagation();
+  }, true);
+
+  window.addEventListener('viewpoints-refresh', renderWalkthroughEditor);
+}
+
+// ======================== SAVE / RESTORE ========================
+/** Walkthrough steps for project files. */
+function getWalkthroughSteps() {
+  return steps.map(s => ({ ...s }));
+}
+
+function setWalkthroughSteps(list) {
+  if (!Array.isArray(list)) return;
+  stop();
+  steps = list.map(s => ({ ...s }));
+  loaded = true;
+  saveSteps();
+  renderWalkthroughEditor();
+}
+
+// ======================== EXPORTS ========================
+export {
+  initWalkthroughPanel, wireWalkthroughEvents,
+  play, pause, resume, stop,
+  getWalkthroughSteps, setWalkthroughSteps,
+};